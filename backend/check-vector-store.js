@@ -0,0 +1,80 @@
+// Runs the vector store conformance checks against a backend.
+// Usage: node check-vector-store.js [local|chroma]
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+import winston from 'winston';
+import { VectorStore } from './src/services/vectorStore.js';
+import { ChromaVectorStore } from './src/services/chromaVectorStore.js';
+import { runVectorStoreConformance } from './src/services/vectorStoreConformance.js';
+
+dotenv.config();
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const factories = {
+  local: async () => {
+    const indexFile = path.join(os.tmpdir(), `padalayai-conformance-${uuidv4()}.json`);
+    const store = new VectorStore({ indexFile });
+    await store.initialize();
+
+    const close = store.close.bind(store);
+    store.close = async () => {
+      await close();
+      await fs.rm(indexFile, { force: true });
+    };
+    return store;
+  },
+
+  chroma: async () => {
+    process.env.EMBEDDING_DIMENSION = process.env.EMBEDDING_DIMENSION || '4';
+    const store = new ChromaVectorStore({ collectionName: `padalayai_conformance_${uuidv4().slice(0, 8)}` });
+    await store.initialize();
+
+    const close = store.close.bind(store);
+    store.close = async () => {
+      await store.client.deleteCollection({ name: store.collectionName });
+      await close();
+    };
+    return store;
+  }
+};
+
+async function checkVectorStore() {
+  const backend = (process.argv[2] || 'local').toLowerCase();
+  const createStore = factories[backend === 'chromadb' ? 'chroma' : backend];
+
+  if (!createStore) {
+    logger.error(`Unknown backend "${backend}". Use one of: ${Object.keys(factories).join(', ')}`);
+    process.exit(1);
+  }
+
+  logger.info(`Running vector store conformance checks against: ${backend}`);
+
+  const report = await runVectorStoreConformance(createStore, {
+    onResult: (result) => {
+      if (result.passed) {
+        logger.info(`✅ ${result.name}`);
+      } else {
+        logger.error(`❌ ${result.name}: ${result.error}`);
+      }
+    }
+  });
+
+  const failed = report.results.filter(result => !result.passed).length;
+  if (failed > 0) {
+    logger.error(`${failed} of ${report.results.length} checks failed`);
+    process.exit(1);
+  }
+
+  logger.info(`All ${report.results.length} checks passed`);
+  process.exit(0);
+}
+
+checkVectorStore();
@@ -0,0 +1,74 @@
+// Asks a running server to re-embed the library into a new collection and
+// follows the migration job until queries have switched over.
+// Usage: node migrate-embeddings.js [--provider openai|local|hash] [--model <model>] [--rebuild]
+//        (no options = the model the server is configured with)
+
+const API_URL = process.env.API_URL || 'http://localhost:8000';
+const POLL_INTERVAL_MS = 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function parseArgs(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--provider') options.provider = args[++i];
+    else if (args[i] === '--model') options.model = args[++i];
+    else if (args[i] === '--rebuild') options.rebuild = true;
+  }
+  return options;
+}
+
+async function migrateEmbeddings() {
+  try {
+    const response = await fetch(`${API_URL}/api/collections/migrate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(parseArgs(process.argv.slice(2)))
+    });
+
+    const body = await response.json();
+    if (!response.ok) {
+      console.error('❌ Failed to start migration:', body.message || body.error);
+      if (body.details) console.error(`   ${body.details}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { collection } = body;
+    console.log(`Migrating to ${collection.name} (${collection.embeddingModel})...`);
+
+    // Follow the job, printing each stage's progress as it changes
+    let lastLine = '';
+    for (;;) {
+      const { job } = await (await fetch(`${API_URL}/api/jobs/${body.job.id}`)).json();
+
+      const stage = job.stages.find(stage => stage.status !== 'completed') || job.stages[job.stages.length - 1];
+      const { completed, total } = stage.progress || {};
+      const line = `${stage.name}: ${stage.status}${total > 0 ? ` ${completed}/${total} documents` : ''}${stage.attempts > 1 ? ` (attempt ${stage.attempts})` : ''}`;
+      if (line !== lastLine) {
+        console.log(line);
+        lastLine = line;
+      }
+
+      if (job.status === 'completed') {
+        const { embed, cutover } = job.result;
+        console.log(`✅ Queries now use ${cutover.collection} (${cutover.embeddingModel}): ${embed.documents} documents, ${cutover.vectors} vectors`);
+        return;
+      }
+      if (job.status === 'failed') {
+        console.error('❌ Migration failed:', job.error);
+        console.error(`   Retry with: curl -X POST ${API_URL}/api/jobs/${job.id}/retry`);
+        process.exitCode = 1;
+        return;
+      }
+
+      await sleep(POLL_INTERVAL_MS);
+    }
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  }
+}
+
+migrateEmbeddings();
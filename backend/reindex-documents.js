@@ -1,4 +1,4 @@
-import { initializeServices, getRAGService, getDocumentProcessor } from './src/services/index.js';
+import { initializeServices, getRAGService, getDocumentProcessor, shutdownServices } from './src/services/index.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -7,6 +7,9 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+// Re-indexes every stored document (or the ids given as arguments) in-process.
+// Only chunks whose content changed are re-embedded.
+// Usage: node reindex-documents.js [documentId ...]
 async function reindexDocuments() {
   try {
     logger.info('Starting document re-indexing...');
@@ -17,22 +20,33 @@ async function reindexDocuments() {
     const ragService = getRAGService();
     const documentProcessor = getDocumentProcessor();
     
-    // Get all documents
-    const documents = await documentProcessor.getAllDocuments();
-    logger.info(`Found ${documents.length} documents to re-index`);
-    
-    // Re-index each document
-    for (const docSummary of documents) {
-      const fullDocument = await documentProcessor.getDocument(docSummary.id);
-      if (fullDocument) {
-        logger.info(`Re-indexing document: ${fullDocument.filename}`);
-        await ragService.addDocument(fullDocument);
-        logger.info(`✅ Successfully re-indexed: ${fullDocument.filename}`);
+    const requestedIds = process.argv.slice(2);
+    const ids = requestedIds.length > 0 ? requestedIds : Array.from(documentProcessor.documents.keys());
+    logger.info(`Found ${ids.length} documents to re-index`);
+
+    const documents = [];
+    for (const id of ids) {
+      try {
+        documents.push(await documentProcessor.refreshDocument(id));
+      } catch (error) {
+        logger.error(`❌ ${id}: ${error.message}`);
       }
     }
-    
-    logger.info('✅ Document re-indexing completed successfully!');
-    process.exit(0);
+
+    const { totals } = await ragService.reindexDocuments(documents, {
+      onProgress: ({ completed, total, report }) => {
+        if (report.error) {
+          logger.error(`❌ [${completed}/${total}] ${report.filename}: ${report.error}`);
+        } else {
+          logger.info(`✅ [${completed}/${total}] ${report.filename}: ${report.embedded} embedded, ${report.unchanged} unchanged, ${report.deleted} removed`);
+        }
+      }
+    });
+
+    logger.info(`Re-indexed ${totals.documents - totals.failed} of ${totals.documents} documents: ${totals.embedded} chunks embedded, ${totals.unchanged} unchanged, ${totals.deleted} removed`);
+
+    await shutdownServices();
+    process.exit(totals.failed > 0 || documents.length < ids.length ? 1 : 0);
     
   } catch (error) {
     logger.error('❌ Error during re-indexing:', error);
@@ -1,41 +1,68 @@
-// Simple script to manually add existing documents to RAG service
-import fs from 'fs/promises';
+// Asks a running server to re-index documents, printing progress as it goes.
+// Usage: node reindex-existing.js [documentId ...]   (no ids = whole library)
 
-async function reindexExistingDocument() {
+const API_URL = process.env.API_URL || 'http://localhost:8000';
+
+async function reindexExistingDocuments() {
   try {
-    console.log('Making API call to re-index existing document...');
-    
-    // Read the existing document
-    const documentsData = JSON.parse(await fs.readFile('data/documents.json', 'utf8'));
-    const document = documentsData[0]; // Get the first document
-    
-    if (!document) {
-      console.log('No documents found to re-index');
-      return;
-    }
-    
-    console.log(`Re-indexing document: ${document.filename}`);
-    
-    // Make API call to add document to RAG service
-    const response = await fetch('http://localhost:8000/api/documents/reindex', {
+    const documentIds = process.argv.slice(2);
+    console.log(documentIds.length > 0
+      ? `Re-indexing ${documentIds.length} document(s)...`
+      : 'Re-indexing all documents...');
+
+    const response = await fetch(`${API_URL}/api/documents/reindex`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
       },
-      body: JSON.stringify({ documentId: document.id })
+      body: JSON.stringify(documentIds.length > 0 ? { documentIds } : {})
     });
-    
-    if (response.ok) {
-      const result = await response.json();
-      console.log('✅ Document re-indexed successfully:', result);
-    } else {
+
+    if (!response.ok) {
       const error = await response.text();
-      console.error('❌ Failed to re-index document:', error);
+      console.error('❌ Failed to re-index documents:', error);
+      process.exitCode = 1;
+      return;
+    }
+
+    // Read the progress events as they arrive
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const message = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = message.match(/^event: (.*)$/m)?.[1];
+        const data = JSON.parse(message.match(/^data: (.*)$/m)?.[1] || '{}');
+
+        if (event === 'progress') {
+          const { completed, total, report } = data;
+          if (report.error) {
+            console.error(`❌ [${completed}/${total}] ${report.filename}: ${report.error}`);
+          } else {
+            console.log(`✅ [${completed}/${total}] ${report.filename}: ${report.embedded} embedded, ${report.unchanged} unchanged, ${report.deleted} removed`);
+          }
+        } else if (event === 'done') {
+          const { totals } = data;
+          console.log(`Done: ${totals.documents - totals.failed} of ${totals.documents} documents, ${totals.embedded} chunks embedded, ${totals.unchanged} unchanged, ${totals.deleted} removed`);
+          if (totals.failed > 0) process.exitCode = 1;
+        } else if (event === 'error') {
+          console.error('❌ Failed to re-index documents:', data.message);
+          process.exitCode = 1;
+        }
+      }
     }
     
   } catch (error) {
     console.error('❌ Error:', error.message);
+    process.exitCode = 1;
   }
 }
 
-reindexExistingDocument();
+reindexExistingDocuments();
@@ -1,4 +1,6 @@
 import Joi from 'joi';
+import { FIELD_KEY, ISO_DATE, isReservedField } from '../services/metadataFilter.js';
+import { LLM_PROVIDERS } from '../services/llmProviders.js';
 
 // Document validation schema
 const documentSchema = Joi.object({
@@ -10,10 +12,57 @@ const documentSchema = Joi.object({
     'text/plain',
     'text/markdown',
     'application/vnd.apple.pages',
-    'application/x-iwork-pages-sffpages'
-  ).required()
+    'application/x-iwork-pages-sffpages',
+    'application/epub+zip',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/html',
+    'application/xhtml+xml',
+    'image/png',
+    'image/jpeg',
+    'image/tiff'
+  ).required(),
+  // What to do when the text matches a document already in the library
+  onDuplicate: Joi.string().valid('ask', 'skip', 'replace', 'version', 'new').optional(),
+  projectId: Joi.string().optional(),
+  // Comma-separated
+  tags: Joi.string().max(1000).allow('').optional()
 });
 
+// ISO 639-1 (or 639-3 where there is none) language code, as detected
+const LANGUAGE_CODE = /^[a-z]{2,3}$/;
+
+// Document versions a query searches: every version, the latest of each
+// document, or one version number
+const VERSION_SCOPE = Joi.alternatives(Joi.string().valid('all', 'latest'), Joi.number().integer().min(1));
+
+// Document tags and custom metadata (see metadataFilter.js)
+const TAG = Joi.string().trim().min(1).max(50);
+const FIELD_VALUE = Joi.alternatives(Joi.string().allow('').max(200), Joi.number(), Joi.boolean());
+
+const documentFieldsSchema = Joi.object({
+  tags: Joi.array().items(TAG).max(50).optional(),
+  customMetadata: Joi.object()
+    .pattern(
+      Joi.string().pattern(FIELD_KEY).custom((key, helpers) => (isReservedField(key) ? helpers.error('any.invalid') : key)),
+      FIELD_VALUE
+    )
+    .max(30)
+    .optional()
+}).min(1);
+
+// filterBy: { tags, uploadedAt, <custom key> } conditions
+const RANGE_BOUND = Joi.alternatives(Joi.number(), Joi.string().pattern(ISO_DATE));
+const RANGE = { gt: RANGE_BOUND, gte: RANGE_BOUND, lt: RANGE_BOUND, lte: RANGE_BOUND };
+const FILTER_BY = Joi.object({
+  tags: Joi.alternatives(TAG, Joi.object({ eq: TAG, in: Joi.array().items(TAG).min(1).max(50) }).min(1)),
+  uploadedAt: Joi.object(RANGE).min(1)
+}).pattern(FIELD_KEY, Joi.alternatives(
+  FIELD_VALUE,
+  Joi.object({ eq: FIELD_VALUE, in: Joi.array().items(FIELD_VALUE).min(1).max(50), ...RANGE }).min(1)
+));
+
 // Query validation schema
 const querySchema = Joi.object({
   query: Joi.string().min(1).max(1000).required(),
@@ -23,17 +72,79 @@ const querySchema = Joi.object({
   includeContext: Joi.boolean().optional(),
   threshold: Joi.number().min(0).max(1).optional(),
   analysisType: Joi.string().valid('content', 'style', 'persona', 'genre').optional(),
-  enhancedQuery: Joi.string().max(2000).optional()
+  enhancedQuery: Joi.string().max(2000).optional(),
+  stream: Joi.boolean().optional(),
+  retrievalMode: Joi.string().valid('vector', 'lexical', 'hybrid').optional(),
+  rerank: Joi.boolean().optional(),
+  llmProvider: Joi.string().valid(...LLM_PROVIDERS).optional(),
+  languages: Joi.array().items(Joi.string().pattern(LANGUAGE_CODE)).optional(),
+  answerLanguage: Joi.alternatives(Joi.string().valid('auto'), Joi.string().pattern(LANGUAGE_CODE)).optional(),
+  versions: VERSION_SCOPE.optional(),
+  projectId: Joi.string().optional(),
+  filterBy: FILTER_BY.optional()
 });
 
+// Conversation session schemas
+const sessionSchema = Joi.object({
+  title: Joi.string().min(1).max(200).optional()
+});
+
+// A session message takes the same options as a one-off query, except the
+// similarity threshold
+const conversationMessageSchema = querySchema.fork('threshold', schema => schema.forbidden());
+
 // Search validation schema
 const searchSchema = Joi.object({
   query: Joi.string().min(1).max(500).required(),
   documentIds: Joi.array().items(Joi.string()).optional(),
   maxResults: Joi.number().min(1).max(50).optional(),
-  threshold: Joi.number().min(0).max(1).optional()
+  threshold: Joi.number().min(0).max(1).optional(),
+  languages: Joi.array().items(Joi.string().pattern(LANGUAGE_CODE)).optional(),
+  versions: VERSION_SCOPE.optional(),
+  projectId: Joi.string().optional(),
+  filterBy: FILTER_BY.optional()
+});
+
+// Project schemas; defaults are query options applied to the project's queries
+const projectDefaultsSchema = Joi.object({
+  maxResults: Joi.number().min(1).max(20).optional(),
+  temperature: Joi.number().min(0).max(1).optional(),
+  analysisType: Joi.string().valid('content', 'style', 'persona', 'genre').optional(),
+  retrievalMode: Joi.string().valid('vector', 'lexical', 'hybrid').optional(),
+  rerank: Joi.boolean().optional(),
+  llmProvider: Joi.string().valid(...LLM_PROVIDERS).optional(),
+  languages: Joi.array().items(Joi.string().pattern(LANGUAGE_CODE)).optional(),
+  answerLanguage: Joi.alternatives(Joi.string().valid('auto'), Joi.string().pattern(LANGUAGE_CODE)).optional(),
+  versions: VERSION_SCOPE.optional()
+});
+
+const projectSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  description: Joi.string().allow('').max(2000).optional(),
+  defaults: projectDefaultsSchema.optional(),
+  documentIds: Joi.array().items(Joi.string()).optional()
+});
+
+const projectUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).optional(),
+  description: Joi.string().allow('').max(2000).optional(),
+  defaults: projectDefaultsSchema.optional()
+}).min(1);
+
+const projectDocumentsSchema = Joi.object({
+  documentIds: Joi.array().items(Joi.string()).min(1).required()
+});
+
+// Embedding migration schema
+const migrationSchema = Joi.object({
+  provider: Joi.string().valid('openai', 'local', 'hash').optional(),
+  model: Joi.string().max(200).optional(),
+  rebuild: Joi.boolean().optional()
 });
 
+// Browsers rarely know the Pages mimetype and send these instead
+const GENERIC_PAGES_MIMETYPES = ['', 'application/octet-stream', 'application/zip', 'application/x-zip-compressed'];
+
 export function validateDocument(req, res, next) {
   if (!req.file) {
     return res.status(400).json({
@@ -42,10 +153,17 @@ export function validateDocument(req, res, next) {
     });
   }
 
+  if (req.file.originalname.toLowerCase().endsWith('.pages') && GENERIC_PAGES_MIMETYPES.includes(req.file.mimetype || '')) {
+    req.file.mimetype = 'application/vnd.apple.pages';
+  }
+
   const { error } = documentSchema.validate({
     filename: req.file.originalname,
     size: req.file.size,
-    mimetype: req.file.mimetype
+    mimetype: req.file.mimetype,
+    onDuplicate: req.body?.onDuplicate,
+    projectId: req.body?.projectId,
+    tags: req.body?.tags
   });
 
   if (error) {
@@ -71,6 +189,32 @@ export function validateQuery(req, res, next) {
   next();
 }
 
+export function validateSession(req, res, next) {
+  const { error } = sessionSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid session parameters',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
+export function validateConversationMessage(req, res, next) {
+  const { error } = conversationMessageSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid message parameters',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
 export function validateSearch(req, res, next) {
   const { error } = searchSchema.validate(req.body);
 
@@ -84,6 +228,59 @@ export function validateSearch(req, res, next) {
   next();
 }
 
+export function validateDocumentFields(req, res, next) {
+  const { error } = documentFieldsSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid document fields',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
+export function validateProject(req, res, next) {
+  const schema = req.method === 'POST' ? projectSchema : projectUpdateSchema;
+  const { error } = schema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid project parameters',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
+export function validateProjectDocuments(req, res, next) {
+  const { error } = projectDocumentsSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid project documents',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
+export function validateMigration(req, res, next) {
+  const { error } = migrationSchema.validate(req.body);
+
+  if (error) {
+    return res.status(400).json({
+      error: 'Invalid migration parameters',
+      details: error.details[0].message
+    });
+  }
+
+  next();
+}
+
 // Generic validation middleware factory
 export function validate(schema) {
   return (req, res, next) => {
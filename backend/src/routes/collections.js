@@ -0,0 +1,143 @@
+import express from 'express';
+import { getCollectionRegistry, getJobQueue, getRAGService } from '../services/index.js';
+import { getRunningMigration, startEmbeddingMigration } from '../services/embeddingMigration.js';
+import { resolveEmbeddingConfig, providerForModel } from '../services/embeddingProviders.js';
+import { validateMigration } from '../middleware/validation.js';
+import winston from 'winston';
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List vector collections with the embedding model each was built with
+router.get('/', async (req, res) => {
+  try {
+    const collections = getCollectionRegistry();
+    const ragService = getRAGService();
+
+    res.json({
+      success: true,
+      active: collections.getActive().name,
+      configuredModel: resolveEmbeddingConfig({ openai: ragService.openai }).model,
+      migration: getRunningMigration(getJobQueue()),
+      collections: collections.list()
+    });
+
+  } catch (error) {
+    logger.error('Error listing collections:', error);
+    res.status(500).json({
+      error: 'Failed to list collections',
+      message: error.message
+    });
+  }
+});
+
+// Re-embed every document into a new collection in the background and switch
+// queries over once it's complete. Body: { provider?, model?, rebuild? }; the
+// configured provider and model by default. Follow the job at /api/jobs/:jobId.
+router.post('/migrate', validateMigration, async (req, res) => {
+  try {
+    const collections = getCollectionRegistry();
+    const jobQueue = getJobQueue();
+    const ragService = getRAGService();
+    const { provider, model, rebuild = false } = req.body;
+
+    const running = getRunningMigration(jobQueue);
+    if (running) {
+      return res.status(409).json({
+        error: 'An embedding migration is already in progress',
+        job: running
+      });
+    }
+
+    const target = resolveEmbeddingConfig({
+      openai: ragService.openai,
+      provider: provider || (model ? providerForModel(model) : undefined),
+      model
+    });
+    const active = collections.getActive();
+    if (!rebuild && target.provider === active.embeddingProvider && target.model === active.embeddingModel) {
+      return res.status(409).json({
+        error: `Collection ${active.name} already uses ${target.model}`,
+        details: 'Pass rebuild: true to re-embed into a fresh collection anyway'
+      });
+    }
+
+    const { collection, job } = await startEmbeddingMigration({
+      jobQueue,
+      collections,
+      ragService,
+      provider: target.provider,
+      model: target.model,
+      rebuild
+    });
+
+    res.status(202).json({
+      success: true,
+      collection,
+      job
+    });
+
+  } catch (error) {
+    logger.error('Error starting embedding migration:', error);
+    res.status(500).json({
+      error: 'Failed to start embedding migration',
+      message: error.message
+    });
+  }
+});
+
+// Switch back to a retired collection. It's brought up to date with the
+// current documents first, through the same background job as a migration.
+router.post('/:name/activate', async (req, res) => {
+  try {
+    const collections = getCollectionRegistry();
+    const jobQueue = getJobQueue();
+    const collection = collections.get(req.params.name);
+
+    if (!collection) {
+      return res.status(404).json({
+        error: 'Collection not found'
+      });
+    }
+
+    if (collection.status === 'active') {
+      return res.status(409).json({
+        error: `Collection ${collection.name} is already active`
+      });
+    }
+
+    const running = getRunningMigration(jobQueue);
+    if (running) {
+      return res.status(409).json({
+        error: 'An embedding migration is already in progress',
+        job: running
+      });
+    }
+
+    const { job } = await startEmbeddingMigration({
+      jobQueue,
+      collections,
+      ragService: getRAGService(),
+      collectionName: collection.name
+    });
+
+    res.status(202).json({
+      success: true,
+      collection: collections.get(collection.name),
+      job
+    });
+
+  } catch (error) {
+    logger.error('Error activating collection:', error);
+    res.status(500).json({
+      error: 'Failed to activate collection',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,243 @@
+import express from 'express';
+import { getConversationService, getProjectService, getRAGService } from '../services/index.js';
+import { validateSession, validateConversationMessage } from '../middleware/validation.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
+import winston from 'winston';
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List conversation sessions, most recently active first
+router.get('/', async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+
+    res.json({
+      success: true,
+      sessions: conversationService.listSessions()
+    });
+
+  } catch (error) {
+    logger.error('Error listing conversation sessions:', error);
+    res.status(500).json({
+      error: 'Failed to list conversation sessions',
+      message: error.message
+    });
+  }
+});
+
+// Start a new session
+router.post('/', validateSession, async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+    const session = await conversationService.createSession({ title: req.body.title });
+
+    res.status(201).json({
+      success: true,
+      session
+    });
+
+  } catch (error) {
+    logger.error('Error creating conversation session:', error);
+    res.status(500).json({
+      error: 'Failed to create conversation session',
+      message: error.message
+    });
+  }
+});
+
+// Get a session with all of its turns
+router.get('/:sessionId', async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+    const session = conversationService.getSession(req.params.sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Conversation session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving conversation session:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve conversation session',
+      message: error.message
+    });
+  }
+});
+
+// Rename a session
+router.patch('/:sessionId', validateSession, async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+    const session = await conversationService.updateSession(req.params.sessionId, { title: req.body.title });
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Conversation session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      session
+    });
+
+  } catch (error) {
+    logger.error('Error updating conversation session:', error);
+    res.status(500).json({
+      error: 'Failed to update conversation session',
+      message: error.message
+    });
+  }
+});
+
+// Delete a session (its query records stay in the query history)
+router.delete('/:sessionId', async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+    const deleted = await conversationService.deleteSession(req.params.sessionId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Conversation session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Conversation session deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting conversation session:', error);
+    res.status(500).json({
+      error: 'Failed to delete conversation session',
+      message: error.message
+    });
+  }
+});
+
+// Ask a question in a session (supports the same streaming mode as /api/queries)
+router.post('/:sessionId/messages', validateConversationMessage, async (req, res) => {
+  try {
+    const conversationService = getConversationService();
+    const { sessionId } = req.params;
+
+    if (!conversationService.getSession(sessionId)) {
+      return res.status(404).json({
+        error: 'Conversation session not found'
+      });
+    }
+
+    const projectService = getProjectService();
+    if (req.body.projectId && !projectService.get(req.body.projectId)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    // The project's default settings fill in whatever the message leaves out
+    const {
+      query,
+      documentIds = [],
+      maxResults = 5,
+      temperature = 0.7,
+      includeContext = true,
+      analysisType = 'content',
+      enhancedQuery,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
+    } = projectService.applyDefaults(req.body.projectId, req.body);
+
+    const queryOptions = {
+      query: query.trim(),
+      enhancedQuery,
+      documentIds,
+      maxResults,
+      temperature,
+      includeContext,
+      analysisType,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
+    };
+
+    if (llmProvider && !getRAGService().hasLLM(llmProvider)) {
+      return res.status(400).json({
+        error: `LLM provider ${llmProvider} is not configured`
+      });
+    }
+
+    if (wantsEventStream(req)) {
+      return streamMessage(req, res, conversationService, sessionId, queryOptions);
+    }
+
+    const { session, turn } = await conversationService.ask(sessionId, queryOptions);
+
+    res.json({
+      success: true,
+      session: { id: session.id, title: session.title, updatedAt: session.updatedAt },
+      turn
+    });
+
+  } catch (error) {
+    logger.error('Error processing conversation message:', error);
+    res.status(500).json({
+      error: 'Failed to process conversation message',
+      message: error.message
+    });
+  }
+});
+
+// Stream a session answer as Server-Sent Events: sources, tokens, then the saved turn
+async function streamMessage(req, res, conversationService, sessionId, queryOptions) {
+  const stream = openEventStream(req, res);
+
+  try {
+    const { session, turn } = await conversationService.ask(sessionId, queryOptions, {
+      signal: stream.signal,
+      onSources: (sources) => stream.send('sources', sources),
+      onToken: (text) => stream.send('token', { text })
+    });
+
+    stream.send('done', {
+      session: { id: session.id, title: session.title, updatedAt: session.updatedAt },
+      turn
+    });
+
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      logger.error('Error streaming conversation message:', error);
+      stream.send('error', {
+        error: 'Failed to process conversation message',
+        message: error.message
+      });
+    }
+  } finally {
+    stream.close();
+  }
+}
+
+export default router;
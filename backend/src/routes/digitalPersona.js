@@ -1,5 +1,7 @@
 import express from 'express';
-import { getDigitalPersonaService } from '../services/index.js';
+import { getDigitalPersonaService, getProjectService, getRAGService } from '../services/index.js';
+import { buildMetadataFilter } from '../services/metadataFilter.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
 import winston from 'winston';
 
 const router = express.Router();
@@ -18,15 +20,21 @@ const getService = () => {
   }
 };
 
-// Sync social media content
+// Sync social media content (into a project when projectId is given)
 router.post('/sync', async (req, res) => {
   try {
     const digitalPersonaService = getService();
-    const { platforms } = req.body;
+    const { platforms, projectId } = req.body;
+
+    if (projectId && !getProjectService().get(projectId)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
     
-    logger.info('Starting social media sync...', { platforms });
+    logger.info('Starting social media sync...', { platforms, projectId });
     
-    const results = await digitalPersonaService.syncSocialMediaContent(platforms);
+    const results = await digitalPersonaService.syncSocialMediaContent(platforms, { projectId });
     
     res.json({
       success: true,
@@ -47,6 +55,14 @@ router.post('/sync', async (req, res) => {
 router.post('/query', async (req, res) => {
   try {
     const digitalPersonaService = getService();
+    const projectService = getProjectService();
+    if (req.body.projectId && !projectService.get(req.body.projectId)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    // The project's default settings fill in whatever the query leaves out
     const {
       query,
       maxResults = 5,
@@ -54,8 +70,16 @@ router.post('/query', async (req, res) => {
       includeContext = true,
       documentIds = [],
       analysisType = 'content',
-      enhancedQuery
-    } = req.body;
+      enhancedQuery,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
+    } = projectService.applyDefaults(req.body.projectId, req.body);
 
     if (!query || typeof query !== 'string') {
       return res.status(400).json({
@@ -76,18 +100,71 @@ router.post('/query', async (req, res) => {
     // If no specific document IDs provided, search all content (documents + social media)
     // If document IDs are provided, respect the selection
     const searchOptions = {
+      originalQuery: query,
       maxResults,
       temperature,
       includeContext,
-      analysisType
+      analysisType,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
     };
 
+    if (retrievalMode && !['vector', 'lexical', 'hybrid'].includes(retrievalMode)) {
+      return res.status(400).json({
+        error: 'retrievalMode must be one of: vector, lexical, hybrid'
+      });
+    }
+
+    if (languages && (!Array.isArray(languages) || !languages.every(code => /^[a-z]{2,3}$/.test(code)))) {
+      return res.status(400).json({
+        error: 'languages must be an array of language codes such as "en" or "ta"'
+      });
+    }
+
+    if (answerLanguage && !/^([a-z]{2,3}|auto)$/.test(answerLanguage)) {
+      return res.status(400).json({
+        error: 'answerLanguage must be "auto" or a language code such as "en" or "ta"'
+      });
+    }
+
+    if (versions && !['all', 'latest'].includes(versions) && !(Number.isInteger(versions) && versions > 0)) {
+      return res.status(400).json({
+        error: 'versions must be "all", "latest" or a version number'
+      });
+    }
+
+    if (llmProvider && !getRAGService().hasLLM(llmProvider)) {
+      return res.status(400).json({
+        error: `LLM provider ${llmProvider} is not configured`
+      });
+    }
+
+    if (filterBy) {
+      try {
+        buildMetadataFilter(filterBy);
+      } catch (filterError) {
+        return res.status(400).json({
+          error: filterError.message
+        });
+      }
+    }
+
     // Only add documentIds filter if specific documents are selected
     // Empty array means "search all content"
     if (documentIds && documentIds.length > 0) {
       searchOptions.documentIds = documentIds;
     }
 
+    if (wantsEventStream(req)) {
+      return streamDigitalPersonaQuery(req, res, digitalPersonaService, queryToUse, searchOptions);
+    }
+
     const result = await digitalPersonaService.queryDigitalPersona(queryToUse, searchOptions);
 
     res.json({
@@ -104,6 +181,32 @@ router.post('/query', async (req, res) => {
   }
 });
 
+// Stream a digital persona query as Server-Sent Events
+async function streamDigitalPersonaQuery(req, res, digitalPersonaService, query, searchOptions) {
+  const stream = openEventStream(req, res);
+
+  try {
+    const result = await digitalPersonaService.queryDigitalPersonaStream(query, searchOptions, {
+      signal: stream.signal,
+      onSources: (sources) => stream.send('sources', sources),
+      onToken: (text) => stream.send('token', { text })
+    });
+
+    stream.send('done', { result });
+
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      logger.error('Error streaming digital persona query:', error);
+      stream.send('error', {
+        error: 'Failed to query digital persona',
+        details: error.message
+      });
+    }
+  } finally {
+    stream.close();
+  }
+}
+
 // Get digital persona statistics
 router.get('/stats', async (req, res) => {
   try {
@@ -3,9 +3,12 @@ import multer from 'multer';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import fs from 'fs/promises';
-import { DocumentProcessor } from '../services/documentProcessor.js';
-import { getRAGService } from '../services/index.js';
-import { validateDocument } from '../middleware/validation.js';
+import { getRAGService, getDocumentProcessor, getJobQueue, getProjectService } from '../services/index.js';
+import { INGEST_DOCUMENT_JOB } from '../services/ingestionJobs.js';
+import { validateDocument, validateDocumentFields } from '../middleware/validation.js';
+import { describeDiff } from '../services/textDiff.js';
+import { normalizeTags } from '../services/metadataFilter.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
 import winston from 'winston';
 
 const router = express.Router();
@@ -38,7 +41,7 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024, // 50MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.pdf', '.docx', '.txt', '.md', '.pages'];
+    const allowedTypes = ['.pdf', '.docx', '.txt', '.md', '.pages', '.epub', '.odt', '.rtf', '.html', '.htm', '.xhtml', '.png', '.jpg', '.jpeg', '.tif', '.tiff'];
     const fileExt = path.extname(file.originalname).toLowerCase();
     
     if (allowedTypes.includes(fileExt)) {
@@ -49,10 +52,8 @@ const upload = multer({
   }
 });
 
-// Initialize services
-const documentProcessor = new DocumentProcessor();
-
-// Upload and process document
+// Upload a document and queue it for extraction and embedding. Responds with
+// 202 and the job; poll GET /api/jobs/:id for per-stage progress.
 router.post('/upload', upload.single('document'), validateDocument, async (req, res) => {
   try {
     if (!req.file) {
@@ -61,46 +62,49 @@ router.post('/upload', upload.single('document'), validateDocument, async (req,
       });
     }
 
-    logger.info(`Processing uploaded file: ${req.file.originalname}`);
+    const { projectId } = req.body;
+    if (projectId && !getProjectService().get(projectId)) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (cleanupError) {
+        logger.error('Error cleaning up file:', cleanupError);
+      }
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    logger.info(`Queueing uploaded file: ${req.file.originalname}`);
 
-    // Process the document
-    const documentInfo = await documentProcessor.processDocument({
+    const jobQueue = getJobQueue();
+    const job = await jobQueue.enqueue(INGEST_DOCUMENT_JOB, {
       id: uuidv4(),
       filename: req.file.originalname,
       filepath: req.file.path,
       mimetype: req.file.mimetype,
       size: req.file.size,
-      uploadedAt: new Date().toISOString()
+      uploadedAt: new Date().toISOString(),
+      // ask (default), skip, replace, version or new; see ingestionJobs.js
+      onDuplicate: req.body.onDuplicate || 'ask',
+      projectId: projectId || null,
+      tags: normalizeTags((req.body.tags || '').split(','))
     });
 
-    // Add to RAG service vector store
-    try {
-      const ragService = getRAGService();
-      await ragService.addDocument(documentInfo);
-    } catch (ragError) {
-      logger.warn('Failed to add document to RAG service, but document was processed:', ragError.message);
-      // Continue processing - document is still saved even if RAG indexing fails
-    }
-
-    logger.info(`Successfully processed document: ${documentInfo.id}`);
-
-    res.status(201).json({
+    res.status(202).json({
       success: true,
+      job,
       document: {
-        id: documentInfo.id,
-        filename: documentInfo.filename,
-        size: documentInfo.size,
-        pages: documentInfo.pages,
-        chunks: documentInfo.chunks?.length || 0,
-        uploadedAt: documentInfo.uploadedAt,
-        processedAt: documentInfo.processedAt
+        id: job.payload.id,
+        filename: job.payload.filename,
+        size: job.payload.size,
+        uploadedAt: job.payload.uploadedAt
       }
     });
 
   } catch (error) {
-    logger.error('Error processing document:', error);
+    logger.error('Error queueing document:', error);
     
-    // Clean up uploaded file if processing failed
+    // Clean up uploaded file if it couldn't be queued
     if (req.file) {
       try {
         await fs.unlink(req.file.path);
@@ -119,6 +123,7 @@ router.post('/upload', upload.single('document'), validateDocument, async (req,
 // Get all documents
 router.get('/', async (req, res) => {
   try {
+    const documentProcessor = getDocumentProcessor();
     const documents = await documentProcessor.getAllDocuments();
     
     res.json({
@@ -130,7 +135,12 @@ router.get('/', async (req, res) => {
         pages: doc.pages,
         chunks: doc.chunks?.length || 0,
         uploadedAt: doc.uploadedAt,
-        processedAt: doc.processedAt
+        processedAt: doc.processedAt,
+        metadata: doc.metadata, // Includes OCR confidence for scanned pages and images
+        projectId: doc.projectId,
+        tags: doc.tags,
+        customMetadata: doc.customMetadata,
+        version: doc.version // Place in its version chain, when it has other versions
       }))
     });
 
@@ -143,10 +153,28 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Tags and custom metadata keys in use across the library, with their values
+router.get('/fields', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...getDocumentProcessor().getFieldSummary()
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving document fields:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve document fields',
+      message: error.message
+    });
+  }
+});
+
 // Get specific document
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const documentProcessor = getDocumentProcessor();
     const document = await documentProcessor.getDocument(id);
     
     if (!document) {
@@ -165,7 +193,13 @@ router.get('/:id', async (req, res) => {
         chunks: document.chunks?.length || 0,
         uploadedAt: document.uploadedAt,
         processedAt: document.processedAt,
-        content: document.content // Include content for detailed view
+        content: document.content, // Include content for detailed view
+        pageRanges: document.pageRanges, // Where each page sits in content (PDFs)
+        metadata: document.metadata,
+        projectId: document.projectId,
+        tags: document.tags || [],
+        customMetadata: document.customMetadata || {},
+        version: document.version // With the paragraph changes from the previous version
       }
     });
 
@@ -178,10 +212,140 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Set a document's tags and/or custom metadata, replacing what it had, and
+// re-index it so queries can filter on them (see filterBy).
+// Body: { tags?: [string], customMetadata?: { key: string | number | boolean } }
+router.patch('/:id', validateDocumentFields, async (req, res) => {
+  try {
+    const documentProcessor = getDocumentProcessor();
+
+    if (!await documentProcessor.getDocument(req.params.id)) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const document = await documentProcessor.updateFields(req.params.id, req.body);
+    const { totals } = await getRAGService().reindexDocuments([document]);
+    if (totals.failed > 0) {
+      logger.warn(`Could not re-index ${document.filename} with its new fields; run POST /api/documents/reindex`);
+    }
+
+    res.json({
+      success: true,
+      document: {
+        id: document.id,
+        filename: document.filename,
+        tags: document.tags,
+        customMetadata: document.customMetadata
+      },
+      reindex: { documents: totals.documents, failed: totals.failed }
+    });
+
+  } catch (error) {
+    logger.error('Error updating document fields:', error);
+    res.status(500).json({
+      error: 'Failed to update document fields',
+      message: error.message
+    });
+  }
+});
+
+// List every version of a document, oldest first, with the paragraph
+// counts changed since the previous version
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const documentProcessor = getDocumentProcessor();
+    const chain = documentProcessor.getVersionChain(req.params.id);
+
+    if (chain.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      group: chain[0].version?.group || null,
+      versions: chain.map((document, index) => ({
+        id: document.id,
+        number: document.version?.number || 1,
+        filename: document.filename,
+        size: document.size,
+        wordCount: document.wordCount,
+        chunks: document.chunks?.length || 0,
+        uploadedAt: document.uploadedAt,
+        processedAt: document.processedAt,
+        latest: index === chain.length - 1,
+        changes: document.version?.diff
+          ? { added: document.version.diff.added, removed: document.version.diff.removed, unchanged: document.version.diff.unchanged }
+          : null
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving document versions:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve document versions',
+      message: error.message
+    });
+  }
+});
+
+// Paragraph-level diff between two versions of a document: ?from= and ?to=
+// take version numbers (or ids) from its chain. to defaults to this
+// document, from to the version before to.
+router.get('/:id/diff', async (req, res) => {
+  try {
+    const documentProcessor = getDocumentProcessor();
+    const chain = documentProcessor.getVersionChain(req.params.id);
+
+    if (chain.length === 0) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    const findVersion = (value) => chain.find(document =>
+      document.id === value || String(document.version?.number || 1) === String(value)
+    );
+    const to = req.query.to ? findVersion(req.query.to) : chain.find(document => document.id === req.params.id);
+    const from = req.query.from ? findVersion(req.query.from) : chain[chain.indexOf(to) - 1];
+
+    if (!to || !from) {
+      return res.status(404).json({
+        error: req.query.from || req.query.to ? 'Version not found' : 'This document has no earlier version to compare with'
+      });
+    }
+
+    const describe = (document) => ({
+      id: document.id,
+      number: document.version?.number || 1,
+      filename: document.filename,
+      uploadedAt: document.uploadedAt
+    });
+
+    res.json({
+      success: true,
+      from: describe(from),
+      to: describe(to),
+      ...describeDiff(from.content, to.content)
+    });
+
+  } catch (error) {
+    logger.error('Error diffing document versions:', error);
+    res.status(500).json({
+      error: 'Failed to diff document versions',
+      message: error.message
+    });
+  }
+});
+
 // Delete document
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
+    const documentProcessor = getDocumentProcessor();
     
     // Get document info before deletion
     const document = await documentProcessor.getDocument(id);
@@ -221,50 +385,86 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Re-index existing document (add to RAG service)
+// Re-index documents: re-chunks each one and only re-embeds chunks whose
+// content changed. Send { documentId } or { documentIds } to limit the run,
+// or nothing to re-index the whole library. With "stream": true (or
+// Accept: text/event-stream) a progress event is sent after each document.
 router.post('/reindex', async (req, res) => {
   try {
-    const { documentId } = req.body;
-    
-    if (!documentId) {
-      return res.status(400).json({
-        error: 'Document ID is required'
-      });
-    }
+    const { documentId, documentIds } = req.body || {};
+    const documentProcessor = getDocumentProcessor();
 
-    // Get the document
-    const document = await documentProcessor.getDocument(documentId);
-    if (!document) {
+    const ids = documentId
+      ? [documentId]
+      : (Array.isArray(documentIds) && documentIds.length > 0
+        ? documentIds
+        : Array.from(documentProcessor.documents.keys()));
+
+    const missing = ids.filter(id => !documentProcessor.documents.has(id));
+    if (missing.length > 0) {
       return res.status(404).json({
-        error: 'Document not found'
+        error: 'Document not found',
+        documentIds: missing
       });
     }
 
-    // Add to RAG service vector store
-    const ragService = getRAGService();
-    await ragService.addDocument(document);
+    if (wantsEventStream(req)) {
+      return streamReindex(req, res, ids);
+    }
 
-    logger.info(`Successfully re-indexed document: ${document.filename}`);
+    const result = await reindexDocuments(ids);
+
+    logger.info(`Re-indexed ${result.totals.documents} documents (${result.totals.embedded} chunks embedded)`);
 
     res.json({
-      success: true,
-      message: `Document ${document.filename} re-indexed successfully`,
-      documentId: document.id,
-      chunks: document.chunks?.length || 0
+      success: result.totals.failed === 0,
+      message: `Re-indexed ${result.totals.documents - result.totals.failed} of ${result.totals.documents} documents`,
+      ...result
     });
 
   } catch (error) {
-    logger.error('Error re-indexing document:', error);
+    logger.error('Error re-indexing documents:', error);
     res.status(500).json({
-      error: 'Failed to re-index document',
+      error: 'Failed to re-index documents',
       message: error.message
     });
   }
 });
 
+async function reindexDocuments(ids, options = {}) {
+  const documentProcessor = getDocumentProcessor();
+  const documents = [];
+
+  for (const id of ids) {
+    documents.push(await documentProcessor.refreshDocument(id));
+  }
+
+  return getRAGService().reindexDocuments(documents, options);
+}
+
+async function streamReindex(req, res, ids) {
+  const stream = openEventStream(req, res);
+
+  try {
+    const result = await reindexDocuments(ids, {
+      onProgress: (progress) => stream.send('progress', progress)
+    });
+    stream.send('done', result);
+  } catch (error) {
+    logger.error('Error re-indexing documents:', error);
+    stream.send('error', {
+      error: 'Failed to re-index documents',
+      message: error.message
+    });
+  } finally {
+    stream.close();
+  }
+}
+
 // Get document statistics
 router.get('/stats/overview', async (req, res) => {
   try {
+    const documentProcessor = getDocumentProcessor();
     const documents = await documentProcessor.getAllDocuments();
     
     const stats = {
@@ -272,13 +472,17 @@ router.get('/stats/overview', async (req, res) => {
       totalSize: documents.reduce((sum, doc) => sum + (doc.size || 0), 0),
       totalPages: documents.reduce((sum, doc) => sum + (doc.pages || 0), 0),
       totalChunks: documents.reduce((sum, doc) => sum + (doc.chunks?.length || 0), 0),
-      fileTypes: {}
+      fileTypes: {},
+      languages: {}
     };
 
-    // Count file types
+    // Count file types and the documents in each language
     documents.forEach(doc => {
       const ext = path.extname(doc.filename).toLowerCase();
       stats.fileTypes[ext] = (stats.fileTypes[ext] || 0) + 1;
+      for (const language of doc.metadata?.languages || [doc.metadata?.language || 'und']) {
+        stats.languages[language] = (stats.languages[language] || 0) + 1;
+      }
     });
 
     res.json({
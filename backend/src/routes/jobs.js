@@ -0,0 +1,176 @@
+import express from 'express';
+import { getJobQueue, getDocumentProcessor } from '../services/index.js';
+import winston from 'winston';
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List jobs, newest first (optional ?status=queued,running and ?type= filters)
+router.get('/', async (req, res) => {
+  try {
+    const jobQueue = getJobQueue();
+    const { status, type } = req.query;
+
+    res.json({
+      success: true,
+      jobs: jobQueue.listJobs({ status, type })
+    });
+
+  } catch (error) {
+    logger.error('Error listing jobs:', error);
+    res.status(500).json({
+      error: 'Failed to list jobs',
+      message: error.message
+    });
+  }
+});
+
+// Get a job with per-stage status and progress
+router.get('/:jobId', async (req, res) => {
+  try {
+    const jobQueue = getJobQueue();
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving job:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve job',
+      message: error.message
+    });
+  }
+});
+
+// Retry a failed job from the stage that failed
+router.post('/:jobId/retry', async (req, res) => {
+  try {
+    const jobQueue = getJobQueue();
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'failed') {
+      return res.status(409).json({
+        error: 'Only failed jobs can be retried',
+        status: job.status
+      });
+    }
+
+    res.json({
+      success: true,
+      job: await jobQueue.retryJob(job.id)
+    });
+
+  } catch (error) {
+    logger.error('Error retrying job:', error);
+    res.status(500).json({
+      error: 'Failed to retry job',
+      message: error.message
+    });
+  }
+});
+
+// Answer a job that is waiting for input (job.waitingFor says what it asks,
+// and lists the accepted actions in options) and resume it
+router.post('/:jobId/input', async (req, res) => {
+  try {
+    const jobQueue = getJobQueue();
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status !== 'waiting') {
+      return res.status(409).json({
+        error: 'Only waiting jobs take input',
+        status: job.status
+      });
+    }
+
+    const { action } = req.body;
+    const options = job.waitingFor?.options;
+    if (options && !options.includes(action)) {
+      return res.status(400).json({
+        error: `action must be one of: ${options.join(', ')}`
+      });
+    }
+
+    // Replacing or versioning needs the matched document to still be there
+    const duplicateOf = job.waitingFor?.duplicate?.documentId;
+    if (duplicateOf && ['replace', 'version'].includes(action)
+      && !(await getDocumentProcessor().getDocument(duplicateOf))) {
+      return res.status(409).json({
+        error: 'The matching document was deleted; action must be skip or new'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: await jobQueue.provideInput(job.id, { ...req.body, ...(duplicateOf && { duplicateOf }) })
+    });
+
+  } catch (error) {
+    logger.error('Error resuming job:', error);
+    res.status(500).json({
+      error: 'Failed to resume job',
+      message: error.message
+    });
+  }
+});
+
+// Delete a finished, queued or waiting job (an upload that never became a document is removed too)
+router.delete('/:jobId', async (req, res) => {
+  try {
+    const jobQueue = getJobQueue();
+    const job = jobQueue.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    if (job.status === 'running') {
+      return res.status(409).json({
+        error: 'Running jobs cannot be deleted'
+      });
+    }
+
+    await jobQueue.deleteJob(job.id);
+
+    res.json({
+      success: true,
+      message: 'Job deleted successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting job:', error);
+    res.status(500).json({
+      error: 'Failed to delete job',
+      message: error.message
+    });
+  }
+});
+
+export default router;
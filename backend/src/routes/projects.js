@@ -0,0 +1,244 @@
+import express from 'express';
+import { getProjectService, getDocumentProcessor, getRAGService } from '../services/index.js';
+import { validateProject, validateProjectDocuments } from '../middleware/validation.js';
+import winston from 'winston';
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List projects with how many documents each holds
+router.get('/', async (req, res) => {
+  try {
+    const projectService = getProjectService();
+    const documentProcessor = getDocumentProcessor();
+
+    res.json({
+      success: true,
+      projects: projectService.list().map(project => ({
+        ...project,
+        documentCount: documentProcessor.getProjectDocuments(project.id).length
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Error listing projects:', error);
+    res.status(500).json({
+      error: 'Failed to list projects',
+      message: error.message
+    });
+  }
+});
+
+// Create a project. Body: { name, description?, defaults?, documentIds? }
+router.post('/', validateProject, async (req, res) => {
+  try {
+    const projectService = getProjectService();
+    const { name, description, defaults, documentIds = [] } = req.body;
+
+    if (projectService.findByName(name)) {
+      return res.status(409).json({
+        error: `A project named "${name.trim()}" already exists`
+      });
+    }
+
+    const missing = findMissingDocuments(documentIds);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Documents not found',
+        documentIds: missing
+      });
+    }
+
+    const project = await projectService.create({ name, description, defaults });
+    const reindex = await moveDocuments(documentIds, project.id);
+
+    res.status(201).json({
+      success: true,
+      project,
+      reindex
+    });
+
+  } catch (error) {
+    logger.error('Error creating project:', error);
+    res.status(500).json({
+      error: 'Failed to create project',
+      message: error.message
+    });
+  }
+});
+
+// Get a project with its documents
+router.get('/:id', async (req, res) => {
+  try {
+    const project = getProjectService().get(req.params.id);
+
+    if (!project) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const documents = (await getDocumentProcessor().getAllDocuments())
+      .filter(document => document.projectId === project.id);
+
+    res.json({
+      success: true,
+      project: { ...project, documentCount: documents.length },
+      documents
+    });
+
+  } catch (error) {
+    logger.error('Error retrieving project:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve project',
+      message: error.message
+    });
+  }
+});
+
+// Rename a project or change its description or default query settings
+router.put('/:id', validateProject, async (req, res) => {
+  try {
+    const projectService = getProjectService();
+
+    if (!projectService.get(req.params.id)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const sameName = req.body.name && projectService.findByName(req.body.name);
+    if (sameName && sameName.id !== req.params.id) {
+      return res.status(409).json({
+        error: `A project named "${req.body.name.trim()}" already exists`
+      });
+    }
+
+    res.json({
+      success: true,
+      project: await projectService.update(req.params.id, req.body)
+    });
+
+  } catch (error) {
+    logger.error('Error updating project:', error);
+    res.status(500).json({
+      error: 'Failed to update project',
+      message: error.message
+    });
+  }
+});
+
+// Delete a project; its documents are kept, outside any project
+router.delete('/:id', async (req, res) => {
+  try {
+    const projectService = getProjectService();
+    const documentProcessor = getDocumentProcessor();
+
+    if (!projectService.get(req.params.id)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const documentIds = documentProcessor.getProjectDocuments(req.params.id).map(document => document.id);
+    await projectService.delete(req.params.id);
+    const reindex = await moveDocuments(documentIds, null);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully',
+      reindex
+    });
+
+  } catch (error) {
+    logger.error('Error deleting project:', error);
+    res.status(500).json({
+      error: 'Failed to delete project',
+      message: error.message
+    });
+  }
+});
+
+// Add documents to a project (moving them out of any other), with all their
+// versions. Body: { documentIds }
+router.post('/:id/documents', validateProjectDocuments, async (req, res) => {
+  try {
+    if (!getProjectService().get(req.params.id)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    const missing = findMissingDocuments(req.body.documentIds);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Documents not found',
+        documentIds: missing
+      });
+    }
+
+    res.json({
+      success: true,
+      reindex: await moveDocuments(req.body.documentIds, req.params.id)
+    });
+
+  } catch (error) {
+    logger.error('Error adding documents to project:', error);
+    res.status(500).json({
+      error: 'Failed to add documents to project',
+      message: error.message
+    });
+  }
+});
+
+// Take a document (and its other versions) out of a project
+router.delete('/:id/documents/:documentId', async (req, res) => {
+  try {
+    const document = await getDocumentProcessor().getDocument(req.params.documentId);
+
+    if (!document || document.projectId !== req.params.id) {
+      return res.status(404).json({
+        error: 'Document not found in this project'
+      });
+    }
+
+    res.json({
+      success: true,
+      reindex: await moveDocuments([document.id], null)
+    });
+
+  } catch (error) {
+    logger.error('Error removing document from project:', error);
+    res.status(500).json({
+      error: 'Failed to remove document from project',
+      message: error.message
+    });
+  }
+});
+
+function findMissingDocuments(documentIds) {
+  const documentProcessor = getDocumentProcessor();
+  return documentIds.filter(id => !documentProcessor.documents.has(id));
+}
+
+// Moves documents into a project (or out with null) and re-indexes the ones
+// that moved, so their chunks carry the new projectId. Only the chunk metadata
+// is rewritten; their vectors are kept. Returns the re-index totals.
+async function moveDocuments(documentIds, projectId) {
+  const moved = await getDocumentProcessor().setProject(documentIds, projectId);
+  if (moved.length === 0) {
+    return { documents: 0, failed: 0 };
+  }
+
+  const { totals } = await getRAGService().reindexDocuments(moved);
+  if (totals.failed > 0) {
+    logger.warn(`${totals.failed} of ${moved.length} moved documents could not be re-indexed; run POST /api/documents/reindex`);
+  }
+  return { documents: totals.documents, failed: totals.failed };
+}
+
+export default router;
@@ -0,0 +1,33 @@
+import express from 'express';
+import { getRAGService } from '../services/index.js';
+import winston from 'winston';
+
+const router = express.Router();
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// List the configured LLM providers with their capabilities; a query picks
+// one with llmProvider, or gets the default
+router.get('/', async (req, res) => {
+  try {
+    const ragService = getRAGService();
+
+    res.json({
+      success: true,
+      default: ragService.defaultLLM,
+      providers: ragService.listLLMProviders()
+    });
+
+  } catch (error) {
+    logger.error('Error listing LLM providers:', error);
+    res.status(500).json({
+      error: 'Failed to list LLM providers',
+      message: error.message
+    });
+  }
+});
+
+export default router;
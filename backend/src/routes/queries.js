@@ -1,6 +1,7 @@
 import express from 'express';
-import { getRAGService } from '../services/index.js';
+import { getRAGService, getProjectService, getDocumentProcessor } from '../services/index.js';
 import { validateQuery } from '../middleware/validation.js';
+import { wantsEventStream, openEventStream } from '../utils/sse.js';
 import winston from 'winston';
 
 const router = express.Router();
@@ -13,6 +14,14 @@ const logger = winston.createLogger({
 // Query documents using RAG
 router.post('/', validateQuery, async (req, res) => {
   try {
+    const projectService = getProjectService();
+    if (req.body.projectId && !projectService.get(req.body.projectId)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
+    // The project's default settings fill in whatever the query leaves out
     const { 
       query, 
       documentIds = [], 
@@ -20,8 +29,16 @@ router.post('/', validateQuery, async (req, res) => {
       temperature = 0.7,
       includeContext = true,
       analysisType = 'content',
-      enhancedQuery
-    } = req.body;
+      enhancedQuery,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
+    } = projectService.applyDefaults(req.body.projectId, req.body);
 
     if (!query || query.trim().length === 0) {
       return res.status(400).json({
@@ -29,19 +46,38 @@ router.post('/', validateQuery, async (req, res) => {
       });
     }
 
+    if (llmProvider && !getRAGService().hasLLM(llmProvider)) {
+      return res.status(400).json({
+        error: `LLM provider ${llmProvider} is not configured`
+      });
+    }
+
     logger.info(`Processing query: "${query.substring(0, 100)}..."`);
 
     const startTime = Date.now();
-    
-    // Execute RAG query
-    const ragService = getRAGService();
-    const result = await ragService.query({
+    const queryOptions = {
       query: query.trim(),
       documentIds,
       maxResults: Math.min(maxResults, 20), // Cap at 20 results
       temperature: Math.max(0, Math.min(temperature, 1)), // Clamp between 0-1
-      includeContext
-    });
+      includeContext,
+      retrievalMode,
+      rerank,
+      llmProvider,
+      languages,
+      answerLanguage,
+      versions,
+      projectId,
+      filterBy
+    };
+
+    if (wantsEventStream(req)) {
+      return streamQuery(req, res, queryOptions, startTime);
+    }
+    
+    // Execute RAG query
+    const ragService = getRAGService();
+    const result = await ragService.query(queryOptions);
 
     const processingTime = Date.now() - startTime;
 
@@ -51,6 +87,7 @@ router.post('/', validateQuery, async (req, res) => {
       success: true,
       query: query.trim(),
       answer: result.answer,
+      citations: result.citations,
       sources: result.sources,
       context: includeContext ? result.context : undefined,
       metadata: {
@@ -58,6 +95,11 @@ router.post('/', validateQuery, async (req, res) => {
         documentsSearched: result.documentsSearched,
         chunksRetrieved: result.sources.length,
         confidence: result.confidence,
+        context: result.metadata.context,
+        answerLanguage: result.metadata.answerLanguage,
+        versions: result.metadata.versions,
+        projectId: result.metadata.projectId,
+        filterBy: result.metadata.filterBy,
         timestamp: new Date().toISOString()
       }
     });
@@ -71,6 +113,50 @@ router.post('/', validateQuery, async (req, res) => {
   }
 });
 
+// Stream a RAG query as Server-Sent Events: sources, then answer tokens, then the saved record
+async function streamQuery(req, res, queryOptions, startTime) {
+  const stream = openEventStream(req, res);
+
+  try {
+    const ragService = getRAGService();
+    const result = await ragService.queryStream(queryOptions, {
+      signal: stream.signal,
+      onSources: (sources) => stream.send('sources', sources),
+      onToken: (text) => stream.send('token', { text })
+    });
+
+    const processingTime = Date.now() - startTime;
+    logger.info(`Streaming query processed in ${processingTime}ms`);
+
+    stream.send('done', {
+      result,
+      metadata: {
+        processingTime,
+        documentsSearched: result.documentsSearched,
+        chunksRetrieved: result.sources.length,
+        confidence: result.confidence,
+        context: result.metadata.context,
+        answerLanguage: result.metadata.answerLanguage,
+        versions: result.metadata.versions,
+        projectId: result.metadata.projectId,
+        filterBy: result.metadata.filterBy,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      logger.error('Error processing streaming query:', error);
+      stream.send('error', {
+        error: 'Failed to process query',
+        message: error.message
+      });
+    }
+  } finally {
+    stream.close();
+  }
+}
+
 // Get query history
 router.get('/history', async (req, res) => {
   try {
@@ -137,9 +223,19 @@ router.post('/search', validateQuery, async (req, res) => {
       query, 
       documentIds = [], 
       maxResults = 10,
-      threshold = 0.7 
+      threshold = 0.7,
+      languages = [],
+      versions,
+      projectId,
+      filterBy
     } = req.body;
 
+    if (projectId && !getProjectService().get(projectId)) {
+      return res.status(404).json({
+        error: 'Project not found'
+      });
+    }
+
     if (!query || query.trim().length === 0) {
       return res.status(400).json({
         error: 'Search query cannot be empty'
@@ -155,6 +251,10 @@ router.post('/search', validateQuery, async (req, res) => {
     const results = await ragService.semanticSearch({
       query: query.trim(),
       documentIds,
+      languages,
+      versions,
+      projectId,
+      filterBy,
       maxResults: Math.min(maxResults, 50), // Cap at 50 results
       threshold: Math.max(0, Math.min(threshold, 1)) // Clamp between 0-1
     });
@@ -185,18 +285,33 @@ router.post('/search', validateQuery, async (req, res) => {
   }
 });
 
-// Get suggested questions based on document content
+// Get suggested questions based on document content. Cached per document
+// version; refresh=true generates them again.
 router.get('/suggestions/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
-    const { count = 5 } = req.query;
+    const { count = 5, refresh, llmProvider } = req.query;
 
-    logger.info(`Generating question suggestions for document: ${documentId}`);
+    if (!await getDocumentProcessor().getDocument(documentId)) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
 
     const ragService = getRAGService();
+    if (llmProvider && !ragService.hasLLM(llmProvider)) {
+      return res.status(400).json({
+        error: `LLM provider ${llmProvider} is not configured`
+      });
+    }
+
+    logger.info(`Generating question suggestions for document: ${documentId}`);
+
     const suggestions = await ragService.generateQuestionSuggestions({
       documentId,
-      count: Math.min(parseInt(count), 10) // Cap at 10 suggestions
+      count: Math.max(1, Math.min(parseInt(count, 10) || 5, 10)), // Cap at 10 suggestions
+      refresh: refresh === 'true',
+      llmProvider
     });
 
     res.json({
@@ -204,8 +319,12 @@ router.get('/suggestions/:documentId', async (req, res) => {
       documentId,
       suggestions: suggestions.questions,
       metadata: {
-        generatedAt: new Date().toISOString(),
-        basedOnChunks: suggestions.chunksAnalyzed
+        generatedAt: suggestions.generatedAt,
+        basedOnChunks: suggestions.chunksAnalyzed,
+        entities: suggestions.entities,
+        themes: suggestions.themes,
+        method: suggestions.method, // 'llm' or 'template'
+        cached: suggestions.cached
       }
     });
 
@@ -10,6 +10,11 @@ import winston from 'winston';
 import documentRoutes from './routes/documents.js';
 import queryRoutes from './routes/queries.js';
 import digitalPersonaRoutes from './routes/digitalPersona.js';
+import conversationRoutes from './routes/conversations.js';
+import jobRoutes from './routes/jobs.js';
+import collectionRoutes from './routes/collections.js';
+import projectRoutes from './routes/projects.js';
+import providerRoutes from './routes/providers.js';
 import { initializeServices } from './services/index.js';
 
 // Load environment variables
@@ -46,7 +51,9 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Job progress is polled every few seconds while documents ingest
+  skip: (req) => req.method === 'GET' && req.path.startsWith('/api/jobs')
 });
 app.use(limiter);
 
@@ -80,6 +87,11 @@ app.get('/health', (req, res) => {
 app.use('/api/documents', documentRoutes);
 app.use('/api/queries', queryRoutes);
 app.use('/api/digital-persona', digitalPersonaRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/providers', providerRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -90,7 +102,12 @@ app.get('/', (req, res) => {
       health: '/health',
       documents: '/api/documents',
       queries: '/api/queries',
-      digitalPersona: '/api/digital-persona'
+      digitalPersona: '/api/digital-persona',
+      conversations: '/api/conversations',
+      jobs: '/api/jobs',
+      collections: '/api/collections',
+      projects: '/api/projects',
+      providers: '/api/providers'
     }
   });
 });
@@ -0,0 +1,199 @@
+import { ChromaClient } from 'chromadb';
+import winston from 'winston';
+import { DEFAULT_COLLECTION, checkDimension } from './vectorStore.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// ChromaDB implementation of the vector store interface (see vectorStore.js)
+export class ChromaVectorStore {
+  constructor(options = {}) {
+    this.name = 'chromadb';
+    this.url = options.url || process.env.CHROMA_URL || 'http://localhost:8001';
+    this.collectionName = options.collectionName || DEFAULT_COLLECTION;
+    this.connectTimeout = options.connectTimeout || 5000;
+    // EMBEDDING_DIMENSION describes the configured model; collections built
+    // for another model (migrations) pass their own dimension, or null
+    this.configuredDimension = options.dimension !== undefined
+      ? options.dimension
+      : parseInt(process.env.EMBEDDING_DIMENSION, 10) || null;
+    this.dimension = null;
+    this.client = null;
+    this.collection = null;
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    this.client = new ChromaClient({ path: this.url });
+
+    const metadata = {
+      "hnsw:space": "l2",
+      'description': 'Document chunks for Padalayai'
+    };
+    if (this.configuredDimension) {
+      metadata.embedding_dimension = this.configuredDimension;
+    }
+
+    // Add timeout to prevent hanging
+    this.collection = await withTimeout(
+      this.client.getOrCreateCollection({
+        name: this.collectionName,
+        metadata
+      }),
+      this.connectTimeout,
+      'ChromaDB connection timeout'
+    );
+
+    // The collection's recorded dimension wins (older collections used hnsw:dim)
+    const recorded = this.collection.metadata?.embedding_dimension || this.collection.metadata?.['hnsw:dim'] || null;
+    if (recorded && this.configuredDimension && recorded !== this.configuredDimension) {
+      throw new Error(`Collection ${this.collectionName} holds ${recorded}-dimension vectors but EMBEDDING_DIMENSION is ${this.configuredDimension}`);
+    }
+    this.dimension = recorded;
+
+    this.isInitialized = true;
+    logger.info(`ChromaDB collection ready: ${this.collectionName}`);
+  }
+
+  async upsert({ ids, embeddings, documents = [], metadatas = [] }) {
+    if (ids.length === 0) return;
+
+    const dimension = checkDimension(this.dimension, embeddings);
+    if (!this.dimension) {
+      await this.recordDimension(dimension);
+    }
+
+    try {
+      // ChromaDB's upsert merges metadata into the stored record, which would
+      // keep keys the new metadata leaves out (a removed tag, say), so
+      // existing records are deleted and added again instead. A failed add
+      // leaves them missing, and the next sync adds them back.
+      await this.collection.delete({ ids });
+      await this.collection.add({ ids, embeddings, documents, metadatas });
+    } catch (error) {
+      // A collection whose log can't be compacted any more has to be rebuilt;
+      // writing to another collection behind the registry's back would leave
+      // queries reading this one
+      if (error.message.includes('compaction') || error.message.includes('log store')) {
+        throw new Error(`ChromaDB collection ${this.collectionName} can't accept writes (${error.message}). Run an embedding migration to rebuild it into a new collection.`);
+      }
+      throw error;
+    }
+  }
+
+  // ChromaDB's update merges metadata too, so the records are read back with
+  // their vectors and added again with the new metadata
+  async updateMetadata({ ids, metadatas }) {
+    if (ids.length === 0) return;
+
+    const stored = await this.collection.get({ ids, include: ['embeddings', 'documents'] });
+    if (stored.ids.length === 0) return;
+
+    const metadataById = new Map(ids.map((id, index) => [id, metadatas[index] || {}]));
+    await this.collection.delete({ ids: stored.ids });
+    await this.collection.add({
+      ids: stored.ids,
+      embeddings: stored.embeddings,
+      documents: stored.documents,
+      metadatas: stored.ids.map(id => metadataById.get(id))
+    });
+  }
+
+  // Stores the dimension in the collection metadata on first insert
+  async recordDimension(dimension) {
+    const metadata = { ...(this.collection.metadata || {}), embedding_dimension: dimension };
+    // hnsw:space can't be changed once the collection exists, so leave it out
+    delete metadata['hnsw:space'];
+
+    await this.collection.modify({ metadata });
+    this.collection.metadata = { ...this.collection.metadata, embedding_dimension: dimension };
+    this.dimension = dimension;
+  }
+
+  async query({ embedding, nResults = 10, where = null }) {
+    checkDimension(this.dimension, [embedding]);
+    const queryResult = await this.collection.query({
+      queryEmbeddings: [embedding],
+      nResults,
+      where: toChromaWhere(where)
+    });
+
+    return queryResult.documents[0].map((doc, index) => ({
+      id: queryResult.ids[0][index],
+      text: doc,
+      metadata: queryResult.metadatas[0][index],
+      similarity: 1 - (queryResult.distances[0][index] || 0)
+    }));
+  }
+
+  async delete({ ids = null, where = null } = {}) {
+    if (!ids && !where) return 0;
+
+    const matching = await this.collection.get({
+      ids: ids || undefined,
+      where: toChromaWhere(where),
+      include: []
+    });
+
+    if (matching.ids.length > 0) {
+      await this.collection.delete({ ids: matching.ids });
+    }
+    return matching.ids.length;
+  }
+
+  async count({ where = null } = {}) {
+    if (!where) {
+      return this.collection.count();
+    }
+    return (await this.listIds({ where })).length;
+  }
+
+  async listIds({ where = null } = {}) {
+    const result = await this.collection.get({
+      where: toChromaWhere(where),
+      include: []
+    });
+    return result.ids;
+  }
+
+  async get({ ids = null, where = null } = {}) {
+    const result = await this.collection.get({
+      ids: ids || undefined,
+      where: toChromaWhere(where),
+      include: ['documents', 'metadatas']
+    });
+
+    return result.ids.map((id, index) => ({
+      id,
+      text: result.documents[index],
+      metadata: result.metadatas[index] || {}
+    }));
+  }
+
+  async close() {
+    logger.info('ChromaDB vector store closed');
+  }
+}
+
+// Chroma rejects empty filters and wants several top-level keys wrapped in $and
+function toChromaWhere(where) {
+  if (!where) return undefined;
+
+  const clauses = Object.entries(where).map(([key, value]) => ({ [key]: value }));
+  if (clauses.length === 0) return undefined;
+  if (clauses.length === 1) return where;
+  return { $and: clauses };
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
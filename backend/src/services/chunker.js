@@ -0,0 +1,315 @@
+import path from 'path';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Chunk size and overlap (characters) when neither CHUNK_SIZE / CHUNK_OVERLAP
+// nor a per-type CHUNK_SETTINGS entry says otherwise
+const DEFAULT_CHUNK_SIZE = 1000;
+const DEFAULT_CHUNK_OVERLAP = 200;
+
+// Preferred places to end a chunk that has to be split, best first
+const SEPARATORS = ['\n\n', '\n', '. ', ' '];
+
+// Document type of each supported mimetype / extension, the keys of
+// CHUNK_SETTINGS; synced social media posts are 'social'
+const TYPES_BY_MIMETYPE = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'text/markdown': 'markdown',
+  'text/plain': 'text',
+  'application/vnd.apple.pages': 'pages',
+  'application/x-iwork-pages-sffpages': 'pages',
+  'application/epub+zip': 'epub',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/rtf': 'rtf',
+  'text/rtf': 'rtf',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'image/png': 'image',
+  'image/jpeg': 'image',
+  'image/tiff': 'image'
+};
+const TYPES_BY_EXTENSION = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.txt': 'text',
+  '.pages': 'pages',
+  '.epub': 'epub',
+  '.odt': 'odt',
+  '.rtf': 'rtf',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.png': 'image',
+  '.jpg': 'image',
+  '.jpeg': 'image',
+  '.tif': 'image',
+  '.tiff': 'image'
+};
+
+// Headings longer than this are prose that happens to start with "Chapter"
+const MAX_HEADING_LENGTH = 80;
+
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})[ \t]+(.+?)(?:[ \t]+#+)?\s*$/;
+const FENCE = /^ {0,3}(```|~~~)/;
+const NUMBER = '([0-9]+|[ivxlcdm]+|(one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|twenty|thirty|forty|fifty|sixty|seventy|eighty|ninety)(-[a-z]+)?)';
+const PART_MARKER = new RegExp(`^part\\s+${NUMBER}(?![a-z])`, 'i');
+const CHAPTER_MARKER = new RegExp(`^(chapter\\s+${NUMBER}(?![a-z])|prologue|epilogue|interlude)(?![a-z])`, 'i');
+// ***, * * *, ---, ~~~, ###, # and similar lines on their own
+const SCENE_BREAK = /^[ \t]*(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:~[ \t]*){3,}|(?:#[ \t]*){1,3}|(?:•[ \t]*){3,})\s*$/;
+
+export function getDocumentType(mimetype, filename = '') {
+  return TYPES_BY_EXTENSION[path.extname(filename).toLowerCase()] || TYPES_BY_MIMETYPE[mimetype] || 'text';
+}
+
+// Chunk size and overlap for a document type: its CHUNK_SETTINGS entry (JSON,
+// e.g. {"pdf": {"chunkSize": 1500}}) wins, then CHUNK_SIZE / CHUNK_OVERLAP
+export function getChunkSettings(documentType) {
+  const perType = parseSettings(process.env.CHUNK_SETTINGS)[documentType] || {};
+  const chunkSize = parseInt(perType.chunkSize, 10) || parseInt(process.env.CHUNK_SIZE, 10) || DEFAULT_CHUNK_SIZE;
+  const overlap = parseInt(perType.chunkOverlap ?? process.env.CHUNK_OVERLAP, 10);
+  const chunkOverlap = Number.isNaN(overlap) ? DEFAULT_CHUNK_OVERLAP : overlap;
+
+  return {
+    chunkSize,
+    // An overlap as long as the chunk would never move forward
+    chunkOverlap: Math.max(0, Math.min(chunkOverlap, Math.floor(chunkSize / 2)))
+  };
+}
+
+function parseSettings(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring invalid CHUNK_SETTINGS: ${error.message}`);
+    return {};
+  }
+}
+
+// Splits a document along its structure: headings (markdown, or the heading
+// paragraphs an extractor reports, e.g. DOCX heading styles), "Chapter N" /
+// "Part N" markers and scene breaks. A chunk never crosses a heading or a
+// scene break; only sections longer than chunkSize are split, with overlap.
+// Consecutive short scenes under the same heading share a chunk.
+//
+// options: { chunkSize, chunkOverlap, documentType,
+//            headings: [{ level, text }] in document order }
+// Returns [{ text, startChar, endChar, headingPath }], offsets into text.
+export function chunkDocument(text, options = {}) {
+  const {
+    chunkSize = DEFAULT_CHUNK_SIZE,
+    chunkOverlap = DEFAULT_CHUNK_OVERLAP,
+    documentType = 'text',
+    headings = []
+  } = options;
+
+  const sections = mergeHeadingOnlySections(findSections(text, { documentType, headings }), text);
+  const chunks = [];
+
+  for (const group of packScenes(sections, chunkSize)) {
+    for (const [start, end] of splitRange(text, group.start, group.end, { chunkSize, chunkOverlap })) {
+      const trimmed = trimRange(text, start, end);
+      if (trimmed) {
+        chunks.push({
+          text: text.slice(trimmed.start, trimmed.end),
+          startChar: trimmed.start,
+          endChar: trimmed.end,
+          headingPath: group.headingPath
+        });
+      }
+    }
+  }
+
+  return chunks;
+}
+
+// Walks the lines of the text and cuts it into sections at every heading and
+// scene break. Each section: { start, end, headingPath, heading } where
+// heading says it starts with its heading line (scene sections don't).
+function findSections(text, { documentType, headings }) {
+  const useMarkdown = documentType === 'markdown' || documentType === 'text';
+  const expected = headings.map(heading => ({ level: heading.level, text: normalize(heading.text) }));
+  const sections = [];
+  const path = [];
+  let current = { start: 0, headingPath: [], heading: false };
+  let inFence = false;
+  let offset = 0;
+
+  // The current section ends at end (by default where the next one starts)
+  const startSection = (start, heading, end = start) => {
+    current.end = end;
+    sections.push(current);
+    current = { start, headingPath: path.map(entry => entry.text), heading };
+  };
+
+  for (const line of text.split('\n')) {
+    const lineStart = offset;
+    offset += line.length + 1;
+
+    if (useMarkdown && FENCE.test(line)) {
+      inFence = !inFence;
+      continue;
+    }
+    if (inFence) continue;
+
+    const heading = matchHeading(line, { useMarkdown, expected });
+    // PDFs repeat the chapter in each page's running header
+    const runningHeader = heading?.marker && path.some(entry => entry.marker === heading.marker);
+    if (heading && !runningHeader) {
+      while (path.length > 0 && path[path.length - 1].level >= heading.level) {
+        path.pop();
+      }
+      path.push(heading);
+      startSection(lineStart, true);
+    } else if (SCENE_BREAK.test(line) && !isSetextUnderline(line, text, lineStart)) {
+      // The break itself isn't part of either scene
+      startSection(Math.min(offset, text.length), false, lineStart);
+    }
+  }
+
+  current.end = text.length;
+  sections.push(current);
+  return sections.filter(section => text.slice(section.start, section.end).trim().length > 0);
+}
+
+function matchHeading(line, { useMarkdown, expected }) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length > MAX_HEADING_LENGTH) return null;
+
+  // Extractor-reported headings are matched in order, each at most once
+  if (expected.length > 0 && normalize(trimmed) === expected[0].text) {
+    const { level } = expected.shift();
+    return { level, text: trimmed };
+  }
+
+  if (useMarkdown) {
+    const markdown = line.match(MARKDOWN_HEADING);
+    if (markdown) {
+      return { level: markdown[1].length, text: markdown[2].trim() };
+    }
+  }
+
+  // Part and chapter markers sit below any explicit top-level heading
+  // (a book title) and keep Part > Chapter nesting between themselves
+  const part = trimmed.match(PART_MARKER);
+  if (part) {
+    return { level: 7, text: trimmed, marker: normalize(part[0]) };
+  }
+  const chapter = trimmed.match(CHAPTER_MARKER);
+  if (chapter) {
+    return { level: 8, text: trimmed, marker: normalize(chapter[0]) };
+  }
+  return null;
+}
+
+// "Title\n-----" is a markdown heading underline, not a scene break
+function isSetextUnderline(line, text, lineStart) {
+  if (!/^[ \t]*-{3,}[ \t]*$/.test(line) || lineStart === 0) return false;
+  const previousLine = text.slice(text.lastIndexOf('\n', lineStart - 2) + 1, lineStart - 1);
+  return previousLine.trim().length > 0;
+}
+
+// A heading directly followed by another one ("Part One" then "Chapter 1")
+// has no text of its own; it joins the section after it
+function mergeHeadingOnlySections(sections, text) {
+  const merged = [];
+  let pendingStart = null;
+
+  sections.forEach((section, index) => {
+    const headingOnly = section.heading &&
+      !text.slice(section.start, section.end).trim().includes('\n') &&
+      index < sections.length - 1;
+
+    if (headingOnly) {
+      pendingStart = pendingStart ?? section.start;
+      return;
+    }
+
+    merged.push(pendingStart === null ? section : { ...section, start: pendingStart, heading: true });
+    pendingStart = null;
+  });
+
+  return merged;
+}
+
+// Groups consecutive sections under the same heading (scenes of one chapter)
+// while they fit in a single chunk together
+function packScenes(sections, chunkSize) {
+  const groups = [];
+
+  for (const section of sections) {
+    const previous = groups[groups.length - 1];
+    const samePath = previous && previous.headingPath.join('\n') === section.headingPath.join('\n');
+
+    if (samePath && !section.heading && section.end - previous.start <= chunkSize) {
+      previous.end = section.end;
+    } else {
+      groups.push({ start: section.start, end: section.end, headingPath: section.headingPath });
+    }
+  }
+
+  return groups;
+}
+
+// Fixed-size windows over [start, end) that end at the best separator in
+// their second half and overlap by about chunkOverlap, starting on a word
+function splitRange(text, start, end, { chunkSize, chunkOverlap }) {
+  const ranges = [];
+  let position = start;
+
+  while (position < end) {
+    let stop = Math.min(position + chunkSize, end);
+
+    if (stop < end) {
+      for (const separator of SEPARATORS) {
+        const index = text.lastIndexOf(separator, stop - separator.length);
+        if (index > position + chunkSize * 0.5) {
+          stop = index + separator.length;
+          break;
+        }
+      }
+    }
+
+    ranges.push([position, stop]);
+    if (stop >= end) break;
+
+    let next = stop - chunkOverlap;
+    if (chunkOverlap > 0 && next > position) {
+      const wordStart = text.slice(next, stop).search(/\s\S/);
+      next = wordStart === -1 ? stop : next + wordStart + 1;
+    }
+    position = next > position ? next : stop;
+  }
+
+  return ranges;
+}
+
+function trimRange(text, start, end) {
+  while (start < end && /\s/.test(text[start])) start++;
+  while (end > start && /\s/.test(text[end - 1])) end--;
+  return start < end ? { start, end } : null;
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// First and last page of a character range, from an extractor's pageRanges
+// ([{ page, startChar, endChar }]); empty when the format has no pages
+export function locatePages(pageRanges, startChar, endChar) {
+  if (!pageRanges?.length) return {};
+
+  const pageAt = (offset) => (pageRanges.findLast(range => range.startChar <= offset) || pageRanges[0]).page;
+  return {
+    pageStart: pageAt(startChar),
+    pageEnd: pageAt(Math.max(startChar, endChar - 1))
+  };
+}
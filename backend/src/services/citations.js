@@ -0,0 +1,80 @@
+// Inline citations: context passages are numbered [1]..[n] in the prompt in
+// the same order as the query's sources array, so marker [k] means sources[k - 1].
+
+const MARKER_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Placeholder for a removed marker, so the space before it can go too
+// (unless a valid marker follows and still needs it)
+const STRIPPED = '\u0000';
+
+function removeStripped(text) {
+  return text
+    .replace(/\u0000+/g, STRIPPED)
+    .replace(/[ \t]*\u0000(?!\[)/g, '')
+    .replace(/\u0000/g, '');
+}
+
+export const CITATION_INSTRUCTIONS = 'Each context passage is numbered like [1]. Cite the passages that support each claim by putting their numbers in square brackets right after it, e.g. [2] or [1][3]. Only cite numbers that appear in the context.';
+
+// "p. 42" or "pp. 42-43"; null without page numbers
+export function formatPageRange(pageStart, pageEnd) {
+  if (!pageStart) return null;
+  return pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`;
+}
+
+// Numbered context block for the answer prompt
+export function formatNumberedContext(context) {
+  return context
+    .map((chunk, index) => {
+      const label = [chunk.metadata?.filename || chunk.filename, formatPageRange(chunk.metadata?.pageStart, chunk.metadata?.pageEnd)]
+        .filter(Boolean)
+        .join(', ');
+      const text = chunk.contextText || chunk.text || chunk;
+      return `[${index + 1}]${label ? ` (${label})` : ''} ${text}`;
+    })
+    .join('\n\n');
+}
+
+// Checks every marker in the answer against the sources. Markers that point
+// at a missing source are stripped; the rest are normalised to one number per
+// bracket ("[1, 3]" -> "[1][3]") and returned as citations.
+export function resolveCitations(answer, sources = []) {
+  const cited = new Set();
+  let invalid = 0;
+
+  const text = (answer || '').replace(MARKER_PATTERN, (marker, numbers) => {
+    const valid = numbers
+      .split(',')
+      .map(number => parseInt(number, 10))
+      .filter(number => {
+        const exists = number >= 1 && number <= sources.length;
+        if (!exists) invalid++;
+        return exists;
+      });
+
+    valid.forEach(number => cited.add(number));
+    return valid.length > 0 ? valid.map(number => `[${number}]`).join('') : STRIPPED;
+  });
+
+  const citations = Array.from(cited)
+    .sort((a, b) => a - b)
+    .map(number => {
+      const source = sources[number - 1];
+      return {
+        marker: number,
+        sourceId: source.id,
+        documentId: source.documentId,
+        chunkIndex: source.chunkIndex,
+        startChar: source.startChar,
+        endChar: source.endChar,
+        pageStart: source.pageStart,
+        pageEnd: source.pageEnd
+      };
+    });
+
+  return {
+    answer: removeStripped(text).trim(),
+    citations,
+    invalidCitations: invalid
+  };
+}
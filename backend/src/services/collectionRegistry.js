@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+import { DEFAULT_COLLECTION } from './vectorStore.js';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Versioned vector collections, persisted to data/collections.json. Each
+// collection records the embedding provider and model its vectors came from,
+// since vectors from different models can't be compared. Exactly one
+// collection is active (queried and written to); a migration builds the next
+// version alongside it and switches over once it's complete.
+//
+// Entry: { name, version, embeddingProvider, embeddingModel, dimension,
+//          status: 'active' | 'building' | 'retired', jobId,
+//          createdAt, activatedAt, retiredAt }
+export class CollectionRegistry {
+  constructor(options = {}) {
+    this.registryFile = options.registryFile || 'data/collections.json';
+    this.baseName = options.baseName || DEFAULT_COLLECTION;
+    this.collections = new Map();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.registryFile), { recursive: true });
+    await this.load();
+
+    // Indexes built before collections were versioned live in the base
+    // collection; its model is filled in by the RAG service (recordModel)
+    if (this.collections.size === 0) {
+      const now = new Date().toISOString();
+      this.collections.set(this.baseName, {
+        name: this.baseName,
+        version: 1,
+        embeddingProvider: null,
+        embeddingModel: null,
+        dimension: null,
+        status: 'active',
+        jobId: null,
+        createdAt: now,
+        activatedAt: now,
+        retiredAt: null
+      });
+      await this.save();
+    }
+
+    this.isInitialized = true;
+    logger.info(`Collection registry loaded (active: ${this.getActive().name})`);
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.registryFile, 'utf8');
+      JSON.parse(data).collections.forEach(collection => {
+        this.collections.set(collection.name, collection);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read collection registry ${this.registryFile}, starting fresh: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    return writeJsonAtomic(this.registryFile, { collections: this.list() }, { space: 2 }).catch(error => {
+      logger.error('Error saving collection registry:', error);
+    });
+  }
+
+  list() {
+    return Array.from(this.collections.values()).sort((a, b) => a.version - b.version);
+  }
+
+  get(name) {
+    return this.collections.get(name) || null;
+  }
+
+  getActive() {
+    return this.list().find(collection => collection.status === 'active');
+  }
+
+  // The newest collection built with this provider and model, if any
+  findByModel(embeddingProvider, embeddingModel) {
+    return this.list()
+      .reverse()
+      .find(collection => collection.embeddingProvider === embeddingProvider && collection.embeddingModel === embeddingModel) || null;
+  }
+
+  async recordModel(name, { embeddingProvider, embeddingModel, dimension }) {
+    const collection = this.collections.get(name);
+    collection.embeddingProvider = embeddingProvider ?? collection.embeddingProvider;
+    collection.embeddingModel = embeddingModel ?? collection.embeddingModel;
+    collection.dimension = dimension ?? collection.dimension;
+    await this.save();
+    return collection;
+  }
+
+  // Registers the next version (padalayai_documents_v2, _v3, ...) as building
+  async createVersion({ embeddingProvider, embeddingModel, jobId = null }) {
+    const version = Math.max(...this.list().map(collection => collection.version)) + 1;
+    const collection = {
+      name: `${this.baseName}_v${version}`,
+      version,
+      embeddingProvider,
+      embeddingModel,
+      dimension: null,
+      status: 'building',
+      jobId,
+      createdAt: new Date().toISOString(),
+      activatedAt: null,
+      retiredAt: null
+    };
+
+    this.collections.set(collection.name, collection);
+    await this.save();
+    return collection;
+  }
+
+  // Marks an existing collection as being (re)built by a migration job
+  async markBuilding(name, jobId) {
+    const collection = this.collections.get(name);
+    collection.status = 'building';
+    collection.jobId = jobId;
+    collection.retiredAt = null;
+    await this.save();
+    return collection;
+  }
+
+  async retire(name) {
+    const collection = this.collections.get(name);
+    collection.status = 'retired';
+    collection.retiredAt = new Date().toISOString();
+    await this.save();
+    return collection;
+  }
+
+  // Makes a collection the active one; the previous active collection is
+  // retired but kept, so it can be switched back to
+  async activate(name, { dimension } = {}) {
+    const collection = this.collections.get(name);
+    if (!collection) {
+      throw new Error(`Unknown collection: ${name}`);
+    }
+
+    const now = new Date().toISOString();
+    const previous = this.getActive();
+    if (previous && previous.name !== name) {
+      previous.status = 'retired';
+      previous.retiredAt = now;
+    }
+
+    collection.status = 'active';
+    collection.activatedAt = now;
+    collection.retiredAt = null;
+    collection.dimension = dimension ?? collection.dimension;
+    await this.save();
+
+    logger.info(`Active collection is now ${name} (${collection.embeddingModel})`);
+    return collection;
+  }
+}
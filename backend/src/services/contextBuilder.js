@@ -0,0 +1,219 @@
+import { get_encoding, encoding_for_model } from 'tiktoken';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Context windows (tokens) for common models; anything else uses DEFAULT_CONTEXT_WINDOW
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-3.5-turbo': 16385,
+  'gpt-4': 8192,
+  'gpt-4-turbo': 128000,
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'claude': 200000
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Upper bound on how much of a large window we fill with retrieved context
+const DEFAULT_MAX_CONTEXT_TOKENS = 12000;
+
+// Tokens kept free for the system prompt, question and message framing
+const PROMPT_OVERHEAD_TOKENS = 400;
+
+// Two chunks whose word shingles overlap at least this much are near-duplicates
+const DUPLICATE_THRESHOLD = 0.8;
+
+// Shortest shared run of text we bother trimming between neighbouring chunks
+const MIN_OVERLAP_CHARS = 40;
+
+const encoders = new Map();
+
+function getEncoder(model) {
+  const key = model || 'cl100k_base';
+  if (!encoders.has(key)) {
+    let encoder;
+    try {
+      encoder = encoding_for_model(model);
+    } catch (error) {
+      // Non-OpenAI or unknown model names: cl100k is a close enough estimate
+      encoder = get_encoding('cl100k_base');
+    }
+    encoders.set(key, encoder);
+  }
+  return encoders.get(key);
+}
+
+export function countTokens(text, model) {
+  try {
+    return getEncoder(model).encode(text || '').length;
+  } catch (error) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+export function getMaxAnswerTokens() {
+  return parseInt(process.env.MAX_ANSWER_TOKENS, 10) || 500;
+}
+
+// Context window (tokens) of a model, from its name; unknown models get DEFAULT_CONTEXT_WINDOW
+export function getContextWindow(model) {
+  const windowKey = Object.keys(MODEL_CONTEXT_WINDOWS)
+    .sort((a, b) => b.length - a.length)
+    .find(key => (model || '').toLowerCase().includes(key));
+  return windowKey ? MODEL_CONTEXT_WINDOWS[windowKey] : DEFAULT_CONTEXT_WINDOW;
+}
+
+// Context budget for a model: CONTEXT_TOKEN_BUDGETS (JSON, per model) wins,
+// then CONTEXT_TOKEN_BUDGET, then what fits in the model window (the one an
+// LLM provider declares, else the one guessed from the model name).
+export function getContextBudget(model, contextWindow = getContextWindow(model)) {
+  const perModel = parseBudgets(process.env.CONTEXT_TOKEN_BUDGETS);
+  if (model && perModel[model]) {
+    return perModel[model];
+  }
+
+  const globalBudget = parseInt(process.env.CONTEXT_TOKEN_BUDGET, 10);
+  if (globalBudget > 0) {
+    return globalBudget;
+  }
+
+  return Math.min(contextWindow - getMaxAnswerTokens() - PROMPT_OVERHEAD_TOKENS, DEFAULT_MAX_CONTEXT_TOKENS);
+}
+
+function parseBudgets(value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    logger.warn(`Ignoring invalid CONTEXT_TOKEN_BUDGETS: ${error.message}`);
+    return {};
+  }
+}
+
+// Picks the most relevant chunks that fit in the token budget. Near-duplicate
+// chunks are dropped and text shared with an already selected neighbour (the
+// chunker's overlap) is trimmed so the model doesn't read it twice. The prompt
+// text goes in contextText; chunk.text stays intact for sources.
+export function buildContext(chunks, { model, budgetTokens = getContextBudget(model), reservedTokens = 0, maxChunks = Infinity } = {}) {
+  const budget = Math.max(0, budgetTokens - reservedTokens);
+  const ranked = rankByRelevance(chunks);
+
+  const included = [];
+  const dropped = [];
+  let usedTokens = 0;
+
+  for (const chunk of ranked) {
+    const text = chunk.text || '';
+
+    if (included.length >= maxChunks) {
+      dropped.push(describeDrop(chunk, 'limit'));
+      continue;
+    }
+
+    const duplicateOf = included.find(selected => shingleSimilarity(selected.contextText, text) >= DUPLICATE_THRESHOLD);
+    if (duplicateOf) {
+      dropped.push(describeDrop(chunk, 'duplicate', { duplicateOf: duplicateOf.id }));
+      continue;
+    }
+
+    const trimmedText = included
+      .filter(selected => isNeighbour(selected, chunk))
+      .reduce((current, selected) => trimOverlap(selected.text || '', current), text);
+
+    const tokens = countTokens(trimmedText, model);
+    if (usedTokens + tokens > budget) {
+      dropped.push(describeDrop(chunk, 'budget', { tokens }));
+      continue;
+    }
+
+    usedTokens += tokens;
+    included.push({
+      ...chunk,
+      contextText: trimmedText,
+      tokenCount: tokens,
+      ...(trimmedText.length !== text.length ? { trimmedChars: text.length - trimmedText.length } : {})
+    });
+  }
+
+  return {
+    chunks: included,
+    dropped,
+    usedTokens,
+    budgetTokens: budget
+  };
+}
+
+// Reranker scores are comparable across every candidate, so they win when present.
+// Otherwise the retrieval order is the ranking: similarity, fusion and MCP
+// scores live on different scales and can't be compared with each other.
+function rankByRelevance(chunks) {
+  if (chunks.length === 0 || !chunks.every(chunk => typeof chunk.rerankScore === 'number')) {
+    return chunks;
+  }
+  return chunks
+    .map((chunk, order) => ({ chunk, order }))
+    .sort((a, b) => b.chunk.rerankScore - a.chunk.rerankScore || a.order - b.order)
+    .map(({ chunk }) => chunk);
+}
+
+function describeDrop(chunk, reason, extra = {}) {
+  return {
+    id: chunk.id,
+    documentId: chunk.metadata?.documentId,
+    chunkIndex: chunk.metadata?.chunkIndex,
+    reason,
+    ...extra
+  };
+}
+
+function isNeighbour(a, b) {
+  const docA = a.metadata?.documentId;
+  const docB = b.metadata?.documentId;
+  return docA !== undefined && docA === docB &&
+    Math.abs((a.metadata.chunkIndex ?? -10) - (b.metadata.chunkIndex ?? 10)) === 1;
+}
+
+// Removes text that `text` shares with the end or start of `selected`
+function trimOverlap(selected, text) {
+  const maxOverlap = Math.min(selected.length, text.length) - 1;
+
+  for (let length = maxOverlap; length >= MIN_OVERLAP_CHARS; length--) {
+    if (selected.endsWith(text.slice(0, length))) {
+      return text.slice(length).trim();
+    }
+  }
+  for (let length = maxOverlap; length >= MIN_OVERLAP_CHARS; length--) {
+    if (selected.startsWith(text.slice(text.length - length))) {
+      return text.slice(0, text.length - length).trim();
+    }
+  }
+  return text;
+}
+
+function shingles(text, size = 5) {
+  const words = (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+  const result = new Set();
+  for (let i = 0; i + size <= words.length; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  if (result.size === 0 && words.length > 0) {
+    result.add(words.join(' '));
+  }
+  return result;
+}
+
+function shingleSimilarity(a, b) {
+  const setA = shingles(a);
+  const setB = shingles(b);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let shared = 0;
+  for (const shingle of setA) {
+    if (setB.has(shingle)) shared++;
+  }
+  return shared / (setA.size + setB.size - shared);
+}
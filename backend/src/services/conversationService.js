@@ -0,0 +1,215 @@
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Earlier turns sent to the model with each follow-up
+const MAX_HISTORY_TURNS = 4;
+
+// Longest answer excerpt kept per turn in the conversation sent to the model
+const MAX_HISTORY_ANSWER_CHARS = 1200;
+
+// Words that usually mean a question leans on the previous turn
+const FOLLOW_UP_PATTERN = /^(and|but|so|also|what about|how about|why|then)\b|\b(it|its|they|them|their|he|him|his|she|her|this|that|these|those|there|same|again|more|else)\b/i;
+
+// Chat sessions for the Writer Workspace: ordered turns, each backed by a
+// saved query record. Follow-up questions are rewritten into standalone
+// retrieval queries using the earlier turns.
+export class ConversationService {
+  constructor(options = {}) {
+    this.ragService = options.ragService;
+    this.sessionsFile = options.sessionsFile || 'data/conversations.json';
+    this.sessions = new Map();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.sessionsFile), { recursive: true });
+    await this.loadSessions();
+    this.isInitialized = true;
+  }
+
+  async loadSessions() {
+    try {
+      const data = await fs.readFile(this.sessionsFile, 'utf8');
+      const sessions = JSON.parse(data);
+
+      sessions.forEach(session => {
+        this.sessions.set(session.id, session);
+      });
+
+      logger.info(`Loaded ${sessions.length} conversation sessions`);
+    } catch (error) {
+      logger.info('No existing conversation sessions found, starting fresh');
+    }
+  }
+
+  async saveSessions() {
+    try {
+      const sessions = Array.from(this.sessions.values());
+      await fs.writeFile(this.sessionsFile, JSON.stringify(sessions, null, 2));
+    } catch (error) {
+      logger.error('Error saving conversation sessions:', error);
+    }
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values())
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .map(({ turns, ...session }) => ({
+        ...session,
+        turnCount: turns.length,
+        lastQuery: turns.length > 0 ? turns[turns.length - 1].query : null
+      }));
+  }
+
+  getSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  async createSession({ title = null } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: uuidv4(),
+      title: title || 'New conversation',
+      createdAt: now,
+      updatedAt: now,
+      turns: []
+    };
+
+    this.sessions.set(session.id, session);
+    await this.saveSessions();
+    return session;
+  }
+
+  async updateSession(sessionId, { title }) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (title !== undefined) {
+      session.title = title;
+    }
+    session.updatedAt = new Date().toISOString();
+
+    await this.saveSessions();
+    return session;
+  }
+
+  async deleteSession(sessionId) {
+    const deleted = this.sessions.delete(sessionId);
+    if (deleted) {
+      await this.saveSessions();
+    }
+    return deleted;
+  }
+
+  // Asks a question within a session. Pass handlers ({ onSources, onToken,
+  // signal }) to stream the answer; resolves with { session, turn, result }.
+  // enhancedQuery, when given, is what the model is asked instead of query.
+  async ask(sessionId, options, handlers = null) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new Error('Conversation session not found');
+    }
+
+    const { query, enhancedQuery, ...rest } = options;
+    const llm = this.ragService.getLLM(rest.llmProvider);
+    const retrievalQuery = await this.rewriteQuery(session, query, llm);
+
+    const queryOptions = {
+      ...rest,
+      query: enhancedQuery || query,
+      originalQuery: query,
+      retrievalQuery,
+      conversation: this.buildConversation(session),
+      sessionId
+    };
+
+    const result = handlers
+      ? await this.ragService.queryStream(queryOptions, handlers)
+      : await this.ragService.query(queryOptions);
+
+    const turn = {
+      id: uuidv4(),
+      queryId: result.id,
+      query,
+      retrievalQuery,
+      answer: result.answer,
+      citations: result.citations,
+      sources: result.sources,
+      confidence: result.confidence,
+      timestamp: result.timestamp
+    };
+
+    session.turns.push(turn);
+    if (session.turns.length === 1 && session.title === 'New conversation') {
+      session.title = query.length > 60 ? `${query.substring(0, 57)}...` : query;
+    }
+    session.updatedAt = turn.timestamp;
+    await this.saveSessions();
+
+    return { session, turn, result };
+  }
+
+  // Earlier turns as chat messages, oldest first
+  buildConversation(session) {
+    return session.turns.slice(-MAX_HISTORY_TURNS).flatMap(turn => [
+      { role: 'user', content: turn.query },
+      { role: 'assistant', content: (turn.answer || '').substring(0, MAX_HISTORY_ANSWER_CHARS) }
+    ]);
+  }
+
+  // Turns a follow-up like "what about chapter 3?" into a question that
+  // stands on its own, so retrieval doesn't depend on the earlier turns
+  async rewriteQuery(session, query, llm = this.ragService.getLLM()) {
+    const previousTurns = session.turns.slice(-MAX_HISTORY_TURNS);
+    if (previousTurns.length === 0) {
+      return query;
+    }
+
+    if (llm) {
+      try {
+        const transcript = previousTurns
+          .map(turn => `User: ${turn.query}\nAssistant: ${(turn.answer || '').substring(0, 400)}`)
+          .join('\n\n');
+
+        const reply = await llm.chat({
+          temperature: 0,
+          maxTokens: 100,
+          messages: [
+            {
+              role: 'system',
+              content: 'You rewrite follow-up questions into standalone search queries. Resolve pronouns and references using the conversation. If the question already stands on its own, return it unchanged. Reply with the rewritten question only.'
+            },
+            {
+              role: 'user',
+              content: `Conversation:\n${transcript}\n\nFollow-up question: ${query}\n\nStandalone question:`
+            }
+          ]
+        });
+
+        const rewritten = reply.replace(/^["']|["']$/g, '');
+        if (rewritten) {
+          return rewritten;
+        }
+      } catch (error) {
+        logger.warn('Error rewriting follow-up query, using heuristic:', error.message);
+      }
+    }
+
+    // Fallback: carry the previous question's terms into short or referential follow-ups
+    const wordCount = query.trim().split(/\s+/).length;
+    if (wordCount <= 6 || FOLLOW_UP_PATTERN.test(query)) {
+      const previous = previousTurns[previousTurns.length - 1];
+      return `${previous.retrievalQuery || previous.query} ${query}`;
+    }
+
+    return query;
+  }
+}
@@ -1,5 +1,7 @@
 import { RAGService } from './ragService.js';
 import { DocumentProcessor } from './documentProcessor.js';
+import { chunkDocument, getChunkSettings } from './chunker.js';
+import { detectLanguages } from './language.js';
 import { v4 as uuidv4 } from 'uuid';
 import winston from 'winston';
 
@@ -68,7 +70,9 @@ export class DigitalPersonaService {
     }
   }
 
-  async syncSocialMediaContent(platforms = ['blogger']) {
+  // With projectId the synced posts are put in that project; posts synced
+  // before keep their project otherwise
+  async syncSocialMediaContent(platforms = ['blogger'], { projectId = null } = {}) {
     if (!this.isInitialized) {
       throw new Error('Digital Persona service not initialized');
     }
@@ -102,7 +106,7 @@ export class DigitalPersonaService {
         }
 
         if (content.length > 0) {
-          const processed = await this.processAndIndexContent(content, platform);
+          const processed = await this.processAndIndexContent(content, platform, { projectId });
           results[platform] = {
             fetched: content.length,
             processed: processed.length,
@@ -224,13 +228,15 @@ export class DigitalPersonaService {
     }
   }
 
-  async processAndIndexContent(content, platform) {
+  async processAndIndexContent(content, platform, { projectId = null } = {}) {
     const processedItems = [];
 
     for (const item of content) {
       try {
         // Create a unified document structure
         const document = this.createUnifiedDocument(item, platform);
+        const existing = await this.documentProcessor?.getDocument(document.id);
+        document.projectId = projectId || existing?.projectId || null;
         
         // Process the document using existing document processor
         const processedDoc = await this.processDocument(document);
@@ -297,10 +303,11 @@ export class DigitalPersonaService {
 
   async processDocument(document) {
     // Use the existing document processor logic
-    const chunks = this.chunkText(document.content, {
-      chunkSize: 1000,
-      chunkOverlap: 200
+    const chunks = chunkDocument(document.content, {
+      ...getChunkSettings('social'),
+      documentType: 'social'
     });
+    const { language, languages } = detectLanguages(chunks.map(chunk => chunk.text));
 
     return {
       id: document.id,
@@ -311,15 +318,17 @@ export class DigitalPersonaService {
       uploadedAt: document.uploadedAt,
       processedAt: new Date().toISOString(),
       content: document.content,
+      ...(document.projectId && { projectId: document.projectId }),
       chunks: chunks.map((chunk, index) => ({
         id: `${document.id}-chunk-${index}`,
-        text: chunk,
+        text: chunk.text,
         index,
         documentId: document.id,
         metadata: {
-          chunkSize: chunk.length,
-          startChar: document.content.indexOf(chunk),
-          endChar: document.content.indexOf(chunk) + chunk.length,
+          chunkSize: chunk.text.length,
+          startChar: chunk.startChar,
+          endChar: chunk.endChar,
+          language: languages[index],
           platform: document.platform,
           originalId: document.originalId,
           title: document.title,
@@ -330,7 +339,9 @@ export class DigitalPersonaService {
       pages: this.estimatePages(document.content),
       wordCount: this.countWords(document.content),
       metadata: {
-        language: this.detectLanguage(document.content),
+        language,
+        // Every language a chunk is in, for the query language filter
+        languages: [...new Set(languages)],
         readingTime: Math.ceil(this.countWords(document.content) / 200),
         platform: document.platform,
         originalId: document.originalId,
@@ -342,48 +353,6 @@ export class DigitalPersonaService {
   }
 
   // Utility methods borrowed from DocumentProcessor
-  chunkText(text, options = {}) {
-    const {
-      chunkSize = 1000,
-      chunkOverlap = 200,
-      separators = ['\n\n', '\n', '. ', ' ']
-    } = options;
-
-    if (text.length <= chunkSize) {
-      return [text];
-    }
-
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-      let end = Math.min(start + chunkSize, text.length);
-      
-      if (end < text.length) {
-        let bestBreak = end;
-        
-        for (const separator of separators) {
-          const lastIndex = text.lastIndexOf(separator, end);
-          if (lastIndex > start + chunkSize * 0.5) {
-            bestBreak = lastIndex + separator.length;
-            break;
-          }
-        }
-        
-        end = bestBreak;
-      }
-
-      const chunk = text.slice(start, end).trim();
-      if (chunk.length > 0) {
-        chunks.push(chunk);
-      }
-
-      start = Math.max(start + chunkSize - chunkOverlap, end);
-    }
-
-    return chunks;
-  }
-
   estimatePages(content) {
     const wordCount = this.countWords(content);
     return Math.ceil(wordCount / 250);
@@ -393,45 +362,60 @@ export class DigitalPersonaService {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
   }
 
-  detectLanguage(text) {
-    const sample = text.toLowerCase().slice(0, 1000);
-    const englishWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
-    const englishCount = englishWords.reduce((count, word) => {
-      return count + (sample.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
-    }, 0);
+  async queryDigitalPersona(query, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Digital Persona service not initialized');
+    }
 
-    if (englishCount > 5) {
-      return 'en';
+    // Use the existing RAG service to query across all content including social media
+    const result = await this.ragService.query({
+      query,
+      ...options
+    });
+
+    // Enhance the result with platform information
+    if (result.sources) {
+      result.sources = this.enhanceSources(result.sources);
     }
 
-    return 'unknown';
+    return result;
   }
 
-  async queryDigitalPersona(query, options = {}) {
+  async queryDigitalPersonaStream(query, options = {}, handlers = {}) {
     if (!this.isInitialized) {
       throw new Error('Digital Persona service not initialized');
     }
 
-    // Use the existing RAG service to query across all content including social media
-    const result = await this.ragService.query({
+    const { onSources } = handlers;
+
+    const result = await this.ragService.queryStream({
       query,
       ...options
+    }, {
+      ...handlers,
+      onSources: onSources && ((payload) => onSources({
+        ...payload,
+        sources: this.enhanceSources(payload.sources)
+      }))
     });
 
-    // Enhance the result with platform information
     if (result.sources) {
-      result.sources = result.sources.map(source => {
-        const platformInfo = this.extractPlatformInfo(source);
-        return {
-          ...source,
-          ...platformInfo
-        };
-      });
+      result.sources = this.enhanceSources(result.sources);
     }
 
     return result;
   }
 
+  enhanceSources(sources) {
+    return sources.map(source => {
+      const platformInfo = this.extractPlatformInfo(source);
+      return {
+        ...source,
+        ...platformInfo
+      };
+    });
+  }
+
   extractPlatformInfo(source) {
     const metadata = source.metadata || {};
     
@@ -4,6 +4,13 @@ import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
 import { v4 as uuidv4 } from 'uuid';
 import winston from 'winston';
+import { chunkDocument, getChunkSettings, getDocumentType, locatePages } from './chunker.js';
+import { extractEpub, extractHtml, extractOdt, extractPages, extractRtf } from './extractors.js';
+import { ocrImage, ocrPdfPages } from './ocr.js';
+import { detectLanguages } from './language.js';
+import { estimateSimilarity, fingerprintText, getDuplicateThreshold } from './fingerprint.js';
+import { diffParagraphs, summarizeDiff } from './textDiff.js';
+import { normalizeTags } from './metadataFilter.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -14,7 +21,10 @@ const logger = winston.createLogger({
 export class DocumentProcessor {
   constructor() {
     this.documents = new Map(); // In-memory storage for demo
-    this.initializeStorage();
+    // Uploads extracted but not stored yet (waiting for a duplicate decision),
+    // by document id; after a restart they're extracted again
+    this.extracted = new Map();
+    this.storageReady = this.initializeStorage();
   }
 
   async initializeStorage() {
@@ -57,87 +67,420 @@ export class DocumentProcessor {
     }
   }
 
-  async processDocument(fileInfo) {
+  // onProgress({ completed, total }) reports pages done while OCR runs
+  async processDocument(fileInfo, { onProgress } = {}) {
+    const documentInfo = await this.extractDocument(fileInfo, { onProgress });
+    return this.storeDocument(documentInfo);
+  }
+
+  // Extracts and chunks an upload without storing it, so it can be checked
+  // for duplicates first (see findDuplicate and storeDocument)
+  async extractDocument(fileInfo, { onProgress } = {}) {
+    if (this.extracted.has(fileInfo.id)) {
+      return this.extracted.get(fileInfo.id);
+    }
+
     try {
       logger.info(`Processing document: ${fileInfo.filename}`);
 
       // Extract text content based on file type
-      const content = await this.extractContent(fileInfo.filepath, fileInfo.mimetype);
-      
-      // Split content into chunks
-      const chunks = this.chunkText(content, {
-        chunkSize: 1000,
-        chunkOverlap: 200
-      });
+      const { content, ...structure } = await this.extractContent(fileInfo.filepath, fileInfo.mimetype, { onProgress });
+      const documentInfo = this.buildDocumentInfo(fileInfo, content, structure);
+      this.extracted.set(documentInfo.id, documentInfo);
 
-      // Create document info
-      const documentInfo = {
-        id: fileInfo.id,
-        filename: fileInfo.filename,
-        filepath: fileInfo.filepath,
-        mimetype: fileInfo.mimetype,
-        size: fileInfo.size,
-        uploadedAt: fileInfo.uploadedAt,
-        processedAt: new Date().toISOString(),
-        content,
-        chunks: chunks.map((chunk, index) => ({
-          id: `${fileInfo.id}-chunk-${index}`,
-          text: chunk,
-          index,
-          documentId: fileInfo.id,
-          metadata: {
-            chunkSize: chunk.length,
-            startChar: content.indexOf(chunk),
-            endChar: content.indexOf(chunk) + chunk.length
-          }
-        })),
-        pages: this.estimatePages(content),
-        wordCount: this.countWords(content),
-        metadata: {
-          language: this.detectLanguage(content),
-          readingTime: Math.ceil(this.countWords(content) / 200) // Assuming 200 WPM
+      return documentInfo;
+
+    } catch (error) {
+      logger.error(`Error processing document ${fileInfo.filename}:`, error);
+      throw new Error(`Failed to process document: ${error.message}`);
+    }
+  }
+
+  // Stores an extracted upload. With versionOf it becomes the newest version
+  // of that document's version chain; with replaces it takes that document's
+  // place (and version) and the old record is dropped; the caller removes
+  // the old one's vectors and file. Either way it joins the other
+  // document's project unless the upload named one.
+  async storeDocument(documentInfo, { versionOf = null, replaces = null } = {}) {
+    if (versionOf) {
+      this.appendVersion(documentInfo, versionOf);
+    } else if (replaces) {
+      this.replaceVersion(documentInfo, replaces);
+    }
+
+    this.documents.set(documentInfo.id, documentInfo);
+    this.extracted.delete(documentInfo.id);
+    await this.saveDocuments();
+
+    logger.info(`Successfully processed document: ${documentInfo.filename} (${documentInfo.chunks.length} chunks)`);
+    return documentInfo;
+  }
+
+  discardExtracted(id) {
+    this.extracted.delete(id);
+  }
+
+  // The stored document whose text is most like an extracted upload's, at or
+  // above NEAR_DUPLICATE_THRESHOLD: { documentId, filename, similarity, exact,
+  // version }, or null. Synced social media posts aren't compared.
+  findDuplicate(documentInfo) {
+    let best = null;
+
+    for (const document of this.documents.values()) {
+      if (document.id === documentInfo.id || document.metadata?.platform) continue;
+
+      const similarity = estimateSimilarity(documentInfo.fingerprint, this.getFingerprint(document));
+      if (similarity >= getDuplicateThreshold() && (!best || similarity > best.similarity)) {
+        best = { document, similarity };
+      }
+    }
+
+    if (!best) return null;
+    return {
+      documentId: best.document.id,
+      filename: best.document.filename,
+      similarity: Math.round(best.similarity * 100) / 100,
+      exact: best.document.fingerprint.contentHash === documentInfo.fingerprint.contentHash,
+      version: best.document.version?.number || 1
+    };
+  }
+
+  // Documents stored before fingerprinting get theirs on first use
+  getFingerprint(document) {
+    if (!document.fingerprint) {
+      document.fingerprint = fingerprintText(document.content);
+    }
+    return document.fingerprint;
+  }
+
+  // The versions of a document, oldest first (just the document when it has
+  // no other versions)
+  getVersionChain(id) {
+    let document = this.documents.get(id);
+    if (!document) return [];
+
+    const seen = new Set();
+    while (document.version?.previousId && this.documents.has(document.version.previousId) && !seen.has(document.id)) {
+      seen.add(document.id);
+      document = this.documents.get(document.version.previousId);
+    }
+
+    const chain = [document];
+    while (document.version?.nextId && this.documents.has(document.version.nextId) && chain.length <= this.documents.size) {
+      document = this.documents.get(document.version.nextId);
+      chain.push(document);
+    }
+    return chain;
+  }
+
+  // Narrows the documents a query searches to a version scope: 'all' (no
+  // change), 'latest' (the newest version of each document) or a version
+  // number (that version of each document; a document without other
+  // versions is version 1). Returns { documentIds, excludeIds } for the chunk
+  // filter; empty documentIds still means every document not excluded.
+  resolveVersionScope(documentIds = [], versions = 'all') {
+    if (!versions || versions === 'all') {
+      return { documentIds, excludeIds: [] };
+    }
+
+    const inScope = (document) => (versions === 'latest'
+      ? !document.version?.nextId
+      : (document.version?.number || 1) === versions);
+
+    if (documentIds.length === 0) {
+      const excludeIds = Array.from(this.documents.values())
+        .filter(document => !inScope(document))
+        .map(document => document.id);
+      return { documentIds, excludeIds };
+    }
+
+    // Each selected document stands for its whole chain; ids this processor
+    // doesn't know are kept as they are
+    const selected = new Set();
+    for (const id of documentIds) {
+      if (!this.documents.has(id)) {
+        selected.add(id);
+        continue;
+      }
+      this.getVersionChain(id).filter(inScope).forEach(document => selected.add(document.id));
+    }
+
+    // None of the selected documents has that version: nothing matches
+    return selected.size > 0
+      ? { documentIds: [...selected], excludeIds: [] }
+      : { documentIds, excludeIds: documentIds };
+  }
+
+  // Each document in a chain has version: { group, number, previousId,
+  // nextId, diff }, diff being the paragraph changes from the previous
+  // version ({ added, removed, unchanged, changes }, see textDiff.js)
+  appendVersion(documentInfo, baseId) {
+    const chain = this.getVersionChain(baseId);
+    const latest = chain[chain.length - 1];
+    if (!latest) {
+      throw new Error('Document not found');
+    }
+
+    if (!latest.version) {
+      latest.version = { group: uuidv4(), number: 1, previousId: null, nextId: null, diff: null };
+    }
+    latest.version.nextId = documentInfo.id;
+    inheritFields(documentInfo, latest);
+    documentInfo.version = {
+      group: latest.version.group,
+      number: latest.version.number + 1,
+      previousId: latest.id,
+      nextId: null,
+      diff: diffRevisions(latest, documentInfo)
+    };
+  }
+
+  replaceVersion(documentInfo, oldId) {
+    const old = this.documents.get(oldId);
+    if (!old) {
+      throw new Error('Document not found');
+    }
+
+    inheritFields(documentInfo, old);
+    if (old.version) {
+      documentInfo.version = { ...old.version };
+      this.relinkVersions(this.documents.get(old.version.previousId), documentInfo);
+      this.relinkVersions(documentInfo, this.documents.get(old.version.nextId));
+    }
+    this.documents.delete(oldId);
+  }
+
+  // Takes a deleted document out of its version chain
+  unlinkVersion(document) {
+    if (!document.version) return;
+    this.relinkVersions(this.documents.get(document.version.previousId), this.documents.get(document.version.nextId));
+  }
+
+  // Makes next follow previous in their chain (either may be missing) and
+  // re-diffs next against it
+  relinkVersions(previous, next) {
+    if (previous) previous.version.nextId = next?.id || null;
+    if (next) {
+      next.version.previousId = previous?.id || null;
+      next.version.diff = previous ? diffRevisions(previous, next) : null;
+    }
+  }
+
+  // Moves documents, with every version of each, into a project (or out of
+  // any with null). Returns the documents whose project changed; their
+  // chunks need re-indexing to carry the new projectId.
+  async setProject(ids, projectId) {
+    const changed = new Map();
+    for (const id of ids) {
+      if (!this.documents.has(id)) {
+        throw new Error(`Document not found: ${id}`);
+      }
+      for (const document of this.getVersionChain(id)) {
+        if ((document.projectId || null) !== projectId) {
+          document.projectId = projectId;
+          changed.set(document.id, document);
         }
-      };
+      }
+    }
 
-      // Store document
-      this.documents.set(documentInfo.id, documentInfo);
+    if (changed.size > 0) {
       await this.saveDocuments();
+    }
+    return Array.from(changed.values());
+  }
 
-      logger.info(`Successfully processed document: ${documentInfo.filename} (${chunks.length} chunks)`);
-      
-      return documentInfo;
+  getProjectDocuments(projectId) {
+    return Array.from(this.documents.values()).filter(document => document.projectId === projectId);
+  }
+
+  // Replaces a document's tags and/or custom metadata ({ key: value } fields
+  // such as genre, draft stage or POV character). Its chunks need
+  // re-indexing to carry them.
+  async updateFields(id, { tags, customMetadata }) {
+    const document = this.documents.get(id);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    if (tags !== undefined) document.tags = normalizeTags(tags);
+    if (customMetadata !== undefined) document.customMetadata = { ...customMetadata };
+    await this.saveDocuments();
+    return document;
+  }
+
+  // The tags and custom metadata keys in use, with how many documents have
+  // each and the values each key takes, for building query filters
+  getFieldSummary() {
+    const tags = new Map();
+    const fields = new Map();
+
+    for (const document of this.documents.values()) {
+      for (const tag of document.tags || []) {
+        tags.set(tag, (tags.get(tag) || 0) + 1);
+      }
+      for (const [key, value] of Object.entries(document.customMetadata || {})) {
+        const field = fields.get(key) || { key, documents: 0, values: new Set() };
+        field.documents++;
+        field.values.add(value);
+        fields.set(key, field);
+      }
+    }
+
+    return {
+      tags: Array.from(tags, ([tag, documents]) => ({ tag, documents }))
+        .sort((a, b) => b.documents - a.documents || a.tag.localeCompare(b.tag)),
+      fields: Array.from(fields.values())
+        .map(field => ({ ...field, values: Array.from(field.values).sort().slice(0, 50) }))
+        .sort((a, b) => a.key.localeCompare(b.key))
+    };
+  }
+
+  // Re-extracts and re-chunks a stored document so it picks up file changes
+  // and the current chunking settings. Falls back to the stored text when the
+  // upload is gone; synced social media posts are returned unchanged.
+  async refreshDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    if (document.metadata?.platform || !document.filepath) {
+      return document;
+    }
 
+    let extracted = {
+      content: document.content,
+      headings: document.headings,
+      pageRanges: document.pageRanges,
+      ocr: document.metadata?.ocr
+    };
+    try {
+      extracted = await this.extractContent(document.filepath, document.mimetype);
     } catch (error) {
-      logger.error(`Error processing document ${fileInfo.filename}:`, error);
-      throw new Error(`Failed to process document: ${error.message}`);
+      logger.warn(`Could not re-read ${document.filename}, re-chunking stored content: ${error.message}`);
     }
+
+    const { content, ...structure } = extracted;
+    const documentInfo = this.buildDocumentInfo(document, content, structure);
+    this.documents.set(id, documentInfo);
+    if (documentInfo.version && content !== document.content) {
+      this.relinkVersions(this.documents.get(documentInfo.version.previousId), documentInfo);
+      this.relinkVersions(documentInfo, this.documents.get(documentInfo.version.nextId));
+    }
+    await this.saveDocuments();
+
+    return documentInfo;
+  }
+
+  buildDocumentInfo(fileInfo, content, { headings, pageRanges, ocr } = {}) {
+    // Split content into chunks along its headings, chapters and scenes, sized
+    // for the document type
+    const documentType = getDocumentType(fileInfo.mimetype, fileInfo.filename);
+    const chunks = chunkDocument(content, {
+      ...getChunkSettings(documentType),
+      documentType,
+      headings
+    });
+    const { language, languages } = detectLanguages(chunks.map(chunk => chunk.text));
+
+    // Create document info
+    return {
+      id: fileInfo.id,
+      filename: fileInfo.filename,
+      filepath: fileInfo.filepath,
+      mimetype: fileInfo.mimetype,
+      size: fileInfo.size,
+      uploadedAt: fileInfo.uploadedAt,
+      processedAt: new Date().toISOString(),
+      content,
+      ...(headings?.length > 0 && { headings }),
+      ...(pageRanges?.length > 0 && { pageRanges }),
+      chunks: chunks.map((chunk, index) => ({
+        id: `${fileInfo.id}-chunk-${index}`,
+        text: chunk.text,
+        index,
+        documentId: fileInfo.id,
+        metadata: {
+          chunkSize: chunk.text.length,
+          startChar: chunk.startChar,
+          endChar: chunk.endChar,
+          headingPath: chunk.headingPath,
+          language: languages[index],
+          ...locatePages(pageRanges, chunk.startChar, chunk.endChar)
+        }
+      })),
+      pages: pageRanges?.length || this.estimatePages(content),
+      wordCount: this.countWords(content),
+      metadata: {
+        language,
+        // Every language a chunk is in, for the query language filter
+        languages: [...new Set(languages)],
+        readingTime: Math.ceil(this.countWords(content) / 200), // Assuming 200 WPM
+        ...(ocr && { ocr })
+      },
+      fingerprint: fingerprintText(content),
+      ...(fileInfo.projectId && { projectId: fileInfo.projectId }),
+      ...(fileInfo.tags?.length > 0 && { tags: normalizeTags(fileInfo.tags) }),
+      ...(fileInfo.customMetadata && { customMetadata: fileInfo.customMetadata }),
+      ...(fileInfo.version && { version: fileInfo.version })
+    };
   }
 
-  async extractContent(filepath, mimetype) {
+  // Returns { content, headings, pageRanges }: the plain text, plus what the
+  // format knows about its structure. headings ([{ level, text }] in order)
+  // lists heading paragraphs for formats where they're styles rather than
+  // text markup; pageRanges ([{ page, startChar, endChar }]) where each page
+  // sits in the text, for paginated formats. Scanned PDF pages and images
+  // are run through OCR, and ocr (see ocr.js) records how well it went. The
+  // format comes from the file extension, else the mimetype (see
+  // getDocumentType).
+  async extractContent(filepath, mimetype, { onProgress } = {}) {
     try {
       const fileBuffer = await fs.readFile(filepath);
 
-      switch (mimetype) {
-        case 'application/pdf':
-          const pdfData = await pdfParse(fileBuffer);
-          return pdfData.text;
-
-        case 'application/vnd.openxmlformats-officedocument.wordprocessingml.document':
+      switch (getDocumentType(mimetype, filepath)) {
+        case 'pdf':
+          return await this.extractPdf(fileBuffer, { onProgress });
+
+        case 'image':
+          const imageResult = await ocrImage(filepath);
+          const { content: imageContent, pageRanges: imagePages } = joinPages(imageResult.pageTexts);
+          return {
+            content: imageContent,
+            // Only multi-page TIFFs have pages worth citing
+            ...(imagePages.length > 1 && { pageRanges: imagePages }),
+            ocr: imageResult.ocr
+          };
+
+        case 'docx':
           const docxResult = await mammoth.extractRawText({ buffer: fileBuffer });
-          return docxResult.value;
+          return {
+            content: docxResult.value,
+            headings: await this.extractDocxHeadings(fileBuffer)
+          };
+
+        case 'epub':
+          return await extractEpub(fileBuffer);
 
-        case 'text/plain':
-        case 'text/markdown':
-          return fileBuffer.toString('utf8');
+        case 'odt':
+          return await extractOdt(fileBuffer);
 
-        case 'application/vnd.apple.pages':
-        case 'application/x-iwork-pages-sffpages':
-          // Apple Pages files are not supported without additional parsing
-          throw new Error('Apple Pages files are not currently supported. Please export to PDF or DOCX format.');
+        case 'rtf':
+          return await extractRtf(fileBuffer);
+
+        case 'html':
+          return await extractHtml(fileBuffer);
+
+        case 'pages':
+          // May fall back to the bundle's preview PDF
+          return await extractPages(fileBuffer, { readPdf: (pdf) => this.extractPdf(pdf) });
 
         default:
-          // Try to read as text
-          return fileBuffer.toString('utf8');
+          // Plain text and markdown; anything binary is a format we can't read
+          if (fileBuffer.subarray(0, 8192).includes(0)) {
+            throw new Error(`Unsupported binary file type: ${mimetype}`);
+          }
+          return { content: fileBuffer.toString('utf8') };
       }
     } catch (error) {
       logger.error(`Error extracting content from ${filepath}:`, error);
@@ -145,49 +488,41 @@ export class DocumentProcessor {
     }
   }
 
-  chunkText(text, options = {}) {
-    const {
-      chunkSize = 1000,
-      chunkOverlap = 200,
-      separators = ['\n\n', '\n', '. ', ' ']
-    } = options;
-
-    if (text.length <= chunkSize) {
-      return [text];
-    }
-
-    const chunks = [];
-    let start = 0;
-
-    while (start < text.length) {
-      let end = Math.min(start + chunkSize, text.length);
-      
-      // If we're not at the end of the text, try to find a good breaking point
-      if (end < text.length) {
-        let bestBreak = end;
-        
-        // Look for separators in reverse order of preference
-        for (const separator of separators) {
-          const lastIndex = text.lastIndexOf(separator, end);
-          if (lastIndex > start + chunkSize * 0.5) { // Don't break too early
-            bestBreak = lastIndex + separator.length;
-            break;
-          }
+  // Text of each page, rendered the way pdf-parse does (a new line whenever
+  // the baseline moves) or recognized by OCR when the page has too little
+  // text, joined with blank lines, with the page offsets
+  async extractPdf(fileBuffer, { onProgress } = {}) {
+    const pageTexts = [];
+    await pdfParse(fileBuffer, {
+      pagerender: async (pageData) => {
+        const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+          text += lastY === item.transform[5] || !lastY ? item.str : `\n${item.str}`;
+          lastY = item.transform[5];
         }
-        
-        end = bestBreak;
+        pageTexts.push(text);
+        return text;
       }
+    });
 
-      const chunk = text.slice(start, end).trim();
-      if (chunk.length > 0) {
-        chunks.push(chunk);
-      }
+    const { pageTexts: texts, ocr } = await ocrPdfPages(fileBuffer, pageTexts, { onProgress });
+    return { ...joinPages(texts), ...(ocr && { ocr }) };
+  }
 
-      // Move start position with overlap
-      start = Math.max(start + chunkSize - chunkOverlap, end);
+  // Paragraphs with a Heading 1-6 style, which mammoth's default style map
+  // turns into <h1>-<h6>. Chunking just loses structure without them.
+  async extractDocxHeadings(fileBuffer) {
+    try {
+      const { value: html } = await mammoth.convertToHtml({ buffer: fileBuffer });
+      return Array.from(html.matchAll(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g))
+        .map(([, level, inner]) => ({ level: parseInt(level, 10), text: decodeEntities(inner.replace(/<[^>]+>/g, '')).trim() }))
+        .filter(heading => heading.text.length > 0);
+    } catch (error) {
+      logger.warn(`Could not read DOCX heading styles: ${error.message}`);
+      return [];
     }
-
-    return chunks;
   }
 
   estimatePages(content) {
@@ -200,23 +535,6 @@ export class DocumentProcessor {
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
   }
 
-  detectLanguage(text) {
-    // Simple language detection based on common words
-    const sample = text.toLowerCase().slice(0, 1000);
-    
-    const englishWords = ['the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
-    const englishCount = englishWords.reduce((count, word) => {
-      return count + (sample.match(new RegExp(`\\b${word}\\b`, 'g')) || []).length;
-    }, 0);
-
-    // If we find enough English words, assume English
-    if (englishCount > 5) {
-      return 'en';
-    }
-
-    return 'unknown';
-  }
-
   async getAllDocuments() {
     return Array.from(this.documents.values()).map(doc => ({
       id: doc.id,
@@ -227,7 +545,11 @@ export class DocumentProcessor {
       pages: doc.pages,
       wordCount: doc.wordCount,
       chunks: doc.chunks?.length || 0,
-      metadata: doc.metadata
+      metadata: doc.metadata,
+      projectId: doc.projectId || null,
+      tags: doc.tags || [],
+      customMetadata: doc.customMetadata || {},
+      version: summarizeVersion(doc.version)
     }));
   }
 
@@ -241,7 +563,8 @@ export class DocumentProcessor {
       throw new Error('Document not found');
     }
 
-    // Remove from memory
+    // Remove from memory and from its version chain
+    this.unlinkVersion(document);
     this.documents.delete(id);
     
     // Save updated documents
@@ -329,3 +652,53 @@ export class DocumentProcessor {
     };
   }
 }
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Page texts joined with blank lines, and where each page sits in the result
+function joinPages(pageTexts) {
+  const pageRanges = [];
+  let content = '';
+  pageTexts.forEach((text, index) => {
+    if (index > 0) content += '\n\n';
+    pageRanges.push({ page: index + 1, startChar: content.length, endChar: content.length + text.length });
+    content += text;
+  });
+
+  return { content, pageRanges };
+}
+
+// Paragraph changes from one version's text to the next's
+function diffRevisions(previous, next) {
+  const changes = diffParagraphs(previous.content, next.content);
+  return {
+    ...summarizeDiff(changes),
+    changes: changes.filter(change => change.type !== 'equal')
+  };
+}
+
+// A new version keeps the project, tags and custom metadata of the one it
+// follows or replaces unless its upload set its own
+function inheritFields(documentInfo, previous) {
+  documentInfo.projectId = documentInfo.projectId || previous.projectId || null;
+  if (!documentInfo.tags && previous.tags) documentInfo.tags = [...previous.tags];
+  if (!documentInfo.customMetadata && previous.customMetadata) documentInfo.customMetadata = { ...previous.customMetadata };
+}
+
+// A document's place in its version chain for listings, without the diff's
+// paragraph ranges
+function summarizeVersion(version) {
+  if (!version) return undefined;
+  const { diff, ...rest } = version;
+  return {
+    ...rest,
+    diff: diff && { added: diff.added, removed: diff.removed, unchanged: diff.unchanged }
+  };
+}
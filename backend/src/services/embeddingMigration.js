@@ -0,0 +1,164 @@
+import winston from 'winston';
+import { createVectorStore } from './vectorStore.js';
+import { EmbeddingService } from './embeddingService.js';
+import { createEmbeddingProvider, resolveEmbeddingConfig, providerForModel } from './embeddingProviders.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+export const MIGRATE_EMBEDDINGS_JOB = 'migrate-embeddings';
+
+// Target store and embeddings of each migration job, created on first use, so
+// a job resumed after a restart sets them up again from its payload
+const targets = new Map();
+
+export function getRunningMigration(jobQueue) {
+  return jobQueue.listJobs({ status: 'queued,running', type: MIGRATE_EMBEDDINGS_JOB })[0] || null;
+}
+
+// Queues a migration into a new collection version built with the given
+// provider and model (the configured ones by default). An existing collection
+// built with that model is reused and only brought up to date, unless rebuild
+// is set. Pass collectionName instead to switch back to a retired collection.
+export async function startEmbeddingMigration({ jobQueue, collections, ragService, provider, model, collectionName, rebuild = false }) {
+  let collection;
+
+  if (collectionName) {
+    collection = collections.get(collectionName);
+  } else {
+    const config = resolveEmbeddingConfig({
+      openai: ragService.openai,
+      provider: provider || (model ? providerForModel(model) : undefined),
+      model
+    });
+    const existing = rebuild ? null : collections.findByModel(config.provider, config.model);
+    collection = existing && existing.status !== 'active'
+      ? existing
+      : await collections.createVersion({ embeddingProvider: config.provider, embeddingModel: config.model });
+  }
+
+  // A collection left building by an abandoned migration isn't needed any more
+  for (const stale of collections.list()) {
+    if (stale.status === 'building' && stale.name !== collection.name) {
+      await collections.retire(stale.name);
+    }
+  }
+
+  const job = await jobQueue.enqueue(MIGRATE_EMBEDDINGS_JOB, {
+    collection: collection.name,
+    embeddingProvider: collection.embeddingProvider,
+    embeddingModel: collection.embeddingModel
+  });
+  await collections.markBuilding(collection.name, job.id);
+
+  logger.info(`Queued embedding migration to ${collection.name} (${collection.embeddingModel})`);
+  return { collection: collections.get(collection.name), job };
+}
+
+// Re-embeds every stored document into the target collection, then makes it
+// the active one. Queries keep using the current collection until the switch.
+// Both stages are incremental (unchanged chunks already in the target are
+// skipped), so a retried or resumed migration picks up where it stopped.
+export function createMigrationStages({ documentProcessor, ragService, collections }) {
+  const getTarget = async (job) => {
+    if (!targets.has(job.id)) {
+      const provider = await createEmbeddingProvider({
+        openai: ragService.openai,
+        provider: job.payload.embeddingProvider,
+        model: job.payload.embeddingModel
+      });
+      const embeddings = new EmbeddingService({ provider });
+      await embeddings.initialize();
+
+      // Embed something up front: fails fast on a bad model or key, and tells
+      // the new collection its dimension
+      await embeddings.embed(['dimension probe'], { cache: false });
+
+      const vectorStore = await createVectorStore({
+        collectionName: job.payload.collection,
+        dimension: embeddings.dimension
+      });
+      targets.set(job.id, { embeddings, vectorStore });
+    }
+    return targets.get(job.id);
+  };
+
+  // Brings the target up to date with every stored document
+  const syncDocuments = async (job, progress) => {
+    const { embeddings, vectorStore } = await getTarget(job);
+    const documents = Array.from(documentProcessor.documents.values())
+      .filter(document => (document.chunks || []).length > 0);
+
+    const totals = { documents: documents.length, chunks: 0, embedded: 0, failed: 0 };
+    progress(0, documents.length);
+
+    for (const [index, document] of documents.entries()) {
+      try {
+        const records = ragService.buildChunkRecords(document, embeddings.model);
+        const report = await ragService.syncDocumentVectors(document.id, records, { vectorStore, embeddings });
+        totals.chunks += records.ids.length;
+        totals.embedded += report.embeddedIds.length;
+      } catch (error) {
+        totals.failed++;
+        logger.warn(`Could not migrate document ${document.filename}: ${error.message}`);
+      }
+      progress(index + 1, documents.length);
+    }
+
+    if (totals.failed > 0) {
+      throw new Error(`${totals.failed} of ${totals.documents} documents could not be embedded`);
+    }
+    return { totals, documentIds: documents.map(document => document.id) };
+  };
+
+  return [
+    {
+      // The bulk of the work: every document's chunks embedded with the new model
+      name: 'embed',
+      run: async (job, { progress }) => {
+        const { totals } = await syncDocuments(job, progress);
+        return totals;
+      }
+    },
+    {
+      // Catches up with documents added, changed or removed while embedding
+      // ran, then switches over. The last pass and the switch run with index
+      // writes held back (see RAGService.withCutoverLock), so edits and
+      // deletions made meanwhile land in the new collection.
+      name: 'cutover',
+      run: async (job, { progress }) => {
+        await syncDocuments(job, progress);
+        const { embeddings, vectorStore } = await getTarget(job);
+
+        const result = await ragService.withCutoverLock(async () => {
+          const { documentIds } = await syncDocuments(job, progress);
+
+          const staleIds = documentIds.length > 0
+            ? await vectorStore.listIds({ where: { documentId: { $nin: documentIds } } })
+            : await vectorStore.listIds();
+          const removed = staleIds.length > 0 ? await vectorStore.delete({ ids: staleIds }) : 0;
+
+          const collection = await collections.activate(job.payload.collection, {
+            dimension: vectorStore.dimension || embeddings.dimension
+          });
+          await ragService.switchCollection({ vectorStore, embeddings });
+          targets.delete(job.id);
+
+          return {
+            collection: collection.name,
+            embeddingModel: collection.embeddingModel,
+            vectors: await vectorStore.count(),
+            removed
+          };
+        });
+
+        // The previous model's vectors are of no further use
+        await ragService.compactEmbeddingCache(Array.from(documentProcessor.documents.values()));
+        return result;
+      }
+    }
+  ];
+}
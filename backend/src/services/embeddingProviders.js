@@ -0,0 +1,184 @@
+import fs from 'fs';
+import path from 'path';
+import winston from 'winston';
+import { LocalEmbeddingProvider, getLocalModelDir } from './localEmbeddingProvider.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Embedding provider interface. Every provider exposes:
+//   name                     provider identifier ('openai', 'local', 'hash')
+//   model                    model identifier, part of cache keys and index metadata
+//   dimension                vector length (null until the first embedding for some providers)
+//   maxBatchSize             most texts per embedBatch call
+//   cacheable                whether vectors are worth caching (false when they're cheaper to recompute)
+//   initialize()             load / connect, throws if unavailable
+//   embedBatch(texts)        -> one vector per text, in order
+// Batching, retries and caching live in EmbeddingService.
+
+const PROVIDERS = ['openai', 'local', 'hash'];
+
+// Which provider and model EMBEDDING_PROVIDER selects: 'openai', 'local',
+// 'hash' or 'auto' (OpenAI with an API client, else a local model if one is
+// installed, else the hash embedding). Nothing is loaded.
+export function resolveEmbeddingConfig({ openai = null, provider, model } = {}) {
+  const choice = (provider || process.env.EMBEDDING_PROVIDER || 'auto').toLowerCase();
+
+  if (choice !== 'auto' && !PROVIDERS.includes(choice)) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER: ${choice}. Use 'openai', 'local', 'hash' or 'auto'.`);
+  }
+
+  const name = choice !== 'auto' ? choice : openai ? 'openai' : localModelInstalled() ? 'local' : 'hash';
+  const defaults = {
+    openai: getOpenAIEmbeddingModel(),
+    local: `local:${path.basename(getLocalModelDir())}`,
+    hash: 'hash-384'
+  };
+
+  return { provider: name, model: model || defaults[name], explicit: choice !== 'auto' };
+}
+
+// Creates and initializes the provider resolveEmbeddingConfig picks. Pass
+// provider and model to load a specific one (e.g. the model a collection was
+// built with) instead of the configured one.
+export async function createEmbeddingProvider({ openai = null, provider, model } = {}) {
+  const config = resolveEmbeddingConfig({ openai, provider, model });
+
+  if (config.provider === 'openai') {
+    if (!openai) {
+      throw new Error('OpenAI embeddings need OPENAI_API_KEY to be set');
+    }
+    const instance = new OpenAIEmbeddingProvider({ openai, model: config.model });
+    await instance.initialize();
+    return instance;
+  }
+
+  if (config.provider === 'local') {
+    try {
+      const instance = new LocalEmbeddingProvider({ model: config.model });
+      await instance.initialize();
+      return instance;
+    } catch (error) {
+      if (config.explicit) {
+        throw error;
+      }
+      logger.warn(`Local embedding model not usable (${error.message}), using hash embeddings`);
+    }
+  }
+
+  if (!config.explicit) {
+    logger.warn('No embedding model available; using hash embeddings, so vector search quality will be poor. Install a local model (see LOCAL_EMBEDDING_MODEL) or set OPENAI_API_KEY.');
+  }
+  const instance = new HashEmbeddingProvider();
+  await instance.initialize();
+  return instance;
+}
+
+// Provider a model id belongs to ('local:<name>', 'hash-<n>', else an API model)
+export function providerForModel(model) {
+  if (model.startsWith('local:')) return 'local';
+  if (model.startsWith('hash-')) return 'hash';
+  return 'openai';
+}
+
+function localModelInstalled() {
+  return fs.existsSync(path.join(getLocalModelDir(), 'config.json'));
+}
+
+export function getOpenAIEmbeddingModel() {
+  return process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+}
+
+// What an OpenAI-compatible embeddings API takes for a model family, matched
+// by name: the most inputs per request, and extra request fields it needs
+const MODEL_FAMILIES = {
+  // Cohere models served through an OpenAI-compatible API need the type spelled out
+  cohere: { maxBatchSize: 96, request: { embedding_types: ['float'] } }
+};
+const DEFAULT_MODEL_FAMILY = { maxBatchSize: 2048, request: {} };
+
+export function getEmbeddingModelFamily(model) {
+  const key = Object.keys(MODEL_FAMILIES).find(family => (model || '').toLowerCase().includes(family));
+  return key ? MODEL_FAMILIES[key] : DEFAULT_MODEL_FAMILY;
+}
+
+// OpenAI (or any OpenAI-compatible) embeddings API
+export class OpenAIEmbeddingProvider {
+  constructor({ openai, model } = {}) {
+    this.name = 'openai';
+    this.openai = openai;
+    this.model = model || getOpenAIEmbeddingModel();
+    this.dimension = null;
+    this.cacheable = true;
+    const family = getEmbeddingModelFamily(this.model);
+    this.maxBatchSize = family.maxBatchSize;
+    this.requestFields = family.request;
+  }
+
+  async initialize() {
+    logger.info(`Using OpenAI embeddings (${this.model})`);
+  }
+
+  async embedBatch(texts) {
+    // Ask for floats explicitly: the SDK otherwise requests base64, which not
+    // every OpenAI-compatible server honours
+    const request = { model: this.model, input: texts, encoding_format: 'float', ...this.requestFields };
+
+    // The client's own retries are off; EmbeddingService handles backoff
+    const response = await this.openai.embeddings.create(request, { maxRetries: 0 });
+    const vectors = new Array(texts.length);
+    response.data.forEach(item => {
+      vectors[item.index] = item.embedding;
+    });
+
+    this.dimension = vectors[0]?.length || this.dimension;
+    return vectors;
+  }
+}
+
+// Hashes words into a fixed number of buckets. Needs no model, but retrieval
+// with it is barely better than keyword overlap; last resort only.
+export class HashEmbeddingProvider {
+  constructor({ dimensions = 384 } = {}) {
+    this.name = 'hash';
+    this.model = `hash-${dimensions}`;
+    this.dimension = dimensions;
+    this.maxBatchSize = Infinity;
+    this.cacheable = false;
+  }
+
+  async initialize() {
+    logger.info('Using hash embeddings');
+  }
+
+  async embedBatch(texts) {
+    return texts.map(text => this.embed(text));
+  }
+
+  embed(text) {
+    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
+    const embedding = new Array(this.dimension).fill(0);
+
+    words.forEach(word => {
+      const pos = Math.abs(simpleHash(word)) % this.dimension;
+      embedding[pos] += 1 / Math.sqrt(words.length);
+    });
+
+    // Normalize
+    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
+    return embedding.map(val => magnitude > 0 ? val / magnitude : 0);
+  }
+}
+
+function simpleHash(str) {
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return hash;
+}
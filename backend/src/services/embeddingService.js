@@ -0,0 +1,291 @@
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { once } from 'events';
+import readline from 'readline';
+import path from 'path';
+import crypto from 'crypto';
+import { APIConnectionError } from 'openai';
+import winston from 'winston';
+import { countTokens } from './contextBuilder.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Most texts per request unless the provider allows fewer. OpenAI accepts up
+// to 2048 inputs and 300k tokens per request; staying well inside both keeps
+// OpenAI-compatible providers with lower caps working too.
+const DEFAULT_BATCH_SIZE = 96;
+const DEFAULT_BATCH_TOKENS = 100000;
+
+// Retries per batch on rate limits, server errors and dropped connections
+const DEFAULT_MAX_RETRIES = 5;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 60000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Batched embedding requests with backoff, backed by a persistent cache keyed
+// by model and text hash, so unchanged text is never embedded twice. The
+// cache is an append-only JSON Lines file: one { key, embedding } per line,
+// shared by every model and compacted with compact(). Vectors come from an
+// embedding provider (see embeddingProviders.js).
+export class EmbeddingService {
+  constructor(options = {}) {
+    this.provider = options.provider;
+    this.model = this.provider.model;
+    this.cacheFile = options.cacheFile || process.env.EMBEDDING_CACHE_FILE || 'data/embedding_cache.jsonl';
+    this.batchSize = Math.min(
+      options.batchSize || parseInt(process.env.EMBEDDING_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE,
+      this.provider.maxBatchSize
+    );
+    this.batchTokens = options.batchTokens || parseInt(process.env.EMBEDDING_BATCH_TOKENS, 10) || DEFAULT_BATCH_TOKENS;
+    this.maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.cache = new Map();
+    this.pendingWrite = Promise.resolve();
+    this.stats = { cacheHits: 0, embedded: 0, requests: 0, retries: 0 };
+  }
+
+  get dimension() {
+    return this.provider.dimension;
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    await this.loadCache();
+    logger.info(`Embedding cache loaded (${this.cache.size} vectors from ${this.cacheFile})`);
+  }
+
+  // Reads the cache a line at a time (it can outgrow the longest string V8
+  // will hold), keeping only this model's vectors
+  async loadCache() {
+    const prefix = `{"key":${JSON.stringify(`${this.model}:`).slice(0, -1)}`;
+    let skipped = 0;
+
+    try {
+      for await (const line of readCacheLines(this.cacheFile)) {
+        if (!line.startsWith(prefix)) continue;
+        try {
+          const { key, embedding } = JSON.parse(line);
+          this.cache.set(key, embedding);
+        } catch (error) {
+          // A line cut short by a crash mid-append
+          skipped++;
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read embedding cache ${this.cacheFile}, starting empty: ${error.message}`);
+      }
+      return;
+    }
+
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} unreadable embedding cache entries`);
+    }
+  }
+
+  cacheKey(text) {
+    return embeddingCacheKey(this.model, text);
+  }
+
+  // Rewrites the cache file with only the entries whose keys are in liveKeys
+  // (a Set, covering every model worth keeping) and drops the rest from
+  // memory. Runs after pending appends and ahead of later ones; resolves to
+  // { kept, removed }, or null when the file couldn't be rewritten.
+  compact(liveKeys) {
+    const run = async () => {
+      const tempFile = `${this.cacheFile}.tmp`;
+      const output = createWriteStream(tempFile);
+      let kept = 0;
+      let removed = 0;
+
+      try {
+        for await (const line of readCacheLines(this.cacheFile)) {
+          if (!line.trim()) continue;
+          if (!liveKeys.has(lineKey(line))) {
+            removed++;
+            continue;
+          }
+          kept++;
+          if (!output.write(line + '\n')) {
+            await once(output, 'drain');
+          }
+        }
+        output.end();
+        await once(output, 'finish');
+      } catch (error) {
+        output.destroy();
+        await fs.rm(tempFile, { force: true });
+        if (error.code === 'ENOENT') return { kept: 0, removed: 0 };
+        throw error;
+      }
+
+      await fs.rename(tempFile, this.cacheFile);
+      for (const key of this.cache.keys()) {
+        if (!liveKeys.has(key)) this.cache.delete(key);
+      }
+      return { kept, removed };
+    };
+
+    const compaction = this.pendingWrite.then(run).catch(error => {
+      logger.error('Error compacting embedding cache:', error);
+      return null;
+    });
+    this.pendingWrite = compaction;
+    return compaction;
+  }
+
+  appendToCache(entries) {
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    this.pendingWrite = this.pendingWrite
+      .then(() => fs.appendFile(this.cacheFile, lines))
+      .catch(error => logger.error('Error writing embedding cache:', error));
+    return this.pendingWrite;
+  }
+
+  // Embeds texts in order. Cached vectors are reused; the rest are sent in
+  // batches and cached, unless cache is false (one-off text such as queries)
+  // or the provider's vectors aren't worth caching. onProgress({ completed,
+  // total }) counts cached texts as done. Throws once a batch has used up its retries.
+  async embed(texts, { onProgress, cache = this.provider.cacheable } = {}) {
+    const keys = texts.map(text => this.cacheKey(text));
+    const embeddings = new Array(texts.length);
+    const missing = [];
+
+    texts.forEach((text, index) => {
+      const cached = this.cache.get(keys[index]);
+      if (cached) {
+        embeddings[index] = cached;
+      } else {
+        missing.push(index);
+      }
+    });
+
+    let completed = texts.length - missing.length;
+    this.stats.cacheHits += completed;
+    if (onProgress && completed > 0) {
+      onProgress({ completed, total: texts.length });
+    }
+
+    for (const batch of this.buildBatches(missing.map(index => texts[index]))) {
+      const indexes = batch.map(offset => missing[offset]);
+      const vectors = await this.requestEmbeddings(indexes.map(index => texts[index]));
+
+      indexes.forEach((index, position) => {
+        embeddings[index] = vectors[position];
+      });
+      if (cache) {
+        indexes.forEach((index, position) => this.cache.set(keys[index], vectors[position]));
+        await this.appendToCache(indexes.map((index, position) => ({
+          key: keys[index],
+          embedding: vectors[position]
+        })));
+      }
+
+      completed += indexes.length;
+      this.stats.embedded += indexes.length;
+      if (onProgress) {
+        onProgress({ completed, total: texts.length });
+      }
+    }
+
+    return embeddings;
+  }
+
+  // Groups texts (as offsets into the array) so each batch stays under both
+  // the input count and token limits
+  buildBatches(texts) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    texts.forEach((text, offset) => {
+      const tokens = countTokens(text, this.model);
+      if (current.length > 0 && (current.length >= this.batchSize || currentTokens + tokens > this.batchTokens)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(offset);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) {
+      batches.push(current);
+    }
+    return batches;
+  }
+
+  // One provider call (repeated texts are sent once), retried with backoff
+  async requestEmbeddings(texts) {
+    const unique = Array.from(new Set(texts));
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        this.stats.requests++;
+        const vectors = await this.provider.embedBatch(unique);
+        const byText = new Map(unique.map((text, index) => [text, vectors[index]]));
+        return texts.map(text => byText.get(text));
+
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.maxRetries) {
+          throw new Error(`Embedding request failed: ${error.message}`);
+        }
+
+        const delay = retryDelay(error, attempt);
+        this.stats.retries++;
+        logger.warn(`Embedding request failed (${error.status || error.code || error.message}), retrying in ${Math.round(delay / 1000)}s (${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async flush() {
+    await this.pendingWrite;
+  }
+}
+
+export function embeddingCacheKey(model, text) {
+  return `${model}:${crypto.createHash('sha256').update(text).digest('hex')}`;
+}
+
+function readCacheLines(file) {
+  return readline.createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+}
+
+// The key of a cache line, read without parsing the vector after it
+function lineKey(line) {
+  const match = line.match(/^\{"key":("(?:[^"\\]|\\.)*")/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Rate limits, server errors and connection failures are worth retrying;
+// bad requests, auth errors, an exhausted quota and local model errors are not
+function isRetryable(error) {
+  if (error instanceof APIConnectionError) {
+    return true;
+  }
+  if (error.code === 'insufficient_quota') {
+    return false;
+  }
+  return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+}
+
+// Exponential backoff with jitter, or the provider's Retry-After when it sends one
+function retryDelay(error, attempt) {
+  const retryAfter = parseFloat(error.headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, MAX_RETRY_DELAY_MS);
+  }
+
+  const exponential = Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+  return exponential / 2 + Math.random() * exponential / 2;
+}
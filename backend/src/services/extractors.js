@@ -0,0 +1,657 @@
+import path from 'path';
+import zlib from 'zlib';
+import JSZip from 'jszip';
+
+// Text extractors for formats that carry their structure as markup: HTML,
+// EPUB (XHTML chapters in a zip), ODT (OpenDocument XML in a zip) and RTF,
+// plus Apple Pages bundles. Each returns { content, headings } like
+// DocumentProcessor.extractContent: paragraphs separated by blank lines,
+// heading paragraphs listed in order ([{ level, text }]) for the chunker, and
+// horizontal rules written as "* * *" so they read as scene breaks.
+
+const SCENE_BREAK = '* * *';
+
+const HTML_BLOCKS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'header', 'li', 'main', 'ol', 'p', 'pre', 'section',
+  'table', 'td', 'th', 'tr', 'ul'
+]);
+const HTML_SKIPPED = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'math']);
+
+const ODT_BLOCKS = new Set(['text:p', 'text:list-item', 'table:table-row', 'table:table-cell']);
+// Footnote bodies, comments and tracked deletions would land mid-sentence
+const ODT_SKIPPED = new Set(['text:note', 'office:annotation', 'text:tracked-changes', 'text:sequence-decls']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’',
+  ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', copy: '©',
+  shy: '', zwnj: '', zwj: ''
+};
+
+export async function extractHtml(buffer) {
+  return collectParagraphs(walkMarkup(buffer.toString('utf8'), htmlRules));
+}
+
+// Chapters in spine (reading) order. A chapter file without a heading of its
+// own gets its table-of-contents title as one, so it still starts a section,
+// at the level of the last heading that the table of contents lists.
+export async function extractEpub(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const container = await readZipText(zip, 'META-INF/container.xml');
+  const opfPath = attribute(container.match(/<rootfile\b[^>]*>/)?.[0] || '', 'full-path');
+  if (!opfPath) {
+    throw new Error('Not an EPUB: META-INF/container.xml names no package file');
+  }
+
+  const opf = await readZipText(zip, opfPath);
+  const baseDir = path.posix.dirname(opfPath);
+  const resolve = (href) => path.posix.normalize(path.posix.join(baseDir, decodeURIComponent(href.split('#')[0])));
+
+  const manifest = new Map();
+  for (const [item] of opf.matchAll(/<item\b[^>]*>/g)) {
+    manifest.set(attribute(item, 'id'), {
+      href: resolve(attribute(item, 'href') || ''),
+      mediaType: attribute(item, 'media-type'),
+      properties: attribute(item, 'properties') || ''
+    });
+  }
+
+  const spine = Array.from(opf.matchAll(/<itemref\b[^>]*>/g))
+    .filter(([itemref]) => attribute(itemref, 'linear') !== 'no')
+    .map(([itemref]) => manifest.get(attribute(itemref, 'idref')))
+    .filter(item => item && /html/.test(item.mediaType || ''));
+  if (spine.length === 0) {
+    throw new Error('EPUB has no readable chapters');
+  }
+
+  const titles = await readEpubTitles(zip, Array.from(manifest.values()));
+  const tocTitles = new Set(titles.values());
+  const paragraphs = [];
+  let tocLevel = 1;
+
+  for (const item of spine) {
+    if (item.properties.includes('nav')) continue;
+
+    const markup = await readZipText(zip, item.href);
+    const chapter = walkMarkup(markup, htmlRules);
+    const title = titles.get(item.href);
+    if (title && !chapter.some(paragraph => paragraph.level)) {
+      chapter.unshift({ text: title, level: tocLevel });
+    }
+
+    chapter
+      .filter(paragraph => paragraph.level && tocTitles.has(paragraph.text))
+      .forEach(paragraph => { tocLevel = paragraph.level; });
+    paragraphs.push(...chapter);
+  }
+
+  return collectParagraphs(paragraphs);
+}
+
+export async function extractOdt(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const xml = await readZipText(zip, 'content.xml');
+  const body = xml.match(/<office:text\b[^>]*>([\s\S]*)<\/office:text>/)?.[1] ?? xml;
+  return collectParagraphs(walkMarkup(body, odtRules));
+}
+
+// A Pages document is a zip bundle. Its text is read from, in order of
+// preference: the body text storage in Index/Document.iwa (Pages 5 and
+// later), index.xml (Pages '09), or the QuickLook preview PDF, which readPdf
+// (DocumentProcessor.extractPdf) turns into { content, pageRanges }. When none
+// of them has text, the error says why for this file.
+export async function extractPages(buffer, { readPdf }) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new Error('This Pages file is not a single-file bundle (export it as PDF or DOCX, or save it in Pages as a single file)');
+  }
+
+  const reasons = [];
+
+  const iwa = zip.file('Index/Document.iwa');
+  if (iwa) {
+    try {
+      const content = readIwaBodyText(await iwa.async('nodebuffer'));
+      if (content) return { content };
+      reasons.push('Index/Document.iwa has no body text');
+    } catch (error) {
+      reasons.push(`Index/Document.iwa could not be decoded (${error.message})`);
+    }
+  }
+
+  const indexXml = zip.file('index.xml') || zip.file('index.xml.gz');
+  if (indexXml) {
+    let xml = await indexXml.async('nodebuffer');
+    if (indexXml.name.endsWith('.gz')) xml = zlib.gunzipSync(xml);
+    const body = xml.toString('utf8').match(/<sf:text-body\b[^>]*>([\s\S]*)<\/sf:text-body>/)?.[1];
+    const result = body ? collectParagraphs(walkMarkup(body, pages09Rules)) : null;
+    if (result?.content) return result;
+    reasons.push('index.xml has no body text');
+  }
+
+  const preview = zip.file('QuickLook/Preview.pdf') || zip.file('preview.pdf');
+  if (preview) {
+    const result = await readPdf(await preview.async('nodebuffer'));
+    if (result.content.trim()) return result;
+    reasons.push('the preview PDF has no text');
+  }
+
+  if (reasons.length === 0) {
+    reasons.push(zip.file('preview.jpg') ? 'it only has a preview image' : 'it has no document text or preview PDF');
+  }
+  throw new Error(`Could not read this Pages document: ${reasons.join('; ')}. Export it as PDF or DOCX instead.`);
+}
+
+// Headings are paragraphs whose style is named "heading N" in the stylesheet,
+// or that carry an outline level
+export async function extractRtf(buffer) {
+  const rtf = buffer.toString('latin1');
+  if (!rtf.startsWith('{\\rtf')) {
+    throw new Error('Not an RTF document');
+  }
+  return collectParagraphs(parseRtf(rtf));
+}
+
+// Joins paragraphs ({ text, level }) into content and the heading list
+function collectParagraphs(paragraphs) {
+  const kept = paragraphs.filter(paragraph => paragraph.text.length > 0);
+  return {
+    content: kept.map(paragraph => paragraph.text).join('\n\n'),
+    headings: kept
+      .filter(paragraph => paragraph.level)
+      .map(paragraph => ({ level: paragraph.level, text: paragraph.text }))
+  };
+}
+
+// Markup rules: block(tag) starts and ends a paragraph, heading(tag, openTag)
+// gives a heading level, skip(tag) drops the element with its content,
+// text(tag, openTag) is the text a self-closing element stands for, and
+// sceneBreak(tag, openTag) marks a break between scenes
+const htmlRules = {
+  block: (tag) => HTML_BLOCKS.has(tag),
+  heading: (tag) => (/^h[1-6]$/.test(tag) ? parseInt(tag[1], 10) : null),
+  skip: (tag) => HTML_SKIPPED.has(tag),
+  text: () => null,
+  sceneBreak: (tag) => tag === 'hr',
+  preformatted: (tag) => tag === 'pre'
+};
+
+// Pages '09 (index.xml): paragraphs and breaks inside sf:text-body
+const pages09Rules = {
+  block: (tag) => tag === 'sf:p' || tag === 'sf:pgbr' || tag === 'sf:sectbr',
+  heading: () => null,
+  skip: (tag) => tag === 'sf:footnote' || tag === 'sf:annotation' || tag === 'sf:attachments',
+  text: (tag) => {
+    if (tag === 'sf:tab') return '\t';
+    if (tag === 'sf:br' || tag === 'sf:lnbr' || tag === 'sf:crbr') return '\n';
+    return null;
+  },
+  sceneBreak: () => false,
+  preformatted: () => false
+};
+
+const odtRules = {
+  block: (tag) => ODT_BLOCKS.has(tag),
+  heading: (tag, openTag) => (tag === 'text:h' ? parseInt(attribute(openTag, 'text:outline-level'), 10) || 1 : null),
+  skip: (tag) => ODT_SKIPPED.has(tag),
+  text: (tag, openTag) => {
+    if (tag === 'text:s') return ' '.repeat(parseInt(attribute(openTag, 'text:c'), 10) || 1);
+    if (tag === 'text:tab') return '\t';
+    if (tag === 'text:line-break') return '\n';
+    return null;
+  },
+  sceneBreak: () => false,
+  preformatted: () => false
+};
+
+// Walks tags and text, returning the paragraphs ({ text, level }) in order
+function walkMarkup(markup, rules) {
+  const source = markup
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => escapeText(text))
+    .replace(/<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/gi, '');
+
+  const paragraphs = [];
+  let buffer = '';
+  let level = null;
+  let skipDepth = 0;
+  let skipTag = null;
+  let preDepth = 0;
+
+  const flush = () => {
+    // Line breaks only survive inside paragraphs; a heading is one line
+    const text = (preDepth > 0 || buffer.includes('\n')) && !level
+      ? buffer.split('\n').map(line => line.replace(/[ \t]+/g, ' ').trim()).join('\n').trim()
+      : buffer.replace(/\s+/g, ' ').trim();
+    if (text) {
+      paragraphs.push({ text, level });
+    }
+    buffer = '';
+    level = null;
+  };
+
+  for (const [token] of source.matchAll(/<[^>]*>|[^<]+/g)) {
+    if (!token.startsWith('<')) {
+      if (skipDepth === 0) {
+        const text = decodeEntities(token);
+        buffer += preDepth > 0 ? text : text.replace(/\s+/g, ' ');
+      }
+      continue;
+    }
+
+    const closing = token.startsWith('</');
+    const tag = (token.match(/^<\/?\s*([\w:.-]+)/)?.[1] || '').toLowerCase();
+    const selfClosing = token.endsWith('/>');
+
+    if (skipDepth > 0) {
+      if (tag === skipTag && !selfClosing) skipDepth += closing ? -1 : 1;
+      continue;
+    }
+    if (!closing && !selfClosing && rules.skip(tag)) {
+      skipDepth = 1;
+      skipTag = tag;
+      continue;
+    }
+
+    if (rules.sceneBreak(tag, token)) {
+      flush();
+      paragraphs.push({ text: SCENE_BREAK, level: null });
+      continue;
+    }
+
+    const replacement = closing ? null : rules.text(tag, token);
+    if (replacement !== null) {
+      buffer += replacement;
+      continue;
+    }
+
+    const headingLevel = rules.heading(tag, token);
+    if (headingLevel) {
+      flush();
+      if (!closing) level = headingLevel;
+      continue;
+    }
+
+    if (rules.preformatted(tag)) {
+      if (!closing) flush();
+      preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      if (closing) flush();
+      continue;
+    }
+
+    if (tag === 'br') {
+      buffer += '\n';
+    } else if (rules.block(tag)) {
+      flush();
+    }
+  }
+
+  flush();
+  return paragraphs;
+}
+
+// Chapter titles from the EPUB 3 navigation document or the EPUB 2 NCX, by
+// chapter file; the first entry pointing into a file wins
+async function readEpubTitles(zip, items) {
+  const titles = new Map();
+  const nav = items.find(item => item.properties.includes('nav'));
+  const ncx = items.find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+  if (nav) {
+    const markup = await readZipText(zip, nav.href).catch(() => '');
+    const toc = markup.match(/<nav\b[^>]*epub:type="toc"[^>]*>([\s\S]*?)<\/nav>/)?.[1] || markup;
+    for (const [, href, label] of toc.matchAll(/<a\b[^>]*href="([^"]+)"[^>]*>([\s\S]*?)<\/a>/g)) {
+      addTitle(titles, resolveRelative(nav.href, href), label);
+    }
+  } else if (ncx) {
+    const markup = await readZipText(zip, ncx.href).catch(() => '');
+    for (const [, label, src] of markup.matchAll(/<navLabel>\s*<text>([\s\S]*?)<\/text>\s*<\/navLabel>\s*<content\b[^>]*src="([^"]+)"/g)) {
+      addTitle(titles, resolveRelative(ncx.href, src), label);
+    }
+  }
+
+  return titles;
+
+  function resolveRelative(fromFile, href) {
+    return path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), decodeURIComponent(href.split('#')[0])));
+  }
+}
+
+function addTitle(titles, file, label) {
+  const text = decodeEntities(label.replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+  if (text && !titles.has(file)) {
+    titles.set(file, text);
+  }
+}
+
+async function readZipText(zip, name) {
+  const file = zip.file(name);
+  if (!file) {
+    throw new Error(`Missing ${name}`);
+  }
+  return file.async('string');
+}
+
+function attribute(tag, name) {
+  const escaped = name.replace(/[.:-]/g, match => `\\${match}`);
+  const match = tag.match(new RegExp(`\\s${escaped}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  return match ? decodeEntities(match[1] ?? match[2]) : null;
+}
+
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// RTF
+
+// Destinations whose content isn't document text
+const RTF_SKIPPED = new Set([
+  'fonttbl', 'colortbl', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+  'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'annotation', 'fldinst', 'themedata',
+  'colorschememapping', 'latentstyles', 'datastore', 'xmlnstbl', 'listtable', 'listoverridetable',
+  'rsidtbl', 'generator', 'filetbl', 'revtbl', 'pgdsctbl', 'shppict', 'nonshppict', 'bkmkstart', 'bkmkend'
+]);
+
+const RTF_SYMBOLS = {
+  emdash: '—', endash: '–', lquote: '‘', rquote: '’',
+  ldblquote: '“', rdblquote: '”', bullet: '•', tab: '\t', line: '\n',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+const windows1252 = new TextDecoder('windows-1252');
+
+function parseRtf(rtf) {
+  const paragraphs = [];
+  const styles = new Map(); // style number -> name
+  const stack = [];
+  let state = { skip: false, stylesheet: false, inStyle: false, unicodeSkip: 1, style: 0, outlineLevel: null };
+  let buffer = '';
+  let styleEntry = null; // style being read inside the stylesheet
+  let pendingSkip = 0; // fallback characters still to drop after \uN
+
+  const headingLevel = () => {
+    if (state.outlineLevel !== null) return state.outlineLevel + 1;
+    const name = styles.get(state.style) || '';
+    const match = name.match(/^heading\s*(\d)/i);
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  const endParagraph = () => {
+    const text = buffer.replace(/[ \t]+/g, ' ').split('\n').map(line => line.trim()).join('\n').trim();
+    if (text) {
+      paragraphs.push({ text, level: headingLevel() });
+    }
+    buffer = '';
+  };
+
+  const append = (text) => {
+    if (state.skip) return;
+    if (state.stylesheet) {
+      if (styleEntry) styleEntry.name += text;
+    } else {
+      buffer += text;
+    }
+  };
+
+  const tokens = /\\([a-z]+)(-?\d+)? ?|\\'([0-9a-f]{2})|\\([^a-z])|([{}])|([^\\{}\r\n]+)|[\r\n]+/gi;
+  let match;
+  while ((match = tokens.exec(rtf))) {
+    const [, word, param, hex, symbol, brace, text] = match;
+    if (!word && !hex && !symbol && !brace && text === undefined) continue; // source line breaks
+
+    if (pendingSkip > 0 && (text !== undefined || hex || symbol)) {
+      if (text !== undefined) {
+        const dropped = Math.min(pendingSkip, text.length);
+        pendingSkip -= dropped;
+        if (dropped < text.length) append(text.slice(dropped));
+      } else {
+        pendingSkip--;
+      }
+      continue;
+    }
+    pendingSkip = 0;
+
+    if (brace === '{') {
+      stack.push(state);
+      state = { ...state };
+      // Each group directly inside the stylesheet defines one style
+      if (state.stylesheet && !state.inStyle) {
+        state.inStyle = true;
+        styleEntry = { number: 0, name: '', paragraph: true };
+      }
+    } else if (brace === '}') {
+      const parent = stack.pop() || state;
+      if (state.inStyle && !parent.inStyle && styleEntry) {
+        if (styleEntry.paragraph) {
+          styles.set(styleEntry.number, styleEntry.name.replace(/;\s*$/, '').trim());
+        }
+        styleEntry = null;
+      }
+      state = parent;
+    } else if (text !== undefined) {
+      append(text);
+    } else if (hex) {
+      append(windows1252.decode(Uint8Array.of(parseInt(hex, 16))));
+    } else if (symbol) {
+      if (symbol === '*') {
+        state.skip = true;
+      } else if (symbol === '~') {
+        append(' ');
+      } else if (symbol === '\\' || symbol === '{' || symbol === '}') {
+        append(symbol);
+      } else if (symbol === '_') {
+        append('‑');
+      } else if (symbol === '\n' || symbol === '\r') {
+        // "\" at the end of a line is a paragraph mark
+        if (!state.skip && !state.stylesheet) endParagraph();
+      }
+    } else if (word) {
+      const value = param === undefined ? null : parseInt(param, 10);
+
+      if (RTF_SKIPPED.has(word)) {
+        state.skip = true;
+      } else if (word === 'stylesheet') {
+        state.stylesheet = true;
+      } else if (word === 'uc') {
+        state.unicodeSkip = value ?? 1;
+      } else if (word === 'u') {
+        append(String.fromCharCode(value < 0 ? value + 65536 : value));
+        pendingSkip = state.unicodeSkip;
+      } else if (word === 's' && state.inStyle && styleEntry) {
+        styleEntry.number = value ?? 0;
+      } else if ((word === 'cs' || word === 'ds' || word === 'ts') && state.inStyle && styleEntry) {
+        // Character, section and table styles are numbered separately
+        styleEntry.paragraph = false;
+      } else if (word === 's') {
+        state.style = value ?? 0;
+      } else if (word === 'outlinelevel') {
+        state.outlineLevel = value;
+      } else if (word === 'pard') {
+        state.style = 0;
+        state.outlineLevel = null;
+      } else if (word === 'par' || word === 'sect' || word === 'page') {
+        if (!state.skip && !state.stylesheet) endParagraph();
+      } else if (RTF_SYMBOLS[word] !== undefined) {
+        append(RTF_SYMBOLS[word]);
+      }
+    }
+  }
+
+  endParagraph();
+  return paragraphs;
+}
+
+// Apple iWork archives (IWA)
+
+// TSWP.StorageArchive: field 1 is its kind (0 = the document body), field 3 its text
+const STORAGE_ARCHIVE_TYPES = new Set([2001, 2005]);
+const STORAGE_KIND_BODY = 0;
+
+// An .iwa file is a series of Snappy-compressed chunks (a 0x00 byte and a
+// 3-byte little-endian length each) holding length-prefixed protobuf
+// ArchiveInfo headers, each followed by the messages it describes
+function readIwaBodyText(buffer) {
+  const parts = [];
+  for (let position = 0; position < buffer.length;) {
+    if (buffer[position] !== 0) {
+      throw new Error('unexpected chunk header');
+    }
+    const length = buffer[position + 1] | (buffer[position + 2] << 8) | (buffer[position + 3] << 16);
+    if (position + 4 + length > buffer.length) {
+      throw new Error('truncated chunk');
+    }
+    parts.push(decompressSnappy(buffer.subarray(position + 4, position + 4 + length)));
+    position += 4 + length;
+  }
+  const data = Buffer.concat(parts);
+
+  const texts = [];
+  for (let position = 0; position < data.length;) {
+    const [infoLength, infoStart] = readVarint(data, position);
+    const info = readProtobuf(data.subarray(infoStart, infoStart + infoLength));
+    position = infoStart + infoLength;
+
+    for (const messageInfo of info.filter(field => field.number === 2)) {
+      const fields = readProtobuf(messageInfo.value);
+      const type = fields.find(field => field.number === 1)?.value;
+      const length = fields.find(field => field.number === 3)?.value || 0;
+      const payload = data.subarray(position, position + length);
+      position += length;
+
+      if (STORAGE_ARCHIVE_TYPES.has(type)) {
+        const storage = readProtobuf(payload);
+        if (storage.find(field => field.number === 1)?.value === STORAGE_KIND_BODY) {
+          texts.push(...storage.filter(field => field.number === 3).map(field => field.value.toString('utf8')));
+        }
+      }
+    }
+  }
+
+  // Paragraph, line and section breaks become blank lines; attachment
+  // placeholders and other control characters go
+  return texts.join('\n')
+    .replace(/[\u2028\u2029\u0004\u000c]/g, '\n')
+    .replace(/[\ufffc\u0000-\u0008\u000b\u000e-\u001f]/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .join('\n\n');
+}
+
+function decompressSnappy(input) {
+  const [length, start] = readVarint(input, 0);
+  const output = Buffer.alloc(length);
+  let position = start;
+  let outputPosition = 0;
+
+  while (position < input.length) {
+    const tag = input[position++];
+    const elementType = tag & 3;
+
+    if (elementType === 0) {
+      // Literal; lengths over 60 follow the tag in 1-4 bytes
+      let literalLength = tag >> 2;
+      if (literalLength >= 60) {
+        const bytes = literalLength - 59;
+        literalLength = 0;
+        for (let i = 0; i < bytes; i++) literalLength += input[position++] * 2 ** (8 * i);
+      }
+      literalLength += 1;
+      if (position + literalLength > input.length || outputPosition + literalLength > length) {
+        throw new Error('corrupt compressed data');
+      }
+      input.copy(output, outputPosition, position, position + literalLength);
+      position += literalLength;
+      outputPosition += literalLength;
+      continue;
+    }
+
+    // Copies are followed by a 1, 2 or 4-byte offset
+    if (position + 2 ** (elementType - 1) > input.length) {
+      throw new Error('corrupt compressed data');
+    }
+    let copyLength;
+    let offset;
+    if (elementType === 1) {
+      copyLength = ((tag >> 2) & 7) + 4;
+      offset = ((tag >> 5) << 8) | input[position++];
+    } else if (elementType === 2) {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt16LE(position);
+      position += 2;
+    } else {
+      copyLength = (tag >> 2) + 1;
+      offset = input.readUInt32LE(position);
+      position += 4;
+    }
+    if (offset === 0 || offset > outputPosition || outputPosition + copyLength > length) {
+      throw new Error('corrupt compressed data');
+    }
+    // Byte by byte: a copy may overlap the bytes it produces
+    for (let i = 0; i < copyLength; i++, outputPosition++) {
+      output[outputPosition] = output[outputPosition - offset];
+    }
+  }
+
+  return output;
+}
+
+function readVarint(buffer, position) {
+  let value = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (position >= buffer.length) {
+      throw new Error('truncated varint');
+    }
+    byte = buffer[position++];
+    value += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return [value, position];
+}
+
+// Top-level fields of a protobuf message: [{ number, value }], value being a
+// number for varints and a Buffer for length-delimited fields
+function readProtobuf(buffer) {
+  const fields = [];
+  let position = 0;
+
+  while (position < buffer.length) {
+    const [key, valueStart] = readVarint(buffer, position);
+    const number = Math.floor(key / 8);
+    const wireType = key % 8;
+    position = valueStart;
+
+    if (wireType === 0) {
+      const [value, next] = readVarint(buffer, position);
+      fields.push({ number, value });
+      position = next;
+    } else if (wireType === 2) {
+      const [length, start] = readVarint(buffer, position);
+      fields.push({ number, value: buffer.subarray(start, start + length) });
+      position = start + length;
+    } else if (wireType === 1) {
+      position += 8;
+    } else if (wireType === 5) {
+      position += 4;
+    } else {
+      throw new Error(`unsupported protobuf wire type ${wireType}`);
+    }
+  }
+
+  return fields;
+}
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+
+// Content fingerprints for spotting re-uploads of the same text. A document's
+// fingerprint is { contentHash, minhash }: a hash of its normalized text for
+// exact duplicates, and a MinHash signature over word shingles whose
+// agreement estimates the Jaccard similarity of two texts (near-duplicates,
+// such as a revised draft of the same manuscript).
+
+// Words per shingle
+const SHINGLE_SIZE = 5;
+// Hash functions in a signature; the estimate's error is about 1/sqrt(128)
+const SIGNATURE_SIZE = 128;
+
+// One seed per hash function, fixed because signatures are stored and
+// compared across restarts
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, index) =>
+  crypto.createHash('sha256').update(`minhash-${index}`).digest().readUInt32LE(0)
+);
+
+// Share of shingles an upload must have in common with a stored document to
+// be flagged as a near-duplicate (NEAR_DUPLICATE_THRESHOLD, 0-1)
+const DEFAULT_DUPLICATE_THRESHOLD = 0.5;
+
+export function getDuplicateThreshold() {
+  const threshold = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD);
+  return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_DUPLICATE_THRESHOLD;
+}
+
+// Case, punctuation and whitespace differences don't make a new text
+function normalize(text) {
+  return (text || '').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+export function fingerprintText(text) {
+  const words = normalize(text);
+  return {
+    contentHash: crypto.createHash('sha256').update(words.join(' ')).digest('hex'),
+    minhash: computeMinhash(words)
+  };
+}
+
+// Estimated share of shingles two fingerprints have in common (0-1); 1 when
+// the normalized texts are identical
+export function estimateSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a.contentHash === b.contentHash) return 1;
+  if (!a.minhash?.length || a.minhash.length !== b.minhash?.length) return 0;
+
+  const matching = a.minhash.filter((value, index) => value === b.minhash[index]).length;
+  return matching / a.minhash.length;
+}
+
+function computeMinhash(words) {
+  const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+  const shingles = new Set();
+
+  // Texts shorter than a shingle are one shingle
+  for (let index = 0; index <= Math.max(0, words.length - SHINGLE_SIZE); index++) {
+    shingles.add(words.slice(index, index + SHINGLE_SIZE).join(' '));
+  }
+
+  for (const shingle of shingles) {
+    const value = hashShingle(shingle);
+    for (let index = 0; index < SIGNATURE_SIZE; index++) {
+      const hashed = mix(value ^ SEEDS[index]);
+      if (hashed < signature[index]) signature[index] = hashed;
+    }
+  }
+
+  return words.length > 0 ? signature : [];
+}
+
+// 32-bit FNV-1a
+function hashShingle(shingle) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < shingle.length; index++) {
+    hash ^= shingle.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// MurmurHash3's 32-bit finalizer: spreads each seeded value over all 32 bits
+function mix(value) {
+  let hash = value;
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
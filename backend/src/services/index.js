@@ -1,7 +1,14 @@
 import { DocumentProcessor } from './documentProcessor.js';
 import { RAGService } from './ragService.js';
-import { VectorStore } from './vectorStore.js';
+import { createVectorStore } from './vectorStore.js';
 import { DigitalPersonaService } from './digitalPersonaService.js';
+import { ConversationService } from './conversationService.js';
+import { JobQueue } from './jobQueue.js';
+import { INGEST_DOCUMENT_JOB, createIngestionStages, cleanUpIngestionJob } from './ingestionJobs.js';
+import { CollectionRegistry } from './collectionRegistry.js';
+import { ProjectService } from './projectService.js';
+import { MIGRATE_EMBEDDINGS_JOB, createMigrationStages } from './embeddingMigration.js';
+import { REINDEX_DOCUMENTS_JOB, createReindexStages } from './reindexJobs.js';
 import { initializeMCPClient, getMCPClient } from './mcpClient.js';
 import winston from 'winston';
 
@@ -15,7 +22,11 @@ const logger = winston.createLogger({
 let documentProcessor = null;
 let ragService = null;
 let vectorStore = null;
+let collections = null;
+let projectService = null;
 let digitalPersonaService = null;
+let conversationService = null;
+let jobQueue = null;
 let mcpClient = null;
 
 export async function initializeServices() {
@@ -24,18 +35,54 @@ export async function initializeServices() {
 
     // Initialize Document Processor
     documentProcessor = new DocumentProcessor();
+    await documentProcessor.storageReady;
     logger.info('Document processor initialized');
 
-    // Initialize Vector Store
-    vectorStore = new VectorStore();
-    await vectorStore.initialize();
-    logger.info('Vector store initialized');
+    // Initialize Project Service (projects documents are grouped into)
+    projectService = new ProjectService();
+    await projectService.initialize();
+    logger.info('Project service initialized');
+
+    // Initialize Collection Registry (which versioned collection is active)
+    collections = new CollectionRegistry();
+    await collections.initialize();
+    logger.info('Collection registry initialized');
+
+    // Initialize Vector Store (backend chosen by VECTOR_BACKEND)
+    vectorStore = await createVectorStore({ collectionName: collections.getActive().name });
+    logger.info(`Vector store initialized (${vectorStore.name})`);
 
     // Initialize RAG Service
-    ragService = new RAGService();
+    ragService = new RAGService({ vectorStore, collections, documentProcessor });
     await ragService.initialize();
     logger.info('RAG service initialized');
 
+    // Make sure the local index covers every stored document
+    await ragService.syncVectorStore(Array.from(documentProcessor.documents.values()));
+
+    // Drop cached vectors nothing stored uses any more, before a resumed
+    // migration starts appending to the cache
+    await ragService.compactEmbeddingCache(Array.from(documentProcessor.documents.values()));
+
+    // Initialize Conversation Service (multi-turn sessions on top of RAG)
+    conversationService = new ConversationService({ ragService });
+    await conversationService.initialize();
+    logger.info('Conversation service initialized');
+
+    // Initialize Job Queue (background ingestion and embedding migrations; resumes interrupted jobs)
+    jobQueue = new JobQueue();
+    jobQueue.registerType(INGEST_DOCUMENT_JOB, createIngestionStages({ documentProcessor, ragService }), {
+      cleanUp: job => cleanUpIngestionJob(job, documentProcessor)
+    });
+    jobQueue.registerType(MIGRATE_EMBEDDINGS_JOB, createMigrationStages({ documentProcessor, ragService, collections }));
+    jobQueue.registerType(REINDEX_DOCUMENTS_JOB, createReindexStages({ documentProcessor, ragService }));
+    await jobQueue.initialize();
+    logger.info('Job queue initialized');
+
+    // Documents indexed before chunks carried upload times are re-indexed in
+    // the background, so startup doesn't wait on the whole library
+    await queueUploadTimeBackfill();
+
     // Initialize MCP Client
     try {
       mcpClient = await initializeMCPClient();
@@ -66,6 +113,18 @@ export async function initializeServices() {
   }
 }
 
+async function queueUploadTimeBackfill() {
+  const pending = jobQueue.listJobs({ status: 'queued,running,waiting', type: REINDEX_DOCUMENTS_JOB })
+    .some(job => job.payload.reason === 'upload-times');
+  if (pending) return;
+
+  const documentIds = await ragService.findUndatedDocuments(Array.from(documentProcessor.documents.values()));
+  if (documentIds.length > 0) {
+    await jobQueue.enqueue(REINDEX_DOCUMENTS_JOB, { documentIds, reason: 'upload-times' });
+    logger.info(`Queued re-indexing of ${documentIds.length} documents to store their upload times`);
+  }
+}
+
 export function getDocumentProcessor() {
   if (!documentProcessor) {
     throw new Error('Document processor not initialized');
@@ -84,7 +143,8 @@ export function getVectorStore() {
   if (!vectorStore) {
     throw new Error('Vector store not initialized');
   }
-  return vectorStore;
+  // The RAG service may have fallen back to the local store at runtime
+  return ragService ? ragService.vectorStore : vectorStore;
 }
 
 export function getDigitalPersonaService() {
@@ -94,6 +154,34 @@ export function getDigitalPersonaService() {
   return digitalPersonaService;
 }
 
+export function getConversationService() {
+  if (!conversationService) {
+    throw new Error('Conversation service not initialized');
+  }
+  return conversationService;
+}
+
+export function getCollectionRegistry() {
+  if (!collections) {
+    throw new Error('Collection registry not initialized');
+  }
+  return collections;
+}
+
+export function getProjectService() {
+  if (!projectService) {
+    throw new Error('Project service not initialized');
+  }
+  return projectService;
+}
+
+export function getJobQueue() {
+  if (!jobQueue) {
+    throw new Error('Job queue not initialized');
+  }
+  return jobQueue;
+}
+
 export function getMCPClientInstance() {
   return mcpClient; // Can be null if initialization failed
 }
@@ -102,8 +190,17 @@ export async function shutdownServices() {
   try {
     logger.info('Shutting down services...');
 
+    if (jobQueue) {
+      await jobQueue.shutdown();
+    }
+
     if (ragService) {
       await ragService.saveQueryHistory();
+      await ragService.embeddings?.flush();
+    }
+
+    if (conversationService) {
+      await conversationService.saveSessions();
     }
 
     if (documentProcessor) {
@@ -111,7 +208,7 @@ export async function shutdownServices() {
     }
 
     if (vectorStore) {
-      await vectorStore.close();
+      await getVectorStore().close();
     }
 
     if (mcpClient) {
@@ -144,12 +241,41 @@ export async function getServicesHealth() {
       status: ragService && ragService.isInitialized ? 'healthy' : 'not_initialized',
       queryHistoryCount: ragService ? ragService.queryHistory.size : 0,
       hasOpenAI: ragService && ragService.openai ? true : false,
-      hasVectorStore: ragService && ragService.collection ? true : false
+      llmProviders: ragService ? Array.from(ragService.llms.keys()) : [],
+      defaultLLMProvider: ragService ? ragService.defaultLLM : null,
+      hasVectorStore: ragService && ragService.vectorStore ? true : false,
+      embeddingProvider: ragService && ragService.embeddings ? ragService.embeddings.provider.name : null,
+      embeddingModel: ragService && ragService.embeddings ? ragService.embeddings.model : null,
+      embeddingCacheSize: ragService && ragService.embeddings ? ragService.embeddings.cache.size : 0,
+      embeddingError: ragService ? ragService.embeddingsUnavailable : null
+    };
+
+    // Check Conversation Service
+    health.services.conversationService = {
+      status: conversationService && conversationService.isInitialized ? 'healthy' : 'not_initialized',
+      sessionsCount: conversationService ? conversationService.sessions.size : 0
+    };
+
+    // Check Project Service
+    health.services.projectService = {
+      status: projectService && projectService.isInitialized ? 'healthy' : 'not_initialized',
+      projectsCount: projectService ? projectService.projects.size : 0
+    };
+
+    // Check Job Queue
+    health.services.jobQueue = {
+      status: jobQueue && jobQueue.isInitialized ? 'healthy' : 'not_initialized',
+      queuedJobs: jobQueue ? jobQueue.listJobs({ status: 'queued' }).length : 0,
+      runningJobs: jobQueue ? jobQueue.listJobs({ status: 'running' }).length : 0
     };
 
     // Check Vector Store
+    const activeVectorStore = vectorStore ? getVectorStore() : null;
     health.services.vectorStore = {
-      status: vectorStore && vectorStore.isInitialized ? 'healthy' : 'not_initialized'
+      status: activeVectorStore && activeVectorStore.isInitialized ? 'healthy' : 'not_initialized',
+      backend: activeVectorStore ? activeVectorStore.name : null,
+      collection: activeVectorStore ? activeVectorStore.collectionName : null,
+      vectorsCount: activeVectorStore ? await activeVectorStore.count() : 0
     };
 
     // Check Digital Persona Service
@@ -0,0 +1,130 @@
+import fs from 'fs/promises';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+export const INGEST_DOCUMENT_JOB = 'ingest-document';
+
+// What an upload whose text matches a stored document can do: be dropped,
+// replace the stored document, become its next version, or be added as an
+// unrelated document. 'ask' (the default) waits for the user to pick one.
+export const DUPLICATE_ACTIONS = ['skip', 'replace', 'version', 'new'];
+
+// Stages for turning an uploaded file into an indexed document. The payload
+// is the file info from the upload ({ id, filename, filepath, mimetype, size,
+// uploadedAt, onDuplicate, projectId }); the document id is assigned up front so every
+// stage, and a resumed job, works on the same document.
+export function createIngestionStages({ documentProcessor, ragService }) {
+  return [
+    {
+      // Text extraction (with OCR of scanned pages, which reports progress per
+      // page), chunking and the duplicate check; the document is saved when
+      // this finishes
+      name: 'extract',
+      run: async (job, { progress, input, requestInput }) => {
+        progress(0, 1);
+        const documentInfo = await documentProcessor.extractDocument(job.payload, {
+          onProgress: ({ completed, total }) => progress(completed, total)
+        });
+
+        // An answer holds for the document it was asked about (duplicateOf); if
+        // that one was deleted while the job waited, the upload is matched
+        // against what is left and asked about again
+        const duplicate = documentProcessor.findDuplicate(documentInfo);
+        const answer = input.duplicateOf && input.duplicateOf !== duplicate?.documentId ? null : input.action;
+        const action = duplicate ? answer || job.payload.onDuplicate || 'ask' : 'new';
+
+        if (action === 'ask') {
+          requestInput({
+            reason: 'duplicate',
+            message: duplicate.exact
+              ? `"${job.payload.filename}" has the same text as "${duplicate.filename}"`
+              : `"${job.payload.filename}" looks like a revision of "${duplicate.filename}" (${Math.round(duplicate.similarity * 100)}% similar)`,
+            duplicate,
+            options: DUPLICATE_ACTIONS
+          });
+        }
+
+        if (action === 'skip') {
+          documentProcessor.discardExtracted(documentInfo.id);
+          await removeUpload(job.payload.filepath);
+          progress(1, 1);
+          return { skipped: true, duplicate };
+        }
+
+        const matched = duplicate && await documentProcessor.getDocument(duplicate.documentId);
+        if ((action === 'replace' || action === 'version') && !matched) {
+          requestInput({
+            reason: 'duplicate',
+            message: `"${duplicate.filename}" was deleted, so "${job.payload.filename}" can only be skipped or added as a new document`,
+            duplicate,
+            options: ['skip', 'new']
+          });
+        }
+
+        if (action === 'replace') {
+          await documentProcessor.storeDocument(documentInfo, { replaces: matched.id });
+          await ragService.removeDocument(matched.id);
+          if (matched.filepath) await removeUpload(matched.filepath);
+        } else {
+          await documentProcessor.storeDocument(documentInfo, {
+            versionOf: action === 'version' ? duplicate.documentId : null
+          });
+        }
+        progress(1, 1);
+
+        return {
+          documentId: documentInfo.id,
+          pages: documentInfo.pages,
+          wordCount: documentInfo.wordCount,
+          chunks: documentInfo.chunks.length,
+          ...(duplicate && { duplicate, action }),
+          ...(documentInfo.version && { version: documentInfo.version.number })
+        };
+      }
+    },
+    {
+      // Embedding and indexing; unchanged chunks from an earlier attempt are skipped
+      name: 'embed',
+      run: async (job, { progress }) => {
+        if (job.stages[0].result?.skipped) {
+          return { skipped: true };
+        }
+
+        const documentInfo = await documentProcessor.getDocument(job.payload.id);
+        if (!documentInfo) {
+          throw new Error('Document not found');
+        }
+
+        progress(0, documentInfo.chunks.length);
+        const report = await ragService.addDocument(documentInfo, {
+          onProgress: ({ completed, total }) => progress(completed, total)
+        });
+        progress(report.chunks, report.chunks);
+
+        return report;
+      }
+    }
+  ];
+}
+
+// Removes the uploaded file of an ingestion job that never produced a document
+export async function cleanUpIngestionJob(job, documentProcessor) {
+  if (job.type !== INGEST_DOCUMENT_JOB || !job.payload?.filepath) return;
+  if (await documentProcessor.getDocument(job.payload.id)) return;
+
+  documentProcessor.discardExtracted(job.payload.id);
+  await removeUpload(job.payload.filepath);
+}
+
+async function removeUpload(filepath) {
+  try {
+    await fs.unlink(filepath);
+  } catch (error) {
+    logger.warn(`Could not remove upload ${filepath}: ${error.message}`);
+  }
+}
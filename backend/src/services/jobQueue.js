@@ -0,0 +1,383 @@
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Attempts per stage before the job is marked failed
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Wait before retrying a stage; doubles with each attempt
+const RETRY_DELAY_MS = 1000;
+
+// Progress updates are written to disk at most this often
+const PROGRESS_SAVE_INTERVAL_MS = 1000;
+
+// Finished jobs kept on disk for status lookups
+const MAX_FINISHED_JOBS = 200;
+
+// Failed jobs kept for retrying: the newest ones, for up to a week
+const MAX_FAILED_JOBS = 50;
+const FAILED_JOB_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Thrown by requestInput to stop a stage until provideInput is called
+class InputRequest extends Error {
+  constructor(request) {
+    super(request.message || 'Waiting for input');
+    this.request = request;
+  }
+}
+
+// Background job queue persisted to data/jobs.json. Each job type is a list of
+// named stages run in order; a stage is retried with backoff, and a finished
+// stage is never run again, so jobs interrupted by a restart (or retried after
+// failing) pick up at the stage they were in. Stages must therefore be safe to
+// re-run from the start. A stage can also stop to ask the user something
+// (requestInput); the job then waits, without holding up the queue, until
+// provideInput re-runs the stage with the answer in job.input.
+export class JobQueue {
+  constructor(options = {}) {
+    this.jobsFile = options.jobsFile || 'data/jobs.json';
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.retryDelayMs = options.retryDelayMs ?? RETRY_DELAY_MS;
+    this.jobs = new Map();
+    this.types = new Map();
+    this.cleanUps = new Map();
+    this.running = null;
+    this.stopped = false;
+    this.lastProgressSave = 0;
+    this.isInitialized = false;
+  }
+
+  // stages: [{ name, run: async (job, { progress, input, requestInput }) => result }]
+  // cleanUp(job), if given, releases what a job leaves behind (e.g. an upload)
+  // once it is deleted or pruned
+  registerType(type, stages, { cleanUp } = {}) {
+    this.types.set(type, stages);
+    if (cleanUp) this.cleanUps.set(type, cleanUp);
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.jobsFile), { recursive: true });
+    await this.loadJobs();
+    this.isInitialized = true;
+
+    // Jobs that were running when the server stopped go back in the queue
+    let resumed = 0;
+    for (const job of this.jobs.values()) {
+      if (job.status === 'running') {
+        job.status = 'queued';
+        job.stages.forEach(stage => {
+          if (stage.status === 'running') stage.status = 'pending';
+        });
+        resumed++;
+      }
+    }
+    if (resumed > 0) {
+      logger.info(`Resuming ${resumed} interrupted jobs`);
+    }
+    if (await this.pruneFinishedJobs() > 0 || resumed > 0) {
+      await this.saveJobs();
+    }
+
+    this.processQueue();
+  }
+
+  async loadJobs() {
+    try {
+      const data = await fs.readFile(this.jobsFile, 'utf8');
+      const jobs = JSON.parse(data);
+
+      jobs.forEach(job => {
+        this.jobs.set(job.id, job);
+      });
+
+      logger.info(`Loaded ${jobs.length} jobs`);
+    } catch (error) {
+      logger.info('No existing jobs found, starting fresh');
+    }
+  }
+
+  saveJobs() {
+    return writeJsonAtomic(this.jobsFile, Array.from(this.jobs.values()), { space: 2 }).catch(error => {
+      logger.error('Error saving jobs:', error);
+    });
+  }
+
+  async enqueue(type, payload = {}) {
+    const stages = this.types.get(type);
+    if (!stages) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      type,
+      status: 'queued',
+      payload,
+      stages: stages.map(stage => ({
+        name: stage.name,
+        status: 'pending',
+        attempts: 0,
+        progress: { completed: 0, total: 0 }
+      })),
+      input: {},
+      waitingFor: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.jobs.set(job.id, job);
+    await this.pruneFinishedJobs();
+    await this.saveJobs();
+    logger.info(`Queued ${type} job ${job.id}`);
+
+    this.processQueue();
+    return job;
+  }
+
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  listJobs({ status, type } = {}) {
+    const statuses = status ? status.split(',') : null;
+    return Array.from(this.jobs.values())
+      .filter(job => !statuses || statuses.includes(job.status))
+      .filter(job => !type || job.type === type)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Puts a failed job back in the queue; it resumes at the stage that failed
+  async retryJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (job.status !== 'failed') {
+      throw new Error(`Only failed jobs can be retried (job is ${job.status})`);
+    }
+
+    job.status = 'queued';
+    job.error = null;
+    job.stages.forEach(stage => {
+      if (stage.status === 'failed') {
+        stage.status = 'pending';
+        stage.attempts = 0;
+        stage.error = null;
+      }
+    });
+    job.updatedAt = new Date().toISOString();
+
+    await this.saveJobs();
+    this.processQueue();
+    return job;
+  }
+
+  // Answers a waiting job's request and puts it back in the queue; the stage
+  // that asked runs again with the answer merged into job.input
+  async provideInput(jobId, input = {}) {
+    const job = this.jobs.get(jobId);
+    if (!job) return null;
+    if (job.status !== 'waiting') {
+      throw new Error(`Only waiting jobs take input (job is ${job.status})`);
+    }
+
+    job.input = { ...job.input, ...input };
+    job.waitingFor = null;
+    job.status = 'queued';
+    job.stages.forEach(stage => {
+      if (stage.status === 'waiting') stage.status = 'pending';
+    });
+    job.updatedAt = new Date().toISOString();
+
+    await this.saveJobs();
+    this.processQueue();
+    return job;
+  }
+
+  async deleteJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) return false;
+    if (job.status === 'running') {
+      throw new Error('Running jobs cannot be deleted');
+    }
+
+    this.jobs.delete(jobId);
+    await this.saveJobs();
+    await this.cleanUpJob(job);
+    return true;
+  }
+
+  // Runs queued jobs one at a time, oldest first
+  processQueue() {
+    if (this.running || this.stopped || !this.isInitialized) return;
+
+    const next = Array.from(this.jobs.values())
+      .filter(job => job.status === 'queued')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+    if (!next) return;
+
+    this.running = this.runJob(next)
+      .catch(error => logger.error(`Unexpected error running job ${next.id}:`, error))
+      .finally(() => {
+        this.running = null;
+        this.processQueue();
+      });
+  }
+
+  async runJob(job) {
+    const stages = this.types.get(job.type);
+    if (!stages) {
+      await this.finishJob(job, 'failed', { error: `Unknown job type: ${job.type}` });
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = job.startedAt || new Date().toISOString();
+    await this.touch(job);
+    logger.info(`Running ${job.type} job ${job.id}`);
+
+    for (const [index, stage] of stages.entries()) {
+      const state = job.stages[index];
+      if (state.status === 'completed') continue;
+
+      const outcome = await this.runStage(job, stage, state);
+      if (outcome === 'waiting') {
+        job.status = 'waiting';
+        await this.touch(job);
+        logger.info(`Job ${job.id} is waiting for input at stage ${stage.name}`);
+        return;
+      }
+      if (!outcome) {
+        await this.finishJob(job, 'failed', { error: `${stage.name} failed: ${state.error}` });
+        return;
+      }
+    }
+
+    const results = Object.fromEntries(job.stages.map(state => [state.name, state.result]));
+    await this.finishJob(job, 'completed', { result: results });
+  }
+
+  // true when the stage completed, 'waiting' when it asked for input (see
+  // requestInput), false once it has failed every attempt
+  async runStage(job, stage, state) {
+    const progress = (completed, total) => {
+      state.progress = { completed, total };
+      job.updatedAt = new Date().toISOString();
+      if (Date.now() - this.lastProgressSave >= PROGRESS_SAVE_INTERVAL_MS) {
+        this.lastProgressSave = Date.now();
+        this.saveJobs();
+      }
+    };
+
+    const requestInput = (request) => {
+      throw new InputRequest(request);
+    };
+
+    while (state.attempts < this.maxAttempts) {
+      state.attempts++;
+      state.status = 'running';
+      state.startedAt = new Date().toISOString();
+      state.error = null;
+      await this.touch(job);
+
+      try {
+        state.result = await stage.run(job, { progress, input: job.input || {}, requestInput }) ?? null;
+        state.status = 'completed';
+        state.completedAt = new Date().toISOString();
+        await this.touch(job);
+        return true;
+      } catch (error) {
+        // Not a failure: the stage runs again once it has its answer
+        if (error instanceof InputRequest) {
+          state.attempts--;
+          state.status = 'waiting';
+          job.waitingFor = error.request;
+          return 'waiting';
+        }
+
+        state.error = error.message;
+        logger.warn(`Job ${job.id} stage ${stage.name} failed (attempt ${state.attempts}/${this.maxAttempts}): ${error.message}`);
+
+        if (state.attempts < this.maxAttempts) {
+          state.status = 'retrying';
+          await this.touch(job);
+          await sleep(this.retryDelayMs * 2 ** (state.attempts - 1));
+        }
+      }
+    }
+
+    state.status = 'failed';
+    return false;
+  }
+
+  async finishJob(job, status, { result = null, error = null } = {}) {
+    job.status = status;
+    job.result = result;
+    job.error = error;
+    job.completedAt = new Date().toISOString();
+    await this.touch(job);
+
+    if (status === 'completed') {
+      logger.info(`Completed ${job.type} job ${job.id}`);
+    } else {
+      logger.error(`Job ${job.id} failed: ${error}`);
+    }
+  }
+
+  async touch(job) {
+    job.updatedAt = new Date().toISOString();
+    await this.saveJobs();
+  }
+
+  // Forgets completed jobs past MAX_FINISHED_JOBS and failed ones past
+  // MAX_FAILED_JOBS or FAILED_JOB_MAX_AGE_MS, cleaning up after the failed
+  // ones; returns how many were removed
+  async pruneFinishedJobs() {
+    const newestFirst = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const completed = Array.from(this.jobs.values())
+      .filter(job => job.status === 'completed')
+      .sort(newestFirst);
+    const failed = Array.from(this.jobs.values())
+      .filter(job => job.status === 'failed')
+      .sort(newestFirst);
+
+    const cutoff = Date.now() - FAILED_JOB_MAX_AGE_MS;
+    const expired = failed.filter((job, index) =>
+      index >= MAX_FAILED_JOBS || new Date(job.completedAt || job.updatedAt).getTime() < cutoff);
+
+    completed.slice(MAX_FINISHED_JOBS).forEach(job => this.jobs.delete(job.id));
+    for (const job of expired) {
+      this.jobs.delete(job.id);
+      await this.cleanUpJob(job);
+    }
+    return Math.max(completed.length - MAX_FINISHED_JOBS, 0) + expired.length;
+  }
+
+  async cleanUpJob(job) {
+    const cleanUp = this.cleanUps.get(job.type);
+    if (!cleanUp) return;
+
+    try {
+      await cleanUp(job);
+    } catch (error) {
+      logger.warn(`Could not clean up after job ${job.id}: ${error.message}`);
+    }
+  }
+
+  // Stops picking up new jobs; one still running is resumed on the next start
+  async shutdown() {
+    this.stopped = true;
+    await this.saveJobs();
+  }
+}
@@ -0,0 +1,73 @@
+import nlp from 'node-nlp';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Language identification with node-nlp's character trigram profiles (a port
+// of franc). Codes are ISO 639-1 ('en', 'ta', 'hi', 'es') where one exists;
+// 'und' means the text is too short or ambiguous to tell.
+export const UNDETERMINED = 'und';
+
+// Text with fewer letters than this isn't identified reliably
+const MIN_LETTERS = 20;
+// Trigram profiles only look at the start of the text
+const SAMPLE_LENGTH = 2048;
+
+const guesser = new nlp.Language();
+
+// LANGUAGE_CANDIDATES (e.g. "en,ta,hi,es") limits detection to the languages
+// a library is written in, which makes short texts far more reliable
+export function getLanguageCandidates() {
+  const candidates = (process.env.LANGUAGE_CANDIDATES || '')
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+  return candidates.length > 0 ? candidates : null;
+}
+
+export function detectLanguage(text, { candidates = getLanguageCandidates(), minLetters = MIN_LETTERS } = {}) {
+  const letters = (text || '').match(/\p{L}/gu)?.length || 0;
+  if (letters < minLetters) {
+    return UNDETERMINED;
+  }
+
+  try {
+    const best = guesser.guessBest(text.slice(0, SAMPLE_LENGTH), candidates || undefined);
+    return best?.alpha2 || best?.alpha3 || UNDETERMINED;
+  } catch (error) {
+    logger.warn(`Language detection failed: ${error.message}`);
+    return UNDETERMINED;
+  }
+}
+
+// Language of each text, and of them all together: the language most of the
+// letters are in. Texts that can't be identified on their own (a short
+// chunk) get the overall language.
+export function detectLanguages(texts, options = {}) {
+  const detected = texts.map(text => detectLanguage(text, options));
+  const letters = new Map();
+
+  detected.forEach((language, index) => {
+    if (language === UNDETERMINED) return;
+    const count = texts[index].match(/\p{L}/gu)?.length || 0;
+    letters.set(language, (letters.get(language) || 0) + count);
+  });
+
+  const overall = Array.from(letters.entries()).sort((a, b) => b[1] - a[1])[0]?.[0] ||
+    detectLanguage(texts.join('\n'), options);
+
+  return {
+    language: overall,
+    languages: detected.map(language => (language === UNDETERMINED ? overall : language))
+  };
+}
+
+// "Tamil" for 'ta'; the code itself when the language is unknown
+export function getLanguageName(code) {
+  const language = guesser.languagesAlpha2[code] || guesser.languagesAlpha3[code];
+  return language?.name || code;
+}
@@ -0,0 +1,233 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nlp from 'node-nlp';
+import winston from 'winston';
+import { matchesWhere } from './vectorStore.js';
+import { UNDETERMINED } from './language.js';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// BM25 tuning: k1 controls term-frequency saturation, b the length normalisation
+const K1 = 1.2;
+const B = 0.75;
+
+// Runs of letters (with the combining marks Indic scripts need) and digits
+const WORD = /[\p{L}\p{M}\p{N}]+/gu;
+// Languages with a node-nlp tokenizer and stemmer. Its Chinese, Japanese and
+// Korean stemmers are asynchronous, so those get plain words.
+const STEMMED_LANGUAGES = new Set([
+  'ar', 'bn', 'ca', 'cs', 'da', 'de', 'el', 'en', 'es', 'eu', 'fa', 'fi', 'fr', 'ga', 'gl', 'hi', 'hu', 'hy',
+  'id', 'it', 'lt', 'ms', 'ne', 'nl', 'no', 'pl', 'pt', 'ro', 'ru', 'sl', 'sr', 'sv', 'ta', 'th', 'tl', 'tr', 'uk'
+]);
+
+// Okapi BM25 index over chunk text. Complements embedding search for exact
+// names, coined terms and character names that embeddings tend to blur.
+// Chunk text and metadata are persisted; postings are rebuilt on load. Each
+// chunk is tokenized for its language (metadata.language), and a query is
+// tokenized once for every language in the index.
+export class LexicalIndex {
+  constructor(options = {}) {
+    this.indexFile = options.indexFile || process.env.LEXICAL_INDEX_FILE || 'data/lexical_index.json';
+    this.records = new Map(); // id -> { id, text, metadata, language, length, termFreqs }
+    this.postings = new Map(); // term -> Set of record ids
+    this.languages = new Map(); // language -> number of records
+    this.totalLength = 0;
+    this.pendingSave = Promise.resolve();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    try {
+      await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+      await this.load();
+      logger.info(`Lexical index initialized (${this.records.size} chunks from ${this.indexFile})`);
+      this.isInitialized = true;
+    } catch (error) {
+      logger.error('Error initializing lexical index:', error);
+      throw error;
+    }
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.indexFile, 'utf8');
+      const index = JSON.parse(data);
+
+      (index.records || []).forEach(record => this.addRecord(record.id, record.text, record.metadata));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read lexical index ${this.indexFile}, starting empty: ${error.message}`);
+      }
+    }
+  }
+
+  async save() {
+    const records = Array.from(this.records.values()).map(({ id, text, metadata }) => ({ id, text, metadata }));
+
+    this.pendingSave = writeJsonAtomic(this.indexFile, { savedAt: new Date().toISOString(), records }).catch(error => {
+      logger.error('Error saving lexical index:', error);
+    });
+
+    return this.pendingSave;
+  }
+
+  addRecord(id, text, metadata = {}) {
+    if (this.records.has(id)) {
+      this.removeRecord(id);
+    }
+
+    const language = metadata.language || UNDETERMINED;
+    const tokens = tokenize(text, language);
+    const termFreqs = new Map();
+    tokens.forEach(token => termFreqs.set(token, (termFreqs.get(token) || 0) + 1));
+
+    this.records.set(id, { id, text, metadata, language, length: tokens.length, termFreqs });
+    this.totalLength += tokens.length;
+    this.languages.set(language, (this.languages.get(language) || 0) + 1);
+
+    for (const term of termFreqs.keys()) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Set());
+      }
+      this.postings.get(term).add(id);
+    }
+  }
+
+  removeRecord(id) {
+    const record = this.records.get(id);
+    if (!record) return;
+
+    for (const term of record.termFreqs.keys()) {
+      const ids = this.postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= record.length;
+    this.records.delete(id);
+
+    const remaining = this.languages.get(record.language) - 1;
+    if (remaining > 0) {
+      this.languages.set(record.language, remaining);
+    } else {
+      this.languages.delete(record.language);
+    }
+  }
+
+  // Languages of the indexed chunks, 'und' aside
+  getLanguages() {
+    return Array.from(this.languages.keys()).filter(language => language !== UNDETERMINED);
+  }
+
+  async upsert({ ids, documents, metadatas = [] }) {
+    for (let i = 0; i < ids.length; i++) {
+      this.addRecord(ids[i], documents[i] || '', metadatas[i] || {});
+    }
+    await this.save();
+  }
+
+  async delete({ ids = null, where = null } = {}) {
+    if (!ids && !where) return 0;
+
+    const matching = Array.from(this.records.values()).filter(record =>
+      (!ids || ids.includes(record.id)) && (!where || matchesWhere(record.metadata, where))
+    );
+
+    matching.forEach(record => this.removeRecord(record.id));
+    if (matching.length > 0) {
+      await this.save();
+    }
+    return matching.length;
+  }
+
+  async listIds({ where = null } = {}) {
+    return Array.from(this.records.values())
+      .filter(record => !where || matchesWhere(record.metadata, where))
+      .map(record => record.id);
+  }
+
+  // Returns the nResults best BM25 matches for the query, best first
+  search(query, { nResults = 10, where = null } = {}) {
+    const documentCount = this.records.size;
+    if (documentCount === 0) {
+      return [];
+    }
+
+    const averageLength = this.totalLength / documentCount;
+    const scores = new Map();
+
+    // A chunk is scored with the query terms tokenized for its language
+    for (const language of this.languages.keys()) {
+      for (const term of new Set(tokenize(query, language))) {
+        const ids = this.postings.get(term);
+        if (!ids) continue;
+
+        const idf = Math.log(1 + (documentCount - ids.size + 0.5) / (ids.size + 0.5));
+
+        for (const id of ids) {
+          const record = this.records.get(id);
+          if (record.language !== language) continue;
+          if (where && !matchesWhere(record.metadata, where)) continue;
+
+          const tf = record.termFreqs.get(term);
+          const norm = tf + K1 * (1 - B + B * (record.length / averageLength));
+          scores.set(id, (scores.get(id) || 0) + idf * (tf * (K1 + 1)) / norm);
+        }
+      }
+    }
+
+    return Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, nResults)
+      .map(([id, score]) => {
+        const record = this.records.get(id);
+        return { id, text: record.text, metadata: record.metadata, score };
+      });
+  }
+
+  async close() {
+    await this.pendingSave;
+  }
+}
+
+// Index terms of a text. With a language, node-nlp's tokenizer and stemmer
+// for it are used ("storms" and "storm", or Tamil and Hindi inflections, give
+// the same term); otherwise terms are the plain words.
+export function tokenize(text, language = null) {
+  const lower = (text || '').toLowerCase();
+  if (!STEMMED_LANGUAGES.has(language)) {
+    return lower.match(WORD) || [];
+  }
+
+  try {
+    const tokens = nlp.NlpUtil.getTokenizer(language).tokenize(lower, true)
+      .flatMap(token => token.match(WORD) || []);
+    const stems = nlp.NlpUtil.getStemmer(language).stem([...tokens]);
+    return Array.isArray(stems) && stems.length === tokens.length ? stems.filter(Boolean) : tokens;
+  } catch (error) {
+    return lower.match(WORD) || [];
+  }
+}
+
+// Reciprocal rank fusion: merges ranked lists by summing 1 / (k + rank).
+// Robust to the very different score scales of BM25 and cosine similarity.
+export function reciprocalRankFusion(rankedLists, { k = 60 } = {}) {
+  const fused = new Map();
+
+  rankedLists.forEach(list => {
+    list.forEach((item, rank) => {
+      const entry = fused.get(item.id) || { ...item, fusionScore: 0 };
+      entry.fusionScore += 1 / (k + rank + 1);
+      fused.set(item.id, { ...entry, ...item, fusionScore: entry.fusionScore });
+    });
+  });
+
+  return Array.from(fused.values()).sort((a, b) => b.fusionScore - a.fusionScore);
+}
@@ -0,0 +1,325 @@
+import winston from 'winston';
+import { getContextWindow } from './contextBuilder.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// LLM provider interface. Every provider exposes:
+//   name                     provider identifier ('openai', 'anthropic', 'ollama')
+//   label                    human-readable name for the Settings page
+//   model                    model identifier
+//   capabilities             { contextWindow, streaming, jsonMode }
+//   initialize()             check configuration, throws if unusable
+//   chat(request)            -> answer text
+//   stream(request)          -> async iterable of answer text deltas (streaming providers only)
+// request: { messages: [{ role: 'system' | 'user' | 'assistant', content }],
+//            temperature, maxTokens, json, model, signal }
+// json asks for a JSON reply and only has an effect with capabilities.jsonMode;
+// model overrides the provider's model for one call (e.g. RERANK_MODEL).
+
+// Provider names, in the order the default is picked when LLM_PROVIDER isn't set
+export const LLM_PROVIDERS = ['openai', 'anthropic', 'ollama'];
+
+// Creates every provider that has configuration: OpenAI-compatible when an
+// OpenAI client exists, Anthropic with ANTHROPIC_API_KEY, Ollama with
+// LOCAL_LLM_MODEL. Returns them by name; LLM_PROVIDER picks the default.
+export async function createLLMProviders({ openai = null } = {}) {
+  const candidates = [];
+  if (openai) {
+    candidates.push(new OpenAICompatibleProvider({ openai }));
+  }
+  if (process.env.ANTHROPIC_API_KEY) {
+    candidates.push(new AnthropicProvider());
+  }
+  if (process.env.LOCAL_LLM_MODEL) {
+    candidates.push(new OllamaProvider());
+  }
+
+  const providers = new Map();
+  for (const provider of candidates) {
+    try {
+      await provider.initialize();
+      providers.set(provider.name, provider);
+    } catch (error) {
+      logger.warn(`LLM provider ${provider.name} not usable: ${error.message}`);
+    }
+  }
+
+  return providers;
+}
+
+// Name of the default provider: LLM_PROVIDER when it's configured, else the
+// first available in LLM_PROVIDERS (null when there is none)
+export function getDefaultLLMProvider(providers) {
+  const preferred = process.env.LLM_PROVIDER?.toLowerCase();
+  if (preferred && providers.has(preferred)) {
+    return preferred;
+  }
+  if (preferred) {
+    logger.warn(`LLM_PROVIDER ${preferred} is not configured`);
+  }
+  return LLM_PROVIDERS.find(name => providers.has(name)) || null;
+}
+
+// OpenAI's chat completions API, or any server that speaks it (vLLM, LiteLLM,
+// llama.cpp's llama-server, gateways) through OPENAI_BASE_URL
+export class OpenAICompatibleProvider {
+  constructor({ openai, model } = {}) {
+    this.name = 'openai';
+    this.label = process.env.OPENAI_BASE_URL ? 'OpenAI-compatible' : 'OpenAI';
+    this.openai = openai;
+    this.model = model || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+    this.capabilities = {
+      contextWindow: parseInt(process.env.OPENAI_CONTEXT_WINDOW, 10) || getContextWindow(this.model),
+      streaming: true,
+      // response_format is OpenAI's; compatible servers have to opt in
+      jsonMode: process.env.OPENAI_JSON_MODE
+        ? process.env.OPENAI_JSON_MODE === 'true'
+        : !process.env.OPENAI_BASE_URL
+    };
+  }
+
+  async initialize() {
+    logger.info(`Using ${this.label} chat model ${this.model}`);
+  }
+
+  buildRequest({ messages, temperature, maxTokens, json, model }) {
+    const request = {
+      model: model || this.model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    };
+    if (json && this.capabilities.jsonMode) {
+      request.response_format = { type: 'json_object' };
+    }
+    return request;
+  }
+
+  async chat(options) {
+    const response = await this.openai.chat.completions.create(this.buildRequest(options), { signal: options.signal });
+    return response.choices[0].message.content.trim();
+  }
+
+  async *stream(options) {
+    const stream = await this.openai.chat.completions.create(
+      { ...this.buildRequest(options), stream: true },
+      { signal: options.signal }
+    );
+
+    for await (const part of stream) {
+      const delta = part.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+// Anthropic's Messages API (or a server that speaks it via ANTHROPIC_BASE_URL)
+export class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.label = 'Anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseURL = (options.baseURL || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/$/, '');
+    this.model = options.model || process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5';
+    this.capabilities = {
+      contextWindow: parseInt(process.env.ANTHROPIC_CONTEXT_WINDOW, 10) || 200000,
+      streaming: true,
+      // No JSON response format; prompts that ask for JSON still work
+      jsonMode: false
+    };
+  }
+
+  async initialize() {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+    logger.info(`Using Anthropic chat model ${this.model}`);
+  }
+
+  // System prompts go in their own field, and turns have to alternate
+  // between user and assistant, so consecutive same-role messages are merged
+  buildRequest({ messages, temperature, maxTokens, model }) {
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const turns = [];
+
+    messages.filter(message => message.role !== 'system').forEach(message => {
+      const previous = turns[turns.length - 1];
+      if (previous && previous.role === message.role) {
+        previous.content += `\n\n${message.content}`;
+      } else {
+        turns.push({ role: message.role, content: message.content });
+      }
+    });
+
+    const request = {
+      model: model || this.model,
+      messages: turns,
+      max_tokens: maxTokens || 1024,
+      temperature
+    };
+    if (system) {
+      request.system = system;
+    }
+    return request;
+  }
+
+  async post(body, signal) {
+    const response = await fetch(`${this.baseURL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await responseError('Anthropic', response);
+    }
+    return response;
+  }
+
+  async chat(options) {
+    const response = await this.post(this.buildRequest(options), options.signal);
+    const data = await response.json();
+    return data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('')
+      .trim();
+  }
+
+  async *stream(options) {
+    const response = await this.post({ ...this.buildRequest(options), stream: true }, options.signal);
+
+    for await (const message of readLines(response.body, '\n\n')) {
+      const data = message.match(/^data: (.*)$/m)?.[1];
+      if (!data) continue;
+
+      const event = JSON.parse(data);
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield event.delta.text;
+      } else if (event.type === 'error') {
+        throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+      }
+    }
+  }
+}
+
+// A local model served by Ollama (/api/chat). llama.cpp's llama-server is
+// better reached through its OpenAI-compatible endpoint (OPENAI_BASE_URL).
+export class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.label = 'Local (Ollama)';
+    this.baseURL = (options.baseURL || process.env.LOCAL_LLM_URL || 'http://localhost:11434').replace(/\/$/, '');
+    this.model = options.model || process.env.LOCAL_LLM_MODEL;
+    this.capabilities = {
+      // Ollama only uses as much context as it's asked for (num_ctx)
+      contextWindow: parseInt(process.env.LOCAL_LLM_CONTEXT_WINDOW, 10) || 8192,
+      streaming: true,
+      jsonMode: true
+    };
+  }
+
+  async initialize() {
+    if (!this.model) {
+      throw new Error('LOCAL_LLM_MODEL is not set');
+    }
+    logger.info(`Using local chat model ${this.model} at ${this.baseURL}`);
+  }
+
+  buildRequest({ messages, temperature, maxTokens, json, model }, stream) {
+    const request = {
+      model: model || this.model,
+      messages,
+      stream,
+      options: {
+        temperature,
+        num_predict: maxTokens,
+        num_ctx: this.capabilities.contextWindow
+      }
+    };
+    if (json) {
+      request.format = 'json';
+    }
+    return request;
+  }
+
+  async post(body, signal) {
+    const response = await fetch(`${this.baseURL}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await responseError('Ollama', response);
+    }
+    return response;
+  }
+
+  async chat(options) {
+    const response = await this.post(this.buildRequest(options, false), options.signal);
+    const data = await response.json();
+    return (data.message?.content || '').trim();
+  }
+
+  // Streamed replies are newline-delimited JSON objects
+  async *stream(options) {
+    const response = await this.post(this.buildRequest(options, true), options.signal);
+
+    for await (const line of readLines(response.body, '\n')) {
+      if (!line.trim()) continue;
+
+      const part = JSON.parse(line);
+      if (part.error) {
+        throw new Error(`Ollama stream error: ${part.error}`);
+      }
+      if (part.message?.content) {
+        yield part.message.content;
+      }
+    }
+  }
+}
+
+// Splits a response body into separator-delimited pieces as they arrive
+async function* readLines(body, separator) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf(separator)) !== -1) {
+      yield buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + separator.length);
+    }
+  }
+
+  if (buffer) {
+    yield buffer;
+  }
+}
+
+async function responseError(provider, response) {
+  let message = response.statusText;
+  try {
+    const body = await response.json();
+    message = body.error?.message || body.error || message;
+  } catch (error) {
+    // Not JSON; the status text will do
+  }
+
+  const error = new Error(`${provider} API error ${response.status}: ${message}`);
+  error.status = response.status;
+  return error;
+}
@@ -0,0 +1,68 @@
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Texts per forward pass; larger batches mostly cost memory on CPU
+const DEFAULT_BATCH_SIZE = 32;
+
+// Directory of a local model (LOCAL_EMBEDDING_MODEL unless another is named;
+// the 'local:' prefix used in model ids is accepted)
+export function getLocalModelDir(model) {
+  const modelsDir = process.env.LOCAL_EMBEDDING_MODEL_DIR || 'models';
+  const name = (model || process.env.LOCAL_EMBEDDING_MODEL || 'all-MiniLM-L6-v2').replace(/^local:/, '');
+  return path.resolve(modelsDir, name);
+}
+
+// Sentence-transformer embeddings computed on CPU with ONNX Runtime, via the
+// optional @huggingface/transformers package. The model is read from
+// LOCAL_EMBEDDING_MODEL_DIR/LOCAL_EMBEDDING_MODEL (config.json, tokenizer
+// files and onnx/model.onnx, as exported by Optimum) and never downloaded.
+export class LocalEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.modelPath = options.modelPath || getLocalModelDir(options.model);
+    this.model = `local:${path.basename(this.modelPath)}`;
+    this.dimension = null;
+    this.maxBatchSize = options.batchSize || parseInt(process.env.LOCAL_EMBEDDING_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+    this.cacheable = true;
+    this.extractor = null;
+  }
+
+  async initialize() {
+    let transformers;
+    try {
+      transformers = await import('@huggingface/transformers');
+    } catch (error) {
+      throw new Error('Local embeddings need the optional @huggingface/transformers package (npm install @huggingface/transformers)');
+    }
+
+    const config = JSON.parse(await fs.readFile(path.join(this.modelPath, 'config.json'), 'utf8'));
+
+    const { pipeline, env } = transformers;
+    env.allowRemoteModels = false;
+    env.localModelPath = path.dirname(this.modelPath);
+
+    this.extractor = await pipeline('feature-extraction', path.basename(this.modelPath), {
+      local_files_only: true,
+      dtype: 'fp32'
+    });
+    this.dimension = config.hidden_size || config.dim || null;
+
+    logger.info(`Using local embeddings (${this.model}${this.dimension ? `, ${this.dimension} dimensions` : ''})`);
+  }
+
+  // Mean-pooled, L2-normalised token embeddings: the sentence-transformers recipe
+  async embedBatch(texts) {
+    const output = await this.extractor(texts, { pooling: 'mean', normalize: true });
+    const vectors = output.tolist();
+
+    this.dimension = vectors[0]?.length || this.dimension;
+    return vectors;
+  }
+}
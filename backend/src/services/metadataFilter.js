@@ -0,0 +1,139 @@
+// User-defined document fields (tags and custom key/value metadata) in chunk
+// metadata, and the filterBy expressions queries use to search by them.
+//
+// Vector store metadata values have to be scalars, so a document's fields
+// are flattened into its chunks' metadata: each tag becomes tag_<tag>: 1 and
+// each custom field meta_<key>. Dates (ISO strings such as "2024-05-01") are
+// stored as millisecond timestamps, as is the upload time (uploadedAtMs), so
+// both ChromaDB and the local store can compare them as ranges.
+//
+// filterBy: { <field>: <value> | { eq | in | gt | gte | lt | lte } }, every
+// field must match. <field> is 'tags' (a tag, or any of several with in),
+// 'uploadedAt', or a custom metadata key. For example:
+//   { tags: { in: ['draft', 'revision'] }, pov: 'Mara',
+//     stage: { in: ['outline', 'first draft'] },
+//     uploadedAt: { gte: '2024-01-01', lt: '2024-07-01' } }
+
+export const TAG_PREFIX = 'tag_';
+export const FIELD_PREFIX = 'meta_';
+
+// Filterable fields that aren't custom metadata keys
+const BUILT_IN_FIELDS = ['tags', 'uploadedAt'];
+
+export const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const RANGE_OPERATORS = { gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte' };
+
+// Custom metadata keys; tags and uploadedAt are taken
+export const FIELD_KEY = /^[a-zA-Z][a-zA-Z0-9_]{0,39}$/;
+
+export function isReservedField(key) {
+  return BUILT_IN_FIELDS.includes(key);
+}
+
+// Tags are compared lowercased, with runs of whitespace as one hyphen
+export function normalizeTags(tags = []) {
+  return [...new Set(tags
+    .map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '-'))
+    .filter(Boolean))];
+}
+
+// Chunk metadata for a document's tags and custom fields
+export function documentFieldMetadata(documentInfo) {
+  const metadata = {};
+
+  for (const tag of documentInfo.tags || []) {
+    metadata[TAG_PREFIX + tag] = 1;
+  }
+  for (const [key, value] of Object.entries(documentInfo.customMetadata || {})) {
+    metadata[FIELD_PREFIX + key] = toStoredValue(value);
+  }
+
+  const uploadedAt = Date.parse(documentInfo.uploadedAt);
+  if (!Number.isNaN(uploadedAt)) {
+    metadata.uploadedAtMs = uploadedAt;
+  }
+  return metadata;
+}
+
+// Whether two chunk metadata objects hold the same document fields
+export function sameDocumentFields(a = {}, b = {}) {
+  const fields = (metadata) => Object.entries(metadata)
+    .filter(([key]) => key.startsWith(TAG_PREFIX) || key.startsWith(FIELD_PREFIX) || key === 'uploadedAtMs')
+    .sort(([x], [y]) => x.localeCompare(y));
+
+  return JSON.stringify(fields(a)) === JSON.stringify(fields(b));
+}
+
+// The where-filter conditions for a filterBy expression (ChromaDB syntax,
+// one operator per condition as ChromaDB requires), to be combined with $and.
+// Throws on anything it can't express.
+export function buildMetadataFilter(filterBy) {
+  if (!filterBy) return [];
+  if (typeof filterBy !== 'object' || Array.isArray(filterBy)) {
+    throw new Error('filterBy must be an object of field conditions');
+  }
+
+  const conditions = [];
+  for (const [field, condition] of Object.entries(filterBy)) {
+    const operators = isOperatorObject(condition) ? condition : { eq: condition };
+    if (Object.keys(operators).length === 0) {
+      throw new Error(`filterBy.${field} has no condition`);
+    }
+
+    if (field === 'tags') {
+      conditions.push(...tagConditions(operators));
+      continue;
+    }
+
+    if (field !== 'uploadedAt' && !FIELD_KEY.test(field)) {
+      throw new Error(`filterBy.${field} is not a metadata field`);
+    }
+    const key = field === 'uploadedAt' ? 'uploadedAtMs' : FIELD_PREFIX + field;
+
+    for (const [operator, operand] of Object.entries(operators)) {
+      if (operator === 'eq') {
+        conditions.push({ [key]: toStoredValue(operand) });
+      } else if (operator === 'in') {
+        if (!Array.isArray(operand) || operand.length === 0) {
+          throw new Error(`filterBy.${field}.in must be a non-empty list`);
+        }
+        conditions.push({ [key]: { $in: operand.map(toStoredValue) } });
+      } else if (RANGE_OPERATORS[operator]) {
+        const bound = toStoredValue(operand);
+        if (typeof bound !== 'number') {
+          throw new Error(`filterBy.${field}.${operator} must be a number or an ISO date`);
+        }
+        conditions.push({ [key]: { [RANGE_OPERATORS[operator]]: bound } });
+      } else {
+        throw new Error(`Unknown filterBy operator: ${operator}`);
+      }
+    }
+  }
+  return conditions;
+}
+
+function tagConditions(operators) {
+  return Object.entries(operators).map(([operator, operand]) => {
+    if (operator === 'eq') {
+      return { [TAG_PREFIX + normalizeTags([operand])[0]]: 1 };
+    }
+    if (operator === 'in' && Array.isArray(operand) && operand.length > 0) {
+      const clauses = normalizeTags(operand).map(tag => ({ [TAG_PREFIX + tag]: 1 }));
+      // ChromaDB wants at least two clauses in an $or
+      return clauses.length === 1 ? clauses[0] : { $or: clauses };
+    }
+    throw new Error('filterBy.tags takes a tag, or { in: [tags] }');
+  });
+}
+
+function isOperatorObject(condition) {
+  return condition !== null && typeof condition === 'object' && !Array.isArray(condition);
+}
+
+function toStoredValue(value) {
+  if (typeof value === 'string' && ISO_DATE.test(value)) {
+    const time = Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return value;
+}
@@ -0,0 +1,237 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+import winston from 'winston';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// OCR runs on CPU with the Tesseract command-line tool; PDF pages are
+// rendered to images with pdftoppm (poppler-utils) first. Both are optional:
+// without them scanned PDF pages keep whatever text pdf-parse found and image
+// uploads are rejected.
+
+// Letters and digits a page needs before its text layer is trusted
+const DEFAULT_MIN_CHARS_PER_PAGE = 100;
+// Pages recognized with a lower average word confidence (0-100) are flagged
+const DEFAULT_LOW_CONFIDENCE = 60;
+const DEFAULT_DPI = 300;
+// Per page (or image); a page that takes longer is skipped
+const OCR_TIMEOUT_MS = 120000;
+
+const availability = new Map();
+
+export function getOcrSettings() {
+  return {
+    enabled: process.env.OCR_ENABLED !== 'false',
+    tesseract: process.env.TESSERACT_PATH || 'tesseract',
+    pdftoppm: process.env.PDFTOPPM_PATH || 'pdftoppm',
+    language: process.env.OCR_LANGUAGE || 'eng',
+    minCharsPerPage: parseInt(process.env.OCR_MIN_CHARS_PER_PAGE, 10) || DEFAULT_MIN_CHARS_PER_PAGE,
+    lowConfidence: parseInt(process.env.OCR_LOW_CONFIDENCE, 10) || DEFAULT_LOW_CONFIDENCE,
+    dpi: parseInt(process.env.OCR_DPI, 10) || DEFAULT_DPI
+  };
+}
+
+// Whether a command runs at all; checked once per command
+async function isInstalled(command, args) {
+  if (!availability.has(command)) {
+    availability.set(command, execa(command, args, { timeout: 10000 })
+      .then(() => true)
+      .catch((error) => {
+        logger.warn(`${command} not available, OCR is limited: ${error.shortMessage || error.message}`);
+        return false;
+      }));
+  }
+  return availability.get(command);
+}
+
+// { images, pdf }: whether images and PDF pages can be recognized
+export async function getOcrAvailability(settings = getOcrSettings()) {
+  if (!settings.enabled) {
+    return { images: false, pdf: false };
+  }
+  const tesseract = await isInstalled(settings.tesseract, ['--version']);
+  const pdftoppm = tesseract && await isInstalled(settings.pdftoppm, ['-v']);
+  return { images: tesseract, pdf: pdftoppm };
+}
+
+// Replaces the text of PDF pages whose text layer needsOcr with what
+// Tesseract reads from the rendered page, where that has more text or the
+// text layer is garbled. Returns
+// { pageTexts, ocr }, ocr being the document's OCR metadata (null when no page
+// needed OCR or it is turned off).
+export async function ocrPdfPages(buffer, pageTexts, { onProgress } = {}) {
+  const settings = getOcrSettings();
+  const pages = pageTexts.map((text, index) => index + 1).filter(page => needsOcr(pageTexts[page - 1], settings));
+  if (pages.length === 0 || !settings.enabled) {
+    return { pageTexts, ocr: null };
+  }
+
+  if (!(await getOcrAvailability(settings)).pdf) {
+    logger.warn(`${pages.length} pages have little or no text, but OCR is not available`);
+    return { pageTexts, ocr: summarizeOcr([], { skippedPages: pages, settings }) };
+  }
+
+  logger.info(`Running OCR on ${pages.length} of ${pageTexts.length} pages`);
+  const recognized = await recognizePdfPages(buffer, pages, { settings, onProgress });
+  const texts = [...pageTexts];
+  const ocrPages = [];
+
+  for (const page of pages) {
+    const result = recognized.get(page);
+    if (result && (isGarbled(texts[page - 1]) || countReadable(result.text) > countReadable(texts[page - 1]))) {
+      texts[page - 1] = result.text;
+      ocrPages.push({ page, confidence: result.confidence });
+    }
+  }
+
+  return {
+    pageTexts: texts,
+    ocr: summarizeOcr(ocrPages, { skippedPages: pages.filter(page => !recognized.has(page)), settings })
+  };
+}
+
+// Text of an uploaded image, one entry per frame (multi-page TIFF), and its
+// OCR metadata: { pageTexts, ocr }
+export async function ocrImage(filepath) {
+  const settings = getOcrSettings();
+  if (!(await getOcrAvailability(settings)).images) {
+    throw new Error('Images can only be read with OCR, which is not available. Install Tesseract (or set TESSERACT_PATH) and leave OCR_ENABLED on.');
+  }
+
+  const pages = await recognizeImage(filepath, settings);
+  if (pages.length === 0) {
+    throw new Error('No text was recognized in this image');
+  }
+
+  // Frames without any words have no entry
+  const pageTexts = Array.from({ length: Math.max(...pages.map(page => page.page)) }, () => '');
+  pages.forEach(page => { pageTexts[page.page - 1] = page.text; });
+  return { pageTexts, ocr: summarizeOcr(pages, { settings }) };
+}
+
+// A page's text layer is missing or unusable when it has too few letters and
+// digits, or mostly characters no font maps to text (a scan with a broken
+// or garbage text layer)
+export function needsOcr(text, settings = getOcrSettings()) {
+  return countReadable(text) < settings.minCharsPerPage || isGarbled(text);
+}
+
+function isGarbled(text) {
+  const unreadable = (text.match(/[\uFFFD\p{Co}]|[^\P{Cc}\n\t]/gu) || []).length;
+  return unreadable > countReadable(text) * 0.1;
+}
+
+function countReadable(text) {
+  return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+// Recognizes an image file (PNG, JPEG, TIFF; every frame of a multi-page
+// TIFF). Returns [{ page, text, confidence }] for the frames with words.
+async function recognizeImage(filepath, settings = getOcrSettings()) {
+  const { stdout } = await execa(
+    settings.tesseract,
+    [filepath, 'stdout', '-l', settings.language, 'tsv'],
+    { timeout: OCR_TIMEOUT_MS }
+  );
+  return parseTsv(stdout);
+}
+
+// Renders the given PDF pages and recognizes them one at a time. Returns a
+// Map of page number -> { text, confidence }, null for a blank page; pages
+// that fail are left out.
+async function recognizePdfPages(buffer, pageNumbers, { settings = getOcrSettings(), onProgress } = {}) {
+  const results = new Map();
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'padalayai-ocr-'));
+
+  try {
+    const pdfPath = path.join(directory, 'document.pdf');
+    await fs.writeFile(pdfPath, buffer);
+
+    for (const [index, page] of pageNumbers.entries()) {
+      onProgress?.({ completed: index, total: pageNumbers.length });
+      try {
+        const imagePrefix = path.join(directory, `page-${page}`);
+        await execa(
+          settings.pdftoppm,
+          ['-r', String(settings.dpi), '-f', String(page), '-l', String(page), '-gray', '-png', '-singlefile', pdfPath, imagePrefix],
+          { timeout: OCR_TIMEOUT_MS }
+        );
+        const [recognized] = await recognizeImage(`${imagePrefix}.png`, settings);
+        results.set(page, recognized || null);
+        await fs.rm(`${imagePrefix}.png`, { force: true });
+      } catch (error) {
+        logger.warn(`OCR failed for page ${page}: ${error.shortMessage || error.message}`);
+      }
+    }
+    onProgress?.({ completed: pageNumbers.length, total: pageNumbers.length });
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+
+  return results;
+}
+
+// Document metadata for recognized pages ([{ page, confidence }]) and pages
+// that needed OCR but couldn't get it (skippedPages)
+function summarizeOcr(pages, { skippedPages = [], settings = getOcrSettings() } = {}) {
+  const confidences = pages.map(page => page.confidence);
+  return {
+    engine: 'tesseract',
+    language: settings.language,
+    pages: pages.map(({ page, confidence }) => ({ page, confidence })),
+    averageConfidence: confidences.length > 0
+      ? Math.round(confidences.reduce((sum, value) => sum + value, 0) / confidences.length * 10) / 10
+      : null,
+    lowConfidencePages: pages.filter(page => page.confidence < settings.lowConfidence).map(page => page.page),
+    skippedPages
+  };
+}
+
+// Tesseract's TSV output has a row per page, block, paragraph, line and word
+// (level 5, with a 0-100 confidence). Text is rebuilt as lines, with blank
+// lines between paragraphs; a page's confidence is the mean of its words'.
+function parseTsv(tsv) {
+  const pages = new Map();
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') continue;
+
+    const [, pageNumber, block, paragraph, line] = columns.map(Number);
+    const confidence = parseFloat(columns[10]);
+    const word = columns.slice(11).join('\t').trim();
+    if (!word) continue;
+
+    if (!pages.has(pageNumber)) {
+      pages.set(pageNumber, { paragraphs: [], lastParagraph: null, lastLine: null, confidences: [] });
+    }
+    const page = pages.get(pageNumber);
+    const paragraphKey = `${block}.${paragraph}`;
+
+    if (paragraphKey !== page.lastParagraph) {
+      page.paragraphs.push([[word]]);
+    } else if (line !== page.lastLine) {
+      page.paragraphs[page.paragraphs.length - 1].push([word]);
+    } else {
+      const lines = page.paragraphs[page.paragraphs.length - 1];
+      lines[lines.length - 1].push(word);
+    }
+    page.lastParagraph = paragraphKey;
+    page.lastLine = line;
+    if (confidence >= 0) page.confidences.push(confidence);
+  }
+
+  return Array.from(pages.entries()).map(([pageNumber, page]) => ({
+    page: pageNumber,
+    text: page.paragraphs.map(lines => lines.map(words => words.join(' ')).join('\n')).join('\n\n'),
+    confidence: page.confidences.length > 0
+      ? Math.round(page.confidences.reduce((sum, value) => sum + value, 0) / page.confidences.length * 10) / 10
+      : 0
+  }));
+}
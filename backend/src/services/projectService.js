@@ -0,0 +1,133 @@
+import { v4 as uuidv4 } from 'uuid';
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Query options a project can set defaults for; a query's own options win
+export const PROJECT_DEFAULT_OPTIONS = [
+  'maxResults',
+  'temperature',
+  'analysisType',
+  'retrievalMode',
+  'rerank',
+  'llmProvider',
+  'languages',
+  'answerLanguage',
+  'versions'
+];
+
+// Named projects (e.g. one per book) that documents belong to, persisted to
+// data/projects.json. A document belongs to at most one project: its
+// projectId, which is copied into its chunks' metadata so queries can be
+// scoped to a project with a where filter.
+//
+// Project: { id, name, description, defaults, createdAt, updatedAt }, where
+// defaults holds query options (PROJECT_DEFAULT_OPTIONS) for the project.
+export class ProjectService {
+  constructor(options = {}) {
+    this.projectsFile = options.projectsFile || 'data/projects.json';
+    this.projects = new Map();
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.projectsFile), { recursive: true });
+    await this.load();
+    this.isInitialized = true;
+    logger.info(`Loaded ${this.projects.size} projects`);
+  }
+
+  async load() {
+    try {
+      const data = await fs.readFile(this.projectsFile, 'utf8');
+      JSON.parse(data).projects.forEach(project => {
+        this.projects.set(project.id, project);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read projects ${this.projectsFile}, starting fresh: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    return writeJsonAtomic(this.projectsFile, { projects: this.list() }, { space: 2 }).catch(error => {
+      logger.error('Error saving projects:', error);
+    });
+  }
+
+  list() {
+    return Array.from(this.projects.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.projects.get(id) || null;
+  }
+
+  // Project names are unique, ignoring case
+  findByName(name) {
+    const wanted = name.trim().toLowerCase();
+    return this.list().find(project => project.name.toLowerCase() === wanted) || null;
+  }
+
+  async create({ name, description = '', defaults = {} }) {
+    const now = new Date().toISOString();
+    const project = {
+      id: uuidv4(),
+      name: name.trim(),
+      description,
+      defaults: pickDefaults(defaults),
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.projects.set(project.id, project);
+    await this.save();
+    logger.info(`Created project ${project.name}`);
+    return project;
+  }
+
+  // Changes name, description and/or defaults; defaults replace the old ones
+  async update(id, { name, description, defaults }) {
+    const project = this.projects.get(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    if (name !== undefined) project.name = name.trim();
+    if (description !== undefined) project.description = description;
+    if (defaults !== undefined) project.defaults = pickDefaults(defaults);
+    project.updatedAt = new Date().toISOString();
+
+    await this.save();
+    return project;
+  }
+
+  async delete(id) {
+    if (!this.projects.delete(id)) {
+      throw new Error('Project not found');
+    }
+    await this.save();
+    logger.info(`Deleted project ${id}`);
+  }
+
+  // Query options with the project's defaults filled in where they weren't given
+  applyDefaults(id, options = {}) {
+    const defaults = this.projects.get(id)?.defaults || {};
+    const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    return { ...defaults, ...given };
+  }
+}
+
+function pickDefaults(defaults) {
+  return Object.fromEntries(
+    Object.entries(defaults || {}).filter(([key, value]) => PROJECT_DEFAULT_OPTIONS.includes(key) && value !== undefined)
+  );
+}
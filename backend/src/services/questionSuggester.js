@@ -0,0 +1,305 @@
+import fs from 'fs/promises';
+import path from 'path';
+import winston from 'winston';
+import { tokenize } from './lexicalIndex.js';
+import { getLanguageName, UNDETERMINED } from './language.js';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Chunks sampled from a document, and the longest excerpt of each sent to
+// the model
+const SAMPLE_SIZE = 8;
+const MAX_PASSAGE_CHARS = 700;
+
+// Suggestions generated (and cached) per document; requests take the first few
+export const MAX_SUGGESTIONS = 10;
+
+// How many names and themes are kept
+const MAX_ENTITIES = 6;
+const MAX_THEMES = 6;
+
+// Capitalized words that start sentences or address people rather than name them
+const NOT_NAMES = new Set([
+  'a', 'after', 'all', 'an', 'and', 'as', 'at', 'but', 'by', 'chapter', 'dear', 'every', 'for',
+  'from', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'it', 'its', 'mr', 'mrs', 'ms', 'my', 'no',
+  'not', 'of', 'oh', 'on', 'one', 'or', 'our', 'part', 'she', 'so', 'that', 'the', 'their',
+  'then', 'there', 'these', 'they', 'this', 'those', 'to', 'we', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'with', 'yes', 'you', 'your'
+]);
+
+const STOP_WORDS = new Set([
+  'about', 'above', 'across', 'after', 'again', 'against', 'almost', 'along', 'already', 'also',
+  'although', 'always', 'among', 'another', 'anything', 'around', 'away', 'back', 'because',
+  'been', 'before', 'behind', 'being', 'below', 'between', 'both', 'came', 'cannot', 'come',
+  'could', 'didn', 'does', 'doing', 'done', 'down', 'during', 'each', 'either', 'else', 'enough',
+  'even', 'ever', 'every', 'everything', 'from', 'gave', 'get', 'gets', 'give', 'goes', 'going',
+  'gone', 'got', 'had', 'has', 'have', 'having', 'here', 'herself', 'himself', 'into', 'itself',
+  'just', 'keep', 'kept', 'knew', 'know', 'last', 'later', 'less', 'like', 'little', 'long',
+  'looked', 'made', 'make', 'many', 'might', 'more', 'most', 'much', 'must', 'myself', 'need',
+  'never', 'next', 'nothing', 'now', 'once', 'only', 'other', 'others', 'ours', 'over', 'own',
+  'perhaps', 'quite', 'rather', 'really', 'said', 'same', 'saw', 'says', 'seemed', 'seen',
+  'should', 'since', 'some', 'something', 'still', 'such', 'take', 'than', 'that', 'their',
+  'them', 'themselves', 'then', 'there', 'these', 'they', 'thing', 'things', 'think', 'this',
+  'those', 'though', 'thought', 'through', 'time', 'together', 'told', 'took', 'toward',
+  'towards', 'under', 'until', 'upon', 'very', 'want', 'wanted', 'was', 'wasn', 'way', 'well',
+  'went', 'were', 'what', 'whatever', 'when', 'where', 'whether', 'which', 'while', 'whom',
+  'whose', 'will', 'with', 'within', 'without', 'would', 'year', 'years', 'yet', 'your', 'yours'
+]);
+
+// Words (in any script) of a name, capitalized and possibly joined by "of"
+// or "the" ("Tower of Ash"); apostrophes kept for "O'Neill"
+const NAME = /\p{Lu}[\p{Ll}\p{M}'’]+(?:\s+(?:(?:of|the|de|van|von)\s+)?\p{Lu}[\p{Ll}\p{M}'’]+)*/gu;
+const SENTENCE_END = /(^|[.!?:;"“”‘’—\n])\s*$/;
+
+// Suggests questions to ask about a document: samples chunks spread across
+// it, finds the names and themes that recur in them, and has the chat
+// provider (see llmProviders.js) write questions from the passages when
+// there is one, otherwise fills question templates. Suggestions are cached
+// per document in data/question-suggestions.json, so they survive restarts,
+// and regenerated when its text (contentHash) changes.
+export class QuestionSuggester {
+  constructor(options = {}) {
+    this.cacheFile = options.cacheFile || 'data/question-suggestions.json';
+    // documentId -> { contentHash, result }
+    this.cache = new Map();
+  }
+
+  async initialize() {
+    await fs.mkdir(path.dirname(this.cacheFile), { recursive: true });
+    try {
+      const data = JSON.parse(await fs.readFile(this.cacheFile, 'utf8'));
+      Object.entries(data.suggestions || {}).forEach(([documentId, entry]) => {
+        this.cache.set(documentId, entry);
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read question suggestions ${this.cacheFile}, starting fresh: ${error.message}`);
+      }
+    }
+  }
+
+  save() {
+    return writeJsonAtomic(this.cacheFile, { suggestions: Object.fromEntries(this.cache) }, { space: 2 }).catch(error => {
+      logger.error('Error saving question suggestions:', error);
+    });
+  }
+
+  // Returns { questions, chunksAnalyzed, entities, themes, method, generatedAt, cached }
+  async suggest(document, { count = 5, llm = null, refresh = false } = {}) {
+    const contentHash = document.fingerprint?.contentHash || document.processedAt;
+    const cached = this.cache.get(document.id);
+    if (!refresh && cached?.contentHash === contentHash) {
+      return { ...cached.result, questions: cached.result.questions.slice(0, count), cached: true };
+    }
+
+    const chunks = sampleChunks(document.chunks || [], SAMPLE_SIZE);
+    const texts = chunks.map(chunk => chunk.text);
+    const entities = extractEntities(texts);
+    const themes = extractThemes(texts, entities);
+    const headings = [...new Set(chunks.map(chunk => chunk.metadata?.headingPath?.at(-1)).filter(Boolean))];
+
+    let questions = [];
+    let method = 'template';
+    if (llm && chunks.length > 0) {
+      try {
+        questions = await this.generateWithLLM(llm, { document, chunks, entities, themes });
+        method = 'llm';
+      } catch (error) {
+        logger.warn('LLM question suggestions failed, using templates:', error.message);
+      }
+    }
+
+    // Templates fill in whatever the model didn't supply
+    if (questions.length < MAX_SUGGESTIONS) {
+      questions = uniqueQuestions([...questions, ...templateQuestions({ entities, themes, headings })])
+        .slice(0, MAX_SUGGESTIONS);
+    }
+
+    const result = {
+      questions,
+      chunksAnalyzed: chunks.length,
+      entities,
+      themes,
+      method,
+      generatedAt: new Date().toISOString()
+    };
+    this.cache.set(document.id, { contentHash, result });
+    await this.save();
+
+    return { ...result, questions: questions.slice(0, count), cached: false };
+  }
+
+  async generateWithLLM(llm, { document, chunks, entities, themes }) {
+    const passages = chunks
+      .map((chunk, index) => `[${index + 1}] ${chunk.text.slice(0, MAX_PASSAGE_CHARS)}`)
+      .join('\n\n');
+    const language = document.metadata?.language;
+    const languageName = language && language !== UNDETERMINED ? getLanguageName(language) : null;
+
+    const content = await llm.chat({
+      temperature: 0.7,
+      maxTokens: 60 + MAX_SUGGESTIONS * 40,
+      json: true,
+      messages: [
+        {
+          role: 'system',
+          content: 'You suggest questions a writer could ask a research assistant about their own document. Reply with JSON only.'
+        },
+        {
+          role: 'user',
+          content: `Passages from "${document.filename}":
+${passages}
+
+Recurring names: ${entities.join(', ') || 'none found'}
+Recurring themes: ${themes.join(', ') || 'none found'}
+
+Suggest ${MAX_SUGGESTIONS} varied questions about this document that its passages can answer: about its people and places, its themes, its events and its style. Make each one specific to this document, under 20 words${languageName ? `, and written in ${languageName}` : ''}. Reply with {"questions": [..]}.`
+        }
+      ]
+    });
+
+    const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+    const { questions } = JSON.parse(json);
+    if (!Array.isArray(questions)) {
+      throw new Error('Expected a list of questions');
+    }
+
+    return uniqueQuestions(questions
+      .filter(question => typeof question === 'string')
+      .map(question => question.trim())
+      .filter(question => question.length >= 10 && question.length <= 200))
+      .slice(0, MAX_SUGGESTIONS);
+  }
+
+  async forget(documentId) {
+    if (this.cache.delete(documentId)) {
+      await this.save();
+    }
+  }
+}
+
+// Up to size chunks spread evenly over the document: the one with the most
+// distinct words from each stretch, in document order
+export function sampleChunks(chunks, size = SAMPLE_SIZE) {
+  if (chunks.length <= size) {
+    return chunks;
+  }
+
+  const sample = [];
+  for (let part = 0; part < size; part++) {
+    const stretch = chunks.slice(Math.floor(part * chunks.length / size), Math.floor((part + 1) * chunks.length / size));
+    sample.push(stretch.reduce((best, chunk) => (richness(chunk) > richness(best) ? chunk : best)));
+  }
+  return sample;
+}
+
+// Capitalized names that recur in the texts, most frequent first. Words only
+// ever seen capitalized at the start of a sentence don't count, so "Later"
+// or "Suddenly" aren't taken for names.
+export function extractEntities(texts, max = MAX_ENTITIES) {
+  const names = new Map();
+
+  for (const text of texts) {
+    for (const match of text.matchAll(NAME)) {
+      const words = match[0].split(/\s+/);
+      while (words.length > 0 && NOT_NAMES.has(words[0].toLowerCase())) {
+        words.shift();
+      }
+      if (words.length === 0) continue;
+
+      const name = words.join(' ').replace(/['’]s$/, '');
+      const entry = names.get(name) || { name, count: 0, midSentence: false };
+      entry.count++;
+      // A sentence-initial word that was dropped leaves the name mid-sentence
+      entry.midSentence ||= words.length < match[0].split(/\s+/).length
+        || !SENTENCE_END.test(text.slice(Math.max(0, match.index - 3), match.index));
+      names.set(name, entry);
+    }
+  }
+
+  return Array.from(names.values())
+    .filter(entry => entry.midSentence && (entry.count > 1 || names.size <= max))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+    .slice(0, max)
+    .map(entry => entry.name);
+}
+
+// Content words that recur across the texts (not names), ranked by how many
+// texts use them times how often
+export function extractThemes(texts, entities = [], max = MAX_THEMES) {
+  const nameWords = new Set(entities.flatMap(entity => tokenize(entity)));
+  const counts = new Map();
+
+  texts.forEach(text => {
+    const seen = new Set();
+    for (const word of tokenize(text)) {
+      if (word.length < 4 || /\d/.test(word) || STOP_WORDS.has(word) || nameWords.has(word)) continue;
+      const entry = counts.get(word) || { word, count: 0, texts: 0 };
+      entry.count++;
+      if (!seen.has(word)) {
+        entry.texts++;
+        seen.add(word);
+      }
+      counts.set(word, entry);
+    }
+  });
+
+  const minTexts = texts.length > 2 ? 2 : 1;
+  return Array.from(counts.values())
+    .filter(entry => entry.texts >= minTexts && entry.count > 1)
+    .sort((a, b) => b.count * b.texts - a.count * a.texts || a.word.localeCompare(b.word))
+    .slice(0, max)
+    .map(entry => entry.word);
+}
+
+// Questions from the names, themes and section headings found, interleaved
+// so the first few cover different things, then general ones
+export function templateQuestions({ entities = [], themes = [], headings = [] }) {
+  const about = {
+    entities: entities.map(name => `What role does ${name} play in this document?`),
+    themes: themes.map(theme => `Where does "${theme}" come up, and why does it matter?`),
+    headings: headings.map(heading => `What happens in "${heading}"?`)
+  };
+  if (entities.length > 1) {
+    about.entities.splice(1, 0, `How are ${entities[0]} and ${entities[1]} connected?`);
+  }
+  if (entities.length > 0 && themes.length > 0) {
+    about.themes.splice(1, 0, `How is ${entities[0]} connected to "${themes[0]}"?`);
+  }
+
+  const interleaved = [];
+  const longest = Math.max(about.entities.length, about.themes.length, about.headings.length);
+  for (let index = 0; index < longest; index++) {
+    for (const questions of [about.entities, about.themes, about.headings]) {
+      if (questions[index]) interleaved.push(questions[index]);
+    }
+  }
+
+  return uniqueQuestions([
+    ...interleaved,
+    'What are the main themes in this document?',
+    'Can you summarize the key points?',
+    'How does the tone change over the course of the document?',
+    'Are there any contradictions or inconsistencies?',
+    'What questions does this document leave open?'
+  ]);
+}
+
+function uniqueQuestions(questions) {
+  const seen = new Set();
+  return questions.filter(question => {
+    const key = question.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function richness(chunk) {
+  return new Set(tokenize(chunk.text)).size;
+}
@@ -1,8 +1,19 @@
 import OpenAI from 'openai';
-import { ChromaClient } from 'chromadb';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import winston from 'winston';
+import { VectorStore, createVectorStore } from './vectorStore.js';
+import { LexicalIndex, reciprocalRankFusion } from './lexicalIndex.js';
+import { Reranker } from './reranker.js';
+import { QuestionSuggester } from './questionSuggester.js';
+import { buildContext, countTokens, getContextBudget, getMaxAnswerTokens } from './contextBuilder.js';
+import { CITATION_INSTRUCTIONS, formatNumberedContext, formatPageRange, resolveCitations } from './citations.js';
+import { EmbeddingService, embeddingCacheKey } from './embeddingService.js';
+import { createEmbeddingProvider, resolveEmbeddingConfig, providerForModel } from './embeddingProviders.js';
+import { createLLMProviders, getDefaultLLMProvider } from './llmProviders.js';
+import { UNDETERMINED, detectLanguage, getLanguageCandidates, getLanguageName } from './language.js';
+import { buildMetadataFilter, documentFieldMetadata, sameDocumentFields } from './metadataFilter.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -10,11 +21,35 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+const RETRIEVAL_MODES = ['vector', 'lexical', 'hybrid'];
+const DEFAULT_RETRIEVAL_MODE = 'hybrid';
+
+// Read per query rather than at import, which runs before dotenv loads .env
+function getDefaultRetrievalMode() {
+  const mode = process.env.RETRIEVAL_MODE;
+  return RETRIEVAL_MODES.includes(mode) ? mode : DEFAULT_RETRIEVAL_MODE;
+}
+
+// Whether queries that don't say rerank (RERANK_ENABLED), also read per query
+function isRerankEnabled() {
+  return process.env.RERANK_ENABLED === 'true';
+}
+
 export class RAGService {
-  constructor() {
+  constructor(options = {}) {
     this.openai = null;
-    this.chroma = null;
-    this.collection = null;
+    this.llms = new Map(); // Chat providers by name (see llmProviders.js)
+    this.defaultLLM = null; // Name of the provider used when a query doesn't pick one
+    this.vectorStore = options.vectorStore || null; // Any backend from createVectorStore()
+    this.collections = options.collections || null; // CollectionRegistry: which collection is active, built with which model
+    this.lexicalIndex = options.lexicalIndex || null; // BM25 index kept in sync with the vector store
+    this.documentProcessor = options.documentProcessor || null; // Stored documents, for version scopes and question suggestions
+    this.reranker = null;
+    this.questionSuggester = null;
+    this.embeddings = null; // Batched, cached embeddings from the active collection's model
+    this.embeddingsUnavailable = null; // Why the active collection's model couldn't be loaded, if it couldn't
+    this.cutover = null; // Settles when a migration's cutover (see withCutoverLock) is done
+    this.indexWrites = new Set(); // addDocument / removeDocument calls in progress
     this.queryHistory = new Map();
     this.isInitialized = false;
     this.mcpClient = null; // Add MCP client support
@@ -55,40 +90,32 @@ export class RAGService {
         logger.warn('OpenAI API key not found. LLM features will be limited.');
       }
 
-      // Initialize ChromaDB
-      try {
-        this.chroma = new ChromaClient({
-          path: process.env.CHROMA_URL || 'http://localhost:8001'
-        });
+      // Chat providers: OpenAI-compatible, Anthropic and/or a local model
+      this.llms = await createLLMProviders({ openai: this.openai });
+      this.defaultLLM = getDefaultLLMProvider(this.llms);
+      if (!this.defaultLLM) {
+        logger.warn('No LLM provider configured; answers will be extracted from the documents');
+      }
 
-        const embeddingDimension = parseInt(process.env.EMBEDDING_DIMENSION, 10);
-        if (isNaN(embeddingDimension)) {
-          throw new Error('EMBEDDING_DIMENSION is not set in your .env file.');
-        }
-        
-        // Test connection with a timeout
-        const testPromise = this.chroma.getOrCreateCollection({
-          name: 'padalayai_documents',
-          metadata: {
-            "hnsw:space": "l2",
-            "hnsw:dim": embeddingDimension,
-            'description': 'Document chunks for Padalayai'
-          }
-        });
-        
-        // Add timeout to prevent hanging
-        this.collection = await Promise.race([
-          testPromise,
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('ChromaDB connection timeout')), 5000)
-          )
-        ]);
-        
-        logger.info('ChromaDB initialized successfully');
-      } catch (chromaError) {
-        logger.warn(`ChromaDB not available (${chromaError.message}), using in-memory vector store`);
-        this.chroma = null;
-        this.collection = new InMemoryVectorStore();
+      this.reranker = new Reranker();
+      this.questionSuggester = new QuestionSuggester();
+      await this.questionSuggester.initialize();
+
+      // Initialize vector store backend (chosen by VECTOR_BACKEND)
+      if (!this.vectorStore) {
+        this.vectorStore = await createVectorStore({ collectionName: this.collections?.getActive().name });
+      }
+      logger.info(`Using ${this.vectorStore.name} vector store (${this.vectorStore.collectionName})`);
+
+      await this.initializeEmbeddings();
+
+      if (!this.embeddingsUnavailable && this.vectorStore.dimension && this.embeddings.dimension && this.vectorStore.dimension !== this.embeddings.dimension) {
+        logger.error(`The ${this.vectorStore.name} vector store holds ${this.vectorStore.dimension}-dimension vectors but ${this.embeddings.model} produces ${this.embeddings.dimension}; vector search is disabled until the index is rebuilt with this model`);
+      }
+
+      if (!this.lexicalIndex) {
+        this.lexicalIndex = new LexicalIndex();
+        await this.lexicalIndex.initialize();
       }
 
       // Load query history
@@ -103,6 +130,228 @@ export class RAGService {
     }
   }
 
+  // The chat provider a query asked for, or the default one (null when no
+  // provider is configured). Throws for providers that aren't configured.
+  getLLM(name = null) {
+    if (!name) {
+      return this.llms.get(this.defaultLLM) || null;
+    }
+
+    const llm = this.llms.get(name);
+    if (!llm) {
+      throw new Error(`LLM provider ${name} is not configured`);
+    }
+    return llm;
+  }
+
+  // Whether a query's llmProvider is configured, so routes can answer 400
+  // instead of failing in getLLM
+  hasLLM(name) {
+    return this.llms.has(name);
+  }
+
+  listLLMProviders() {
+    return Array.from(this.llms.values()).map(llm => ({
+      name: llm.name,
+      label: llm.label,
+      model: llm.model,
+      capabilities: llm.capabilities,
+      isDefault: llm.name === this.defaultLLM
+    }));
+  }
+
+  // Embeddings for the active collection come from the model it was built
+  // with, so its vectors stay comparable. A different configured model
+  // (EMBEDDING_PROVIDER / OPENAI_EMBEDDING_MODEL / LOCAL_EMBEDDING_MODEL) only
+  // takes effect through a migration (see embeddingMigration.js).
+  async initializeEmbeddings() {
+    const configured = resolveEmbeddingConfig({ openai: this.openai });
+    let wanted = configured;
+
+    if (this.collections) {
+      let collection = this.collections.getActive();
+
+      // A collection nothing has been written to yet can take on any model
+      const isEmpty = await this.vectorStore.count() === 0 && !this.vectorStore.dimension;
+      if (!collection.embeddingModel || isEmpty) {
+        collection = await this.collections.recordModel(collection.name, await this.detectCollectionModel(configured));
+      }
+
+      wanted = { provider: collection.embeddingProvider, model: collection.embeddingModel };
+      if (wanted.provider !== configured.provider || wanted.model !== configured.model) {
+        logger.warn(`Collection ${collection.name} was built with ${wanted.model} but ${configured.model} is configured; keeping ${wanted.model} until an embedding migration is run`);
+      }
+    }
+
+    let provider;
+    try {
+      provider = await createEmbeddingProvider({ openai: this.openai, ...wanted });
+    } catch (error) {
+      if (wanted === configured) {
+        throw error;
+      }
+      // Keep the service up so the collection can be migrated to the configured model
+      provider = await createEmbeddingProvider({ openai: this.openai });
+      this.embeddingsUnavailable = `Collection ${this.vectorStore.collectionName} was built with ${wanted.model}, which can't be loaded (${error.message}). Run an embedding migration to re-embed it with ${provider.model}.`;
+      logger.error(this.embeddingsUnavailable);
+    }
+
+    this.embeddings = new EmbeddingService({ provider });
+    await this.embeddings.initialize();
+  }
+
+  // Model of a collection registered before models were recorded: whatever
+  // its chunks say they were embedded with, else the configured model
+  async detectCollectionModel(configured) {
+    const [firstId] = await this.vectorStore.listIds();
+    const [record] = firstId ? await this.vectorStore.get({ ids: [firstId] }) : [];
+    const embeddingModel = record?.metadata?.embeddingModel;
+
+    return {
+      embeddingProvider: embeddingModel ? providerForModel(embeddingModel) : configured.provider,
+      embeddingModel: embeddingModel || configured.model,
+      dimension: this.vectorStore.dimension
+    };
+  }
+
+  // Switches queries and indexing to another collection (at the end of a
+  // migration). Both are replaced in one step, so every query sees a
+  // consistent store and model.
+  async switchCollection({ vectorStore, embeddings }) {
+    const previousStore = this.vectorStore;
+    const previousEmbeddings = this.embeddings;
+
+    this.vectorStore = vectorStore;
+    this.embeddings = embeddings;
+    this.embeddingsUnavailable = null;
+
+    logger.info(`Switched to collection ${vectorStore.collectionName} (${embeddings.model})`);
+
+    await previousEmbeddings?.flush();
+    if (previousStore && previousStore !== vectorStore) {
+      await previousStore.close();
+    }
+  }
+
+  // Runs a migration's final catch-up and switch (fn) with index writes held
+  // back: addDocument and removeDocument calls wait until it's done, then
+  // write to the new collection, and ones already running finish first.
+  async withCutoverLock(fn) {
+    while (this.cutover) {
+      await this.cutover;
+    }
+
+    let release;
+    this.cutover = new Promise(resolve => {
+      release = resolve;
+    });
+    try {
+      await Promise.allSettled(this.indexWrites);
+      return await fn();
+    } finally {
+      this.cutover = null;
+      release();
+    }
+  }
+
+  // Waits out a cutover, then registers an index write; returns the function
+  // that ends it
+  async beginIndexWrite() {
+    while (this.cutover) {
+      await this.cutover;
+    }
+
+    let end;
+    const write = new Promise(resolve => {
+      end = resolve;
+    });
+    this.indexWrites.add(write);
+    return () => {
+      this.indexWrites.delete(write);
+      end();
+    };
+  }
+
+  // Switch to the local index when the configured backend fails at runtime
+  async fallBackToLocalStore(reason) {
+    logger.warn(`${this.vectorStore.name} vector store error (${reason}), falling back to local vector store`);
+    const localStore = new VectorStore({ collectionName: this.vectorStore.collectionName });
+    await localStore.initialize();
+    this.vectorStore = localStore;
+    return localStore;
+  }
+
+  // Index any stored documents the vector store or lexical index doesn't know
+  // about yet, e.g. documents uploaded before the indexes were persisted to
+  // disk
+  async syncVectorStore(documents) {
+    const indexedIds = new Set(await this.vectorStore.listIds());
+    const lexicalIds = new Set(await this.lexicalIndex.listIds());
+    let synced = 0;
+
+    for (const document of documents) {
+      const chunks = document.chunks || [];
+      if (chunks.length === 0) {
+        continue;
+      }
+
+      try {
+        if (!chunks.every(chunk => indexedIds.has(chunk.id))) {
+          await this.addDocument(document);
+          synced++;
+        } else if (!chunks.every(chunk => lexicalIds.has(chunk.id))) {
+          // Vectors are fine, only the (cheap) lexical side is missing
+          await this.lexicalIndex.upsert(this.buildChunkRecords(document));
+          synced++;
+        }
+      } catch (error) {
+        logger.warn(`Could not index document ${document.filename}: ${error.message}`);
+      }
+    }
+
+    if (synced > 0) {
+      logger.info(`Indexed ${synced} stored documents into the ${this.vectorStore.name} vector store`);
+    }
+    return synced;
+  }
+
+  // Ids of indexed documents whose chunks predate uploadedAtMs (see
+  // metadataFilter.js), which filterBy.uploadedAt can't find until they are
+  // re-indexed
+  async findUndatedDocuments(documents) {
+    const datedIds = new Set(await this.vectorStore.listIds({ where: { uploadedAtMs: { $gt: 0 } } }));
+
+    return documents
+      .filter(document => (document.chunks || []).length > 0 && !Number.isNaN(Date.parse(document.uploadedAt)))
+      .filter(document => !document.chunks.every(chunk => datedIds.has(chunk.id)))
+      .map(document => document.id);
+  }
+
+  // Shrinks the embedding cache to the chunk texts of the given documents,
+  // under the active model and any a migration is building. Vectors for
+  // edited or deleted chunks and for retired models are dropped.
+  async compactEmbeddingCache(documents) {
+    const models = new Set([this.embeddings.model]);
+    for (const collection of this.collections?.list() || []) {
+      if (collection.embeddingModel && collection.status !== 'retired') {
+        models.add(collection.embeddingModel);
+      }
+    }
+
+    const liveKeys = new Set();
+    for (const document of documents) {
+      for (const chunk of document.chunks || []) {
+        models.forEach(model => liveKeys.add(embeddingCacheKey(model, chunk.text)));
+      }
+    }
+
+    const result = await this.embeddings.compact(liveKeys);
+    if (result?.removed > 0) {
+      logger.info(`Compacted embedding cache: ${result.removed} stale vectors removed, ${result.kept} kept`);
+    }
+    return result;
+  }
+
   async loadQueryHistory() {
     try {
       const historyFile = 'data/query_history.json';
@@ -129,92 +378,213 @@ export class RAGService {
     }
   }
 
-  async addDocument(documentInfo) {
+  // Brings both indexes in line with the document's current chunks. Only new
+  // or changed chunks (by content hash) are embedded, chunks whose metadata
+  // alone changed keep their vectors, and chunk ids the document no longer
+  // has are deleted, so re-indexing is cheap and safe to repeat.
+  // onProgress({ completed, total }) is called as the changed chunks are embedded.
+  async addDocument(documentInfo, { onProgress } = {}) {
     if (!this.isInitialized) {
       throw new Error('RAG service not initialized');
     }
 
+    const endWrite = await this.beginIndexWrite();
     try {
-      logger.info(`Adding document to vector store: ${documentInfo.filename}`);
-
-      // Generate embeddings for each chunk
-      const chunks = documentInfo.chunks || [];
-      const embeddings = [];
-      const documents = [];
-      const metadatas = [];
-      const ids = [];
-
-      for (const chunk of chunks) {
-        // Generate embedding
-        const embedding = await this.generateEmbedding(chunk.text);
-        
-        embeddings.push(embedding);
-        documents.push(chunk.text);
-        ids.push(chunk.id);
-        metadatas.push({
-          documentId: documentInfo.id,
-          filename: documentInfo.filename,
-          chunkIndex: chunk.index,
-          chunkSize: chunk.text.length,
-          documentSize: documentInfo.size,
-          uploadedAt: documentInfo.uploadedAt
-        });
+      if (this.embeddingsUnavailable) {
+        throw new Error(this.embeddingsUnavailable);
       }
 
-      // Add to vector store
-      if (this.collection.add) {
-        try {
-          await this.collection.add({
-            ids,
-            embeddings,
-            documents,
-            metadatas
-          });
-        } catch (chromaError) {
-          logger.warn(`ChromaDB error during add operation: ${chromaError.message}`);
-          
-          // If it's a compaction error, try to reinitialize ChromaDB
-          if (chromaError.message.includes('compaction') || chromaError.message.includes('log store')) {
-            logger.info('Attempting to reinitialize ChromaDB due to compaction error...');
-            try {
-              // Try to recreate the collection
-              this.collection = await this.chroma.getOrCreateCollection({
-                name: 'padalayai_documents_new',
-                metadata: { description: 'Document chunks for PadalayAI (recreated)' }
-              });
-              
-              // Retry the add operation
-              await this.collection.add({
-                ids,
-                embeddings,
-                documents,
-                metadatas
-              });
-              
-              logger.info('Successfully recovered from ChromaDB compaction error');
-            } catch (retryError) {
-              logger.warn('Failed to recover from ChromaDB error, falling back to in-memory store');
-              this.collection = new InMemoryVectorStore();
-              this.collection.addDocuments(ids, embeddings, documents, metadatas);
-            }
-          } else {
-            // For other errors, fall back to in-memory store
-            logger.warn('ChromaDB error, falling back to in-memory store');
-            this.collection = new InMemoryVectorStore();
-            this.collection.addDocuments(ids, embeddings, documents, metadatas);
-          }
+      logger.info(`Indexing document: ${documentInfo.filename}`);
+
+      const records = this.buildChunkRecords(documentInfo);
+
+      let vectorReport;
+      try {
+        vectorReport = await this.syncDocumentVectors(documentInfo.id, records, { onProgress });
+      } catch (storeError) {
+        if (this.vectorStore.name === 'local') {
+          throw storeError;
         }
-      } else {
-        // In-memory store
-        this.collection.addDocuments(ids, embeddings, documents, metadatas);
+        await this.fallBackToLocalStore(storeError.message);
+        vectorReport = await this.syncDocumentVectors(documentInfo.id, records, { onProgress });
       }
 
-      logger.info(`Added ${chunks.length} chunks to vector store for document: ${documentInfo.filename}`);
+      await this.syncDocumentLexical(documentInfo.id, records, vectorReport.changedIds);
+
+      const report = {
+        documentId: documentInfo.id,
+        filename: documentInfo.filename,
+        chunks: records.ids.length,
+        embedded: vectorReport.embeddedIds.length,
+        relabeled: vectorReport.changedIds.length - vectorReport.embeddedIds.length,
+        unchanged: records.ids.length - vectorReport.changedIds.length,
+        deleted: vectorReport.deleted
+      };
+
+      logger.info(`Indexed ${documentInfo.filename}: ${report.embedded} chunks embedded, ${report.relabeled} with new metadata, ${report.unchanged} unchanged, ${report.deleted} removed`);
+      return report;
 
     } catch (error) {
       logger.error(`Error adding document to vector store:`, error);
       throw error;
+    } finally {
+      endWrite();
+    }
+  }
+
+  // Brings the vector store in line with the document's chunk records. Chunks
+  // whose content hash or embedding model differ from what the store holds
+  // (or that it lacks) are embedded and upserted. Chunks that only differ in
+  // metadata (heading path, offset, page, language, project, or document
+  // fields: tags, custom metadata and upload time) keep their vectors and get
+  // the new metadata. Deletes the document's stale chunk ids. Works on the
+  // active collection unless a migration passes its target store and
+  // embeddings (records must then be built with that model).
+  async syncDocumentVectors(documentId, records, { onProgress, vectorStore = this.vectorStore, embeddings = this.embeddings } = {}) {
+    const existing = new Map(
+      (await vectorStore.get({ where: { documentId } })).map(record => [record.id, record])
+    );
+
+    const reembed = [];
+    const relabel = [];
+    records.ids.forEach((id, index) => {
+      const stored = existing.get(id)?.metadata;
+      const metadata = records.metadatas[index];
+      if (stored?.contentHash !== metadata.contentHash || stored?.embeddingModel !== metadata.embeddingModel) {
+        reembed.push(index);
+      } else if ((stored.headingPath || '') !== metadata.headingPath ||
+        stored.startChar !== metadata.startChar ||
+        stored.pageStart !== metadata.pageStart ||
+        stored.language !== metadata.language ||
+        stored.projectId !== metadata.projectId ||
+        !sameDocumentFields(stored, metadata)) {
+        relabel.push(index);
+      }
+    });
+
+    if (reembed.length > 0) {
+      const vectors = await this.generateEmbeddings(
+        reembed.map(index => records.documents[index]),
+        { onProgress, embeddings }
+      );
+
+      await vectorStore.upsert({
+        ids: reembed.map(index => records.ids[index]),
+        embeddings: vectors,
+        documents: reembed.map(index => records.documents[index]),
+        metadatas: reembed.map(index => records.metadatas[index])
+      });
+    }
+
+    if (relabel.length > 0) {
+      await vectorStore.updateMetadata({
+        ids: relabel.map(index => records.ids[index]),
+        metadatas: relabel.map(index => records.metadatas[index])
+      });
+    }
+
+    const currentIds = new Set(records.ids);
+    const staleIds = Array.from(existing.keys()).filter(id => !currentIds.has(id));
+    if (staleIds.length > 0) {
+      await vectorStore.delete({ ids: staleIds });
+    }
+
+    return {
+      changedIds: [...reembed, ...relabel].map(index => records.ids[index]),
+      embeddedIds: reembed.map(index => records.ids[index]),
+      deleted: staleIds.length
+    };
+  }
+
+  // Same for the lexical index, which is cheap to update: changed or missing
+  // chunks are (re)added and stale ones removed
+  async syncDocumentLexical(documentId, records, changedIds) {
+    const existingIds = new Set(await this.lexicalIndex.listIds({ where: { documentId } }));
+    const changed = new Set(changedIds);
+
+    const updates = records.ids
+      .map((id, index) => index)
+      .filter(index => changed.has(records.ids[index]) || !existingIds.has(records.ids[index]));
+
+    if (updates.length > 0) {
+      await this.lexicalIndex.upsert({
+        ids: updates.map(index => records.ids[index]),
+        documents: updates.map(index => records.documents[index]),
+        metadatas: updates.map(index => records.metadatas[index])
+      });
+    }
+
+    const currentIds = new Set(records.ids);
+    const staleIds = Array.from(existingIds).filter(id => !currentIds.has(id));
+    if (staleIds.length > 0) {
+      await this.lexicalIndex.delete({ ids: staleIds });
+    }
+  }
+
+  // Re-indexes many documents in turn. onProgress is called after each one
+  // with { completed, total, report } (report.error is set when it failed).
+  async reindexDocuments(documents, { onProgress } = {}) {
+    const reports = [];
+
+    for (const document of documents) {
+      let report;
+      try {
+        report = await this.addDocument(document);
+      } catch (error) {
+        report = { documentId: document.id, filename: document.filename, error: error.message };
+      }
+
+      reports.push(report);
+      if (onProgress) {
+        onProgress({ completed: reports.length, total: documents.length, report });
+      }
     }
+
+    const succeeded = reports.filter(report => !report.error);
+    return {
+      documents: reports,
+      totals: {
+        documents: documents.length,
+        failed: reports.length - succeeded.length,
+        chunks: succeeded.reduce((sum, report) => sum + report.chunks, 0),
+        embedded: succeeded.reduce((sum, report) => sum + report.embedded, 0),
+        relabeled: succeeded.reduce((sum, report) => sum + report.relabeled, 0),
+        unchanged: succeeded.reduce((sum, report) => sum + report.unchanged, 0),
+        deleted: succeeded.reduce((sum, report) => sum + report.deleted, 0)
+      }
+    };
+  }
+
+  // Ids, texts and metadata for a document's chunks, shared by both indexes
+  buildChunkRecords(documentInfo, embeddingModel = this.embeddings.model) {
+    const chunks = documentInfo.chunks || [];
+
+    return {
+      ids: chunks.map(chunk => chunk.id),
+      documents: chunks.map(chunk => chunk.text),
+      metadatas: chunks.map(chunk => ({
+        documentId: documentInfo.id,
+        filename: documentInfo.filename,
+        chunkIndex: chunk.index,
+        chunkSize: chunk.text.length,
+        contentHash: hashChunk(chunk.text),
+        embeddingModel,
+        startChar: chunk.metadata?.startChar,
+        endChar: chunk.metadata?.endChar,
+        // Vector store metadata values have to be scalars
+        headingPath: (chunk.metadata?.headingPath || []).join(' > '),
+        pageStart: chunk.metadata?.pageStart,
+        pageEnd: chunk.metadata?.pageEnd,
+        language: chunk.metadata?.language || documentInfo.metadata?.language || UNDETERMINED,
+        documentSize: documentInfo.size,
+        uploadedAt: documentInfo.uploadedAt,
+        // '' outside any project rather than left out: ChromaDB's upsert
+        // merges metadata, so a missing key would keep the old project
+        projectId: documentInfo.projectId || '',
+        // Tags, custom fields and the upload time, for filterBy
+        ...documentFieldMetadata(documentInfo)
+      }))
+    };
   }
 
   async removeDocument(documentId) {
@@ -222,113 +592,154 @@ export class RAGService {
       throw new Error('RAG service not initialized');
     }
 
+    const endWrite = await this.beginIndexWrite();
     try {
       logger.info(`Removing document from vector store: ${documentId}`);
 
-      if (this.collection.delete) {
-        // ChromaDB
-        await this.collection.delete({
-          where: { documentId: documentId }
-        });
-      } else {
-        // In-memory store
-        this.collection.removeDocument(documentId);
-      }
+      await this.vectorStore.delete({
+        where: { documentId: documentId }
+      });
+      await this.lexicalIndex.delete({
+        where: { documentId: documentId }
+      });
+      await this.questionSuggester.forget(documentId);
 
       logger.info(`Removed document from vector store: ${documentId}`);
 
     } catch (error) {
       logger.error(`Error removing document from vector store:`, error);
       throw error;
+    } finally {
+      endWrite();
     }
   }
 
+  // Query embedding (not cached: queries rarely repeat verbatim)
   async generateEmbedding(text) {
-    if (this.openai) {
-      try {
-        const embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-        
-        // Handle Cohere embedding models differently
-        if (embeddingModel.includes('cohere')) {
-          const response = await this.openai.embeddings.create({
-            model: embeddingModel,
-            input: text,
-            embedding_types: ["float"]
-          });
-          return response.data[0].embedding;
-        } else {
-          const response = await this.openai.embeddings.create({
-            model: embeddingModel,
-            input: text
-          });
-          return response.data[0].embedding;
-        }
-      } catch (error) {
-        console.error(error)
-        logger.warn('Error generating OpenAI embedding, using fallback:', error.message);
-      }
+    if (this.embeddingsUnavailable) {
+      throw new Error(this.embeddingsUnavailable);
     }
+    const [embedding] = await this.embeddings.embed([text], { cache: false });
+    return embedding;
+  }
 
-    // Fallback: simple TF-IDF-like embedding
-    return this.generateSimpleEmbedding(text);
+  // Chunk embeddings, batched and cached. API errors are not papered over:
+  // indexing fails and can be retried instead of storing meaningless vectors.
+  async generateEmbeddings(texts, { onProgress, embeddings = this.embeddings } = {}) {
+    return embeddings.embed(texts, { onProgress });
   }
 
-  generateSimpleEmbedding(text, dimensions = 384) {
-    // Simple hash-based embedding for demo purposes
-    const words = text.toLowerCase().match(/\b\w+\b/g) || [];
-    const embedding = new Array(dimensions).fill(0);
-    
-    words.forEach((word, index) => {
-      const hash = this.simpleHash(word);
-      const pos = Math.abs(hash) % dimensions;
-      embedding[pos] += 1 / Math.sqrt(words.length);
-    });
 
-    // Normalize
-    const magnitude = Math.sqrt(embedding.reduce((sum, val) => sum + val * val, 0));
-    return embedding.map(val => magnitude > 0 ? val / magnitude : 0);
+  async query(options) {
+    const prepared = await this.prepareQuery(options);
+
+    try {
+      // Generate answer using LLM with combined context
+      const answer = await this.generateAnswer({
+        query: prepared.query,
+        context: prepared.allContext,
+        conversation: prepared.conversation,
+        temperature: prepared.temperature,
+        analysisType: prepared.analysisType,
+        answerLanguage: prepared.answerLanguage,
+        llm: prepared.llm
+      });
+
+      return await this.finalizeQuery(prepared, answer);
+
+    } catch (error) {
+      logger.error('Error processing RAG query:', error);
+      throw error;
+    }
   }
 
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  // Streaming variant of query(): reports sources first, then answer tokens
+  // as they arrive, and resolves with the saved query record.
+  async queryStream(options, handlers = {}) {
+    const { onSources, onToken, signal } = handlers;
+
+    const prepared = await this.prepareQuery(options);
+
+    try {
+      if (onSources) {
+        onSources({
+          sources: prepared.sources,
+          documentsSearched: prepared.searchResults.documentsSearched,
+          confidence: this.calculateConfidence(prepared.allContext)
+        });
+      }
+
+      const answer = await this.generateAnswerStream({
+        query: prepared.query,
+        context: prepared.allContext,
+        conversation: prepared.conversation,
+        temperature: prepared.temperature,
+        analysisType: prepared.analysisType,
+        answerLanguage: prepared.answerLanguage,
+        llm: prepared.llm,
+        onToken,
+        signal
+      });
+
+      return await this.finalizeQuery(prepared, answer);
+
+    } catch (error) {
+      if (signal?.aborted) {
+        logger.info('Streaming RAG query cancelled by client');
+      } else {
+        logger.error('Error processing streaming RAG query:', error);
+      }
+      throw error;
     }
-    return hash;
   }
 
-  async query(options) {
+  // Retrieval half of a query: embeds the question and gathers document and MCP context
+  async prepareQuery(options) {
     const {
       query,
       documentIds = [],
       maxResults = 5,
       temperature = 0.7,
       includeContext = true,
-      filterBy = null, // New: filter by metadata
-      analysisType = 'content' // New: 'content', 'style', 'persona', 'genre'
+      filterBy = null, // Tags, custom fields and upload dates to match (see metadataFilter.js)
+      analysisType = 'content', // New: 'content', 'style', 'persona', 'genre'
+      retrievalMode = getDefaultRetrievalMode(), // 'vector', 'lexical' or 'hybrid'
+      rerank = isRerankEnabled(),
+      retrievalQuery = query, // Standalone form of a follow-up question, used for search
+      conversation = [], // Earlier turns as chat messages: [{ role, content }]
+      sessionId = null,
+      llmProvider = null, // Chat provider for this query; the default one if not given
+      languages = [], // Only search chunks in these languages (ISO 639-1 codes)
+      answerLanguage = 'auto', // Language to answer in; 'auto' answers in the question's
+      originalQuery = null, // The question as asked, when query is an enhanced version of it
+      versions = 'all', // Document versions to search: 'all', 'latest' or a version number
+      projectId = null // Only search documents in this project
     } = options;
 
     if (!this.isInitialized) {
       throw new Error('RAG service not initialized');
     }
 
+    const llm = this.getLLM(llmProvider);
+
     try {
       logger.info(`Processing RAG query: "${query.substring(0, 100)}..."`);
 
-      // Generate query embedding
-      const queryEmbedding = await this.generateEmbedding(query);
-
       // Search for relevant chunks from documents
-      const searchResults = await this.searchSimilarChunks({
-        embedding: queryEmbedding,
-        documentIds,
+      const scope = this.resolveVersionScope(documentIds, versions);
+      const searchResults = await this.retrieveChunks({
+        query: retrievalQuery,
+        documentIds: scope.documentIds,
+        excludeDocumentIds: scope.excludeIds,
+        languages,
+        projectId,
+        filterBy,
+        retrievalMode,
         maxResults: maxResults * 2 // Get more results for better context
       });
 
       // Try to get additional context from MCP servers if available
-      const mcpContext = await this.getMCPContext(query, analysisType);
+      const mcpContext = await this.getMCPContext(retrievalQuery, analysisType);
 
       // Combine document chunks with MCP context
       let allContext = [...searchResults.chunks];
@@ -337,55 +748,155 @@ export class RAGService {
         logger.info(`Added ${mcpContext.length} MCP context items to query`);
       }
 
-      // Generate answer using LLM with combined context
-      const answer = await this.generateAnswer({
-        query,
-        context: allContext,
-        temperature,
-        analysisType
+      // Rescore every candidate against the question and keep only the best
+      if (rerank) {
+        allContext = await this.reranker.rerank(retrievalQuery, allContext, { topN: maxResults, llm });
+      }
+
+      // Keep the most relevant chunks that fit the model's context budget.
+      // Every chunk sent to the model becomes a numbered, citable source.
+      const context = buildContext(allContext, {
+        model: llm?.model,
+        budgetTokens: getContextBudget(llm?.model, llm?.capabilities.contextWindow),
+        reservedTokens: countTokens([query, ...conversation.map(message => message.content)].join('\n')),
+        maxChunks: maxResults
       });
+      if (context.dropped.length > 0) {
+        logger.info(`Context budget: kept ${context.chunks.length} chunks (${context.usedTokens}/${context.budgetTokens} tokens), dropped ${context.dropped.length}`);
+      }
+      allContext = context.chunks;
 
-      // Create query result
-      const queryResult = {
-        id: uuidv4(),
+      return {
         query,
-        answer,
-        sources: allContext.slice(0, maxResults).map(chunk => ({
-          id: chunk.id,
-          text: chunk.text,
-          documentId: chunk.metadata?.documentId || chunk.id,
-          filename: chunk.metadata?.filename || chunk.filename || 'MCP Source',
-          chunkIndex: chunk.metadata?.chunkIndex || 0,
-          similarity: chunk.similarity || 1.0,
-          platform: chunk.metadata?.platform || chunk.platform,
-          url: chunk.metadata?.url || chunk.url
-        })),
-        context: includeContext ? allContext.map(c => c.text).join('\n\n') : undefined,
-        confidence: this.calculateConfidence(allContext),
-        documentsSearched: searchResults.documentsSearched,
-        mcpSourcesUsed: mcpContext ? mcpContext.length : 0,
-        timestamp: new Date().toISOString(),
-        metadata: {
-          temperature,
-          maxResults,
-          totalChunksFound: searchResults.chunks.length,
-          mcpContextAdded: mcpContext ? mcpContext.length : 0,
-          analysisType
-        }
+        maxResults,
+        temperature,
+        includeContext,
+        analysisType,
+        retrievalMode,
+        rerank,
+        retrievalQuery,
+        conversation,
+        sessionId,
+        llm,
+        languages,
+        versions,
+        projectId,
+        filterBy,
+        answerLanguage: this.resolveAnswerLanguage(originalQuery || query, answerLanguage),
+        searchResults,
+        mcpContext,
+        allContext,
+        contextReport: {
+          budgetTokens: context.budgetTokens,
+          usedTokens: context.usedTokens,
+          chunksIncluded: context.chunks.length,
+          dropped: context.dropped
+        },
+        sources: this.formatSources(allContext)
       };
 
-      // Save to history
-      this.queryHistory.set(queryResult.id, queryResult);
-      await this.saveQueryHistory();
-
-      return queryResult;
-
     } catch (error) {
       logger.error('Error processing RAG query:', error);
       throw error;
     }
   }
 
+  // { documentIds, excludeIds } for a version scope (see
+  // DocumentProcessor.resolveVersionScope); without a document processor
+  // every version is searched
+  resolveVersionScope(documentIds = [], versions = 'all') {
+    if (!this.documentProcessor) {
+      return { documentIds, excludeIds: [] };
+    }
+    return this.documentProcessor.resolveVersionScope(documentIds, versions);
+  }
+
+  // Language to answer in: the one asked for, or with 'auto' the question's.
+  // Questions are short, so they're only matched against the languages of the
+  // indexed chunks (or LANGUAGE_CANDIDATES). Null when it can't be told.
+  resolveAnswerLanguage(query, answerLanguage = 'auto') {
+    if (answerLanguage !== 'auto') {
+      return answerLanguage;
+    }
+
+    const candidates = getLanguageCandidates() || [...new Set(['en', ...this.lexicalIndex.getLanguages()])];
+    const language = detectLanguage(query, { candidates, minLetters: 3 });
+    return language === UNDETERMINED ? null : language;
+  }
+
+  // Source k is cited as [k] in the answer (see citations.js)
+  formatSources(context) {
+    return context.map((chunk, index) => ({
+      number: index + 1,
+      id: chunk.id,
+      text: chunk.text,
+      documentId: chunk.metadata?.documentId || chunk.id,
+      filename: chunk.metadata?.filename || chunk.filename || 'MCP Source',
+      chunkIndex: chunk.metadata?.chunkIndex || 0,
+      startChar: chunk.metadata?.startChar,
+      endChar: chunk.metadata?.endChar,
+      headingPath: chunk.metadata?.headingPath || undefined,
+      language: chunk.metadata?.language,
+      pageStart: chunk.metadata?.pageStart,
+      pageEnd: chunk.metadata?.pageEnd,
+      pageLabel: formatPageRange(chunk.metadata?.pageStart, chunk.metadata?.pageEnd) || undefined,
+      similarity: chunk.similarity ?? 1.0,
+      rerankScore: chunk.rerankScore,
+      platform: chunk.metadata?.platform || chunk.platform,
+      url: chunk.metadata?.url || chunk.url
+    }));
+  }
+
+  // Builds the query record for an answer and saves it to history
+  async finalizeQuery(prepared, answer) {
+    const { query, maxResults, temperature, includeContext, analysisType, retrievalMode, rerank, retrievalQuery, sessionId, llm, languages, versions, projectId, filterBy, answerLanguage, searchResults, mcpContext, allContext, contextReport } = prepared;
+
+    const { answer: citedAnswer, citations, invalidCitations } = resolveCitations(answer, prepared.sources);
+    if (invalidCitations > 0) {
+      logger.warn(`Stripped ${invalidCitations} citation(s) to sources that don't exist`);
+    }
+
+    const queryResult = {
+      id: uuidv4(),
+      query,
+      answer: citedAnswer,
+      citations,
+      sources: prepared.sources,
+      sessionId: sessionId || undefined,
+      context: includeContext ? allContext.map(c => c.contextText || c.text).join('\n\n') : undefined,
+      confidence: this.calculateConfidence(allContext),
+      documentsSearched: searchResults.documentsSearched,
+      mcpSourcesUsed: mcpContext ? mcpContext.length : 0,
+      timestamp: new Date().toISOString(),
+      metadata: {
+        temperature,
+        maxResults,
+        totalChunksFound: searchResults.chunks.length,
+        mcpContextAdded: mcpContext ? mcpContext.length : 0,
+        analysisType,
+        retrievalMode,
+        retrievalQuery: retrievalQuery !== query ? retrievalQuery : undefined,
+        reranked: rerank,
+        rerankMethod: rerank ? allContext[0]?.rerankMethod : undefined,
+        invalidCitations,
+        llmProvider: llm?.name,
+        llmModel: llm?.model,
+        languages: languages.length > 0 ? languages : undefined,
+        versions: versions !== 'all' ? versions : undefined,
+        projectId: projectId || undefined,
+        filterBy: filterBy || undefined,
+        answerLanguage: answerLanguage || undefined,
+        context: contextReport
+      }
+    };
+
+    // Save to history
+    this.queryHistory.set(queryResult.id, queryResult);
+    await this.saveQueryHistory();
+
+    return queryResult;
+  }
+
   // New method to get additional context from MCP servers
   async getMCPContext(query, analysisType = 'content') {
     if (!this.mcpClient) {
@@ -437,40 +948,89 @@ export class RAGService {
     return mcpContext;
   }
 
-  async searchSimilarChunks(options) {
-    const { embedding, documentIds, maxResults = 10 } = options;
+  // Runs vector, lexical (BM25) or hybrid retrieval. Hybrid merges both
+  // ranked lists with reciprocal rank fusion.
+  async retrieveChunks(options) {
+    const { query, documentIds = [], excludeDocumentIds = [], languages = [], projectId = null, filterBy = null, maxResults = 10, retrievalMode = getDefaultRetrievalMode() } = options;
 
-    try {
-      let results;
-      let documentsSearched = 0;
+    if (!RETRIEVAL_MODES.includes(retrievalMode)) {
+      throw new Error(`Unknown retrieval mode: ${retrievalMode}`);
+    }
+
+    const whereClause = buildChunkFilter({ documentIds, excludeDocumentIds, languages, projectId, filterBy });
 
-      if (this.collection.query) {
-        // ChromaDB
-        const whereClause = documentIds.length > 0 
-          ? { documentId: { $in: documentIds } }
-          : undefined;
+    let vectorChunks = [];
+    let lexicalChunks = [];
 
-        const queryResult = await this.collection.query({
-          queryEmbeddings: [embedding],
-          nResults: maxResults,
-          where: whereClause
+    if (retrievalMode !== 'lexical') {
+      try {
+        const queryEmbedding = await this.generateEmbedding(query);
+        const vectorResults = await this.searchSimilarChunks({
+          embedding: queryEmbedding,
+          documentIds,
+          excludeDocumentIds,
+          languages,
+          projectId,
+          filterBy,
+          maxResults
         });
+        vectorChunks = vectorResults.chunks;
+      } catch (error) {
+        // Hybrid search can still answer from the keyword index
+        if (retrievalMode === 'vector') {
+          throw error;
+        }
+        logger.warn(`Vector search unavailable, using keyword search only: ${error.message}`);
+      }
+    }
+
+    if (retrievalMode !== 'vector') {
+      const lexicalResults = this.lexicalIndex.search(query, { nResults: maxResults, where: whereClause });
+      const topScore = lexicalResults[0]?.score || 1;
+
+      lexicalChunks = lexicalResults.map(({ score, ...chunk }) => ({
+        ...chunk,
+        lexicalScore: score,
+        similarity: score / topScore
+      }));
+    }
 
-        results = queryResult.documents[0].map((doc, index) => ({
-          id: queryResult.ids[0][index],
-          text: doc,
-          metadata: queryResult.metadatas[0][index],
-          similarity: 1 - (queryResult.distances[0][index] || 0)
+    let chunks;
+    if (retrievalMode === 'hybrid') {
+      // Keep the vector similarity when a chunk was found by both retrievers
+      const vectorSimilarity = new Map(vectorChunks.map(chunk => [chunk.id, chunk.similarity]));
+      chunks = reciprocalRankFusion([vectorChunks, lexicalChunks])
+        .slice(0, maxResults)
+        .map(chunk => ({
+          ...chunk,
+          similarity: vectorSimilarity.has(chunk.id) ? vectorSimilarity.get(chunk.id) : chunk.similarity
         }));
+    } else {
+      chunks = retrievalMode === 'vector' ? vectorChunks : lexicalChunks;
+    }
+
+    return {
+      chunks,
+      documentsSearched: new Set(chunks.map(chunk => chunk.metadata.documentId)).size
+    };
+  }
 
-        documentsSearched = new Set(results.map(r => r.metadata.documentId)).size;
+  async searchSimilarChunks(options) {
+    const { embedding, documentIds = [], excludeDocumentIds = [], languages = [], projectId = null, filterBy = null, maxResults = 10 } = options;
 
-      } else {
-        // In-memory store
-        const searchResult = this.collection.search(embedding, documentIds, maxResults);
-        results = searchResult.chunks;
-        documentsSearched = searchResult.documentsSearched;
-      }
+    try {
+      let results;
+      let documentsSearched = 0;
+
+      const whereClause = buildChunkFilter({ documentIds, excludeDocumentIds, languages, projectId, filterBy }) || undefined;
+
+      results = await this.vectorStore.query({
+        embedding,
+        nResults: maxResults,
+        where: whereClause
+      });
+
+      documentsSearched = new Set(results.map(r => r.metadata.documentId)).size;
 
       return {
         chunks: results,
@@ -483,24 +1043,23 @@ export class RAGService {
     }
   }
 
-  async generateAnswer(options) {
-    const { query, context, temperature = 0.7, analysisType = 'content' } = options;
+  buildAnswerMessages({ query, context, conversation = [], analysisType = 'content', answerLanguage = null }) {
+    const contextText = formatNumberedContext(context);
 
-    if (this.openai) {
-      try {
-        const contextText = context.map(chunk => chunk.text || chunk).join('\n\n');
-        
-        // Create analysis-specific system prompts
-        const systemPrompts = {
-          content: 'You are a helpful assistant that analyzes documents and social media content for authors. Provide clear, accurate answers based on the provided context from both documents and social media posts. If information is not available in the context, clearly state that.',
-          style: 'You are a writing style analyst. Analyze the writing style, tone, formality, sentence structure, and voice based on the provided context from documents and social media content. Focus on patterns and characteristics of the author\'s writing.',
-          persona: 'You are an author persona analyst. Analyze the author\'s voice, personality traits, expertise level, and communication style based on the provided context from documents and social media content. Focus on how the author presents themselves.',
-          genre: 'You are a content genre analyst. Analyze and classify the content types, themes, and genres based on the provided context from documents and social media content. Focus on categorization and content characteristics.'
-        };
-
-        const systemPrompt = systemPrompts[analysisType] || systemPrompts.content;
-        
-        const prompt = `Based on the following context from the author's documents and social media content, please answer the question. The context includes both uploaded documents and recent social media posts for comprehensive analysis.
+    // Create analysis-specific system prompts
+    const systemPrompts = {
+      content: 'You are a helpful assistant that analyzes documents and social media content for authors. Provide clear, accurate answers based on the provided context from both documents and social media posts. If information is not available in the context, clearly state that.',
+      style: 'You are a writing style analyst. Analyze the writing style, tone, formality, sentence structure, and voice based on the provided context from documents and social media content. Focus on patterns and characteristics of the author\'s writing.',
+      persona: 'You are an author persona analyst. Analyze the author\'s voice, personality traits, expertise level, and communication style based on the provided context from documents and social media content. Focus on how the author presents themselves.',
+      genre: 'You are a content genre analyst. Analyze and classify the content types, themes, and genres based on the provided context from documents and social media content. Focus on categorization and content characteristics.'
+    };
+
+    let systemPrompt = `${systemPrompts[analysisType] || systemPrompts.content} ${CITATION_INSTRUCTIONS}`;
+    if (answerLanguage) {
+      systemPrompt += ` Write your answer in ${getLanguageName(answerLanguage)}, even when the context is in another language; quote passages in their original language.`;
+    }
+
+    const prompt = `Based on the following context from the author's documents and social media content, please answer the question. The context includes both uploaded documents and recent social media posts for comprehensive analysis.
 
 Context:
 ${contextText}
@@ -509,27 +1068,32 @@ Question: ${query}
 
 Answer:`;
 
-        const response = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
+    return [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      ...conversation,
+      {
+        role: 'user',
+        content: prompt
+      }
+    ];
+  }
+
+  async generateAnswer(options) {
+    const { query, context, conversation = [], temperature = 0.7, analysisType = 'content', answerLanguage = null, llm = this.getLLM() } = options;
+
+    if (llm) {
+      try {
+        return await llm.chat({
+          messages: this.buildAnswerMessages({ query, context, conversation, analysisType, answerLanguage }),
           temperature,
-          max_tokens: 500
+          maxTokens: getMaxAnswerTokens()
         });
 
-        return response.choices[0].message.content.trim();
-
       } catch (error) {
-        console.error(error)
-        logger.warn('Error generating OpenAI answer, using fallback:', error.message);
+        logger.warn(`Error generating ${llm.name} answer, using fallback:`, error.message);
       }
     }
 
@@ -537,6 +1101,51 @@ Answer:`;
     return this.generateSimpleAnswer(query, context);
   }
 
+  async generateAnswerStream(options) {
+    const { query, context, conversation = [], temperature = 0.7, analysisType = 'content', answerLanguage = null, llm = this.getLLM(), onToken, signal } = options;
+    const emit = (text) => {
+      if (onToken && text) onToken(text);
+    };
+
+    if (llm) {
+      let answer = '';
+      const request = {
+        messages: this.buildAnswerMessages({ query, context, conversation, analysisType, answerLanguage }),
+        temperature,
+        maxTokens: getMaxAnswerTokens(),
+        signal
+      };
+
+      try {
+        // Providers that can't stream send the whole answer as one token
+        if (!llm.capabilities.streaming) {
+          answer = await llm.chat(request);
+          emit(answer);
+          return answer;
+        }
+
+        for await (const delta of llm.stream(request)) {
+          answer += delta;
+          emit(delta);
+        }
+
+        return answer.trim();
+
+      } catch (error) {
+        // Once tokens have reached the client, or the client went away, a fallback answer would only confuse things
+        if (signal?.aborted || answer.length > 0) {
+          throw error;
+        }
+        logger.warn(`Error streaming ${llm.name} answer, using fallback:`, error.message);
+      }
+    }
+
+    // Fallback: simple extractive answer, sent as a single token
+    const answer = this.generateSimpleAnswer(query, context);
+    emit(answer);
+    return answer;
+  }
+
   generateSimpleAnswer(query, context) {
     if (!context || context.length === 0) {
       return "I couldn't find relevant information in the documents to answer your question.";
@@ -567,7 +1176,7 @@ Answer:`;
       queryWords.some(word => sentence.toLowerCase().includes(word))
     ) || sentences[0];
 
-    return `Based on the documents: ${relevantSentence.trim()}.`;
+    return `Based on the documents: ${relevantSentence.trim()}. [${context.indexOf(bestChunk) + 1}]`;
   }
 
   calculateConfidence(chunks) {
@@ -578,12 +1187,17 @@ Answer:`;
   }
 
   async semanticSearch(options) {
-    const { query, documentIds, maxResults, threshold } = options;
+    const { query, documentIds, languages, versions, projectId, filterBy, maxResults, threshold } = options;
     
     const queryEmbedding = await this.generateEmbedding(query);
+    const scope = this.resolveVersionScope(documentIds, versions);
     const results = await this.searchSimilarChunks({
       embedding: queryEmbedding,
-      documentIds,
+      documentIds: scope.documentIds,
+      excludeDocumentIds: scope.excludeIds,
+      languages,
+      projectId,
+      filterBy,
       maxResults
     });
 
@@ -615,23 +1229,22 @@ Answer:`;
     return this.queryHistory.get(queryId);
   }
 
+  // Questions to ask about a document, written from a sample of its chunks
+  // (see questionSuggester.js). Cached until the document's text changes,
+  // unless refresh is set.
   async generateQuestionSuggestions(options) {
-    const { documentId, count = 5 } = options;
-    
-    // This is a simplified implementation
-    // In a real system, you'd analyze document content to generate relevant questions
-    const suggestions = [
-      "What are the main themes in this document?",
-      "Can you summarize the key points?",
-      "What are the strengths and weaknesses mentioned?",
-      "Are there any contradictions or inconsistencies?",
-      "What questions does this document raise?"
-    ];
+    const { documentId, count = 5, refresh = false, llmProvider } = options;
 
-    return {
-      questions: suggestions.slice(0, count),
-      chunksAnalyzed: 0 // Placeholder
-    };
+    const document = await this.documentProcessor?.getDocument(documentId);
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    return this.questionSuggester.suggest(document, {
+      count,
+      refresh,
+      llm: this.getLLM(llmProvider)
+    });
   }
 
   async exportQueryResults(options) {
@@ -673,68 +1286,22 @@ Answer:`;
   }
 }
 
-// Simple in-memory vector store for fallback
-class InMemoryVectorStore {
-  constructor() {
-    this.documents = [];
-  }
-
-  addDocuments(ids, embeddings, documents, metadatas) {
-    for (let i = 0; i < ids.length; i++) {
-      this.documents.push({
-        id: ids[i],
-        embedding: embeddings[i],
-        text: documents[i],
-        metadata: metadatas[i]
-      });
-    }
-  }
-
-  removeDocument(documentId) {
-    this.documents = this.documents.filter(doc => 
-      doc.metadata.documentId !== documentId
-    );
-  }
-
-  search(queryEmbedding, documentIds, maxResults) {
-    let candidates = this.documents;
-    
-    if (documentIds.length > 0) {
-      candidates = candidates.filter(doc => 
-        documentIds.includes(doc.metadata.documentId)
-      );
-    }
-
-    // Calculate similarities
-    const results = candidates.map(doc => ({
-      ...doc,
-      similarity: this.cosineSimilarity(queryEmbedding, doc.embedding)
-    }));
-
-    // Sort by similarity and limit
-    results.sort((a, b) => b.similarity - a.similarity);
-    
-    const documentsSearched = new Set(results.map(r => r.metadata.documentId)).size;
-
-    return {
-      chunks: results.slice(0, maxResults),
-      documentsSearched
-    };
-  }
+// Content hash stored with each chunk so re-indexing can skip unchanged text
+function hashChunk(text) {
+  return crypto.createHash('sha256').update(text || '').digest('hex');
+}
 
-  cosineSimilarity(a, b) {
-    if (a.length !== b.length) return 0;
-    
-    let dotProduct = 0;
-    let normA = 0;
-    let normB = 0;
-    
-    for (let i = 0; i < a.length; i++) {
-      dotProduct += a[i] * b[i];
-      normA += a[i] * a[i];
-      normB += b[i] * b[i];
-    }
-    
-    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
-  }
+// Where-filter limiting a search to the given documents (less the excluded
+// ones, e.g. superseded versions), chunk languages, a project and a filterBy
+// expression; null when nothing is limited
+function buildChunkFilter({ documentIds = [], excludeDocumentIds = [], languages = [], projectId = null, filterBy = null } = {}) {
+  const conditions = [];
+  if (documentIds.length > 0) conditions.push({ documentId: { $in: documentIds } });
+  if (excludeDocumentIds.length > 0) conditions.push({ documentId: { $nin: excludeDocumentIds } });
+  if (languages.length > 0) conditions.push({ language: { $in: languages } });
+  if (projectId) conditions.push({ projectId });
+  conditions.push(...buildMetadataFilter(filterBy));
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
 }
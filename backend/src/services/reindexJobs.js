@@ -0,0 +1,31 @@
+export const REINDEX_DOCUMENTS_JOB = 'reindex-documents';
+
+// Re-indexes stored documents in the background. The payload is
+// { documentIds, reason }; documents deleted since the job was queued are
+// skipped. Re-indexing only embeds chunks whose text changed (see
+// RAGService.addDocument), so a retried or resumed job passes quickly over
+// the documents it already did.
+export function createReindexStages({ documentProcessor, ragService }) {
+  return [
+    {
+      name: 'reindex',
+      run: async (job, { progress }) => {
+        const documents = [];
+        for (const id of job.payload.documentIds) {
+          const document = await documentProcessor.getDocument(id);
+          if (document) documents.push(document);
+        }
+
+        progress(0, documents.length);
+        const { totals } = await ragService.reindexDocuments(documents, {
+          onProgress: ({ completed, total }) => progress(completed, total)
+        });
+
+        if (totals.failed > 0) {
+          throw new Error(`${totals.failed} of ${totals.documents} documents could not be re-indexed`);
+        }
+        return totals;
+      }
+    }
+  ];
+}
@@ -0,0 +1,116 @@
+import winston from 'winston';
+import { tokenize } from './lexicalIndex.js';
+
+const logger = winston.createLogger({
+  level: 'info',
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Longest passage excerpt sent to the model per candidate
+const MAX_PASSAGE_CHARS = 800;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+// Rescores retrieved chunks against the question. Uses the query's chat
+// provider (see llmProviders.js) as a listwise judge when there is one,
+// otherwise a local lexical-overlap scorer.
+export class Reranker {
+  constructor(options = {}) {
+    // Cheaper judge model for the OpenAI-compatible provider; other providers
+    // judge with their own model
+    this.model = options.model || process.env.RERANK_MODEL || null;
+  }
+
+  // Returns the candidates sorted by rerankScore (0-1), trimmed to topN
+  async rerank(query, candidates, { topN = candidates.length, llm = null } = {}) {
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    let scores = null;
+    let method = 'lexical';
+
+    if (llm) {
+      try {
+        scores = await this.scoreWithLLM(llm, query, candidates);
+        method = 'llm';
+      } catch (error) {
+        logger.warn('LLM reranking failed, using lexical overlap:', error.message);
+      }
+    }
+
+    if (!scores) {
+      scores = candidates.map(candidate => lexicalOverlapScore(query, candidate.text || ''));
+    }
+
+    return candidates
+      .map((candidate, index) => ({ ...candidate, rerankScore: scores[index], rerankMethod: method }))
+      .sort((a, b) => b.rerankScore - a.rerankScore)
+      .slice(0, topN);
+  }
+
+  async scoreWithLLM(llm, query, candidates) {
+    const passages = candidates
+      .map((candidate, index) => `[${index}] ${(candidate.text || '').slice(0, MAX_PASSAGE_CHARS)}`)
+      .join('\n\n');
+
+    const content = await llm.chat({
+      model: llm.name === 'openai' && this.model ? this.model : undefined,
+      temperature: 0,
+      maxTokens: 20 + candidates.length * 6,
+      json: true,
+      messages: [
+        {
+          role: 'system',
+          content: 'You rank passages by how useful they are for answering a question. Reply with JSON only.'
+        },
+        {
+          role: 'user',
+          content: `Question: ${query}
+
+Passages:
+${passages}
+
+Rate each passage from 0 (irrelevant) to 10 (directly answers the question). Reply with {"scores": [..]} listing one number per passage, in passage order.`
+        }
+      ]
+    });
+
+    const json = content.slice(content.indexOf('{'), content.lastIndexOf('}') + 1);
+    const { scores } = JSON.parse(json);
+
+    if (!Array.isArray(scores) || scores.length !== candidates.length) {
+      throw new Error(`Expected ${candidates.length} scores, got ${Array.isArray(scores) ? scores.length : 'none'}`);
+    }
+
+    return scores.map(score => Math.max(0, Math.min(Number(score) || 0, 10)) / 10);
+  }
+}
+
+// Share of the question's content words found in the passage, with a bonus
+// for matching adjacent word pairs (names, phrases)
+export function lexicalOverlapScore(query, text) {
+  const queryTerms = tokenize(query).filter(term => !STOP_WORDS.has(term));
+  if (queryTerms.length === 0) {
+    return 0;
+  }
+
+  const textTerms = tokenize(text);
+  const textSet = new Set(textTerms);
+  const textBigrams = new Set(textTerms.slice(1).map((term, i) => `${textTerms[i]} ${term}`));
+
+  const uniqueTerms = [...new Set(queryTerms)];
+  const termCoverage = uniqueTerms.filter(term => textSet.has(term)).length / uniqueTerms.length;
+
+  const queryBigrams = queryTerms.slice(1).map((term, i) => `${queryTerms[i]} ${term}`);
+  const bigramCoverage = queryBigrams.length > 0
+    ? queryBigrams.filter(bigram => textBigrams.has(bigram)).length / queryBigrams.length
+    : 0;
+
+  return Math.min(1, 0.8 * termCoverage + 0.2 * bigramCoverage);
+}
@@ -0,0 +1,171 @@
+// Paragraph-level diff between two revisions of a document's text. Paragraphs
+// are separated by blank lines and compared with their whitespace collapsed.
+
+// Edits beyond which two texts are treated as rewritten wholesale instead of
+// diffed further (the diff's memory grows with the square of the edits)
+const MAX_EDITS = 2000;
+
+// [{ text, startChar, endChar }], offsets into text
+export function splitParagraphs(text) {
+  const paragraphs = [];
+  const pattern = /\S[\s\S]*?(?=\n[ \t]*\n|\s*$)/g;
+  let match;
+
+  while ((match = pattern.exec(text || '')) !== null) {
+    paragraphs.push({ text: match[0], startChar: match.index, endChar: match.index + match[0].length });
+  }
+  return paragraphs;
+}
+
+// Runs of equal, removed and added paragraphs, in order:
+// [{ type: 'equal' | 'removed' | 'added', oldStart, oldEnd, newStart, newEnd }]
+// with paragraph indexes (end exclusive) into splitParagraphs of each text
+export function diffParagraphs(oldText, newText) {
+  const normalize = (paragraph) => paragraph.text.replace(/\s+/g, ' ');
+  const a = splitParagraphs(oldText).map(normalize);
+  const b = splitParagraphs(newText).map(normalize);
+
+  return groupEdits(shortestEdit(a, b), a.length, b.length);
+}
+
+// Paragraph counts of a diff: { added, removed, unchanged }
+export function summarizeDiff(changes) {
+  const count = (type) => changes
+    .filter(change => change.type === type)
+    .reduce((sum, change) => sum + (type === 'added' ? change.newEnd - change.newStart : change.oldEnd - change.oldStart), 0);
+
+  return { added: count('added'), removed: count('removed'), unchanged: count('equal') };
+}
+
+// The diff of two texts for reading: a removed run directly followed by an
+// added one is reported as 'changed', and each change carries its
+// paragraphs ({ text, startChar, endChar }, offsets into its own text).
+// Unchanged runs only carry their ranges. Returns { summary, changes } with
+// paragraph counts in summary ({ added, removed, changed, unchanged }).
+export function describeDiff(oldText, newText) {
+  const oldParagraphs = splitParagraphs(oldText);
+  const newParagraphs = splitParagraphs(newText);
+  const changes = [];
+
+  for (const change of diffParagraphs(oldText, newText)) {
+    const previous = changes[changes.length - 1];
+    if (change.type === 'added' && previous?.type === 'removed' && previous.oldEnd === change.oldStart) {
+      Object.assign(previous, { type: 'changed', newStart: change.newStart, newEnd: change.newEnd });
+    } else {
+      changes.push({ ...change });
+    }
+  }
+
+  const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+  for (const change of changes) {
+    if (change.type === 'equal') {
+      summary.unchanged += change.oldEnd - change.oldStart;
+      continue;
+    }
+    summary[change.type] += Math.max(change.oldEnd - change.oldStart, change.newEnd - change.newStart);
+    change.oldParagraphs = oldParagraphs.slice(change.oldStart, change.oldEnd);
+    change.newParagraphs = newParagraphs.slice(change.newStart, change.newEnd);
+  }
+
+  return { summary, changes };
+}
+
+// Myers' O(ND) algorithm; returns the matched index pairs [[i, j]] in order
+function shortestEdit(a, b) {
+  // Common prefix and suffix first: revisions mostly keep them
+  let prefix = 0;
+  while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+  let suffix = 0;
+  while (suffix < a.length - prefix && suffix < b.length - prefix &&
+    a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) suffix++;
+
+  const x0 = a.slice(prefix, a.length - suffix);
+  const y0 = b.slice(prefix, b.length - suffix);
+  const n = x0.length;
+  const m = y0.length;
+  const matches = Array.from({ length: prefix }, (_, index) => [index, index]);
+  const suffixMatches = Array.from({ length: suffix }, (_, index) => [a.length - suffix + index, b.length - suffix + index]);
+
+  const max = Math.min(n + m, MAX_EDITS);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+  let found = n === 0 && m === 0;
+
+  for (let d = 0; d <= max && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && x0[x] === y0[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  // Too many edits: nothing in the middle is matched
+  if (!found) {
+    return [...matches, ...suffixMatches];
+  }
+
+  // Walk the trace back from (n, m) to collect the diagonal (matching) moves
+  const middle = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const row = trace[d]; // v before step d, for k in [-d - 1, d + 1]
+    const at = (k) => row[k + d + 1];
+    const k = x - y;
+    const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const previousX = d === 0 ? 0 : at(previousK);
+    const previousY = previousX - previousK;
+
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      middle.push([x + prefix, y + prefix]);
+    }
+    if (d > 0) {
+      x = previousX;
+      y = previousY;
+    }
+  }
+
+  return [...matches, ...middle.reverse(), ...suffixMatches];
+}
+
+function groupEdits(matches, oldLength, newLength) {
+  const changes = [];
+  const push = (type, oldStart, oldEnd, newStart, newEnd) => {
+    if (oldStart === oldEnd && newStart === newEnd) return;
+    const last = changes[changes.length - 1];
+    if (last?.type === type && last.oldEnd === oldStart && last.newEnd === newStart) {
+      last.oldEnd = oldEnd;
+      last.newEnd = newEnd;
+    } else {
+      changes.push({ type, oldStart, oldEnd, newStart, newEnd });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  for (const [matchI, matchJ] of [...matches, [oldLength, newLength]]) {
+    push('removed', i, matchI, j, j);
+    push('added', matchI, matchI, j, matchJ);
+    if (matchI < oldLength) {
+      push('equal', matchI, matchI + 1, matchJ, matchJ + 1);
+    }
+    i = matchI + 1;
+    j = matchJ + 1;
+  }
+
+  return changes;
+}
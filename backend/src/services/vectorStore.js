@@ -1,4 +1,8 @@
+import fs from 'fs/promises';
+import path from 'path';
 import winston from 'winston';
+import { ChromaVectorStore } from './chromaVectorStore.js';
+import { writeJsonAtomic } from '../utils/jsonFile.js';
 
 const logger = winston.createLogger({
   level: 'info',
@@ -6,14 +10,92 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
+const INDEX_VERSION = 1;
+
+// Collection that indexes built before collections were versioned live in
+export const DEFAULT_COLLECTION = 'padalayai_documents';
+
+// Local index file for a collection: VECTOR_INDEX_FILE for the base
+// collection, data/vector_index.<collection>.json for later versions
+export function indexFileFor(collectionName = DEFAULT_COLLECTION) {
+  const baseFile = process.env.VECTOR_INDEX_FILE || 'data/vector_index.json';
+  if (collectionName === DEFAULT_COLLECTION) {
+    return baseFile;
+  }
+
+  const { dir, name, ext } = path.parse(baseFile);
+  return path.join(dir, `${name}.${collectionName}${ext || '.json'}`);
+}
+
+// Vector store interface. Every backend exposes:
+//   name                                           backend identifier ('local', 'chromadb', ...)
+//   dimension                                      embedding length held (null until the first upsert)
+//   initialize()                                   connect / load, throws if unavailable
+//   upsert({ ids, embeddings, documents, metadatas }) insert or replace by id; a replaced
+//                                                  record's metadata is replaced whole, so keys
+//                                                  left out are dropped
+//   updateMetadata({ ids, metadatas })             replace the metadata of stored records (whole,
+//                                                  as upsert does), keeping vectors and text
+//   query({ embedding, nResults, where })          -> [{ id, text, metadata, similarity }], best first
+//   delete({ ids, where })                         -> number of records removed
+//   count({ where })                               -> number of matching records
+//   listIds({ where })                             -> ids of matching records
+//   get({ ids, where })                            -> [{ id, text, metadata }] of matching records
+//   close()
+// `where` uses ChromaDB filter syntax (see matchesWhere below). The dimension
+// is recorded with the collection; upsert and query reject embeddings of any
+// other length. New backends must pass the checks in vectorStoreConformance.js.
+
+// Picks the backend from VECTOR_BACKEND: 'chroma', 'local', or 'auto' (ChromaDB
+// when reachable, otherwise the local index). options.collectionName selects
+// the collection (see collectionRegistry.js), in either backend.
+export async function createVectorStore(options = {}) {
+  const backend = (options.backend || process.env.VECTOR_BACKEND || 'auto').toLowerCase();
+
+  if (backend === 'local') {
+    const store = new VectorStore(options);
+    await store.initialize();
+    return store;
+  }
+
+  if (backend !== 'chroma' && backend !== 'chromadb' && backend !== 'auto') {
+    throw new Error(`Unknown VECTOR_BACKEND: ${backend}. Use 'chroma', 'local' or 'auto'.`);
+  }
+
+  try {
+    const store = new ChromaVectorStore(options);
+    await store.initialize();
+    return store;
+  } catch (error) {
+    if (backend !== 'auto') {
+      throw error;
+    }
+    logger.warn(`ChromaDB not available (${error.message}), using local vector store`);
+    const store = new VectorStore(options);
+    await store.initialize();
+    return store;
+  }
+}
+
+// File-backed local vector index. Used when ChromaDB is unreachable so that
+// retrieval survives restarts. Search is brute-force cosine similarity, which
+// is fast enough for a single author's library (tens of thousands of chunks).
 export class VectorStore {
-  constructor() {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.collectionName = options.collectionName || DEFAULT_COLLECTION;
+    this.indexFile = options.indexFile || indexFileFor(this.collectionName);
+    this.records = new Map(); // id -> { id, embedding, text, metadata }
+    this.dimension = null;
+    this.pendingSave = Promise.resolve();
     this.isInitialized = false;
   }
 
   async initialize() {
     try {
-      logger.info('Vector store initialized (using in-memory fallback)');
+      await fs.mkdir(path.dirname(this.indexFile), { recursive: true });
+      await this.load();
+      logger.info(`Vector store initialized (${this.records.size} vectors from ${this.indexFile})`);
       this.isInitialized = true;
     } catch (error) {
       logger.error('Error initializing vector store:', error);
@@ -21,17 +103,204 @@ export class VectorStore {
     }
   }
 
+  async load() {
+    try {
+      const data = await fs.readFile(this.indexFile, 'utf8');
+      const index = JSON.parse(data);
+
+      (index.records || []).forEach(record => {
+        this.records.set(record.id, record);
+      });
+
+      // Indexes saved before the dimension was recorded: trust the vectors
+      this.dimension = index.dimension || index.records?.[0]?.embedding?.length || null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Could not read vector index ${this.indexFile}, starting empty: ${error.message}`);
+      }
+    }
+  }
+
+  async save() {
+    this.pendingSave = writeJsonAtomic(this.indexFile, {
+      version: INDEX_VERSION,
+      savedAt: new Date().toISOString(),
+      dimension: this.dimension,
+      records: Array.from(this.records.values())
+    }).catch(error => {
+      logger.error('Error saving vector index:', error);
+    });
+
+    return this.pendingSave;
+  }
+
+  // Insert or replace vectors by id. An empty store takes on the dimension
+  // of whatever is inserted first.
+  async upsert({ ids, embeddings, documents = [], metadatas = [] }) {
+    if (ids.length === 0) return;
+
+    this.dimension = checkDimension(this.records.size > 0 ? this.dimension : null, embeddings);
+
+    for (let i = 0; i < ids.length; i++) {
+      this.records.set(ids[i], {
+        id: ids[i],
+        embedding: embeddings[i],
+        text: documents[i] || '',
+        metadata: metadatas[i] || {}
+      });
+    }
+
+    await this.save();
+  }
+
+  async updateMetadata({ ids, metadatas }) {
+    let updated = 0;
+    ids.forEach((id, index) => {
+      const record = this.records.get(id);
+      if (record) {
+        record.metadata = metadatas[index] || {};
+        updated++;
+      }
+    });
+
+    if (updated > 0) {
+      await this.save();
+    }
+  }
+
+  // Returns the nResults most similar records that match the where filter
+  async query({ embedding, nResults = 10, where = null }) {
+    checkDimension(this.dimension, [embedding]);
+    const results = [];
+
+    for (const record of this.records.values()) {
+      if (where && !matchesWhere(record.metadata, where)) continue;
+
+      results.push({
+        id: record.id,
+        text: record.text,
+        metadata: record.metadata,
+        similarity: cosineSimilarity(embedding, record.embedding)
+      });
+    }
+
+    results.sort((a, b) => b.similarity - a.similarity);
+    return results.slice(0, nResults);
+  }
+
+  // Deletes records by id and/or metadata filter, returns the number removed
+  async delete({ ids = null, where = null } = {}) {
+    let removed = 0;
+
+    for (const record of Array.from(this.records.values())) {
+      const idMatch = !ids || ids.includes(record.id);
+      const whereMatch = !where || matchesWhere(record.metadata, where);
+
+      if (idMatch && whereMatch && (ids || where)) {
+        this.records.delete(record.id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      await this.save();
+    }
+
+    return removed;
+  }
+
+  async count({ where = null } = {}) {
+    if (!where) return this.records.size;
+    return (await this.listIds({ where })).length;
+  }
+
+  async listIds({ where = null } = {}) {
+    return Array.from(this.records.values())
+      .filter(record => !where || matchesWhere(record.metadata, where))
+      .map(record => record.id);
+  }
+
+  async get({ ids = null, where = null } = {}) {
+    return Array.from(this.records.values())
+      .filter(record => (!ids || ids.includes(record.id)) && (!where || matchesWhere(record.metadata, where)))
+      .map(({ id, text, metadata }) => ({ id, text, metadata }));
+  }
+
   async addDocument(documentInfo) {
     // This is handled by the RAG service
     logger.info(`Vector store: Document ${documentInfo.filename} will be processed by RAG service`);
   }
 
   async removeDocument(documentId) {
-    // This is handled by the RAG service
-    logger.info(`Vector store: Document ${documentId} will be removed by RAG service`);
+    await this.delete({ where: { documentId } });
   }
 
   async close() {
+    await this.pendingSave;
     logger.info('Vector store closed');
   }
 }
+
+// Evaluates a ChromaDB-style where filter against a metadata object. Supports
+// plain equality, $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $and and $or.
+export function matchesWhere(metadata = {}, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') {
+      return condition.every(clause => matchesWhere(metadata, clause));
+    }
+    if (key === '$or') {
+      return condition.some(clause => matchesWhere(metadata, clause));
+    }
+
+    const value = metadata[key];
+
+    if (condition === null || typeof condition !== 'object' || Array.isArray(condition)) {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$eq': return value === operand;
+        case '$ne': return value !== operand;
+        case '$in': return operand.includes(value);
+        case '$nin': return !operand.includes(value);
+        case '$gt': return value !== undefined && value > operand;
+        case '$gte': return value !== undefined && value >= operand;
+        case '$lt': return value !== undefined && value < operand;
+        case '$lte': return value !== undefined && value <= operand;
+        default:
+          throw new Error(`Unsupported where operator: ${operator}`);
+      }
+    });
+  });
+}
+
+// Vectors of different lengths can't be compared, so they're rejected rather
+// than quietly scored 0. Returns the dimension the embeddings share.
+export function checkDimension(expected, embeddings) {
+  const dimension = expected || embeddings[0]?.length;
+
+  for (const embedding of embeddings) {
+    if (!Array.isArray(embedding) || embedding.length !== dimension) {
+      throw new Error(`Embedding dimension mismatch: the vector store holds ${dimension}-dimension vectors but got ${embedding?.length ?? 'none'}. An index built with another embedding model has to be rebuilt.`);
+    }
+  }
+  return dimension;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0;
+
+  let dotProduct = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dotProduct += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
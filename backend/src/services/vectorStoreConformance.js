@@ -0,0 +1,247 @@
+// Conformance checks for vector store backends (see the interface in vectorStore.js).
+// Any new backend must pass every check before it can be selected via VECTOR_BACKEND.
+//
+// Usage: await runVectorStoreConformance(() => createMyStore())
+// The factory must return an initialized, empty store; it is called once per check.
+// Test runners can run each of conformanceChecks ({ name, run(store) }) themselves.
+
+const DIMENSION = 4;
+
+const fixtures = [
+  { id: 'doc-a-chunk-0', embedding: [1, 0, 0, 0], text: 'Arin leaves the village.', metadata: { documentId: 'doc-a', chunkIndex: 0, genre: 'fantasy' } },
+  { id: 'doc-a-chunk-1', embedding: [0.9, 0.1, 0, 0], text: 'Arin reaches the mountains.', metadata: { documentId: 'doc-a', chunkIndex: 1, genre: 'fantasy' } },
+  { id: 'doc-b-chunk-0', embedding: [0, 1, 0, 0], text: 'The detective studies the letter.', metadata: { documentId: 'doc-b', chunkIndex: 0, genre: 'mystery' } },
+  { id: 'doc-c-chunk-0', embedding: [0, 0, 1, 0], text: 'Notes on the second draft.', metadata: { documentId: 'doc-c', chunkIndex: 0, genre: 'notes' } }
+];
+
+async function seed(store, records = fixtures) {
+  await store.upsert({
+    ids: records.map(record => record.id),
+    embeddings: records.map(record => record.embedding),
+    documents: records.map(record => record.text),
+    metadatas: records.map(record => record.metadata)
+  });
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+async function assertRejects(fn, message) {
+  let rejected = false;
+  try {
+    await fn();
+  } catch (error) {
+    rejected = true;
+  }
+  assert(rejected, message);
+}
+
+function sameIds(actual, expected) {
+  return actual.length === expected.length && [...actual].sort().join(',') === [...expected].sort().join(',');
+}
+
+export const conformanceChecks = [
+  {
+    name: 'exposes the vector store interface',
+    run: async (store) => {
+      assert(typeof store.name === 'string' && store.name.length > 0, 'store.name must be a non-empty string');
+      assert('dimension' in store, 'missing dimension property');
+      for (const method of ['upsert', 'updateMetadata', 'query', 'delete', 'count', 'listIds', 'get', 'close']) {
+        assert(typeof store[method] === 'function', `missing method ${method}()`);
+      }
+    }
+  },
+  {
+    name: 'starts empty',
+    run: async (store) => {
+      assert(await store.count() === 0, 'count() should be 0 for a new store');
+      assert((await store.listIds()).length === 0, 'listIds() should be empty for a new store');
+    }
+  },
+  {
+    name: 'upsert adds records and count/listIds see them',
+    run: async (store) => {
+      await seed(store);
+      assert(await store.count() === fixtures.length, `count() should be ${fixtures.length}`);
+      assert(sameIds(await store.listIds(), fixtures.map(f => f.id)), 'listIds() should return every id');
+    }
+  },
+  {
+    name: 'upsert replaces records with the same id',
+    run: async (store) => {
+      await seed(store);
+      await seed(store, [{ ...fixtures[0], text: 'Arin returns home.', metadata: { ...fixtures[0].metadata, genre: 'epilogue' } }]);
+
+      assert(await store.count() === fixtures.length, 'upserting an existing id must not create a duplicate');
+      const [best] = await store.query({ embedding: fixtures[0].embedding, nResults: 1 });
+      assert(best.text === 'Arin returns home.', 'upsert should replace the stored text');
+      assert(best.metadata.genre === 'epilogue', 'upsert should replace the stored metadata');
+    }
+  },
+  {
+    name: 'upsert drops metadata keys the new record leaves out',
+    run: async (store) => {
+      await seed(store);
+      const { genre, ...rest } = fixtures[0].metadata;
+      await seed(store, [{ ...fixtures[0], metadata: rest }]);
+
+      const [record] = await store.get({ ids: [fixtures[0].id] });
+      assert(record.metadata.genre === undefined, 'a key left out of the new metadata must be removed');
+      const fantasy = await store.listIds({ where: { genre: 'fantasy' } });
+      assert(sameIds(fantasy, ['doc-a-chunk-1']), 'filters must not match a removed key');
+    }
+  },
+  {
+    name: 'updateMetadata replaces metadata and keeps the vector and text',
+    run: async (store) => {
+      await seed(store);
+      await store.updateMetadata({
+        ids: [fixtures[0].id, 'doc-missing-chunk-0'],
+        metadatas: [{ documentId: 'doc-a', chunkIndex: 0, draft: 2 }, { documentId: 'doc-missing' }]
+      });
+
+      const [record] = await store.get({ ids: [fixtures[0].id] });
+      assert(record.metadata.draft === 2, 'updateMetadata() should store the new metadata');
+      assert(record.metadata.genre === undefined, 'updateMetadata() should replace the metadata whole');
+      assert(record.text === fixtures[0].text, 'updateMetadata() must keep the stored text');
+      assert(await store.count() === fixtures.length, 'updateMetadata() must not add records for unknown ids');
+
+      const [best] = await store.query({ embedding: fixtures[0].embedding, nResults: 1 });
+      assert(best.id === fixtures[0].id && best.similarity > 0.99, 'updateMetadata() must keep the stored vector');
+    }
+  },
+  {
+    name: 'query returns the nearest records first',
+    run: async (store) => {
+      await seed(store);
+      const results = await store.query({ embedding: [1, 0, 0, 0], nResults: 2 });
+
+      assert(results.length === 2, 'query() should honour nResults');
+      assert(results[0].id === 'doc-a-chunk-0', 'closest record should come first');
+      assert(results[1].id === 'doc-a-chunk-1', 'second closest record should come second');
+      assert(results[0].similarity >= results[1].similarity, 'results must be sorted by similarity');
+      for (const result of results) {
+        assert(typeof result.text === 'string', 'results must include text');
+        assert(result.metadata && result.metadata.documentId, 'results must include metadata');
+        assert(typeof result.similarity === 'number', 'results must include a numeric similarity');
+      }
+    }
+  },
+  {
+    name: 'query applies equality and $in where filters',
+    run: async (store) => {
+      await seed(store);
+
+      const equal = await store.query({ embedding: [1, 0, 0, 0], nResults: 10, where: { documentId: 'doc-b' } });
+      assert(sameIds(equal.map(r => r.id), ['doc-b-chunk-0']), 'equality filter should only match doc-b');
+
+      const within = await store.query({ embedding: [1, 0, 0, 0], nResults: 10, where: { documentId: { $in: ['doc-b', 'doc-c'] } } });
+      assert(sameIds(within.map(r => r.id), ['doc-b-chunk-0', 'doc-c-chunk-0']), '$in filter should match doc-b and doc-c');
+    }
+  },
+  {
+    name: 'query applies $and, $ne and range filters',
+    run: async (store) => {
+      await seed(store);
+
+      const combined = await store.query({
+        embedding: [1, 0, 0, 0],
+        nResults: 10,
+        where: { $and: [{ genre: { $ne: 'notes' } }, { chunkIndex: { $gte: 1 } }] }
+      });
+      assert(sameIds(combined.map(r => r.id), ['doc-a-chunk-1']), '$and/$ne/$gte filter should only match doc-a-chunk-1');
+    }
+  },
+  {
+    name: 'records the dimension and rejects other dimensions',
+    run: async (store) => {
+      await seed(store);
+      assert(store.dimension === DIMENSION, `dimension should be ${DIMENSION} after the first upsert`);
+
+      await assertRejects(
+        () => store.upsert({ ids: ['short'], embeddings: [[1, 0, 0]], documents: ['Too short.'], metadatas: [{ documentId: 'doc-d' }] }),
+        'upsert() must reject a vector of another dimension'
+      );
+      await assertRejects(
+        () => store.query({ embedding: [1, 0, 0], nResults: 1 }),
+        'query() must reject a vector of another dimension'
+      );
+      assert(await store.count() === fixtures.length, 'a rejected upsert must not add records');
+    }
+  },
+  {
+    name: 'get returns text and metadata by id and filter',
+    run: async (store) => {
+      await seed(store);
+
+      const [record] = await store.get({ ids: ['doc-b-chunk-0'] });
+      assert(record && record.id === 'doc-b-chunk-0', 'get() by id should return that record');
+      assert(record.text === fixtures[2].text, 'get() should return the stored text');
+      assert(record.metadata.genre === 'mystery', 'get() should return the stored metadata');
+
+      const filtered = await store.get({ where: { documentId: 'doc-a' } });
+      assert(sameIds(filtered.map(r => r.id), ['doc-a-chunk-0', 'doc-a-chunk-1']), 'get() should apply the where filter');
+    }
+  },
+  {
+    name: 'delete by filter removes only matching records',
+    run: async (store) => {
+      await seed(store);
+      await store.delete({ where: { documentId: 'doc-a' } });
+
+      assert(await store.count() === 2, 'deleting doc-a should leave two records');
+      assert(await store.count({ where: { documentId: 'doc-a' } }) === 0, 'no doc-a records should remain');
+      assert(sameIds(await store.listIds({ where: { genre: 'mystery' } }), ['doc-b-chunk-0']), 'other records must survive');
+    }
+  },
+  {
+    name: 'delete by ids removes only those records',
+    run: async (store) => {
+      await seed(store);
+      await store.delete({ ids: ['doc-b-chunk-0', 'doc-c-chunk-0'] });
+
+      assert(sameIds(await store.listIds(), ['doc-a-chunk-0', 'doc-a-chunk-1']), 'only doc-a records should remain');
+    }
+  },
+  {
+    name: 'delete without ids or filter is a no-op',
+    run: async (store) => {
+      await seed(store);
+      await store.delete({});
+      assert(await store.count() === fixtures.length, 'an empty delete must not remove anything');
+    }
+  }
+];
+
+export async function runVectorStoreConformance(createStore, { onResult } = {}) {
+  const results = [];
+
+  for (const check of conformanceChecks) {
+    let store = null;
+    const result = { name: check.name, passed: true, error: null };
+
+    try {
+      store = await createStore();
+      await check.run(store);
+    } catch (error) {
+      result.passed = false;
+      result.error = error.message;
+    } finally {
+      if (store) {
+        await store.close();
+      }
+    }
+
+    results.push(result);
+    if (onResult) onResult(result);
+  }
+
+  return {
+    passed: results.every(result => result.passed),
+    dimension: DIMENSION,
+    results
+  };
+}
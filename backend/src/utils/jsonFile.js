@@ -0,0 +1,25 @@
+import fs from 'fs/promises';
+
+// Pending write per file, so concurrent saves of one file never interleave
+const writes = new Map();
+
+// Saves data as JSON through a temporary file and a rename, so a crash
+// mid-write never leaves a truncated file behind. Writes to the same file
+// run in call order; the returned promise settles when this one is on disk.
+// space is JSON.stringify's indentation.
+export function writeJsonAtomic(file, data, { space } = {}) {
+  const previous = writes.get(file) || Promise.resolve();
+  const write = previous.catch(() => {}).then(async () => {
+    const tempFile = `${file}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(data, null, space));
+    await fs.rename(tempFile, file);
+  });
+
+  writes.set(file, write);
+  const forget = () => {
+    if (writes.get(file) === write) writes.delete(file);
+  };
+  write.then(forget, forget);
+
+  return write;
+}
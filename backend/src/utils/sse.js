@@ -0,0 +1,40 @@
+// Server-Sent Events helpers for streaming responses
+
+export function wantsEventStream(req) {
+  return req.body?.stream === true || (req.get('Accept') || '').includes('text/event-stream');
+}
+
+export function openEventStream(req, res) {
+  const controller = new AbortController();
+
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering so tokens arrive as they are sent
+  });
+  res.flushHeaders();
+
+  // Client disconnected before we finished: cancel upstream work
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  return {
+    signal: controller.signal,
+
+    send(event, data) {
+      if (res.writableEnded || controller.signal.aborted) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (!res.writableEnded) {
+        res.end();
+      }
+    }
+  };
+}
@@ -0,0 +1,186 @@
+// Structure-aware chunking (see chunker.js)
+import { chunkDocument, locatePages } from '../src/services/chunker.js';
+
+const paragraph = (words, prefix = 'word') =>
+  Array.from({ length: words }, (_, index) => `${prefix}${index}`).join(' ') + '.';
+
+// Every chunk's offsets point back at its own text in the source
+function expectOffsetsRoundTrip(text, chunks) {
+  for (const chunk of chunks) {
+    expect(text.slice(chunk.startChar, chunk.endChar)).toBe(chunk.text);
+  }
+}
+
+describe('chunkDocument', () => {
+  test('starts a chunk at every markdown heading, tracking the heading path', () => {
+    const text = [
+      '# Book',
+      'Opening words.',
+      '## Setting',
+      'The harbour town.',
+      '## Characters',
+      'Mara and Ilan.'
+    ].join('\n');
+
+    const chunks = chunkDocument(text, { documentType: 'markdown' });
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      '# Book\nOpening words.',
+      '## Setting\nThe harbour town.',
+      '## Characters\nMara and Ilan.'
+    ]);
+    expect(chunks.map(chunk => chunk.headingPath)).toEqual([
+      ['Book'],
+      ['Book', 'Setting'],
+      ['Book', 'Characters']
+    ]);
+    expectOffsetsRoundTrip(text, chunks);
+  });
+
+  test('ignores headings inside fenced code', () => {
+    const text = '# Notes\nBefore.\n```\n# not a heading\n```\nAfter.';
+    const chunks = chunkDocument(text, { documentType: 'markdown' });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].headingPath).toEqual(['Notes']);
+  });
+
+  test('splits at chapter markers, nesting chapters under parts', () => {
+    const text = [
+      'Part One',
+      'Chapter 1',
+      'The storm came in from the west.',
+      'Chapter Two',
+      'Morning, and the boats were gone.',
+      'Part Two',
+      'Chapter III',
+      'Years later.'
+    ].join('\n');
+
+    const chunks = chunkDocument(text, { documentType: 'pdf' });
+    expect(chunks.map(chunk => chunk.headingPath)).toEqual([
+      ['Part One', 'Chapter 1'],
+      ['Part One', 'Chapter Two'],
+      ['Part Two', 'Chapter III']
+    ]);
+    // A heading with no text of its own joins the section after it
+    expect(chunks[0].text).toBe('Part One\nChapter 1\nThe storm came in from the west.');
+    expectOffsetsRoundTrip(text, chunks);
+  });
+
+  test('does not take a repeated running header for a new chapter', () => {
+    const text = 'Chapter 1\nFirst page.\nChapter 1\nSecond page.';
+    const chunks = chunkDocument(text, { documentType: 'pdf' });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(text);
+  });
+
+  test('never crosses a scene break, leaving the break out', () => {
+    const first = paragraph(30, 'first');
+    const second = paragraph(30, 'second');
+    const text = `Chapter 1\n${first}\n\n* * *\n\n${second}`;
+
+    const chunks = chunkDocument(text, { documentType: 'text', chunkSize: 400 });
+    expect(chunks.map(chunk => chunk.text)).toEqual([`Chapter 1\n${first}`, second]);
+    expect(chunks.every(chunk => !chunk.text.includes('* * *'))).toBe(true);
+    expect(chunks[1].headingPath).toEqual(['Chapter 1']);
+    expectOffsetsRoundTrip(text, chunks);
+  });
+
+  test('packs short scenes under one heading into a chunk', () => {
+    const text = 'Chapter 1\nShort scene.\n***\nAnother one.\n***\nAnd a third.';
+    const chunks = chunkDocument(text, { documentType: 'text' });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(text);
+  });
+
+  test('reads a setext underline as a heading, not a scene break', () => {
+    const text = 'Title\n---\nBody text.';
+    const chunks = chunkDocument(text, { documentType: 'markdown' });
+
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe(text);
+  });
+
+  test('uses the headings an extractor reports', () => {
+    const text = 'Introduction\nSome text.\nMethods\nMore text.';
+    const chunks = chunkDocument(text, {
+      documentType: 'docx',
+      headings: [{ level: 1, text: 'Introduction' }, { level: 1, text: 'Methods' }]
+    });
+
+    expect(chunks.map(chunk => chunk.headingPath)).toEqual([['Introduction'], ['Methods']]);
+  });
+
+  test('splits a long section into overlapping chunks with exact offsets', () => {
+    const text = `# Long\n${paragraph(150)}\n\n${paragraph(150, 'more')}`;
+    const chunks = chunkDocument(text, { documentType: 'markdown', chunkSize: 300, chunkOverlap: 60 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    expect(chunks.every(chunk => chunk.text.length <= 300)).toBe(true);
+    expect(chunks.every(chunk => chunk.headingPath[0] === 'Long')).toBe(true);
+    for (let index = 1; index < chunks.length; index++) {
+      expect(chunks[index].startChar).toBeLessThan(chunks[index - 1].endChar);
+      expect(chunks[index].startChar).toBeGreaterThan(chunks[index - 1].startChar);
+    }
+    expectOffsetsRoundTrip(text, chunks);
+  });
+
+  test('trims surrounding whitespace and skips empty sections', () => {
+    const text = '\n\n  # Heading\n\n   Body.   \n\n***\n\n   \n';
+    const chunks = chunkDocument(text, { documentType: 'markdown' });
+
+    expect(chunks.map(chunk => chunk.text)).toEqual(['# Heading\n\n   Body.']);
+    expectOffsetsRoundTrip(text, chunks);
+  });
+});
+
+describe('locatePages', () => {
+  // Three pages the way the PDF extractor reports them, joined by blank lines
+  const pages = [paragraph(40, 'one'), paragraph(40, 'two'), paragraph(40, 'three')];
+  const text = pages.join('\n\n');
+  const pageRanges = [];
+  pages.reduce((startChar, page, index) => {
+    pageRanges.push({ page: index + 1, startChar, endChar: startChar + page.length });
+    return startChar + page.length + 2;
+  }, 0);
+
+  test('finds the page of a range inside one page', () => {
+    const start = text.indexOf('two5 ');
+    expect(locatePages(pageRanges, start, start + 20)).toEqual({ pageStart: 2, pageEnd: 2 });
+  });
+
+  test('spans the pages a range crosses', () => {
+    const start = text.indexOf('one30 ');
+    const end = text.indexOf('three3 ');
+    expect(locatePages(pageRanges, start, end)).toEqual({ pageStart: 1, pageEnd: 3 });
+  });
+
+  test('ends on the page the last character is on', () => {
+    const { startChar, endChar } = pageRanges[0];
+    expect(locatePages(pageRanges, startChar, endChar)).toEqual({ pageStart: 1, pageEnd: 1 });
+    expect(locatePages(pageRanges, startChar, endChar + 2)).toEqual({ pageStart: 1, pageEnd: 1 });
+    expect(locatePages(pageRanges, startChar, endChar + 3)).toEqual({ pageStart: 1, pageEnd: 2 });
+  });
+
+  test('gives each chunk of a paged document the pages it came from', () => {
+    const chunks = chunkDocument(text, { documentType: 'pdf', chunkSize: 300, chunkOverlap: 50 });
+    const located = chunks.map(chunk => ({ ...chunk, ...locatePages(pageRanges, chunk.startChar, chunk.endChar) }));
+
+    expect(located[0].pageStart).toBe(1);
+    expect(located[located.length - 1].pageEnd).toBe(3);
+    for (const chunk of located) {
+      expect(chunk.pageEnd).toBeGreaterThanOrEqual(chunk.pageStart);
+      for (let page = chunk.pageStart; page <= chunk.pageEnd; page++) {
+        const range = pageRanges[page - 1];
+        expect(chunk.startChar < range.endChar && chunk.endChar > range.startChar).toBe(true);
+      }
+    }
+  });
+
+  test('is empty for formats without pages', () => {
+    expect(locatePages(undefined, 0, 10)).toEqual({});
+    expect(locatePages([], 0, 10)).toEqual({});
+  });
+});
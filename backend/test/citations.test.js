@@ -0,0 +1,85 @@
+// Inline citation markers checked against the query's sources (see citations.js)
+import { formatNumberedContext, formatPageRange, resolveCitations } from '../src/services/citations.js';
+
+const sources = [
+  { id: 'a-chunk-0', documentId: 'a', chunkIndex: 0, startChar: 0, endChar: 120, pageStart: 1, pageEnd: 1 },
+  { id: 'a-chunk-4', documentId: 'a', chunkIndex: 4, startChar: 900, endChar: 1100, pageStart: 3, pageEnd: 4 },
+  { id: 'b-chunk-2', documentId: 'b', chunkIndex: 2, startChar: 400, endChar: 610 }
+];
+
+describe('resolveCitations', () => {
+  test('keeps valid markers and lists the sources they cite', () => {
+    const result = resolveCitations('Mara left at dawn [1]. The boats were gone [3].', sources);
+
+    expect(result.answer).toBe('Mara left at dawn [1]. The boats were gone [3].');
+    expect(result.citations).toEqual([
+      { marker: 1, sourceId: 'a-chunk-0', documentId: 'a', chunkIndex: 0, startChar: 0, endChar: 120, pageStart: 1, pageEnd: 1 },
+      { marker: 3, sourceId: 'b-chunk-2', documentId: 'b', chunkIndex: 2, startChar: 400, endChar: 610, pageStart: undefined, pageEnd: undefined }
+    ]);
+    expect(result.invalidCitations).toBe(0);
+  });
+
+  test('splits a marker with several numbers into one bracket each', () => {
+    const result = resolveCitations('Both storms were recorded [1, 3].', sources);
+
+    expect(result.answer).toBe('Both storms were recorded [1][3].');
+    expect(result.citations.map(citation => citation.marker)).toEqual([1, 3]);
+  });
+
+  test('strips markers for missing sources, with the space before them', () => {
+    const result = resolveCitations('The lighthouse was new [7]. It burned [0].', sources);
+
+    expect(result.answer).toBe('The lighthouse was new. It burned.');
+    expect(result.citations).toEqual([]);
+    expect(result.invalidCitations).toBe(2);
+  });
+
+  test('drops only the invalid numbers from a mixed marker', () => {
+    const result = resolveCitations('Dusk [2, 9].', sources);
+
+    expect(result.answer).toBe('Dusk [2].');
+    expect(result.invalidCitations).toBe(1);
+  });
+
+  test('keeps the space before a valid marker after a stripped one', () => {
+    expect(resolveCitations('Dawn [5][1].', sources).answer).toBe('Dawn [1].');
+    expect(resolveCitations('Dawn [5] [1].', sources).answer).toBe('Dawn [1].');
+  });
+
+  test('lists each cited source once, in marker order', () => {
+    const result = resolveCitations('Later [3]. Earlier [1]. Again [3].', sources);
+    expect(result.citations.map(citation => citation.marker)).toEqual([1, 3]);
+  });
+
+  test('leaves brackets that are not citations alone', () => {
+    expect(resolveCitations('See [the map] and [a].', sources).answer).toBe('See [the map] and [a].');
+  });
+
+  test('strips every marker when there are no sources', () => {
+    const result = resolveCitations('Nothing to cite [1].');
+    expect(result.answer).toBe('Nothing to cite.');
+    expect(result.invalidCitations).toBe(1);
+    expect(resolveCitations(null, sources).answer).toBe('');
+  });
+});
+
+describe('formatPageRange', () => {
+  test('names one page or a range', () => {
+    expect(formatPageRange(3, 3)).toBe('p. 3');
+    expect(formatPageRange(3)).toBe('p. 3');
+    expect(formatPageRange(3, 4)).toBe('pp. 3-4');
+    expect(formatPageRange(undefined, 4)).toBeNull();
+  });
+});
+
+describe('formatNumberedContext', () => {
+  test('numbers passages with their file and pages', () => {
+    const context = formatNumberedContext([
+      { text: 'First.', metadata: { filename: 'novel.pdf', pageStart: 3, pageEnd: 4 } },
+      { text: 'Second.', metadata: { filename: 'notes.md' } },
+      'Third.'
+    ]);
+
+    expect(context).toBe('[1] (novel.pdf, pp. 3-4) First.\n\n[2] (notes.md) Second.\n\n[3] Third.');
+  });
+});
@@ -0,0 +1,174 @@
+// Batched, retried and cached embedding requests (see embeddingService.js)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { EmbeddingService, embeddingCacheKey } from '../src/services/embeddingService.js';
+
+// Embeds each text as [its length]; failures lists errors to throw first
+function createProvider({ failures = [], maxBatchSize = 100 } = {}) {
+  const provider = {
+    name: 'fake',
+    model: 'fake-embed',
+    dimension: 1,
+    maxBatchSize,
+    cacheable: true,
+    calls: [],
+    async embedBatch(texts) {
+      provider.calls.push(texts);
+      if (failures.length > 0) {
+        throw failures.shift();
+      }
+      return texts.map(text => [text.length]);
+    }
+  };
+  return provider;
+}
+
+// An error the way the OpenAI SDK reports an HTTP failure
+function httpError(status, retryAfter) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = retryAfter ? { 'retry-after': retryAfter } : {};
+  return error;
+}
+
+async function createService(options = {}) {
+  const cacheFile = path.join(os.tmpdir(), `padalayai-embeddings-${uuidv4()}.jsonl`);
+  const provider = createProvider(options);
+  const service = new EmbeddingService({ provider, cacheFile, ...options });
+  await service.initialize();
+  return { service, provider, cacheFile };
+}
+
+const cleanUp = [];
+afterEach(async () => {
+  await Promise.all(cleanUp.splice(0).map(file => fs.rm(file, { force: true })));
+});
+
+async function setUp(options) {
+  const setup = await createService(options);
+  cleanUp.push(setup.cacheFile);
+  return setup;
+}
+
+describe('batching', () => {
+  test('splits requests at the batch size and keeps the input order', async () => {
+    const { service, provider } = await setUp({ batchSize: 2 });
+    const vectors = await service.embed(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+
+    expect(vectors).toEqual([[1], [2], [3], [4], [5]]);
+    expect(provider.calls).toEqual([['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+  });
+
+  test('caps the batch size at what the provider accepts', async () => {
+    const { service } = await setUp({ batchSize: 50, maxBatchSize: 3 });
+    expect(service.batchSize).toBe(3);
+  });
+
+  test('splits requests at the token limit', async () => {
+    const { service, provider } = await setUp({ batchTokens: 10 });
+    const long = 'word '.repeat(6).trim();
+    await service.embed([long, long + ' again', 'short']);
+
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[0]).toEqual([long]);
+  });
+
+  test('sends repeated texts once', async () => {
+    const { service, provider } = await setUp();
+    const vectors = await service.embed(['same', 'other', 'same']);
+
+    expect(vectors).toEqual([[4], [5], [4]]);
+    expect(provider.calls).toEqual([['same', 'other']]);
+  });
+
+  test('reports progress, counting cached texts as done', async () => {
+    const { service } = await setUp({ batchSize: 1 });
+    await service.embed(['cached']);
+
+    const updates = [];
+    await service.embed(['cached', 'new'], { onProgress: update => updates.push(update) });
+    expect(updates).toEqual([{ completed: 1, total: 2 }, { completed: 2, total: 2 }]);
+  });
+});
+
+describe('cache', () => {
+  test('reuses vectors across calls and restarts', async () => {
+    const { service, provider, cacheFile } = await setUp();
+    await service.embed(['kept']);
+    await service.flush();
+
+    const restarted = new EmbeddingService({ provider, cacheFile });
+    await restarted.initialize();
+    expect(await restarted.embed(['kept'])).toEqual([[4]]);
+    expect(provider.calls).toHaveLength(1);
+  });
+
+  test('leaves one-off texts uncached', async () => {
+    const { service, provider } = await setUp();
+    await service.embed(['query'], { cache: false });
+    await service.embed(['query'], { cache: false });
+    expect(provider.calls).toHaveLength(2);
+  });
+
+  test('loads only its own model and skips lines cut short', async () => {
+    const { provider, cacheFile } = await setUp();
+    await fs.writeFile(cacheFile, [
+      JSON.stringify({ key: embeddingCacheKey('fake-embed', 'mine'), embedding: [9] }),
+      JSON.stringify({ key: embeddingCacheKey('other-model', 'theirs'), embedding: [8] }),
+      `{"key":"${embeddingCacheKey('fake-embed', 'cut')}","embedding":[1,`
+    ].join('\n') + '\n');
+
+    const restarted = new EmbeddingService({ provider, cacheFile });
+    await restarted.initialize();
+    expect(restarted.cache.size).toBe(1);
+    expect(await restarted.embed(['mine'])).toEqual([[9]]);
+  });
+
+  test('compacts the file and memory to the live keys', async () => {
+    const { service, cacheFile } = await setUp();
+    await service.embed(['live', 'stale']);
+    await fs.appendFile(cacheFile, JSON.stringify({ key: embeddingCacheKey('other-model', 'live'), embedding: [7] }) + '\n');
+
+    const liveKeys = new Set([embeddingCacheKey('fake-embed', 'live'), embeddingCacheKey('other-model', 'live')]);
+    expect(await service.compact(liveKeys)).toEqual({ kept: 2, removed: 1 });
+
+    const keys = (await fs.readFile(cacheFile, 'utf8')).trim().split('\n').map(line => JSON.parse(line).key);
+    expect(new Set(keys)).toEqual(liveKeys);
+    expect(Array.from(service.cache.keys())).toEqual([embeddingCacheKey('fake-embed', 'live')]);
+  });
+});
+
+describe('retries', () => {
+  test('retries rate limits and server errors, waiting as Retry-After says', async () => {
+    const { service, provider } = await setUp({
+      failures: [httpError(429, '0.01'), httpError(503, '0.01')]
+    });
+
+    expect(await service.embed(['text'])).toEqual([[4]]);
+    expect(provider.calls).toHaveLength(3);
+    expect(service.stats.retries).toBe(2);
+  });
+
+  test('gives up once the retries are used up', async () => {
+    const { service, provider } = await setUp({
+      maxRetries: 2,
+      failures: [httpError(500, '0.01'), httpError(500, '0.01'), httpError(500, '0.01')]
+    });
+
+    await expect(service.embed(['text'])).rejects.toThrow('Embedding request failed: HTTP 500');
+    expect(provider.calls).toHaveLength(3);
+  });
+
+  test('does not retry bad requests or an exhausted quota', async () => {
+    const quota = httpError(429);
+    quota.code = 'insufficient_quota';
+
+    for (const error of [httpError(400), quota]) {
+      const { service, provider } = await setUp({ failures: [error] });
+      await expect(service.embed(['text'])).rejects.toThrow('Embedding request failed');
+      expect(provider.calls).toHaveLength(1);
+    }
+  });
+});
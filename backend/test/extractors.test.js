@@ -0,0 +1,75 @@
+// Extracts and chunks each document fixture in test/fixtures and checks the
+// text and structure that come out
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DocumentProcessor } from '../src/services/documentProcessor.js';
+import { chunkDocument, getDocumentType } from '../src/services/chunker.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+const expectedHeadings = [
+  { level: 1, text: 'The Lighthouse' },
+  { level: 2, text: 'Chapter 1: Arrival' },
+  { level: 2, text: 'Chapter 2: The Storm' }
+];
+
+// Every fixture holds the same short story in a different format
+const fixtures = [
+  { file: 'sample-story.html', mimetype: 'text/html' },
+  { file: 'sample-story.epub', mimetype: 'application/epub+zip' },
+  { file: 'sample-story.odt', mimetype: 'application/vnd.oasis.opendocument.text' },
+  { file: 'sample-story.rtf', mimetype: 'application/rtf' },
+  // Pages body text has no heading styles, only the chapter lines
+  { file: 'sample-story.pages', mimetype: 'application/vnd.apple.pages', headings: [], title: null }
+];
+
+const expectedPassages = [
+  'Mara reached the lighthouse at dusk, the keeper’s lantern already burning.',
+  'She counted the steps on the way up: one hundred & twelve.',
+  'Inside, the stairs spiralled up into darkness and salt.',
+  'The storm came in from the west and did not stop for three days.'
+];
+
+// Only the extraction methods are needed, not document storage
+const processor = Object.create(DocumentProcessor.prototype);
+
+describe.each(fixtures)('$file', ({ file, mimetype, headings = expectedHeadings, title = 'The Lighthouse' }) => {
+  let content;
+  let structure;
+
+  beforeAll(async () => {
+    ({ content, ...structure } = await processor.extractContent(path.join(FIXTURES_DIR, file), mimetype));
+  });
+
+  test('extracts the body text without markup or non-body text', () => {
+    for (const passage of expectedPassages) {
+      expect(content).toContain(passage);
+    }
+    expect(content).not.toMatch(/[<>{}\\]/);
+    expect(content).not.toMatch(/Footnote text|not text|revision note/);
+  });
+
+  test('finds the headings', () => {
+    expect(structure.headings || []).toEqual(headings);
+  });
+
+  test('chunks along the headings and scene breaks', () => {
+    // Small enough that the two scenes of chapter 1 don't share a chunk
+    const chunks = chunkDocument(content, {
+      chunkSize: 200,
+      chunkOverlap: 0,
+      documentType: getDocumentType(mimetype, file),
+      headings: structure.headings
+    });
+    const chunkFor = (passage) => chunks.find(chunk => chunk.text.includes(passage));
+    const pathOf = (passage) => chunkFor(passage).headingPath.join(' > ');
+    const expectedPath = (chapter) => [title, chapter].filter(Boolean).join(' > ');
+
+    expect(chunkFor(expectedPassages[0])).not.toBe(chunkFor(expectedPassages[2]));
+    expect(pathOf(expectedPassages[2])).toBe(expectedPath('Chapter 1: Arrival'));
+    expect(pathOf(expectedPassages[3])).toBe(expectedPath('Chapter 2: The Storm'));
+    for (const chunk of chunks) {
+      expect(content.slice(chunk.startChar, chunk.endChar)).toBe(chunk.text);
+    }
+  });
+});
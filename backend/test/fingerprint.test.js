@@ -0,0 +1,78 @@
+// Exact and near-duplicate detection (see fingerprint.js)
+import { fingerprintText, estimateSimilarity, getDuplicateThreshold } from '../src/services/fingerprint.js';
+
+// A few hundred distinct words, so shingles don't repeat
+const words = (prefix, count) => Array.from({ length: count }, (_, index) => `${prefix}${index}`);
+const text = (list) => list.join(' ');
+
+const draft = words('word', 400);
+
+describe('fingerprintText', () => {
+  test('ignores case, punctuation and whitespace', () => {
+    const a = fingerprintText('The storm came in from the west.');
+    const b = fingerprintText('the  STORM came in\nfrom the west!');
+    expect(b.contentHash).toBe(a.contentHash);
+    expect(b.minhash).toEqual(a.minhash);
+  });
+
+  test('gives empty text an empty signature', () => {
+    expect(fingerprintText('').minhash).toEqual([]);
+    expect(fingerprintText(null).minhash).toEqual([]);
+  });
+
+  test('signs texts shorter than a shingle', () => {
+    expect(fingerprintText('Mara').minhash).toHaveLength(128);
+  });
+});
+
+describe('estimateSimilarity', () => {
+  test('is 1 for identical texts', () => {
+    expect(estimateSimilarity(fingerprintText(text(draft)), fingerprintText(text(draft)))).toBe(1);
+  });
+
+  test('flags a lightly revised draft as a near-duplicate', () => {
+    const revised = [...draft];
+    revised.splice(200, 10, ...words('edit', 10));
+
+    const similarity = estimateSimilarity(fingerprintText(text(draft)), fingerprintText(text(revised)));
+    expect(similarity).toBeLessThan(1);
+    expect(similarity).toBeGreaterThanOrEqual(getDuplicateThreshold());
+  });
+
+  test('estimates the share of shingles in common', () => {
+    // The second half rewritten: about a third of the shingles are shared
+    const rewritten = [...draft.slice(0, 200), ...words('other', 200)];
+    const similarity = estimateSimilarity(fingerprintText(text(draft)), fingerprintText(text(rewritten)));
+    expect(similarity).toBeGreaterThan(0.2);
+    expect(similarity).toBeLessThan(getDuplicateThreshold());
+  });
+
+  test('is about 0 for disjoint texts', () => {
+    const similarity = estimateSimilarity(fingerprintText(text(draft)), fingerprintText(text(words('other', 400))));
+    expect(similarity).toBeLessThan(0.05);
+  });
+
+  test('is 0 when either side is empty or missing', () => {
+    const fingerprint = fingerprintText(text(draft));
+    expect(estimateSimilarity(fingerprint, fingerprintText(''))).toBe(0);
+    expect(estimateSimilarity(fingerprintText(''), fingerprint)).toBe(0);
+    expect(estimateSimilarity(fingerprint, null)).toBe(0);
+  });
+});
+
+describe('getDuplicateThreshold', () => {
+  const original = process.env.NEAR_DUPLICATE_THRESHOLD;
+  afterEach(() => {
+    if (original === undefined) delete process.env.NEAR_DUPLICATE_THRESHOLD;
+    else process.env.NEAR_DUPLICATE_THRESHOLD = original;
+  });
+
+  test('reads NEAR_DUPLICATE_THRESHOLD and falls back on invalid values', () => {
+    process.env.NEAR_DUPLICATE_THRESHOLD = '0.8';
+    expect(getDuplicateThreshold()).toBe(0.8);
+    process.env.NEAR_DUPLICATE_THRESHOLD = '2';
+    expect(getDuplicateThreshold()).toBe(0.5);
+    delete process.env.NEAR_DUPLICATE_THRESHOLD;
+    expect(getDuplicateThreshold()).toBe(0.5);
+  });
+});
@@ -0,0 +1,186 @@
+// Staged background jobs: retries, resuming, input requests and pruning
+// (see jobQueue.js)
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { JobQueue } from '../src/services/jobQueue.js';
+
+const jobsFiles = [];
+afterEach(async () => {
+  await Promise.all(jobsFiles.splice(0).map(file => fs.rm(file, { force: true })));
+});
+
+function createQueue(jobsFile = path.join(os.tmpdir(), `padalayai-jobs-${uuidv4()}.json`)) {
+  jobsFiles.push(jobsFile);
+  return new JobQueue({ jobsFile, maxAttempts: 2, retryDelayMs: 0 });
+}
+
+// Resolves once the queue has run everything it can
+async function settle(queue) {
+  while (queue.running) {
+    await queue.running;
+  }
+}
+
+describe('retries', () => {
+  test('retries a failing stage and completes', async () => {
+    const queue = createQueue();
+    let calls = 0;
+    queue.registerType('flaky', [
+      { name: 'work', run: async () => { if (++calls === 1) throw new Error('busy'); return 'done'; } }
+    ]);
+    await queue.initialize();
+
+    const job = await queue.enqueue('flaky');
+    await settle(queue);
+
+    expect(job.status).toBe('completed');
+    expect(job.stages[0].attempts).toBe(2);
+    expect(job.result).toEqual({ work: 'done' });
+  });
+
+  test('fails after the last attempt and resumes at the failed stage on retry', async () => {
+    const queue = createQueue();
+    const runs = { first: 0, second: 0 };
+    let broken = true;
+    queue.registerType('two-step', [
+      { name: 'first', run: async () => { runs.first++; } },
+      { name: 'second', run: async () => { runs.second++; if (broken) throw new Error('down'); } }
+    ]);
+    await queue.initialize();
+
+    const job = await queue.enqueue('two-step');
+    await settle(queue);
+    expect(job.status).toBe('failed');
+    expect(job.error).toBe('second failed: down');
+    expect(runs).toEqual({ first: 1, second: 2 });
+
+    broken = false;
+    await queue.retryJob(job.id);
+    await settle(queue);
+    expect(job.status).toBe('completed');
+    expect(runs).toEqual({ first: 1, second: 3 });
+  });
+
+  test('only retries failed jobs', async () => {
+    const queue = createQueue();
+    queue.registerType('noop', [{ name: 'work', run: async () => {} }]);
+    await queue.initialize();
+
+    const job = await queue.enqueue('noop');
+    await settle(queue);
+    await expect(queue.retryJob(job.id)).rejects.toThrow('Only failed jobs can be retried');
+  });
+});
+
+describe('resuming', () => {
+  test('picks up an interrupted job at the stage it was in', async () => {
+    const jobsFile = path.join(os.tmpdir(), `padalayai-jobs-${uuidv4()}.json`);
+    const now = new Date().toISOString();
+    await fs.writeFile(jobsFile, JSON.stringify([{
+      id: 'interrupted',
+      type: 'two-step',
+      status: 'running',
+      payload: {},
+      stages: [
+        { name: 'first', status: 'completed', attempts: 1, result: 'kept', progress: { completed: 1, total: 1 } },
+        { name: 'second', status: 'running', attempts: 1, progress: { completed: 0, total: 0 } }
+      ],
+      input: {},
+      createdAt: now,
+      updatedAt: now
+    }]));
+
+    const queue = createQueue(jobsFile);
+    const runs = [];
+    queue.registerType('two-step', [
+      { name: 'first', run: async () => { runs.push('first'); } },
+      { name: 'second', run: async () => { runs.push('second'); return 'finished'; } }
+    ]);
+    await queue.initialize();
+    await settle(queue);
+
+    const job = queue.getJob('interrupted');
+    expect(runs).toEqual(['second']);
+    expect(job.status).toBe('completed');
+    expect(job.result).toEqual({ first: 'kept', second: 'finished' });
+  });
+});
+
+describe('requestInput', () => {
+  test('waits for an answer without holding up the queue, then re-runs the stage', async () => {
+    const queue = createQueue();
+    queue.registerType('ask', [
+      {
+        name: 'decide',
+        run: async (job, { input, requestInput }) => {
+          if (!input.action) requestInput({ message: 'Keep or skip?', options: ['keep', 'skip'] });
+          return input.action;
+        }
+      }
+    ]);
+    queue.registerType('noop', [{ name: 'work', run: async () => 'ran' }]);
+    await queue.initialize();
+
+    const asking = await queue.enqueue('ask');
+    const other = await queue.enqueue('noop');
+    await settle(queue);
+
+    expect(asking.status).toBe('waiting');
+    expect(asking.waitingFor).toEqual({ message: 'Keep or skip?', options: ['keep', 'skip'] });
+    expect(asking.stages[0].attempts).toBe(0);
+    expect(other.status).toBe('completed');
+
+    await queue.provideInput(asking.id, { action: 'keep' });
+    await settle(queue);
+    expect(asking.status).toBe('completed');
+    expect(asking.waitingFor).toBeNull();
+    expect(asking.result).toEqual({ decide: 'keep' });
+  });
+
+  test('only waiting jobs take input', async () => {
+    const queue = createQueue();
+    queue.registerType('noop', [{ name: 'work', run: async () => {} }]);
+    await queue.initialize();
+
+    const job = await queue.enqueue('noop');
+    await settle(queue);
+    await expect(queue.provideInput(job.id, { action: 'keep' })).rejects.toThrow('Only waiting jobs take input');
+  });
+});
+
+describe('pruning', () => {
+  test('drops failed jobs older than a week and cleans up after them', async () => {
+    const queue = createQueue();
+    const cleaned = [];
+    queue.registerType('broken', [{ name: 'work', run: async () => { throw new Error('no'); } }], {
+      cleanUp: async job => cleaned.push(job.id)
+    });
+    await queue.initialize();
+
+    const old = await queue.enqueue('broken');
+    const recent = await queue.enqueue('broken');
+    await settle(queue);
+    old.completedAt = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+
+    expect(await queue.pruneFinishedJobs()).toBe(1);
+    expect(queue.getJob(old.id)).toBeNull();
+    expect(queue.getJob(recent.id)).not.toBeNull();
+    expect(cleaned).toEqual([old.id]);
+  });
+
+  test('cleans up after a deleted job', async () => {
+    const queue = createQueue();
+    const cleaned = [];
+    queue.registerType('noop', [{ name: 'work', run: async () => {} }], {
+      cleanUp: async job => cleaned.push(job.id)
+    });
+    await queue.initialize();
+
+    const job = await queue.enqueue('noop');
+    await settle(queue);
+    expect(await queue.deleteJob(job.id)).toBe(true);
+    expect(cleaned).toEqual([job.id]);
+  });
+});
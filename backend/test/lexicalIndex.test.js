@@ -0,0 +1,120 @@
+// BM25 keyword search, per-language tokenization and rank fusion
+// (see lexicalIndex.js)
+import { LexicalIndex, reciprocalRankFusion, tokenize } from '../src/services/lexicalIndex.js';
+
+// An in-memory index; addRecord doesn't write to disk
+function createIndex(records) {
+  const index = new LexicalIndex({ indexFile: '/nonexistent/lexical_index.json' });
+  records.forEach(([id, text, metadata]) => index.addRecord(id, text, metadata));
+  return index;
+}
+
+describe('tokenize', () => {
+  test('lowercases and keeps plain words without a language', () => {
+    expect(tokenize('The Storms, were STORMING!')).toEqual(['the', 'storms', 'were', 'storming']);
+    expect(tokenize('')).toEqual([]);
+    expect(tokenize(null)).toEqual([]);
+  });
+
+  test('stems for the chunk language', () => {
+    expect(tokenize('storms storming', 'en')).toEqual(['storm', 'storm']);
+    expect(tokenize('tempêtes', 'fr')).toEqual(tokenize('tempête', 'fr'));
+  });
+
+  test('keeps the combining marks of Indic scripts inside words', () => {
+    const [word] = tokenize('வணக்கம்');
+    expect(word).toBe('வணக்கம்');
+    expect(tokenize('नमस्ते दोस्तों', 'hi')).toHaveLength(2);
+  });
+
+  test('gives languages without a synchronous stemmer plain words', () => {
+    expect(tokenize('東京 タワー', 'ja')).toEqual(['東京', 'タワー']);
+    expect(tokenize('storms', 'und')).toEqual(['storms']);
+  });
+});
+
+describe('BM25 search', () => {
+  const index = createIndex([
+    ['rare', 'Mara walked to the lighthouse at dusk.', { language: 'en', documentId: 'a' }],
+    ['common', 'The boats and the harbour and the town.', { language: 'en', documentId: 'a' }],
+    ['repeat', 'Lighthouse, lighthouse, lighthouse: the keeper counted them.', { language: 'en', documentId: 'b' }],
+    ['long', `The lighthouse stood there. ${'Nothing else happened that year. '.repeat(20)}`, { language: 'en', documentId: 'b' }]
+  ]);
+
+  test('scores rarer terms higher', () => {
+    const [best] = index.search('Mara the');
+    expect(best.id).toBe('rare');
+  });
+
+  test('rewards repeated terms and penalizes long chunks', () => {
+    expect(index.search('lighthouse').map(result => result.id)).toEqual(['repeat', 'rare', 'long']);
+  });
+
+  test('matches inflected forms through stemming', () => {
+    expect(index.search('lighthouses').map(result => result.id)).toContain('repeat');
+  });
+
+  test('honours where filters and nResults', () => {
+    expect(index.search('lighthouse', { where: { documentId: 'b' } }).map(result => result.id)).toEqual(['repeat', 'long']);
+    expect(index.search('lighthouse', { nResults: 1 })).toHaveLength(1);
+  });
+
+  test('finds nothing in an empty index or for unknown terms', () => {
+    expect(createIndex([]).search('lighthouse')).toEqual([]);
+    expect(index.search('zeppelin')).toEqual([]);
+  });
+
+  test('tokenizes the query for each chunk language', () => {
+    const multilingual = createIndex([
+      ['en', 'The storms came.', { language: 'en' }],
+      ['fr', 'Les tempêtes arrivaient.', { language: 'fr' }],
+      ['plain', 'storms', {}]
+    ]);
+
+    expect(multilingual.search('storm').map(result => result.id)).toEqual(['en']);
+    expect(multilingual.search('tempête').map(result => result.id)).toEqual(['fr']);
+    expect(multilingual.search('storms').map(result => result.id).sort()).toEqual(['en', 'plain']);
+  });
+
+  test('forgets a replaced chunk\'s old terms', () => {
+    const changing = createIndex([['chunk', 'lighthouse', { language: 'en' }]]);
+    changing.addRecord('chunk', 'harbour', { language: 'en' });
+
+    expect(changing.search('lighthouse')).toEqual([]);
+    expect(changing.search('harbour').map(result => result.id)).toEqual(['chunk']);
+    expect(changing.totalLength).toBe(1);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  test('sums 1 / (k + rank) across lists', () => {
+    const fused = reciprocalRankFusion([
+      [{ id: 'a' }, { id: 'b' }],
+      [{ id: 'b' }, { id: 'c' }]
+    ], { k: 1 });
+
+    expect(fused.map(item => item.id)).toEqual(['b', 'a', 'c']);
+    expect(fused[0].fusionScore).toBeCloseTo(1 / 3 + 1 / 2);
+    expect(fused[1].fusionScore).toBeCloseTo(1 / 2);
+    expect(fused[2].fusionScore).toBeCloseTo(1 / 3);
+  });
+
+  test('uses k = 60 by default', () => {
+    const [only] = reciprocalRankFusion([[{ id: 'a' }]]);
+    expect(only.fusionScore).toBeCloseTo(1 / 61);
+  });
+
+  test('keeps the fields of every list an item came from, later lists winning', () => {
+    const [merged] = reciprocalRankFusion([
+      [{ id: 'a', score: 0.9, text: 'vector' }],
+      [{ id: 'a', score: 12.5, lexical: true }]
+    ]);
+
+    expect(merged).toMatchObject({ id: 'a', score: 12.5, text: 'vector', lexical: true });
+  });
+
+  test('is empty for no lists', () => {
+    expect(reciprocalRankFusion([])).toEqual([]);
+    expect(reciprocalRankFusion([[], []])).toEqual([]);
+  });
+});
@@ -0,0 +1,113 @@
+// Document fields in chunk metadata and the filterBy expressions that search
+// them (see metadataFilter.js)
+import { buildMetadataFilter, documentFieldMetadata, isReservedField, sameDocumentFields } from '../src/services/metadataFilter.js';
+
+describe('buildMetadataFilter', () => {
+  test('gives no conditions without a filter', () => {
+    expect(buildMetadataFilter(undefined)).toEqual([]);
+    expect(buildMetadataFilter(null)).toEqual([]);
+  });
+
+  test('matches a tag, normalized', () => {
+    expect(buildMetadataFilter({ tags: 'First Draft' })).toEqual([{ 'tag_first-draft': 1 }]);
+    expect(buildMetadataFilter({ tags: { eq: 'draft' } })).toEqual([{ tag_draft: 1 }]);
+  });
+
+  test('matches any of several tags with in', () => {
+    expect(buildMetadataFilter({ tags: { in: ['draft', 'Revision'] } })).toEqual([
+      { $or: [{ tag_draft: 1 }, { tag_revision: 1 }] }
+    ]);
+  });
+
+  test('leaves a single-clause in without an $or', () => {
+    expect(buildMetadataFilter({ tags: { in: ['draft'] } })).toEqual([{ tag_draft: 1 }]);
+    expect(buildMetadataFilter({ tags: { in: ['Draft', 'draft '] } })).toEqual([{ tag_draft: 1 }]);
+  });
+
+  test('rejects other tag operators and an empty in', () => {
+    expect(() => buildMetadataFilter({ tags: { gt: 'a' } })).toThrow('filterBy.tags takes a tag');
+    expect(() => buildMetadataFilter({ tags: { in: [] } })).toThrow('filterBy.tags takes a tag');
+  });
+
+  test('matches custom fields with eq and in', () => {
+    expect(buildMetadataFilter({ pov: 'Mara', stage: { in: ['outline', 'first draft'] } })).toEqual([
+      { meta_pov: 'Mara' },
+      { meta_stage: { $in: ['outline', 'first draft'] } }
+    ]);
+  });
+
+  test('turns ISO date ranges into timestamps, one operator per condition', () => {
+    expect(buildMetadataFilter({ uploadedAt: { gte: '2024-01-01', lt: '2024-07-01T12:30:00Z' } })).toEqual([
+      { uploadedAtMs: { $gte: Date.parse('2024-01-01') } },
+      { uploadedAtMs: { $lt: Date.parse('2024-07-01T12:30:00Z') } }
+    ]);
+    expect(buildMetadataFilter({ wordCount: { gt: 1000 } })).toEqual([{ meta_wordCount: { $gt: 1000 } }]);
+  });
+
+  test('rejects range bounds that are neither numbers nor ISO dates', () => {
+    expect(() => buildMetadataFilter({ uploadedAt: { gt: 'last week' } }))
+      .toThrow('filterBy.uploadedAt.gt must be a number or an ISO date');
+  });
+
+  test('reads the reserved keys as built-in fields, not custom metadata', () => {
+    expect(isReservedField('tags')).toBe(true);
+    expect(isReservedField('uploadedAt')).toBe(true);
+    expect(isReservedField('pov')).toBe(false);
+
+    expect(buildMetadataFilter({ uploadedAt: 1714557600000 })).toEqual([{ uploadedAtMs: 1714557600000 }]);
+  });
+
+  test('rejects keys that are not metadata fields', () => {
+    expect(() => buildMetadataFilter({ 'bad key': 'x' })).toThrow('filterBy.bad key is not a metadata field');
+    expect(() => buildMetadataFilter({ _private: 'x' })).toThrow('is not a metadata field');
+  });
+
+  test('rejects unknown operators, empty conditions and non-objects', () => {
+    expect(() => buildMetadataFilter({ pov: { like: 'M%' } })).toThrow('Unknown filterBy operator: like');
+    expect(() => buildMetadataFilter({ pov: {} })).toThrow('filterBy.pov has no condition');
+    expect(() => buildMetadataFilter(['tags'])).toThrow('filterBy must be an object');
+  });
+});
+
+describe('documentFieldMetadata', () => {
+  test('flattens tags, custom fields and the upload time', () => {
+    expect(documentFieldMetadata({
+      tags: ['draft', 'chapter-1'],
+      customMetadata: { pov: 'Mara', written: '2024-03-02', words: 1200 },
+      uploadedAt: '2024-05-01T10:00:00.000Z'
+    })).toEqual({
+      tag_draft: 1,
+      'tag_chapter-1': 1,
+      meta_pov: 'Mara',
+      meta_written: Date.parse('2024-03-02'),
+      meta_words: 1200,
+      uploadedAtMs: Date.parse('2024-05-01T10:00:00.000Z')
+    });
+  });
+
+  test('leaves out an unreadable upload time', () => {
+    expect(documentFieldMetadata({ uploadedAt: 'unknown' })).toEqual({});
+    expect(documentFieldMetadata({})).toEqual({});
+  });
+});
+
+describe('sameDocumentFields', () => {
+  const fields = documentFieldMetadata({ tags: ['draft'], customMetadata: { pov: 'Mara' }, uploadedAt: '2024-05-01' });
+
+  test('ignores key order and metadata that is not a document field', () => {
+    const reordered = Object.fromEntries(Object.entries(fields).reverse());
+    expect(sameDocumentFields({ ...fields, chunkIndex: 0 }, { chunkIndex: 3, ...reordered })).toBe(true);
+  });
+
+  test('notices added, removed and changed fields', () => {
+    expect(sameDocumentFields(fields, { ...fields, tag_final: 1 })).toBe(false);
+    const { tag_draft: _removed, ...untagged } = fields;
+    expect(sameDocumentFields(fields, untagged)).toBe(false);
+    expect(sameDocumentFields(fields, { ...fields, meta_pov: 'Ilan' })).toBe(false);
+    expect(sameDocumentFields(fields, { ...fields, uploadedAtMs: 0 })).toBe(false);
+  });
+
+  test('treats missing metadata as no fields', () => {
+    expect(sameDocumentFields(undefined, { chunkIndex: 0 })).toBe(true);
+  });
+});
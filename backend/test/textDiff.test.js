@@ -0,0 +1,109 @@
+// Paragraph diffs between revisions (see textDiff.js)
+import { splitParagraphs, diffParagraphs, summarizeDiff, describeDiff } from '../src/services/textDiff.js';
+
+const join = (paragraphs) => paragraphs.join('\n\n');
+
+// Rebuilds the new paragraphs from the old ones and the diff
+function applyDiff(oldParagraphs, newParagraphs, changes) {
+  return changes.flatMap(change => (change.type === 'equal'
+    ? oldParagraphs.slice(change.oldStart, change.oldEnd)
+    : newParagraphs.slice(change.newStart, change.newEnd)));
+}
+
+// Length of the longest common subsequence, which a minimal diff keeps unchanged
+function longestCommon(a, b) {
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      lengths[i][j] = a[i - 1] === b[j - 1] ? lengths[i - 1][j - 1] + 1 : Math.max(lengths[i - 1][j], lengths[i][j - 1]);
+    }
+  }
+  return lengths[a.length][b.length];
+}
+
+describe('splitParagraphs', () => {
+  test('splits on blank lines and keeps offsets', () => {
+    const text = 'First line\nstill first.\n\n  \nSecond.\n';
+    const paragraphs = splitParagraphs(text);
+    expect(paragraphs.map(paragraph => paragraph.text)).toEqual(['First line\nstill first.', 'Second.']);
+    paragraphs.forEach(paragraph => {
+      expect(text.slice(paragraph.startChar, paragraph.endChar)).toBe(paragraph.text);
+    });
+  });
+});
+
+describe('diffParagraphs', () => {
+  test('finds nothing changed in identical texts, whitespace aside', () => {
+    const changes = diffParagraphs('One.\n\nTwo  words.', 'One.\n\nTwo\nwords.');
+    expect(changes).toEqual([{ type: 'equal', oldStart: 0, oldEnd: 2, newStart: 0, newEnd: 2 }]);
+  });
+
+  test('reports an edited paragraph as removed then added', () => {
+    const changes = diffParagraphs(join(['A', 'B', 'C']), join(['A', 'B2', 'C']));
+    expect(changes).toEqual([
+      { type: 'equal', oldStart: 0, oldEnd: 1, newStart: 0, newEnd: 1 },
+      { type: 'removed', oldStart: 1, oldEnd: 2, newStart: 1, newEnd: 1 },
+      { type: 'added', oldStart: 2, oldEnd: 2, newStart: 1, newEnd: 2 },
+      { type: 'equal', oldStart: 2, oldEnd: 3, newStart: 2, newEnd: 3 }
+    ]);
+  });
+
+  test('handles an empty side', () => {
+    expect(diffParagraphs('', join(['A', 'B']))).toEqual([
+      { type: 'added', oldStart: 0, oldEnd: 0, newStart: 0, newEnd: 2 }
+    ]);
+    expect(diffParagraphs(join(['A', 'B']), '')).toEqual([
+      { type: 'removed', oldStart: 0, oldEnd: 2, newStart: 0, newEnd: 0 }
+    ]);
+    expect(diffParagraphs('', '')).toEqual([]);
+  });
+
+  test('replaces disjoint texts wholesale', () => {
+    const summary = summarizeDiff(diffParagraphs(join(['A', 'B', 'C']), join(['X', 'Y'])));
+    expect(summary).toEqual({ added: 2, removed: 3, unchanged: 0 });
+  });
+
+  test('gives correct and minimal diffs of shuffled revisions', () => {
+    // Deterministic pseudo-random edits over a small alphabet, so paragraphs repeat
+    let seed = 7;
+    const random = (limit) => {
+      seed = (seed * 1103515245 + 12345) % 2147483648;
+      return seed % limit;
+    };
+
+    for (let round = 0; round < 200; round++) {
+      const a = Array.from({ length: random(12) }, () => `P${random(5)}`);
+      const b = Array.from({ length: random(12) }, () => `P${random(5)}`);
+      const changes = diffParagraphs(join(a), join(b));
+
+      expect(applyDiff(a, b, changes)).toEqual(b);
+      expect(summarizeDiff(changes).unchanged).toBe(longestCommon(a, b));
+    }
+  });
+
+  test('stops diffing past MAX_EDITS and keeps only the common ends', () => {
+    const middle = (prefix) => Array.from({ length: 1100 }, (_, index) => `${prefix} ${index}`);
+    const a = ['Opening.', ...middle('old'), ...middle('shared'), 'Ending.'];
+    const b = ['Opening.', ...middle('shared'), ...middle('new'), 'Ending.'];
+    const changes = diffParagraphs(join(a), join(b));
+
+    // Matching the shared paragraphs takes 2200 edits, so they aren't
+    expect(changes.map(change => change.type)).toEqual(['equal', 'removed', 'added', 'equal']);
+    expect(summarizeDiff(changes)).toEqual({ added: 2200, removed: 2200, unchanged: 2 });
+    expect(applyDiff(a, b, changes)).toEqual(b);
+  });
+});
+
+describe('describeDiff', () => {
+  test('pairs a removal with the addition after it as a change', () => {
+    const oldText = join(['Intro.', 'Old middle.', 'Outro.']);
+    const newText = join(['Intro.', 'New middle.', 'Extra.', 'Outro.']);
+    const { summary, changes } = describeDiff(oldText, newText);
+
+    expect(summary).toEqual({ added: 0, removed: 0, changed: 2, unchanged: 2 });
+    const changed = changes.find(change => change.type === 'changed');
+    expect(changed.oldParagraphs.map(paragraph => paragraph.text)).toEqual(['Old middle.']);
+    expect(changed.newParagraphs.map(paragraph => paragraph.text)).toEqual(['New middle.', 'Extra.']);
+    expect(newText.slice(changed.newParagraphs[0].startChar, changed.newParagraphs[0].endChar)).toBe('New middle.');
+  });
+});
@@ -0,0 +1,30 @@
+// Runs the vector store conformance checks (see vectorStoreConformance.js)
+// against the local store. Use `npm run check:vector-store -- chroma` for a
+// running ChromaDB.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { VectorStore } from '../src/services/vectorStore.js';
+import { conformanceChecks } from '../src/services/vectorStoreConformance.js';
+
+async function createLocalStore() {
+  const indexFile = path.join(os.tmpdir(), `padalayai-conformance-${uuidv4()}.json`);
+  const store = new VectorStore({ indexFile });
+  await store.initialize();
+  return { store, indexFile };
+}
+
+describe('local vector store conformance', () => {
+  for (const check of conformanceChecks) {
+    test(check.name, async () => {
+      const { store, indexFile } = await createLocalStore();
+      try {
+        await check.run(store);
+      } finally {
+        await store.close();
+        await fs.rm(indexFile, { force: true });
+      }
+    });
+  }
+});
@@ -2,6 +2,8 @@ import React from 'react'
 import { Routes, Route } from 'react-router-dom'
 import WriterWorkspace from './pages/WriterWorkspace'
 import Documents from './pages/Documents'
+import DocumentViewer from './pages/DocumentViewer'
+import Projects from './pages/Projects'
 import History from './pages/History'
 import Settings from './pages/Settings'
 
@@ -10,6 +12,8 @@ function App() {
     <Routes>
       <Route path="/" element={<WriterWorkspace />} />
       <Route path="/documents" element={<Documents />} />
+      <Route path="/documents/:id" element={<DocumentViewer />} />
+      <Route path="/projects" element={<Projects />} />
       <Route path="/history" element={<History />} />
       <Route path="/settings" element={<Settings />} />
     </Routes>
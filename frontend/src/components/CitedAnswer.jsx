@@ -0,0 +1,49 @@
+import React from 'react'
+import { formatPageRange } from '../services/api'
+
+const MARKER_PATTERN = /(\[\d+\])/g
+
+// Renders answer text with its [n] citation markers as links to sources[n - 1]
+function CitedAnswer({ answer, sources = [], onCitationClick }) {
+  const parts = (answer || '').split(MARKER_PATTERN)
+
+  return (
+    <>
+      {parts.map((part, index) => {
+        const match = part.match(/^\[(\d+)\]$/)
+        const source = match && sources[parseInt(match[1], 10) - 1]
+
+        if (!source) {
+          return <React.Fragment key={index}>{part}</React.Fragment>
+        }
+
+        return (
+          <button
+            key={index}
+            type="button"
+            onClick={() => onCitationClick?.(parseInt(match[1], 10))}
+            className="inline-flex items-center justify-center align-super text-[0.7em] font-semibold text-amber-700 bg-amber-100 hover:bg-amber-200 rounded px-1 mx-0.5 leading-none"
+            title={[
+              source.filename || 'Source',
+              source.headingPath || (source.chunkIndex !== undefined ? `Section ${source.chunkIndex + 1}` : null),
+              formatPageRange(source.pageStart, source.pageEnd)
+            ].filter(Boolean).join(' · ')}
+          >
+            {match[1]}
+          </button>
+        )
+      })}
+    </>
+  )
+}
+
+// Scrolls to a source card rendered with id={citationAnchorId(prefix, number)}
+export function citationAnchorId(prefix, number) {
+  return `${prefix}-source-${number}`
+}
+
+export function scrollToCitation(prefix, number) {
+  document.getElementById(citationAnchorId(prefix, number))?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+}
+
+export default CitedAnswer
@@ -0,0 +1,121 @@
+import React, { useState } from 'react'
+import { useMutation, useQueryClient } from 'react-query'
+import toast from 'react-hot-toast'
+import { Tag, Pencil, Plus, X, Save, Loader } from 'lucide-react'
+import { documentAPI, handleAPIError } from '../services/api'
+
+const toRows = (customMetadata = {}) => Object.entries(customMetadata).map(([key, value]) => ({ key, value: String(value) }))
+
+// Numbers stay numbers so they can be filtered as ranges; dates are kept as
+// ISO strings (e.g. 2024-05-01), which the server compares as dates
+const parseValue = (value) => (/^-?\d+(\.\d+)?$/.test(value.trim()) ? Number(value) : value.trim())
+
+// A document's tags and custom metadata (genre, draft stage, POV character...),
+// which workspace queries can filter on
+function DocumentFields({ document }) {
+  const [isEditing, setIsEditing] = useState(false)
+  const [tags, setTags] = useState('')
+  const [rows, setRows] = useState([])
+  const queryClient = useQueryClient()
+
+  const startEditing = () => {
+    setTags((document.tags || []).join(', '))
+    setRows(toRows(document.customMetadata))
+    setIsEditing(true)
+  }
+
+  const updateMutation = useMutation(
+    () => documentAPI.updateFields(document.id, {
+      tags: tags.split(',').map(tag => tag.trim()).filter(Boolean),
+      customMetadata: Object.fromEntries(rows
+        .filter(row => row.key.trim())
+        .map(row => [row.key.trim(), parseValue(row.value)]))
+    }),
+    {
+      onSuccess: () => {
+        toast.success('Tags and metadata saved')
+        setIsEditing(false)
+        queryClient.invalidateQueries('documents')
+        queryClient.invalidateQueries('document-fields')
+      },
+      onError: (error) => toast.error(handleAPIError(error))
+    }
+  )
+
+  const setRow = (index, field, value) => setRows(prev => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)))
+
+  if (!isEditing) {
+    const fields = Object.entries(document.customMetadata || {})
+    return (
+      <div className="mt-3 flex flex-wrap items-center gap-2 text-xs">
+        <Tag className="h-4 w-4 text-gray-400" />
+        {(document.tags || []).map(tag => (
+          <span key={tag} className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full">#{tag}</span>
+        ))}
+        {fields.map(([key, value]) => (
+          <span key={key} className="bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full">
+            {key}: <span className="font-medium">{String(value)}</span>
+          </span>
+        ))}
+        {!document.tags?.length && fields.length === 0 && (
+          <span className="text-gray-400">No tags or metadata</span>
+        )}
+        <button onClick={startEditing} className="flex items-center text-gray-500 hover:text-amber-700" title="Edit tags and metadata">
+          <Pencil className="h-3 w-3 mr-1" />
+          Edit
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-3 space-y-2 text-sm bg-gray-50 rounded-lg p-3">
+      <label className="block">
+        <span className="text-gray-500">Tags (comma-separated)</span>
+        <input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="first draft, dragons"
+          className="mt-1 w-full px-2 py-1 border border-gray-300 rounded"
+        />
+      </label>
+
+      <div className="space-y-1">
+        <span className="text-gray-500">Metadata</span>
+        {rows.map((row, index) => (
+          <div key={index} className="flex items-center space-x-2">
+            <input
+              value={row.key}
+              onChange={(e) => setRow(index, 'key', e.target.value)}
+              placeholder="pov"
+              className="w-1/3 px-2 py-1 border border-gray-300 rounded"
+            />
+            <input
+              value={row.value}
+              onChange={(e) => setRow(index, 'value', e.target.value)}
+              placeholder="Mara"
+              className="flex-1 px-2 py-1 border border-gray-300 rounded"
+            />
+            <button onClick={() => setRows(prev => prev.filter((_, i) => i !== index))} className="p-1 text-gray-400 hover:text-red-600" title="Remove field">
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+        <button onClick={() => setRows(prev => [...prev, { key: '', value: '' }])} className="flex items-center text-amber-700 hover:text-amber-800">
+          <Plus className="h-3 w-3 mr-1" />
+          Add field
+        </button>
+      </div>
+
+      <div className="flex items-center justify-end space-x-2">
+        <button onClick={() => setIsEditing(false)} className="btn btn-secondary">Cancel</button>
+        <button onClick={() => updateMutation.mutate()} disabled={updateMutation.isLoading} className="btn btn-primary flex items-center">
+          {updateMutation.isLoading ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+          Save
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default DocumentFields
@@ -0,0 +1,174 @@
+import React, { useEffect, useRef } from 'react'
+import { useQuery, useMutation } from 'react-query'
+import toast from 'react-hot-toast'
+import { Loader, CheckCircle, AlertCircle, RotateCcw, X, Clock, Copy } from 'lucide-react'
+import { jobAPI, handleAPIError } from '../services/api'
+
+const STAGE_LABELS = {
+  extract: 'Extracting text',
+  embed: 'Embedding chunks'
+}
+
+// What each answer to a duplicate upload does (see ingestionJobs.js)
+const DUPLICATE_ACTIONS = {
+  version: 'Add as new version',
+  replace: 'Replace',
+  new: 'Keep both',
+  skip: 'Skip'
+}
+
+const POLL_INTERVAL = 1500
+
+const isFinished = (job) => job && (job.status === 'completed' || job.status === 'failed')
+
+// Polls an ingestion job and shows per-stage progress. Meant for jobs that are
+// still queued, running or waiting for an answer (an upload that duplicates a
+// stored document): onCompleted fires once when the job finishes
+// successfully; onDismiss removes the card.
+function IngestionJob({ jobId, onCompleted, onDismiss }) {
+  const previousStatus = useRef(null)
+
+  const { data, refetch } = useQuery(
+    ['job', jobId],
+    () => jobAPI.getById(jobId),
+    {
+      refetchInterval: (data) => (isFinished(data?.job) ? false : POLL_INTERVAL),
+      refetchIntervalInBackground: true,
+      onError: () => onDismiss?.(jobId)
+    }
+  )
+
+  const retryMutation = useMutation(() => jobAPI.retry(jobId), {
+    onSuccess: () => refetch(),
+    onError: (error) => toast.error(handleAPIError(error))
+  })
+
+  const inputMutation = useMutation((action) => jobAPI.provideInput(jobId, { action }), {
+    onSuccess: () => refetch(),
+    onError: (error) => toast.error(handleAPIError(error))
+  })
+
+  const job = data?.job
+
+  useEffect(() => {
+    if (!job) return
+    if (previousStatus.current !== job.status) {
+      if (job.status === 'completed' && job.result?.extract?.skipped) {
+        toast(`Skipped "${job.payload.filename}"`)
+      } else if (job.status === 'completed') {
+        toast.success(`Document "${job.payload.filename}" processed successfully!`)
+        onCompleted?.(job)
+      } else if (job.status === 'failed') {
+        toast.error(`Processing "${job.payload.filename}" failed`)
+      }
+    }
+    previousStatus.current = job.status
+  }, [job?.status])
+
+  if (!job) {
+    return (
+      <div className="p-4 border border-gray-200 rounded-lg flex items-center text-sm text-gray-500">
+        <Loader className="h-4 w-4 mr-2 animate-spin" />
+        Loading job...
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center space-x-2 min-w-0">
+          {job.status === 'completed' ? (
+            <CheckCircle className="h-5 w-5 text-green-600 flex-shrink-0" />
+          ) : job.status === 'failed' ? (
+            <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
+          ) : job.status === 'queued' ? (
+            <Clock className="h-5 w-5 text-gray-400 flex-shrink-0" />
+          ) : job.status === 'waiting' ? (
+            <Copy className="h-5 w-5 text-amber-500 flex-shrink-0" />
+          ) : (
+            <Loader className="h-5 w-5 text-blue-600 animate-spin flex-shrink-0" />
+          )}
+          <span className="font-medium text-gray-900 truncate">{job.payload.filename}</span>
+          <span className="text-xs text-gray-500 capitalize">{job.status}</span>
+        </div>
+
+        <div className="flex items-center space-x-1">
+          {job.status === 'failed' && (
+            <button
+              onClick={() => retryMutation.mutate()}
+              disabled={retryMutation.isLoading}
+              className="flex items-center px-2 py-1 text-xs text-blue-700 bg-blue-50 hover:bg-blue-100 rounded"
+            >
+              <RotateCcw className="h-3 w-3 mr-1" />
+              Retry
+            </button>
+          )}
+          {isFinished(job) && (
+            <button
+              onClick={() => onDismiss?.(jobId)}
+              className="p-1 text-gray-400 hover:text-gray-600"
+              title="Dismiss"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {job.status === 'waiting' && job.waitingFor?.reason === 'duplicate' && (
+        <div className="mb-3 p-3 bg-amber-50 border border-amber-200 rounded-lg">
+          <p className="text-sm text-amber-800 mb-2">{job.waitingFor.message}</p>
+          <div className="flex flex-wrap gap-2">
+            {job.waitingFor.options.map((action) => (
+              <button
+                key={action}
+                onClick={() => inputMutation.mutate(action)}
+                disabled={inputMutation.isLoading}
+                className="px-3 py-1 text-xs font-medium text-amber-800 bg-white border border-amber-300 hover:bg-amber-100 rounded disabled:opacity-50"
+              >
+                {DUPLICATE_ACTIONS[action] || action}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {job.stages.map((stage) => {
+          const { completed, total } = stage.progress || {}
+          const percent = stage.status === 'completed'
+            ? 100
+            : total > 0 ? Math.round((completed / total) * 100) : 0
+
+          return (
+            <div key={stage.name}>
+              <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                <span>
+                  {STAGE_LABELS[stage.name] || stage.name}
+                  {stage.attempts > 1 && ` (attempt ${stage.attempts})`}
+                </span>
+                <span>
+                  {stage.status === 'running' && total > 0 ? `${completed}/${total}` : stage.status}
+                </span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div
+                  className={`h-1.5 rounded-full transition-all duration-300 ${
+                    stage.status === 'failed' ? 'bg-red-500' : stage.status === 'completed' ? 'bg-green-500' : 'bg-blue-600'
+                  }`}
+                  style={{ width: `${stage.status === 'failed' ? 100 : percent}%` }}
+                ></div>
+              </div>
+              {stage.error && (
+                <p className="mt-1 text-xs text-red-600">{stage.error}</p>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default IngestionJob
@@ -0,0 +1,253 @@
+import React, { useEffect, useRef } from 'react'
+import { useQuery } from 'react-query'
+import { Link, useParams, useSearchParams } from 'react-router-dom'
+import { ArrowLeft, AlertCircle, FileText, PenTool, GitBranch } from 'lucide-react'
+import { documentAPI, formatDate, formatFileSize, formatPageRange } from '../services/api'
+
+// Splits the document into pages (one block for formats without pages), each
+// with the part of the [start, end) passage it holds, if any
+const buildBlocks = (content, pageRanges, start, end) => {
+  const ranges = pageRanges?.length > 0
+    ? pageRanges
+    : [{ page: null, startChar: 0, endChar: content.length }]
+
+  return ranges.map(range => {
+    const from = Math.max(start, range.startChar)
+    const to = Math.min(end, range.endChar)
+    const hasPassage = start !== null && to > from
+
+    return {
+      page: range.page,
+      before: content.slice(range.startChar, hasPassage ? from : range.endChar),
+      passage: hasPassage ? content.slice(from, to) : null,
+      after: hasPassage ? content.slice(to, range.endChar) : ''
+    }
+  })
+}
+
+const CHANGE_STYLES = {
+  added: { label: 'Added', className: 'border-green-300 bg-green-50' },
+  removed: { label: 'Removed', className: 'border-red-300 bg-red-50' },
+  changed: { label: 'Changed', className: 'border-amber-300 bg-amber-50' }
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+// What changed between two versions, paragraph by paragraph; unchanged
+// stretches are collapsed
+function VersionChanges({ documentId, from }) {
+  const { data, isLoading, error } = useQuery(
+    ['document-diff', documentId, from],
+    () => documentAPI.getDiff(documentId, { from }),
+    { staleTime: 5 * 60 * 1000 }
+  )
+
+  if (isLoading) {
+    return <div className="card text-sm text-gray-500">Comparing versions...</div>
+  }
+  if (error) {
+    return <div className="card text-sm text-red-600">Failed to compare versions</div>
+  }
+
+  const { summary, changes } = data
+  return (
+    <div className="space-y-3">
+      <p className="text-sm text-gray-600">
+        Version {data.from.number} → {data.to.number}: {plural(summary.changed, 'paragraph')} changed,
+        {' '}{summary.added} added, {summary.removed} removed, {summary.unchanged} unchanged
+      </p>
+      {changes.map((change, index) => (
+        change.type === 'equal' ? (
+          <p key={index} className="text-xs text-gray-400 text-center">
+            {plural(change.oldEnd - change.oldStart, 'unchanged paragraph')}
+          </p>
+        ) : (
+          <div key={index} className={`card border-l-4 ${CHANGE_STYLES[change.type].className}`}>
+            <div className="text-xs font-medium text-gray-500 mb-2">{CHANGE_STYLES[change.type].label}</div>
+            {change.oldParagraphs.map(paragraph => (
+              <p key={`old-${paragraph.startChar}`} className="text-sm text-red-800 line-through whitespace-pre-wrap mb-2">
+                {paragraph.text}
+              </p>
+            ))}
+            {change.newParagraphs.map(paragraph => (
+              <p key={`new-${paragraph.startChar}`} className="text-sm text-green-900 whitespace-pre-wrap mb-2">
+                {paragraph.text}
+              </p>
+            ))}
+          </div>
+        )
+      ))}
+    </div>
+  )
+}
+
+const parseOffset = (value) => {
+  const offset = parseInt(value, 10)
+  return Number.isNaN(offset) ? null : offset
+}
+
+function DocumentViewer() {
+  const { id } = useParams()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const compareWith = searchParams.get('compare')
+  const start = parseOffset(searchParams.get('start'))
+  const end = start === null ? null : parseOffset(searchParams.get('end')) ?? start
+  const passageRef = useRef(null)
+
+  const { data, isLoading, error } = useQuery(
+    ['document', id],
+    () => documentAPI.getById(id),
+    { staleTime: 5 * 60 * 1000 }
+  )
+
+  const document = data?.document
+
+  const { data: versionsData } = useQuery(
+    ['document-versions', id],
+    () => documentAPI.getVersions(id),
+    { enabled: !!document?.version, staleTime: 5 * 60 * 1000 }
+  )
+  const versions = versionsData?.versions || []
+  const currentVersion = versions.find(version => version.id === id)
+  const earlierVersions = versions.filter(version => currentVersion && version.number < currentVersion.number)
+  const ocr = document?.metadata?.ocr
+  const ocrConfidence = new Map((ocr?.pages || []).map(page => [page.page, page.confidence]))
+  const blocks = document ? buildBlocks(document.content || '', document.pageRanges, start, end) : []
+  const passagePages = blocks.filter(block => block.passage !== null && block.page).map(block => block.page)
+
+  // Jump to the passage once the text is on screen
+  useEffect(() => {
+    passageRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+  }, [document, start, end])
+
+  let passageSeen = false
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-white to-orange-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm border-b border-amber-200 sticky top-0 z-40">
+        <div className="max-w-7xl mx-auto px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <Link to="/" className="p-2 bg-gradient-to-r from-amber-500 to-orange-500 rounded-lg">
+                <PenTool className="h-6 w-6 text-white" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900">{document?.filename || 'Document'}</h1>
+                <p className="text-sm text-amber-600">
+                  {passagePages.length > 0
+                    ? `Cited passage on ${formatPageRange(passagePages[0], passagePages[passagePages.length - 1])}`
+                    : start !== null ? 'Cited passage highlighted' : 'Full text'}
+                </p>
+              </div>
+            </div>
+
+            <Link
+              to="/documents"
+              className="flex items-center text-gray-600 hover:text-gray-900 font-medium"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Documents
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-4xl mx-auto px-6 py-8">
+        {isLoading ? (
+          <div className="card animate-pulse space-y-3">
+            {[...Array(8)].map((_, i) => (
+              <div key={i} className="h-4 bg-gray-200 rounded"></div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="card text-center py-8">
+            <AlertCircle className="h-12 w-12 text-red-400 mx-auto mb-4" />
+            <p className="text-gray-500">
+              {error.response?.status === 404 ? 'This document no longer exists' : 'Failed to load the document'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className="flex items-center text-sm text-gray-500 space-x-2">
+              <FileText className="h-4 w-4" />
+              <span>{formatFileSize(document.size || 0)}</span>
+              <span>•</span>
+              <span>{document.pages} pages</span>
+              <span>•</span>
+              <span>{document.chunks} chunks</span>
+            </div>
+
+            {versions.length > 1 && (
+              <div className="card space-y-3">
+                <div className="flex items-center flex-wrap gap-2 text-sm">
+                  <GitBranch className="h-4 w-4 text-purple-600" />
+                  {versions.map(version => (
+                    <Link
+                      key={version.id}
+                      to={`/documents/${version.id}`}
+                      title={`${version.filename}, uploaded ${formatDate(version.uploadedAt)}`}
+                      className={`px-2 py-1 rounded-full text-xs font-medium ${
+                        version.id === id ? 'bg-purple-600 text-white' : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+                      }`}
+                    >
+                      Version {version.number}{version.latest ? ' (latest)' : ''}
+                    </Link>
+                  ))}
+                </div>
+                {earlierVersions.length > 0 && (
+                  <div className="flex items-center space-x-2 text-sm">
+                    <label className="text-gray-600">Show changes since</label>
+                    <select
+                      value={compareWith || ''}
+                      onChange={(e) => setSearchParams(e.target.value ? { compare: e.target.value } : {})}
+                      className="px-2 py-1 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="">(show full text)</option>
+                      {earlierVersions.map(version => (
+                        <option key={version.id} value={version.number}>Version {version.number}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+              </div>
+            )}
+
+            {compareWith ? (
+              <VersionChanges documentId={id} from={compareWith} />
+            ) : blocks.map((block, index) => {
+              const isFirstPassage = block.passage !== null && !passageSeen
+              if (block.passage !== null) passageSeen = true
+
+              return (
+                <div key={block.page ?? index} className="card">
+                  {block.page && (
+                    <div className="text-xs font-medium text-gray-400 mb-3">
+                      Page {block.page}
+                      {ocrConfidence.has(block.page) && (
+                        <span className={ocr.lowConfidencePages.includes(block.page) ? 'ml-2 text-amber-600' : 'ml-2'}>
+                          • OCR {Math.round(ocrConfidence.get(block.page))}%
+                        </span>
+                      )}
+                    </div>
+                  )}
+                  <p className="text-sm text-gray-800 leading-relaxed whitespace-pre-wrap">
+                    {block.before}
+                    {block.passage !== null && (
+                      <mark ref={isFirstPassage ? passageRef : undefined} className="bg-amber-200 rounded px-0.5">
+                        {block.passage}
+                      </mark>
+                    )}
+                    {block.after}
+                  </p>
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default DocumentViewer
@@ -13,15 +13,39 @@ import {
   CheckCircle,
   Loader,
   ArrowLeft,
-  PenTool
+  PenTool,
+  ScanLine,
+  AlertTriangle,
+  GitBranch,
+  FolderOpen
 } from 'lucide-react'
-import { documentAPI, formatFileSize, formatDate, validateFile, handleAPIError } from '../services/api'
+import { documentAPI, jobAPI, projectAPI, formatFileSize, formatDate, formatLanguage, formatPageList, validateFile, handleAPIError } from '../services/api'
+import IngestionJob from '../components/IngestionJob'
+import DocumentFields from '../components/DocumentFields'
 
 function Documents() {
   const [uploadProgress, setUploadProgress] = useState(0)
   const [isUploading, setIsUploading] = useState(false)
+  const [jobIds, setJobIds] = useState([])
+  // '' = every document, 'none' = documents outside any project; uploads go
+  // into the project shown
+  const [projectFilter, setProjectFilter] = useState('')
   const queryClient = useQueryClient()
 
+  const addJob = (jobId) => setJobIds(ids => (ids.includes(jobId) ? ids : [jobId, ...ids]))
+  const removeJob = (jobId) => setJobIds(ids => ids.filter(id => id !== jobId))
+
+  // Pick up documents still being processed (e.g. uploaded before a reload)
+  useQuery(
+    'active-jobs',
+    () => jobAPI.getAll({ status: 'queued,running,waiting', type: 'ingest-document' }),
+    {
+      staleTime: Infinity,
+      refetchOnWindowFocus: false,
+      onSuccess: (data) => data.jobs.forEach(job => addJob(job.id))
+    }
+  )
+
   // Fetch documents
   const { data: documentsData, isLoading, error } = useQuery(
     'documents',
@@ -29,18 +53,25 @@ function Documents() {
     { staleTime: 2 * 60 * 1000 }
   )
 
+  const { data: projectsData } = useQuery(
+    'projects',
+    projectAPI.getAll,
+    { staleTime: 5 * 60 * 1000 }
+  )
+
   // Upload mutation
   const uploadMutation = useMutation(
-    ({ file }) => documentAPI.upload(file, setUploadProgress),
+    ({ file }) => documentAPI.upload(file, setUploadProgress, {
+      projectId: projectFilter && projectFilter !== 'none' ? projectFilter : undefined
+    }),
     {
       onMutate: () => {
         setIsUploading(true)
         setUploadProgress(0)
       },
       onSuccess: (data) => {
-        toast.success(`Document "${data.document.filename}" uploaded successfully!`)
-        queryClient.invalidateQueries('documents')
-        queryClient.invalidateQueries('document-stats')
+        toast.success(`Document "${data.document.filename}" uploaded, processing...`)
+        addJob(data.job.id)
         setUploadProgress(0)
         setIsUploading(false)
       },
@@ -74,7 +105,15 @@ function Documents() {
       'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
       'text/plain': ['.txt'],
       'text/markdown': ['.md'],
-      'application/vnd.apple.pages': ['.pages']
+      'application/vnd.apple.pages': ['.pages'],
+      'application/x-iwork-pages-sffpages': ['.pages'],
+      'application/epub+zip': ['.epub'],
+      'application/vnd.oasis.opendocument.text': ['.odt'],
+      'application/rtf': ['.rtf'],
+      'text/html': ['.html', '.htm'],
+      'image/png': ['.png'],
+      'image/jpeg': ['.jpg', '.jpeg'],
+      'image/tiff': ['.tif', '.tiff']
     },
     maxSize: 50 * 1024 * 1024, // 50MB
     multiple: false,
@@ -97,13 +136,39 @@ function Documents() {
     }
   })
 
+  // Moving a document moves all its versions with it
+  const moveMutation = useMutation(
+    ({ document, projectId }) => (projectId
+      ? projectAPI.addDocuments(projectId, [document.id])
+      : projectAPI.removeDocument(document.projectId, document.id)),
+    {
+      onSuccess: () => {
+        toast.success('Document moved')
+        queryClient.invalidateQueries('documents')
+        queryClient.invalidateQueries('projects')
+      },
+      onError: (error) => {
+        toast.error(handleAPIError(error))
+      }
+    }
+  )
+
+  const handleJobCompleted = () => {
+    queryClient.invalidateQueries('documents')
+    queryClient.invalidateQueries('document-stats')
+    queryClient.invalidateQueries('projects')
+  }
+
   const handleDelete = (document) => {
     if (window.confirm(`Are you sure you want to delete "${document.filename}"?`)) {
       deleteMutation.mutate(document.id)
     }
   }
 
-  const documents = documentsData?.documents || []
+  const projects = projectsData?.projects || []
+  const documents = (documentsData?.documents || []).filter(document => (
+    !projectFilter || (projectFilter === 'none' ? !document.projectId : document.projectId === projectFilter)
+  ))
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-amber-50 via-white to-orange-50">
@@ -178,7 +243,7 @@ function Documents() {
                 Drag & drop a document here, or click to select
               </p>
               <p className="text-sm text-gray-500 mb-4">
-                Supports PDF, DOCX, TXT, and MD files up to 50MB
+                Supports PDF, DOCX, Pages, EPUB, ODT, RTF, HTML, TXT, MD and scanned images (PNG, JPEG, TIFF) up to 50MB
               </p>
               <button className="btn btn-primary">
                 Choose File
@@ -187,6 +252,20 @@ function Documents() {
           )}
         </div>
 
+        {/* Processing Jobs */}
+        {jobIds.length > 0 && (
+          <div className="mt-4 space-y-3">
+            {jobIds.map((jobId) => (
+              <IngestionJob
+                key={jobId}
+                jobId={jobId}
+                onCompleted={handleJobCompleted}
+                onDismiss={removeJob}
+              />
+            ))}
+          </div>
+        )}
+
         {/* Upload Guidelines */}
         <div className="mt-4 p-4 bg-blue-50 rounded-lg">
           <div className="flex items-start">
@@ -194,10 +273,13 @@ function Documents() {
             <div className="text-sm text-blue-800">
               <p className="font-medium mb-1">Upload Guidelines:</p>
               <ul className="list-disc list-inside space-y-1">
-                <li>Supported formats: PDF, DOCX, TXT, MD</li>
+                <li>Supported formats: PDF, DOCX, Pages, EPUB, ODT, RTF, HTML, TXT, MD, PNG, JPEG, TIFF</li>
+                <li>Scanned PDF pages and images are read with OCR; pages it reads poorly are flagged below</li>
                 <li>Maximum file size: 50MB</li>
                 <li>Documents will be processed and chunked for AI analysis</li>
-                <li>Processing time depends on document size and complexity</li>
+                <li>Documents are processed in the background; you can keep working while they finish</li>
+                <li>Re-uploading a document or a revised draft of one asks whether to skip it, replace the old one, or keep it as a new version</li>
+                <li>While a project is shown below, uploads are added to it</li>
               </ul>
             </div>
           </div>
@@ -210,6 +292,23 @@ function Documents() {
           <h2 className="text-lg font-semibold text-gray-900">
             Your Documents ({documents.length})
           </h2>
+          <div className="flex items-center space-x-3 text-sm">
+            <FolderOpen className="h-4 w-4 text-amber-600" />
+            <select
+              value={projectFilter}
+              onChange={(e) => setProjectFilter(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value="">All projects</option>
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+              <option value="none">Not in a project</option>
+            </select>
+            <Link to="/projects" className="text-amber-600 hover:text-amber-700 font-medium">
+              Manage projects
+            </Link>
+          </div>
         </div>
 
         {isLoading ? (
@@ -279,7 +378,37 @@ function Documents() {
                       <CheckCircle className="h-3 w-3 mr-1" />
                       Processed
                     </div>
+
+                    {document.version && (
+                      <div
+                        className="flex items-center text-purple-600 bg-purple-50 px-2 py-1 rounded-full text-xs"
+                        title={document.version.diff
+                          ? `${document.version.diff.added} paragraphs added, ${document.version.diff.removed} removed since the previous version`
+                          : 'First version'}
+                      >
+                        <GitBranch className="h-3 w-3 mr-1" />
+                        Version {document.version.number}
+                      </div>
+                    )}
+
+                    {document.metadata?.ocr?.averageConfidence != null && (
+                      <div
+                        className="flex items-center text-blue-600 bg-blue-50 px-2 py-1 rounded-full text-xs"
+                        title={`${document.metadata.ocr.pages.length} pages read with OCR`}
+                      >
+                        <ScanLine className="h-3 w-3 mr-1" />
+                        OCR {Math.round(document.metadata.ocr.averageConfidence)}%
+                      </div>
+                    )}
                     
+                    <Link
+                      to={`/documents/${document.id}`}
+                      className="p-2 text-gray-400 hover:text-blue-600 transition-colors duration-200"
+                      title="View text"
+                    >
+                      <Eye className="h-4 w-4" />
+                    </Link>
+
                     <button
                       onClick={() => handleDelete(document)}
                       disabled={deleteMutation.isLoading}
@@ -307,7 +436,7 @@ function Documents() {
                     <div>
                       <span className="text-gray-500">Language:</span>
                       <span className="ml-2 font-medium">
-                        {document.metadata?.language?.toUpperCase() || 'N/A'}
+                        {(document.metadata?.languages || [document.metadata?.language]).map(formatLanguage).join(', ')}
                       </span>
                     </div>
                     <div>
@@ -316,7 +445,39 @@ function Documents() {
                         {formatDate(document.processedAt)}
                       </span>
                     </div>
+                    {projects.length > 0 && (
+                      <div>
+                        <span className="text-gray-500">Project:</span>
+                        <select
+                          value={document.projectId || ''}
+                          onChange={(e) => moveMutation.mutate({ document, projectId: e.target.value })}
+                          disabled={moveMutation.isLoading}
+                          className="ml-2 px-1 py-0.5 border border-gray-200 rounded text-sm font-medium"
+                        >
+                          <option value="">None</option>
+                          {projects.map(project => (
+                            <option key={project.id} value={project.id}>{project.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    )}
                   </div>
+
+                  <DocumentFields document={document} />
+
+                  {(document.metadata?.ocr?.lowConfidencePages?.length > 0 || document.metadata?.ocr?.skippedPages?.length > 0) && (
+                    <div className="mt-3 flex items-start text-sm text-amber-700 bg-amber-50 rounded-lg p-3">
+                      <AlertTriangle className="h-4 w-4 mr-2 mt-0.5 flex-shrink-0" />
+                      <div>
+                        {document.metadata.ocr.lowConfidencePages.length > 0 && (
+                          <p>Low OCR confidence on {formatPageList(document.metadata.ocr.lowConfidencePages)}; check the text before relying on answers from it.</p>
+                        )}
+                        {document.metadata.ocr.skippedPages.length > 0 && (
+                          <p>{formatPageList(document.metadata.ocr.skippedPages)} had little or no text and could not be read with OCR.</p>
+                        )}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             ))}
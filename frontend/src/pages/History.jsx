@@ -1,5 +1,6 @@
 import React, { useState } from 'react'
 import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { Link } from 'react-router-dom'
 import toast from 'react-hot-toast'
 import { 
   History as HistoryIcon, 
@@ -11,14 +12,17 @@ import {
   Brain,
   Filter,
   ChevronDown,
-  ChevronUp
+  ChevronUp,
+  ExternalLink
 } from 'lucide-react'
-import { queryAPI, handleAPIError, formatDate } from '../services/api'
+import { queryAPI, handleAPIError, formatDate, formatPageRange, passageLink } from '../services/api'
+import CitedAnswer, { citationAnchorId, scrollToCitation } from '../components/CitedAnswer'
 
 function History() {
   const [searchTerm, setSearchTerm] = useState('')
   const [expandedQuery, setExpandedQuery] = useState(null)
   const [selectedQueries, setSelectedQueries] = useState([])
+  const [activeCitation, setActiveCitation] = useState(null) // { queryId, number }
   const queryClient = useQueryClient()
 
   // Fetch query history
@@ -54,6 +58,13 @@ function History() {
     setExpandedQuery(expandedQuery === queryId ? null : queryId)
   }
 
+  const handleCitationClick = (queryId, number) => {
+    setExpandedQuery(queryId)
+    setActiveCitation({ queryId, number })
+    // The sources only render once the entry is expanded
+    setTimeout(() => scrollToCitation(queryId, number), 0)
+  }
+
   const handleSelectQuery = (queryId) => {
     setSelectedQueries(prev =>
       prev.includes(queryId)
@@ -273,10 +284,14 @@ function History() {
                   {/* Answer Preview */}
                   <div className="bg-gray-50 rounded-lg p-4 mb-3">
                     <p className="text-gray-700 leading-relaxed">
-                      {expandedQuery === query.id 
-                        ? query.answer
-                        : `${query.answer.substring(0, 200)}${query.answer.length > 200 ? '...' : ''}`
-                      }
+                      <CitedAnswer
+                        answer={expandedQuery === query.id
+                          ? query.answer
+                          : `${query.answer.substring(0, 200)}${query.answer.length > 200 ? '...' : ''}`
+                        }
+                        sources={query.sources}
+                        onCitationClick={(number) => handleCitationClick(query.id, number)}
+                      />
                     </p>
                   </div>
 
@@ -311,10 +326,18 @@ function History() {
                           </h4>
                           <div className="space-y-3">
                             {query.sources.map((source, index) => (
-                              <div key={source.id} className="source-item">
+                              <div
+                                key={source.id}
+                                id={citationAnchorId(query.id, index + 1)}
+                                className={`source-item ${
+                                  activeCitation?.queryId === query.id && activeCitation.number === index + 1
+                                    ? 'ring-2 ring-blue-300'
+                                    : ''
+                                }`}
+                              >
                                 <div className="flex items-center justify-between mb-2">
                                   <span className="filename">
-                                    {source.filename} (Chunk {source.chunkIndex + 1})
+                                    [{index + 1}] {source.filename} ({source.pageStart ? formatPageRange(source.pageStart, source.pageEnd) : `Chunk ${source.chunkIndex + 1}`})
                                   </span>
                                   <span className="text-xs text-gray-500">
                                     {Math.round(source.similarity * 100)}% match
@@ -323,6 +346,15 @@ function History() {
                                 <p className="content">
                                   {source.text}
                                 </p>
+                                {passageLink(source) && (
+                                  <Link
+                                    to={passageLink(source)}
+                                    className="text-xs text-blue-600 hover:text-blue-800 mt-2 inline-flex items-center font-medium"
+                                  >
+                                    <ExternalLink className="h-3 w-3 mr-1" />
+                                    Open passage
+                                  </Link>
+                                )}
                               </div>
                             ))}
                           </div>
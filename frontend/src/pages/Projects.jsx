@@ -0,0 +1,283 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { Link } from 'react-router-dom'
+import toast from 'react-hot-toast'
+import {
+  ArrowLeft,
+  FolderOpen,
+  PenTool,
+  Plus,
+  Save,
+  Trash2,
+  Loader
+} from 'lucide-react'
+import { projectAPI, formatDate, handleAPIError } from '../services/api'
+
+// Default query settings a project can have; empty means the workspace's own
+const DEFAULT_FIELDS = {
+  analysisType: '',
+  retrievalMode: '',
+  maxResults: '',
+  temperature: '',
+  rerank: '',
+  answerLanguage: '',
+  versions: ''
+}
+
+const toForm = (project) => ({
+  name: project.name,
+  description: project.description || '',
+  defaults: Object.fromEntries(Object.keys(DEFAULT_FIELDS).map(key => [
+    key,
+    project.defaults?.[key] === undefined ? '' : String(project.defaults[key])
+  ]))
+})
+
+// Only the defaults that were set, with their types back
+const fromForm = (form) => {
+  const defaults = {}
+  const { analysisType, retrievalMode, maxResults, temperature, rerank, answerLanguage, versions } = form.defaults
+  if (analysisType) defaults.analysisType = analysisType
+  if (retrievalMode) defaults.retrievalMode = retrievalMode
+  if (maxResults) defaults.maxResults = parseInt(maxResults, 10)
+  if (temperature) defaults.temperature = parseFloat(temperature)
+  if (rerank) defaults.rerank = rerank === 'true'
+  if (answerLanguage) defaults.answerLanguage = answerLanguage.trim().toLowerCase()
+  if (versions) defaults.versions = /^\d+$/.test(versions) ? parseInt(versions, 10) : versions
+  return { name: form.name, description: form.description, defaults }
+}
+
+function ProjectCard({ project }) {
+  const [form, setForm] = useState(() => toForm(project))
+  const queryClient = useQueryClient()
+
+  const setDefault = (key, value) => setForm(prev => ({ ...prev, defaults: { ...prev.defaults, [key]: value } }))
+
+  const updateMutation = useMutation(
+    () => projectAPI.update(project.id, fromForm(form)),
+    {
+      onSuccess: () => {
+        toast.success('Project saved')
+        queryClient.invalidateQueries('projects')
+      },
+      onError: (error) => toast.error(handleAPIError(error))
+    }
+  )
+
+  const deleteMutation = useMutation(
+    () => projectAPI.delete(project.id),
+    {
+      onSuccess: () => {
+        toast.success('Project deleted')
+        queryClient.invalidateQueries('projects')
+        queryClient.invalidateQueries('documents')
+      },
+      onError: (error) => toast.error(handleAPIError(error))
+    }
+  )
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the project "${project.name}"? Its documents are kept.`)) {
+      deleteMutation.mutate()
+    }
+  }
+
+  return (
+    <div className="card space-y-4">
+      <div className="flex items-start justify-between">
+        <div className="flex items-center space-x-3">
+          <div className="p-2 bg-amber-50 rounded-lg">
+            <FolderOpen className="h-6 w-6 text-amber-600" />
+          </div>
+          <div>
+            <input
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              className="text-lg font-semibold text-gray-900 border-b border-transparent hover:border-gray-200 focus:border-amber-500 focus:outline-none"
+            />
+            <p className="text-sm text-gray-500">
+              {project.documentCount} documents • Created {formatDate(project.createdAt)}
+            </p>
+          </div>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => updateMutation.mutate()}
+            disabled={updateMutation.isLoading || !form.name.trim()}
+            className="btn btn-primary flex items-center"
+          >
+            {updateMutation.isLoading ? <Loader className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+            Save
+          </button>
+          <button
+            onClick={handleDelete}
+            disabled={deleteMutation.isLoading}
+            className="p-2 text-gray-400 hover:text-red-600 transition-colors duration-200"
+            title="Delete project"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      <textarea
+        value={form.description}
+        onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+        placeholder="Description"
+        rows={2}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"
+      />
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Default query settings</p>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <label className="space-y-1">
+            <span className="text-gray-500">Analysis</span>
+            <select value={form.defaults.analysisType} onChange={(e) => setDefault('analysisType', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded">
+              <option value="">Workspace default</option>
+              <option value="content">Content & Themes</option>
+              <option value="style">Writing Style</option>
+              <option value="persona">Author Voice</option>
+              <option value="genre">Genre & Form</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Retrieval</span>
+            <select value={form.defaults.retrievalMode} onChange={(e) => setDefault('retrievalMode', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded">
+              <option value="">Workspace default</option>
+              <option value="hybrid">Hybrid</option>
+              <option value="vector">Vector</option>
+              <option value="lexical">Keyword</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Draft versions</span>
+            <select value={form.defaults.versions} onChange={(e) => setDefault('versions', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded">
+              <option value="">Workspace default</option>
+              <option value="latest">Latest version</option>
+              <option value="all">All versions</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Rerank</span>
+            <select value={form.defaults.rerank} onChange={(e) => setDefault('rerank', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded">
+              <option value="">Workspace default</option>
+              <option value="true">On</option>
+              <option value="false">Off</option>
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Max sources</span>
+            <input type="number" min="1" max="20" value={form.defaults.maxResults} onChange={(e) => setDefault('maxResults', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Temperature</span>
+            <input type="number" min="0" max="1" step="0.1" value={form.defaults.temperature} onChange={(e) => setDefault('temperature', e.target.value)} className="w-full px-2 py-1 border border-gray-300 rounded" />
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Answer language</span>
+            <input value={form.defaults.answerLanguage} onChange={(e) => setDefault('answerLanguage', e.target.value)} placeholder="auto, en, ta..." className="w-full px-2 py-1 border border-gray-300 rounded" />
+          </label>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function Projects() {
+  const [name, setName] = useState('')
+  const queryClient = useQueryClient()
+
+  const { data, isLoading, error } = useQuery('projects', projectAPI.getAll, { staleTime: 60 * 1000 })
+
+  const createMutation = useMutation(
+    () => projectAPI.create({ name: name.trim() }),
+    {
+      onSuccess: (data) => {
+        toast.success(`Project "${data.project.name}" created`)
+        setName('')
+        queryClient.invalidateQueries('projects')
+      },
+      onError: (error) => toast.error(handleAPIError(error))
+    }
+  )
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    if (name.trim()) createMutation.mutate()
+  }
+
+  const projects = data?.projects || []
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-amber-50 via-white to-orange-50">
+      {/* Header */}
+      <header className="bg-white/80 backdrop-blur-sm border-b border-amber-200 sticky top-0 z-40">
+        <div className="max-w-7xl mx-auto px-6 py-4">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-3">
+              <Link to="/" className="p-2 bg-gradient-to-r from-amber-500 to-orange-500 rounded-lg">
+                <PenTool className="h-6 w-6 text-white" />
+              </Link>
+              <div>
+                <h1 className="text-xl font-bold text-gray-900">Projects</h1>
+                <p className="text-sm text-amber-600">Keep each book's documents and settings together</p>
+              </div>
+            </div>
+
+            <Link
+              to="/documents"
+              className="flex items-center text-gray-600 hover:text-gray-900 font-medium"
+            >
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Back to Documents
+            </Link>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto px-6 py-8 space-y-8">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-900">Projects</h2>
+          <p className="mt-2 text-gray-600">
+            Group documents by book. Choosing a project in the workspace only searches its documents and applies its default settings.
+            Move documents between projects on the Documents page.
+          </p>
+        </div>
+
+        <form onSubmit={handleCreate} className="card flex items-center space-x-3">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="New project name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg"
+          />
+          <button type="submit" disabled={!name.trim() || createMutation.isLoading} className="btn btn-primary flex items-center">
+            <Plus className="h-4 w-4 mr-2" />
+            Create Project
+          </button>
+        </form>
+
+        {isLoading ? (
+          <div className="card text-gray-500">Loading projects...</div>
+        ) : error ? (
+          <div className="card text-red-600">Failed to load projects</div>
+        ) : projects.length === 0 ? (
+          <div className="card text-center py-12">
+            <FolderOpen className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-xl font-medium text-gray-900 mb-2">No projects yet</p>
+            <p className="text-gray-500">Create one for each book you're working on</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {projects.map(project => (
+              <ProjectCard key={`${project.id}-${project.updatedAt}`} project={project} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Projects
@@ -11,17 +11,16 @@ import {
   Server,
   Database,
   Brain,
-  Key
+  Key,
+  Cpu
 } from 'lucide-react'
-import { healthAPI, handleAPIError } from '../services/api'
+import { healthAPI, providerAPI, handleAPIError } from '../services/api'
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from '../services/settings'
+
+const formatTokens = (tokens) => tokens >= 1000 ? `${Math.round(tokens / 1000)}k` : `${tokens}`
 
 function Settings() {
-  const [apiSettings, setApiSettings] = useState({
-    temperature: 0.7,
-    maxResults: 5,
-    chunkSize: 1000,
-    chunkOverlap: 200
-  })
+  const [apiSettings, setApiSettings] = useState(loadSettings)
 
   // Fetch system health
   const { data: healthData, isLoading: healthLoading, refetch: refetchHealth } = useQuery(
@@ -33,20 +32,28 @@ function Settings() {
     }
   )
 
+  // Chat providers the backend has configured
+  const { data: providerData, isLoading: providersLoading } = useQuery(
+    'llm-providers',
+    providerAPI.getAll,
+    {
+      staleTime: 5 * 60 * 1000,
+      onError: (error) => toast.error(handleAPIError(error))
+    }
+  )
+
+  const providers = providerData?.providers || []
+  const selectedProvider = providers.find(provider => provider.name === apiSettings.llmProvider) ||
+    providers.find(provider => provider.isDefault)
+
   const handleSaveSettings = () => {
-    // In a real app, this would save to backend
-    localStorage.setItem('padalayai-settings', JSON.stringify(apiSettings))
+    // Kept in the browser; queries send the selected provider with each request
+    saveSettings(apiSettings)
     toast.success('Settings saved successfully!')
   }
 
   const handleResetSettings = () => {
-    const defaultSettings = {
-      temperature: 0.7,
-      maxResults: 5,
-      chunkSize: 1000,
-      chunkOverlap: 200
-    }
-    setApiSettings(defaultSettings)
+    setApiSettings({ ...DEFAULT_SETTINGS })
     toast.success('Settings reset to defaults!')
   }
 
@@ -75,6 +82,53 @@ function Settings() {
             </div>
 
             <div className="space-y-6">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Answer Model
+                </label>
+                <select
+                  value={apiSettings.llmProvider}
+                  onChange={(e) => setApiSettings(prev => ({
+                    ...prev,
+                    llmProvider: e.target.value
+                  }))}
+                  disabled={providersLoading || providers.length === 0}
+                  className="input"
+                >
+                  <option value="">
+                    Server default{providerData?.default ? ` (${providers.find(provider => provider.isDefault)?.label})` : ''}
+                  </option>
+                  {providers.map(provider => (
+                    <option key={provider.name} value={provider.name}>
+                      {provider.label} - {provider.model}
+                    </option>
+                  ))}
+                </select>
+                {selectedProvider ? (
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    <span className="flex items-center text-xs text-gray-600 bg-gray-100 px-2 py-1 rounded-full">
+                      <Cpu className="h-3 w-3 mr-1" />
+                      {formatTokens(selectedProvider.capabilities.contextWindow)} token context
+                    </span>
+                    <span className={`text-xs px-2 py-1 rounded-full ${selectedProvider.capabilities.streaming ? 'text-green-700 bg-green-50' : 'text-gray-500 bg-gray-100'}`}>
+                      {selectedProvider.capabilities.streaming ? 'Streaming' : 'No streaming'}
+                    </span>
+                    <span className={`text-xs px-2 py-1 rounded-full ${selectedProvider.capabilities.jsonMode ? 'text-green-700 bg-green-50' : 'text-gray-500 bg-gray-100'}`}>
+                      {selectedProvider.capabilities.jsonMode ? 'JSON mode' : 'No JSON mode'}
+                    </span>
+                  </div>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {providersLoading
+                      ? 'Loading providers...'
+                      : 'No LLM provider is configured; answers are extracted from your documents'}
+                  </p>
+                )}
+                <p className="text-xs text-gray-500 mt-1">
+                  Model that writes answers, reranks sources and rewrites follow-up questions
+                </p>
+              </div>
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   Default Temperature: {apiSettings.temperature}
@@ -189,10 +243,11 @@ function Settings() {
                 <div className="flex items-start">
                   <Info className="h-5 w-5 text-blue-600 mt-0.5 mr-3 flex-shrink-0" />
                   <div className="text-sm text-blue-800">
-                    <p className="font-medium mb-1">OpenAI Integration</p>
+                    <p className="font-medium mb-1">LLM Providers</p>
                     <p>
-                      PadalayAI uses OpenAI's GPT models for text generation and embeddings. 
-                      Configure your API key in the backend environment variables for full functionality.
+                      PadalayAI can answer with OpenAI (or any OpenAI-compatible server), Anthropic,
+                      or a local model served by Ollama. Configure them in the backend environment
+                      variables, then pick one above.
                     </p>
                   </div>
                 </div>
@@ -204,7 +259,7 @@ function Settings() {
                   <div className="text-sm text-yellow-800">
                     <p className="font-medium mb-1">Fallback Mode</p>
                     <p>
-                      Without an OpenAI API key, the system will use simplified text processing 
+                      Without any LLM provider, the system will use simplified text processing 
                       and basic similarity matching for document analysis.
                     </p>
                   </div>
@@ -320,7 +375,7 @@ function Settings() {
             <div className="space-y-3 text-sm text-gray-600">
               <div className="flex items-start">
                 <CheckCircle className="h-4 w-4 text-green-500 mr-2 mt-0.5 flex-shrink-0" />
-                <p>Upload documents in supported formats (PDF, DOCX, TXT, MD)</p>
+                <p>Upload documents in supported formats (PDF, DOCX, Pages, EPUB, ODT, RTF, HTML, TXT, MD, or scanned PNG/JPEG/TIFF images)</p>
               </div>
               <div className="flex items-start">
                 <CheckCircle className="h-4 w-4 text-green-500 mr-2 mt-0.5 flex-shrink-0" />
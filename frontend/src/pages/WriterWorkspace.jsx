@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react'
-import { useQuery, useMutation, useQueryClient } from 'react-query'
+import React, { useState, useEffect, useRef } from 'react'
+import { useQuery, useQueryClient } from 'react-query'
+import { Link } from 'react-router-dom'
 import toast from 'react-hot-toast'
 import { 
   PenTool,
@@ -22,18 +23,63 @@ import {
   EyeOff,
   Bookmark,
   Star,
-  TrendingUp
+  TrendingUp,
+  Square,
+  MessageSquare,
+  Plus,
+  Trash2,
+  ExternalLink,
+  FolderOpen
 } from 'lucide-react'
-import { documentAPI, queryAPI, handleAPIError, formatDate, formatFileSize } from '../services/api'
+import { documentAPI, queryAPI, conversationAPI, projectAPI, handleAPIError, formatDate, formatFileSize, formatLanguage, formatPageRange, passageLink } from '../services/api'
+import { loadSettings } from '../services/settings'
+import CitedAnswer, { citationAnchorId, scrollToCitation } from '../components/CitedAnswer'
+
+// The project the workspace was last scoped to, kept across visits
+const PROJECT_STORAGE_KEY = 'padalayai-project'
+
+// The query's filterBy from the tag, metadata and upload date filters;
+// undefined when nothing is filtered
+const buildFilterBy = ({ tags, fields, uploadedFrom, uploadedTo }) => {
+  const filterBy = {}
+  if (tags.length > 0) filterBy.tags = { in: tags }
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value !== '') filterBy[key] = value
+  })
+  if (uploadedFrom || uploadedTo) {
+    filterBy.uploadedAt = {
+      ...(uploadedFrom && { gte: uploadedFrom }),
+      // Through the end of that day
+      ...(uploadedTo && { lt: new Date(new Date(uploadedTo).getTime() + 24 * 60 * 60 * 1000).toISOString() })
+    }
+  }
+  return Object.keys(filterBy).length > 0 ? filterBy : undefined
+}
 
 function WriterWorkspace() {
   // Main state
   const [query, setQuery] = useState('')
   const [selectedDocuments, setSelectedDocuments] = useState([])
+  // '' = every document; otherwise queries only search this project
+  const [projectId, setProjectId] = useState(() => localStorage.getItem(PROJECT_STORAGE_KEY) || '')
+  const appliedProjectRef = useRef(null)
   const [currentResult, setCurrentResult] = useState(null)
   const [analysisType, setAnalysisType] = useState('content')
   const [temperature, setTemperature] = useState(0.7)
   const [maxResults, setMaxResults] = useState(5)
+  const [retrievalMode, setRetrievalMode] = useState('hybrid')
+  const [rerank, setRerank] = useState(false)
+  // Languages to search (all when empty) and to answer in ('auto': the question's)
+  const [languageFilter, setLanguageFilter] = useState([])
+  const [answerLanguage, setAnswerLanguage] = useState('auto')
+  // Older drafts of a document are only searched when asked for
+  const [versions, setVersions] = useState('latest')
+  // Only search documents with any of these tags, these metadata values
+  // ({ key: value }) and uploaded in this date range
+  const [tagFilter, setTagFilter] = useState([])
+  const [fieldFilter, setFieldFilter] = useState({})
+  const [uploadedFrom, setUploadedFrom] = useState('')
+  const [uploadedTo, setUploadedTo] = useState('')
   
   // UI state
   const [showAdvanced, setShowAdvanced] = useState(false)
@@ -45,6 +91,18 @@ function WriterWorkspace() {
   const [syncStatus, setSyncStatus] = useState(null)
   const [stats, setStats] = useState(null)
   const [syncing, setSyncing] = useState(false)
+
+  // Streaming state
+  const [isStreaming, setIsStreaming] = useState(false)
+  const abortControllerRef = useRef(null)
+
+  // Conversation session: finished turns plus the one being generated (currentResult)
+  const [session, setSession] = useState(null)
+  const [turns, setTurns] = useState([])
+  const [expandedTurns, setExpandedTurns] = useState([])
+
+  // Source passage opened from an inline citation marker: { turnKey, number }
+  const [activeCitation, setActiveCitation] = useState(null)
   
   const queryClient = useQueryClient()
 
@@ -55,20 +113,67 @@ function WriterWorkspace() {
     { 
       staleTime: 5 * 60 * 1000,
       onSuccess: (data) => {
-        // Auto-select all documents when they're loaded
+        // Auto-select the project's documents (or all of them) when they're loaded
         if (data?.documents && selectedDocuments.length === 0) {
-          setSelectedDocuments(data.documents.map(doc => doc.id))
+          setSelectedDocuments(data.documents.filter(doc => !projectId || doc.projectId === projectId).map(doc => doc.id))
+        }
+      }
+    }
+  )
+
+  const { data: projectsData } = useQuery(
+    'projects',
+    projectAPI.getAll,
+    {
+      staleTime: 5 * 60 * 1000,
+      onSuccess: (data) => {
+        // The remembered project's defaults apply once it's loaded; a
+        // deleted project falls back to every document
+        const project = data?.projects?.find(item => item.id === projectId)
+        if (projectId && !project) {
+          handleProjectChange('')
+        } else if (project && appliedProjectRef.current !== project.id) {
+          applyProjectDefaults(project)
         }
       }
     }
   )
 
+  const { data: fieldsData } = useQuery(
+    'document-fields',
+    documentAPI.getFields,
+    { staleTime: 5 * 60 * 1000 }
+  )
+
   const { data: documentStats, isLoading: statsLoading } = useQuery(
     'document-stats',
     documentAPI.getStats,
     { staleTime: 5 * 60 * 1000 }
   )
 
+  const { data: conversationsData } = useQuery(
+    'conversations',
+    conversationAPI.getAll,
+    { staleTime: 60 * 1000 }
+  )
+
+  // With a single document selected, suggested questions come from its content
+  const suggestionDocumentId = selectedDocuments.length === 1 ? selectedDocuments[0] : null
+  const { data: documentSuggestions, isFetching: suggestionsLoading } = useQuery(
+    ['suggestions', suggestionDocumentId],
+    () => queryAPI.getSuggestions(suggestionDocumentId, 5),
+    { enabled: !!suggestionDocumentId, staleTime: 10 * 60 * 1000 }
+  )
+
+  const refreshSuggestions = async () => {
+    try {
+      const data = await queryAPI.getSuggestions(suggestionDocumentId, 5, { refresh: true })
+      queryClient.setQueryData(['suggestions', suggestionDocumentId], data)
+    } catch (error) {
+      toast.error(handleAPIError(error))
+    }
+  }
+
   const { data: queryHistory, isLoading: historyLoading } = useQuery(
     'query-history',
     () => queryAPI.getHistory({ limit: 10 }),
@@ -80,6 +185,9 @@ function WriterWorkspace() {
     loadSyncStatus()
     loadStats()
     loadFavorites()
+
+    // Abort any in-flight stream when leaving the workspace
+    return () => abortControllerRef.current?.abort()
   }, [])
 
   const loadSyncStatus = async () => {
@@ -121,7 +229,7 @@ function WriterWorkspace() {
       const response = await fetch('/api/digital-persona/sync', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ platforms })
+        body: JSON.stringify({ platforms, projectId: projectId || undefined })
       })
       
       const data = await response.json()
@@ -140,42 +248,140 @@ function WriterWorkspace() {
     }
   }
 
-  // Enhanced query mutation - always use digital persona endpoint for MCP integration
-  const queryMutation = useMutation(
-    async (queryData) => {
-      const endpoint = '/api/digital-persona/query'
-      
-      const response = await fetch(endpoint, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          ...queryData,
-          analysisType,
-          enhancedQuery: getEnhancedQuery(queryData.query, analysisType)
-        })
-      })
-      
-      if (!response.ok) {
-        throw new Error('Query failed')
+  // Streamed query - each question is a turn in the current conversation,
+  // so follow-ups can refer back to earlier answers
+  const runQuery = async (queryData) => {
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    setIsStreaming(true)
+    setCurrentResult({ query: queryData.query, answer: '', sources: [], streaming: true })
+    setActiveCitation(null)
+
+    try {
+      let activeSession = session
+      if (!activeSession) {
+        const response = await conversationAPI.create()
+        activeSession = response.session
+        setSession(activeSession)
       }
-      
-      return response.json()
-    },
-    {
-      onSuccess: (data) => {
-        // Handle the nested result structure from digital persona endpoint
-        const result = data.result || data
-        setCurrentResult(result)
-        queryClient.invalidateQueries('query-history')
-        toast.success('Analysis completed!')
-      },
-      onError: (error) => {
+
+      await conversationAPI.sendMessageStream(activeSession.id, {
+        ...queryData,
+        analysisType,
+        enhancedQuery: getEnhancedQuery(queryData.query, analysisType)
+      }, {
+        signal: controller.signal,
+        onEvent: (event, data) => {
+          if (event === 'sources') {
+            setCurrentResult(prev => ({ ...prev, ...data }))
+          } else if (event === 'token') {
+            setCurrentResult(prev => ({ ...prev, answer: prev.answer + data.text }))
+          } else if (event === 'done') {
+            setTurns(prev => [...prev, data.turn])
+            setSession(prev => ({ ...prev, ...data.session }))
+            setCurrentResult(null)
+            setQuery('')
+            queryClient.invalidateQueries('query-history')
+            queryClient.invalidateQueries('conversations')
+            toast.success('Analysis completed!')
+          }
+        }
+      })
+    } catch (error) {
+      if (controller.signal.aborted) {
+        setCurrentResult(prev => prev && { ...prev, streaming: false, cancelled: true })
+        toast('Analysis cancelled')
+      } else {
+        setCurrentResult(null)
         toast.error(handleAPIError(error))
       }
+    } finally {
+      abortControllerRef.current = null
+      setIsStreaming(false)
     }
-  )
+  }
 
-  const documents = documentsData?.documents || []
+  const handleCancel = () => {
+    abortControllerRef.current?.abort()
+  }
+
+  const handleCitationClick = (turnKey, number) => {
+    setActiveCitation({ turnKey, number })
+    setExpandedTurns(prev => prev.includes(turnKey) ? prev : [...prev, turnKey])
+    // Folded sources only render after the state update
+    setTimeout(() => scrollToCitation(turnKey, number), 0)
+  }
+
+  const isActiveCitation = (turnKey, number) =>
+    activeCitation?.turnKey === turnKey && activeCitation.number === number
+
+  // A project's default query settings replace the current ones
+  const applyProjectDefaults = (project) => {
+    appliedProjectRef.current = project?.id || null
+    const defaults = project?.defaults || {}
+    if (defaults.maxResults !== undefined) setMaxResults(defaults.maxResults)
+    if (defaults.temperature !== undefined) setTemperature(defaults.temperature)
+    if (defaults.analysisType) setAnalysisType(defaults.analysisType)
+    if (defaults.retrievalMode) setRetrievalMode(defaults.retrievalMode)
+    if (defaults.rerank !== undefined) setRerank(defaults.rerank)
+    if (defaults.languages) setLanguageFilter(defaults.languages)
+    if (defaults.answerLanguage) setAnswerLanguage(defaults.answerLanguage)
+    if (defaults.versions) setVersions(defaults.versions)
+  }
+
+  // Switching projects selects its documents and starts a new conversation,
+  // so answers never mix books
+  const handleProjectChange = (id) => {
+    setProjectId(id)
+    localStorage.setItem(PROJECT_STORAGE_KEY, id)
+    setSelectedDocuments(allDocuments.filter(doc => !id || doc.projectId === id).map(doc => doc.id))
+    applyProjectDefaults(projects.find(project => project.id === id))
+    handleNewConversation()
+  }
+
+  const handleNewConversation = () => {
+    setSession(null)
+    setTurns([])
+    setExpandedTurns([])
+    setCurrentResult(null)
+    setActiveCitation(null)
+  }
+
+  const handleOpenConversation = async (sessionId) => {
+    try {
+      const response = await conversationAPI.getById(sessionId)
+      setSession(response.session)
+      setTurns(response.session.turns)
+      setExpandedTurns([])
+      setCurrentResult(null)
+      setActiveCitation(null)
+    } catch (error) {
+      toast.error(handleAPIError(error))
+    }
+  }
+
+  const handleDeleteConversation = async (sessionId) => {
+    if (!window.confirm('Delete this conversation? Its answers stay in your query history.')) {
+      return
+    }
+
+    try {
+      await conversationAPI.delete(sessionId)
+      if (session?.id === sessionId) {
+        handleNewConversation()
+      }
+      queryClient.invalidateQueries('conversations')
+    } catch (error) {
+      toast.error(handleAPIError(error))
+    }
+  }
+
+  const allDocuments = documentsData?.documents || []
+  const projects = projectsData?.projects || []
+  const documents = projectId ? allDocuments.filter(doc => doc.projectId === projectId) : allDocuments
+  const availableLanguages = [...new Set(documents.flatMap(doc => doc.metadata?.languages || [doc.metadata?.language]))]
+    .filter(code => code && code !== 'und' && code !== 'unknown')
+    .sort((a, b) => formatLanguage(a).localeCompare(formatLanguage(b)))
 
   const getEnhancedQuery = (originalQuery, type) => {
     const enhancements = {
@@ -201,16 +407,35 @@ function WriterWorkspace() {
       return
     }
 
-    queryMutation.mutate({
+    runQuery({
       query: query.trim(),
       documentIds: selectedDocuments,
       maxResults,
       temperature,
       includeContext: true,
-      analysisType
+      analysisType,
+      retrievalMode,
+      rerank,
+      languages: languageFilter.length > 0 ? languageFilter : undefined,
+      answerLanguage,
+      versions,
+      projectId: projectId || undefined,
+      filterBy: buildFilterBy({ tags: tagFilter, fields: fieldFilter, uploadedFrom, uploadedTo }),
+      // Chosen on the Settings page; the server's default when unset
+      llmProvider: loadSettings().llmProvider || undefined
     })
   }
 
+  const handleTagToggle = (tag) => {
+    setTagFilter(prev => (prev.includes(tag) ? prev.filter(item => item !== tag) : [...prev, tag]))
+  }
+
+  const handleLanguageToggle = (code) => {
+    setLanguageFilter(prev =>
+      prev.includes(code) ? prev.filter(language => language !== code) : [...prev, code]
+    )
+  }
+
   const handleDocumentToggle = (documentId) => {
     setSelectedDocuments(prev => 
       prev.includes(documentId)
@@ -281,9 +506,164 @@ function WriterWorkspace() {
     return icons[platform] || '📄'
   }
 
+  // One question/answer card of the conversation thread
+  const renderTurn = (turn, turnKey, isLatest) => {
+    const showSources = isLatest || expandedTurns.includes(turnKey)
+
+    return (
+      <div key={turnKey} className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
+        <div className="flex items-start justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900 leading-relaxed">
+            {turn.query}
+          </h3>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => toggleFavorite(turn.query)}
+              className={`p-2 rounded-lg transition-colors ${
+                favoriteQueries.includes(turn.query)
+                  ? 'text-amber-500 bg-amber-100'
+                  : 'text-gray-400 hover:text-amber-500 hover:bg-amber-50'
+              }`}
+              title="Add to favorites"
+            >
+              <Star className={`h-4 w-4 ${favoriteQueries.includes(turn.query) ? 'fill-current' : ''}`} />
+            </button>
+            <button
+              onClick={() => copyToClipboard(turn.answer)}
+              className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Copy answer"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+    
+        <div className="prose prose-amber max-w-none mb-6">
+          <div className="text-gray-800 leading-relaxed whitespace-pre-wrap">
+            <CitedAnswer
+              answer={turn.answer}
+              sources={turn.sources}
+              onCitationClick={(number) => handleCitationClick(turnKey, number)}
+            />
+            {turn.streaming && isStreaming && (
+              <span className="inline-block w-2 h-5 ml-1 align-text-bottom bg-amber-500 animate-pulse" />
+            )}
+          </div>
+          {turn.cancelled && (
+            <p className="text-sm text-gray-500 italic mt-2">Generation cancelled</p>
+          )}
+        </div>
+
+        {/* Metadata */}
+        <div className="flex items-center justify-between text-sm text-gray-500 mb-4 p-3 bg-amber-50/50 rounded-lg">
+          <div className="flex items-center space-x-4">
+            <span className="flex items-center">
+              <TrendingUp className="h-4 w-4 mr-1" />
+              {Math.round((turn.confidence || 0) * 100)}% confidence
+            </span>
+            <span>{turn.sources?.length || 0} sources</span>
+            <span className="capitalize">{analysisType} analysis</span>
+          </div>
+          <span>{formatDate(turn.timestamp || turn.metadata?.timestamp)}</span>
+        </div>
+
+        {/* Sources (earlier turns keep theirs folded away) */}
+        {turn.sources && turn.sources.length > 0 && !showSources && (
+          <button
+            type="button"
+            onClick={() => setExpandedTurns(prev => [...prev, turnKey])}
+            className="text-sm text-amber-600 hover:text-amber-700 font-medium flex items-center"
+          >
+            <Bookmark className="h-4 w-4 mr-2" />
+            Show sources ({turn.sources.length})
+          </button>
+        )}
+        {turn.sources && turn.sources.length > 0 && showSources && (
+          <div>
+            <h4 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
+              <Bookmark className="h-4 w-4 mr-2" />
+              Sources ({turn.sources.length})
+            </h4>
+            <div className="space-y-3">
+              {turn.sources.map((source, index) => (
+                <div
+                  key={source.id || index}
+                  id={citationAnchorId(turnKey, index + 1)}
+                  className={`p-4 bg-gradient-to-r from-amber-50/50 to-orange-50/50 rounded-lg border transition-shadow ${
+                    isActiveCitation(turnKey, index + 1) ? 'border-amber-400 ring-2 ring-amber-300' : 'border-amber-100'
+                  }`}
+                >
+                  <div className="flex items-center justify-between mb-2">
+                    <div className="flex items-center space-x-2">
+                      <span className="text-xs font-semibold text-amber-700 bg-amber-100 rounded px-1.5 py-0.5">
+                        [{index + 1}]
+                      </span>
+                      <span className="text-lg">
+                        {getPlatformIcon(source.platform || 'document')}
+                      </span>
+                      <span className="font-medium text-gray-900">
+                        {source.filename || source.title || 'Unknown'}
+                        {source.headingPath
+                          ? <span className="font-normal text-gray-500"> · {source.headingPath}</span>
+                          : source.chunkIndex !== undefined && ` (Section ${source.chunkIndex + 1})`}
+                      </span>
+                      {source.pageStart && (
+                        <span className="text-xs text-gray-600 bg-white px-2 py-1 rounded-full">
+                          {formatPageRange(source.pageStart, source.pageEnd)}
+                        </span>
+                      )}
+                      {source.platform && (
+                        <span className="text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded-full capitalize">
+                          {source.platform}
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex items-center space-x-2">
+                      {source.rerankScore !== undefined && source.rerankScore !== null && (
+                        <span className="text-xs text-amber-700 bg-amber-100 px-2 py-1 rounded-full" title="Relevance after reranking">
+                          {Math.round(source.rerankScore * 100)}% relevant
+                        </span>
+                      )}
+                      <span className="text-xs text-gray-500 bg-white px-2 py-1 rounded-full">
+                        {Math.round((source.similarity || 0) * 100)}% match
+                      </span>
+                    </div>
+                  </div>
+                  <p className="text-sm text-gray-700 leading-relaxed whitespace-pre-wrap">
+                    {isActiveCitation(turnKey, index + 1) ? source.text : `${source.text.substring(0, 300)}...`}
+                  </p>
+                  {source.url && (
+                    <a
+                      href={source.url}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="text-xs text-amber-600 hover:text-amber-800 mt-2 inline-block font-medium"
+                    >
+                      View original →
+                    </a>
+                  )}
+                  {passageLink(source) && (
+                    <Link
+                      to={passageLink(source)}
+                      className="text-xs text-amber-600 hover:text-amber-800 mt-2 inline-flex items-center font-medium"
+                    >
+                      <ExternalLink className="h-3 w-3 mr-1" />
+                      Open passage
+                    </Link>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    )
+  }
+
   const totalWords = documentStats?.stats?.totalWords || 0
   const totalDocuments = documents.length
   const recentQueries = queryHistory?.history?.slice(0, 5) || []
+  const conversations = conversationsData?.sessions?.slice(0, 8) || []
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-amber-50 via-white to-orange-50">
@@ -366,7 +746,7 @@ function WriterWorkspace() {
               <form onSubmit={handleSubmit} className="space-y-6">
                 <div>
                   <label htmlFor="query" className="block text-lg font-medium text-gray-900 mb-3">
-                    What would you like to explore about your writing?
+                    {turns.length > 0 ? 'Ask a follow-up question' : 'What would you like to explore about your writing?'}
                   </label>
                   <div className="relative">
                     <textarea
@@ -379,7 +759,7 @@ function WriterWorkspace() {
                         'genre and narrative techniques'}...`}
                       rows={4}
                       className="w-full px-4 py-3 border border-amber-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-amber-500 focus:border-transparent resize-none bg-white/50 text-gray-900 placeholder-gray-500"
-                      disabled={queryMutation.isLoading}
+                      disabled={isStreaming}
                     />
                     {favoriteQueries.includes(query) && (
                       <Star className="absolute top-3 right-3 h-5 w-5 text-amber-500 fill-current" />
@@ -432,125 +812,222 @@ function WriterWorkspace() {
                           className="w-full accent-amber-500"
                         />
                       </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Search Method
+                        </label>
+                        <select
+                          value={retrievalMode}
+                          onChange={(e) => setRetrievalMode(e.target.value)}
+                          className="w-full px-3 py-2 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        >
+                          <option value="hybrid">Hybrid (meaning + exact words)</option>
+                          <option value="vector">Meaning only</option>
+                          <option value="lexical">Exact words only</option>
+                        </select>
+                        <p className="text-xs text-gray-500 mt-1">
+                          Exact-word search helps with character names and invented terms
+                        </p>
+                      </div>
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Draft Versions
+                        </label>
+                        <select
+                          value={versions}
+                          onChange={(e) => setVersions(e.target.value)}
+                          className="w-full px-3 py-2 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        >
+                          <option value="latest">Latest version of each document</option>
+                          <option value="all">All versions</option>
+                        </select>
+                      </div>
+
+                      {fieldsData?.tags?.length > 0 && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Tags
+                          </label>
+                          <div className="flex flex-wrap gap-2">
+                            {fieldsData.tags.map(({ tag, documents: count }) => (
+                              <button
+                                key={tag}
+                                type="button"
+                                onClick={() => handleTagToggle(tag)}
+                                title={`${count} documents`}
+                                className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors duration-200 ${
+                                  tagFilter.includes(tag)
+                                    ? 'bg-amber-500 border-amber-500 text-white'
+                                    : 'bg-white/50 border-amber-200 text-gray-700 hover:bg-amber-100'
+                                }`}
+                              >
+                                #{tag}
+                              </button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {tagFilter.length > 0 ? 'Only documents with any of these tags are searched' : 'Documents with any tags are searched'}
+                          </p>
+                        </div>
+                      )}
+
+                      {fieldsData?.fields?.map(field => (
+                        <div key={field.key}>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            {field.key}
+                          </label>
+                          <select
+                            value={field.key in fieldFilter && fieldFilter[field.key] !== '' ? field.values.indexOf(fieldFilter[field.key]) : ''}
+                            onChange={(e) => setFieldFilter(prev => ({
+                              ...prev,
+                              [field.key]: e.target.value === '' ? '' : field.values[Number(e.target.value)]
+                            }))}
+                            className="w-full px-3 py-2 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-amber-500"
+                          >
+                            <option value="">Any</option>
+                            {field.values.map((value, index) => (
+                              <option key={String(value)} value={index}>{String(value)}</option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Uploaded Between
+                        </label>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="date"
+                            value={uploadedFrom}
+                            onChange={(e) => setUploadedFrom(e.target.value)}
+                            className="flex-1 px-2 py-1 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900"
+                          />
+                          <span className="text-gray-500 text-sm">and</span>
+                          <input
+                            type="date"
+                            value={uploadedTo}
+                            onChange={(e) => setUploadedTo(e.target.value)}
+                            className="flex-1 px-2 py-1 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900"
+                          />
+                        </div>
+                      </div>
+
+                      {availableLanguages.length > 1 && (
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">
+                            Search in Languages
+                          </label>
+                          <div className="flex flex-wrap gap-2">
+                            {availableLanguages.map(code => (
+                              <button
+                                key={code}
+                                type="button"
+                                onClick={() => handleLanguageToggle(code)}
+                                className={`px-3 py-1 rounded-full text-xs font-medium border transition-colors duration-200 ${
+                                  languageFilter.includes(code)
+                                    ? 'bg-amber-500 border-amber-500 text-white'
+                                    : 'bg-white/50 border-amber-200 text-gray-700 hover:bg-amber-100'
+                                }`}
+                              >
+                                {formatLanguage(code)}
+                              </button>
+                            ))}
+                          </div>
+                          <p className="text-xs text-gray-500 mt-1">
+                            {languageFilter.length > 0 ? 'Only passages in these languages are used' : 'Passages in every language are used'}
+                          </p>
+                        </div>
+                      )}
+
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Answer Language
+                        </label>
+                        <select
+                          value={answerLanguage}
+                          onChange={(e) => setAnswerLanguage(e.target.value)}
+                          className="w-full px-3 py-2 border border-amber-200 rounded-lg bg-white/50 text-sm text-gray-900 focus:outline-none focus:ring-2 focus:ring-amber-500"
+                        >
+                          <option value="auto">Same as my question</option>
+                          {availableLanguages.map(code => (
+                            <option key={code} value={code}>{formatLanguage(code)}</option>
+                          ))}
+                        </select>
+                      </div>
+
+                      <label className="flex items-start space-x-3 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={rerank}
+                          onChange={(e) => setRerank(e.target.checked)}
+                          className="h-4 w-4 mt-0.5 text-amber-600 focus:ring-amber-500 border-gray-300 rounded"
+                        />
+                        <span>
+                          <span className="block text-sm font-medium text-gray-700">Rerank sources</span>
+                          <span className="block text-xs text-gray-500">
+                            Re-score retrieved passages against your question and keep only the best ones (slower)
+                          </span>
+                        </span>
+                      </label>
                     </div>
                   )}
                 </div>
 
-                <button
-                  type="submit"
-                  disabled={queryMutation.isLoading || !query.trim() || selectedDocuments.length === 0}
-                  className="w-full py-4 bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl hover:from-amber-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center"
-                >
-                  {queryMutation.isLoading ? (
-                    <>
-                      <Loader className="h-5 w-5 mr-2 animate-spin" />
-                      Analyzing your writing...
-                    </>
-                  ) : (
-                    <>
-                      <Search className="h-5 w-5 mr-2" />
-                      Analyze My Writing
-                    </>
-                  )}
-                </button>
-              </form>
-            </div>
-
-            {/* Query Result */}
-            {currentResult && (
-              <div className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
-                <div className="flex items-start justify-between mb-4">
-                  <h3 className="text-lg font-semibold text-gray-900 leading-relaxed">
-                    {currentResult.query}
-                  </h3>
-                  <div className="flex space-x-2">
-                    <button
-                      onClick={() => toggleFavorite(currentResult.query)}
-                      className={`p-2 rounded-lg transition-colors ${
-                        favoriteQueries.includes(currentResult.query)
-                          ? 'text-amber-500 bg-amber-100'
-                          : 'text-gray-400 hover:text-amber-500 hover:bg-amber-50'
-                      }`}
-                      title="Add to favorites"
-                    >
-                      <Star className={`h-4 w-4 ${favoriteQueries.includes(currentResult.query) ? 'fill-current' : ''}`} />
-                    </button>
+                <div className="flex space-x-3">
+                  <button
+                    type="submit"
+                    disabled={isStreaming || !query.trim() || selectedDocuments.length === 0}
+                    className="flex-1 py-4 bg-gradient-to-r from-amber-500 to-orange-500 text-white rounded-xl hover:from-amber-600 hover:to-orange-600 disabled:opacity-50 disabled:cursor-not-allowed font-medium text-lg transition-all duration-200 shadow-lg hover:shadow-xl flex items-center justify-center"
+                  >
+                    {isStreaming ? (
+                      <>
+                        <Loader className="h-5 w-5 mr-2 animate-spin" />
+                        Analyzing your writing...
+                      </>
+                    ) : (
+                      <>
+                        <Search className="h-5 w-5 mr-2" />
+                        Analyze My Writing
+                      </>
+                    )}
+                  </button>
+                  {isStreaming && (
                     <button
-                      onClick={() => copyToClipboard(currentResult.answer)}
-                      className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-colors"
-                      title="Copy answer"
+                      type="button"
+                      onClick={handleCancel}
+                      className="px-6 py-4 bg-white border border-amber-300 text-gray-700 rounded-xl hover:bg-amber-50 font-medium transition-colors duration-200 flex items-center"
+                      title="Stop generating"
                     >
-                      <Copy className="h-4 w-4" />
+                      <Square className="h-4 w-4 mr-2" />
+                      Cancel
                     </button>
-                  </div>
-                </div>
-                
-                <div className="prose prose-amber max-w-none mb-6">
-                  <div className="text-gray-800 leading-relaxed whitespace-pre-wrap">
-                    {currentResult.answer}
-                  </div>
+                  )}
                 </div>
+              </form>
+            </div>
 
-                {/* Metadata */}
-                <div className="flex items-center justify-between text-sm text-gray-500 mb-4 p-3 bg-amber-50/50 rounded-lg">
-                  <div className="flex items-center space-x-4">
-                    <span className="flex items-center">
-                      <TrendingUp className="h-4 w-4 mr-1" />
-                      {Math.round((currentResult.confidence || 0) * 100)}% confidence
-                    </span>
-                    <span>{currentResult.sources?.length || 0} sources</span>
-                    <span className="capitalize">{analysisType} analysis</span>
-                  </div>
-                  <span>{formatDate(currentResult.timestamp || currentResult.metadata?.timestamp)}</span>
+            {/* Conversation Thread */}
+            {(turns.length > 0 || currentResult) && (
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <h3 className="text-sm font-medium text-gray-700 flex items-center">
+                    <MessageSquare className="h-4 w-4 mr-2 text-amber-600" />
+                    {session?.title || 'New conversation'}
+                  </h3>
+                  <button
+                    onClick={handleNewConversation}
+                    disabled={isStreaming}
+                    className="text-sm text-amber-600 hover:text-amber-700 font-medium flex items-center disabled:opacity-50"
+                  >
+                    <Plus className="h-4 w-4 mr-1" />
+                    New conversation
+                  </button>
                 </div>
-
-                {/* Sources */}
-                {currentResult.sources && currentResult.sources.length > 0 && (
-                  <div>
-                    <h4 className="text-sm font-medium text-gray-900 mb-3 flex items-center">
-                      <Bookmark className="h-4 w-4 mr-2" />
-                      Sources ({currentResult.sources.length})
-                    </h4>
-                    <div className="space-y-3">
-                      {currentResult.sources.map((source, index) => (
-                        <div key={source.id || index} className="p-4 bg-gradient-to-r from-amber-50/50 to-orange-50/50 rounded-lg border border-amber-100">
-                          <div className="flex items-center justify-between mb-2">
-                            <div className="flex items-center space-x-2">
-                              <span className="text-lg">
-                                {getPlatformIcon(source.platform || 'document')}
-                              </span>
-                              <span className="font-medium text-gray-900">
-                                {source.filename || source.title || 'Unknown'}
-                                {source.chunkIndex !== undefined && ` (Section ${source.chunkIndex + 1})`}
-                              </span>
-                              {source.platform && (
-                                <span className="text-xs bg-amber-100 text-amber-700 px-2 py-1 rounded-full capitalize">
-                                  {source.platform}
-                                </span>
-                              )}
-                            </div>
-                            <span className="text-xs text-gray-500 bg-white px-2 py-1 rounded-full">
-                              {Math.round((source.similarity || 0) * 100)}% match
-                            </span>
-                          </div>
-                          <p className="text-sm text-gray-700 leading-relaxed">
-                            {source.text.substring(0, 300)}...
-                          </p>
-                          {source.url && (
-                            <a
-                              href={source.url}
-                              target="_blank"
-                              rel="noopener noreferrer"
-                              className="text-xs text-amber-600 hover:text-amber-800 mt-2 inline-block font-medium"
-                            >
-                              View original →
-                            </a>
-                          )}
-                        </div>
-                      ))}
-                    </div>
-                  </div>
-                )}
+                {turns.map((turn, index) => renderTurn(turn, turn.id, !currentResult && index === turns.length - 1))}
+                {currentResult && renderTurn(currentResult, 'pending', true)}
               </div>
             )}
           </div>
@@ -589,20 +1066,37 @@ function WriterWorkspace() {
 
               {/* Suggested Questions */}
               <div className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
-                <div className="flex items-center mb-4">
-                  <Lightbulb className="h-5 w-5 text-amber-500 mr-2" />
-                  <h3 className="text-lg font-semibold text-gray-900">
-                    Suggested Questions
-                  </h3>
+                <div className="flex items-center justify-between mb-4">
+                  <div className="flex items-center">
+                    <Lightbulb className="h-5 w-5 text-amber-500 mr-2" />
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      Suggested Questions
+                    </h3>
+                  </div>
+                  {suggestionDocumentId && (
+                    <button
+                      onClick={refreshSuggestions}
+                      disabled={suggestionsLoading}
+                      className="p-1 text-gray-400 hover:text-amber-600 transition-colors duration-200"
+                      title="Suggest new questions"
+                    >
+                      <RefreshCw className={`h-4 w-4 ${suggestionsLoading ? 'animate-spin' : ''}`} />
+                    </button>
+                  )}
                 </div>
+                {documentSuggestions && (
+                  <p className="text-xs text-gray-500 mb-2">
+                    From {allDocuments.find(doc => doc.id === suggestionDocumentId)?.filename || 'the selected document'}
+                  </p>
+                )}
                 
                 <div className="space-y-2">
-                  {getAnalysisTypeQuestions(analysisType).map((suggestion, index) => (
+                  {(documentSuggestions?.suggestions || getAnalysisTypeQuestions(analysisType)).map((suggestion, index) => (
                     <button
                       key={index}
                       onClick={() => setQuery(suggestion)}
                       className="w-full text-left p-3 text-sm text-gray-700 hover:bg-amber-50 rounded-lg transition-colors duration-200 border border-transparent hover:border-amber-200"
-                      disabled={queryMutation.isLoading}
+                      disabled={isStreaming}
                     >
                       {suggestion}
                     </button>
@@ -612,6 +1106,33 @@ function WriterWorkspace() {
 
               {/* Content Selection */}
               <div className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
+                {projects.length > 0 && (
+                  <div className="mb-4">
+                    <div className="flex items-center justify-between mb-2">
+                      <label className="flex items-center text-sm font-medium text-gray-700">
+                        <FolderOpen className="h-4 w-4 mr-2 text-amber-600" />
+                        Project
+                      </label>
+                      <Link to="/projects" className="text-xs text-amber-600 hover:text-amber-700 font-medium">
+                        Manage
+                      </Link>
+                    </div>
+                    <select
+                      value={projectId}
+                      onChange={(e) => handleProjectChange(e.target.value)}
+                      disabled={isStreaming}
+                      className="w-full px-3 py-2 border border-amber-200 rounded-lg text-sm focus:ring-2 focus:ring-amber-500 focus:border-transparent"
+                    >
+                      <option value="">All documents</option>
+                      {projects.map(project => (
+                        <option key={project.id} value={project.id}>
+                          {project.name} ({project.documentCount})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div className="flex items-center justify-between mb-4">
                   <h3 className="text-lg font-semibold text-gray-900">
                     Content Sources
@@ -676,6 +1197,52 @@ function WriterWorkspace() {
                 )}
               </div>
 
+              {/* Conversations */}
+              {conversations.length > 0 && (
+                <div className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
+                  <div className="flex items-center mb-4">
+                    <MessageSquare className="h-5 w-5 text-amber-600 mr-2" />
+                    <h3 className="text-lg font-semibold text-gray-900">
+                      Conversations
+                    </h3>
+                  </div>
+
+                  <div className="space-y-2">
+                    {conversations.map((conversation) => (
+                      <div
+                        key={conversation.id}
+                        className={`flex items-start p-3 rounded-lg border transition-colors duration-200 ${
+                          session?.id === conversation.id
+                            ? 'bg-amber-50 border-amber-200'
+                            : 'border-transparent hover:bg-amber-50 hover:border-amber-200'
+                        }`}
+                      >
+                        <button
+                          onClick={() => handleOpenConversation(conversation.id)}
+                          disabled={isStreaming}
+                          className="flex-1 min-w-0 text-left"
+                        >
+                          <p className="text-sm font-medium text-gray-900 line-clamp-2 mb-1">
+                            {conversation.title}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {conversation.turnCount} {conversation.turnCount === 1 ? 'question' : 'questions'} • {formatDate(conversation.updatedAt)}
+                          </p>
+                        </button>
+                        <button
+                          onClick={() => handleDeleteConversation(conversation.id)}
+                          disabled={isStreaming}
+                          className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                          title="Delete conversation"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Recent Queries */}
               {recentQueries.length > 0 && (
                 <div className="bg-white/70 backdrop-blur-sm rounded-2xl border border-amber-200 p-6 shadow-lg">
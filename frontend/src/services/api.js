@@ -33,12 +33,79 @@ api.interceptors.response.use(
   }
 )
 
+// POST to an endpoint that answers with Server-Sent Events and dispatch each event
+// to onEvent(event, data). Pass an AbortSignal to cancel the request mid-stream.
+export const streamRequest = async (path, body, { onEvent, signal } = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+    },
+    body: JSON.stringify({ ...body, stream: true }),
+    signal,
+  })
+
+  if (!response.ok || !response.body) {
+    let message = `Request failed with status ${response.status}`
+    try {
+      const data = await response.json()
+      message = data.message || data.details || data.error || message
+    } catch (parseError) {
+      // Keep the status-based message
+    }
+    throw new Error(message)
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (rawEvent) => {
+    let event = 'message'
+    const dataLines = []
+
+    rawEvent.split('\n').forEach((line) => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim())
+      }
+    })
+
+    if (dataLines.length === 0) return
+    const data = JSON.parse(dataLines.join('\n'))
+
+    if (event === 'error') {
+      throw new Error(data.message || data.details || data.error || 'Stream failed')
+    }
+    if (onEvent) onEvent(event, data)
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    let boundary = buffer.indexOf('\n\n')
+    while (boundary !== -1) {
+      dispatch(buffer.slice(0, boundary))
+      buffer = buffer.slice(boundary + 2)
+      boundary = buffer.indexOf('\n\n')
+    }
+  }
+
+  if (buffer.trim()) dispatch(buffer)
+}
+
 // Document API
 export const documentAPI = {
-  // Upload document
-  upload: async (file, onProgress) => {
+  // Upload document (queues it for processing and resolves with the job),
+  // optionally into a project
+  upload: async (file, onProgress, { projectId } = {}) => {
     const formData = new FormData()
     formData.append('document', file)
+    if (projectId) formData.append('projectId', projectId)
 
     return api.post('/api/documents/upload', formData, {
       headers: {
@@ -61,6 +128,24 @@ export const documentAPI = {
   // Get specific document
   getById: (id) => api.get(`/api/documents/${id}`),
 
+  // Replace a document's tags and/or custom metadata ({ tags, customMetadata })
+  updateFields: (id, fields) => api.patch(`/api/documents/${id}`, fields),
+
+  // Tags and custom metadata keys in use, with their values
+  getFields: () => api.get('/api/documents/fields'),
+
+  // Every version of a document, oldest first
+  getVersions: (id) => api.get(`/api/documents/${id}/versions`),
+
+  // Paragraph diff between two versions (numbers or ids; the previous
+  // version and this one by default)
+  getDiff: (id, { from, to } = {}) => {
+    const searchParams = new URLSearchParams()
+    if (from) searchParams.set('from', from)
+    if (to) searchParams.set('to', to)
+    return api.get(`/api/documents/${id}/diff?${searchParams}`)
+  },
+
   // Delete document
   delete: (id) => api.delete(`/api/documents/${id}`),
 
@@ -73,6 +158,9 @@ export const queryAPI = {
   // Submit query
   query: (queryData) => api.post('/api/queries', queryData),
 
+  // Submit query and stream the answer as it is generated
+  queryStream: (queryData, options) => streamRequest('/api/queries', queryData, options),
+
   // Get query history
   getHistory: (params = {}) => {
     const searchParams = new URLSearchParams(params)
@@ -85,9 +173,10 @@ export const queryAPI = {
   // Semantic search
   search: (searchData) => api.post('/api/queries/search', searchData),
 
-  // Get question suggestions
-  getSuggestions: (documentId, count = 5) => 
-    api.get(`/api/queries/suggestions/${documentId}?count=${count}`),
+  // Questions written from a document's content (cached per document
+  // version; refresh generates them again)
+  getSuggestions: (documentId, count = 5, { refresh = false } = {}) =>
+    api.get(`/api/queries/suggestions/${documentId}?count=${count}${refresh ? '&refresh=true' : ''}`),
 
   // Export query results
   export: (queryIds, format = 'json') => 
@@ -100,6 +189,91 @@ export const queryAPI = {
   },
 }
 
+// Digital persona API
+export const digitalPersonaAPI = {
+  // Query documents and synced social media content
+  query: (queryData) => api.post('/api/digital-persona/query', queryData),
+
+  // Same query, streaming sources and answer tokens as they arrive
+  queryStream: (queryData, options) => streamRequest('/api/digital-persona/query', queryData, options),
+}
+
+// Conversation API (multi-turn sessions)
+export const conversationAPI = {
+  // List sessions, most recent first
+  getAll: () => api.get('/api/conversations'),
+
+  // Start a new session
+  create: (title) => api.post('/api/conversations', title ? { title } : {}),
+
+  // Get a session with its turns
+  getById: (sessionId) => api.get(`/api/conversations/${sessionId}`),
+
+  // Rename a session
+  rename: (sessionId, title) => api.patch(`/api/conversations/${sessionId}`, { title }),
+
+  // Delete a session
+  delete: (sessionId) => api.delete(`/api/conversations/${sessionId}`),
+
+  // Ask a question in a session
+  sendMessage: (sessionId, queryData) => api.post(`/api/conversations/${sessionId}/messages`, queryData),
+
+  // Same, streaming sources and answer tokens as they arrive
+  sendMessageStream: (sessionId, queryData, options) =>
+    streamRequest(`/api/conversations/${sessionId}/messages`, queryData, options),
+}
+
+// Project API (documents grouped per book, with default query settings)
+export const projectAPI = {
+  // List projects with their document counts
+  getAll: () => api.get('/api/projects'),
+
+  // Get a project with its documents
+  getById: (id) => api.get(`/api/projects/${id}`),
+
+  // Create a project ({ name, description, defaults, documentIds })
+  create: (project) => api.post('/api/projects', project),
+
+  // Change a project's name, description or defaults
+  update: (id, changes) => api.put(`/api/projects/${id}`, changes),
+
+  // Delete a project (its documents are kept)
+  delete: (id) => api.delete(`/api/projects/${id}`),
+
+  // Move documents, with all their versions, into a project
+  addDocuments: (id, documentIds) => api.post(`/api/projects/${id}/documents`, { documentIds }),
+
+  // Take a document out of a project
+  removeDocument: (id, documentId) => api.delete(`/api/projects/${id}/documents/${documentId}`),
+}
+
+// Job API (background document ingestion)
+export const jobAPI = {
+  // List jobs, newest first (optional status such as 'queued,running')
+  getAll: (params = {}) => {
+    const searchParams = new URLSearchParams(params)
+    return api.get(`/api/jobs?${searchParams}`)
+  },
+
+  // Get a job with per-stage progress
+  getById: (jobId) => api.get(`/api/jobs/${jobId}`),
+
+  // Retry a failed job from the stage that failed
+  retry: (jobId) => api.post(`/api/jobs/${jobId}/retry`),
+
+  // Answer a waiting job (e.g. { action: 'version' } for a duplicate upload)
+  provideInput: (jobId, input) => api.post(`/api/jobs/${jobId}/input`, input),
+
+  // Remove a finished job
+  delete: (jobId) => api.delete(`/api/jobs/${jobId}`),
+}
+
+// LLM provider API
+export const providerAPI = {
+  // Configured chat providers with their capabilities, and the default one
+  getAll: () => api.get('/api/providers'),
+}
+
 // Health API
 export const healthAPI = {
   // Check API health
@@ -131,6 +305,36 @@ export const formatDate = (dateString) => {
   })
 }
 
+// "p. 42" or "pp. 42-43" for a source's pages; null when it has none
+export const formatPageRange = (pageStart, pageEnd) => {
+  if (!pageStart) return null
+  return pageEnd && pageEnd !== pageStart ? `pp. ${pageStart}-${pageEnd}` : `p. ${pageStart}`
+}
+
+// "p. 3" / "pp. 3, 7, 12" for a list of pages
+export const formatPageList = (pages) => {
+  if (!pages?.length) return null
+  return `${pages.length > 1 ? 'pp.' : 'p.'} ${pages.join(', ')}`
+}
+
+// "Tamil" for 'ta'; documents whose language couldn't be detected are 'und'
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' })
+export const formatLanguage = (code) => {
+  if (!code || code === 'und' || code === 'unknown') return 'Unknown'
+  try {
+    return languageNames.of(code)
+  } catch {
+    return code
+  }
+}
+
+// Link to a source's exact passage in the document viewer; null for sources
+// without offsets (social media posts, MCP results)
+export const passageLink = (source) => {
+  if (!source.documentId || source.platform || source.startChar === undefined || source.startChar === null) return null
+  return `/documents/${source.documentId}?start=${source.startChar}&end=${source.endChar}`
+}
+
 export const truncateText = (text, maxLength = 100) => {
   if (text.length <= maxLength) return text
   return text.substring(0, maxLength) + '...'
@@ -177,16 +381,28 @@ export const validateFile = (file) => {
     'application/pdf',
     'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
     'text/plain',
-    'text/markdown'
+    'text/markdown',
+    'application/epub+zip',
+    'application/vnd.oasis.opendocument.text',
+    'application/rtf',
+    'text/rtf',
+    'text/html',
+    'application/vnd.apple.pages',
+    'application/x-iwork-pages-sffpages',
+    'image/png',
+    'image/jpeg',
+    'image/tiff'
   ]
+  // Browsers often have no mimetype for Pages documents
+  const isPages = file.name?.toLowerCase().endsWith('.pages')
 
   if (file.size > maxSize) {
     throw new Error('File size must be less than 50MB')
   }
 
   console.log(file.type)
-  if (!allowedTypes.includes(file.type)) {
-    throw new Error('File type not supported. Please upload PDF, DOCX, TXT, or MD files.')
+  if (!allowedTypes.includes(file.type) && !isPages) {
+    throw new Error('File type not supported. Please upload PDF, DOCX, Pages, EPUB, ODT, RTF, HTML, TXT, MD, or PNG/JPEG/TIFF files.')
   }
 
   return true
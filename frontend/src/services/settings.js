@@ -0,0 +1,23 @@
+// Preferences from the Settings page, kept in the browser
+
+const STORAGE_KEY = 'padalayai-settings'
+
+export const DEFAULT_SETTINGS = {
+  temperature: 0.7,
+  maxResults: 5,
+  chunkSize: 1000,
+  chunkOverlap: 200,
+  llmProvider: '' // '' = the server's default provider
+}
+
+export const loadSettings = () => {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') }
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+}